@@ -0,0 +1,53 @@
+import { NextResponse } from "next/server";
+import { authorizeOperatorRequest, findUserId } from '@/lib/admin/access';
+import { setOrganisationMember } from '@/lib/organisations';
+
+/**
+ * Add (POST) or remove (DELETE) a user
+ * Body: { userId } or { email }
+ */
+async function updateMembership(request, params, isMember) {
+  const { errorResponse } = await authorizeOperatorRequest();
+  if (errorResponse) return errorResponse;
+
+  const body = await request.json().catch(() => ({}));
+  const userId = await findUserId(body);
+  if (!userId) {
+    return NextResponse.json({ error: "User not found" }, { status: 404 });
+  }
+
+  const { id } = await params;
+  const updated = await setOrganisationMember(id, userId, isMember);
+  if (!updated) {
+    return NextResponse.json(
+      { error: isMember ? "Organisation not found" : "User is not in this organisation" },
+      { status: 404 }
+    );
+  }
+
+  return NextResponse.json({ organisationId: id, userId, isMember });
+}
+
+export async function POST(request, { params }) {
+  try {
+    return await updateMembership(request, params, true);
+  } catch (error) {
+    console.error("Error adding organisation member:", error);
+    return NextResponse.json(
+      { error: "Failed to add user to organisation" },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    return await updateMembership(request, params, false);
+  } catch (error) {
+    console.error("Error removing organisation member:", error);
+    return NextResponse.json(
+      { error: "Failed to remove user from organisation" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,34 @@
+import { NextResponse } from "next/server";
+import { authorizeOperatorRequest } from '@/lib/admin/access';
+import { updateOrganisation, validateOrganisationDetails } from '@/lib/organisations';
+
+// Rename an organisation or change its safeguarding lead (null removes the lead)
+export async function PATCH(request, { params }) {
+  try {
+    const { errorResponse } = await authorizeOperatorRequest();
+    if (errorResponse) return errorResponse;
+
+    const body = await request.json().catch(() => ({}));
+    const { details, error } = validateOrganisationDetails(body);
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+    if (Object.keys(details).length === 0) {
+      return NextResponse.json({ error: "Nothing to update" }, { status: 400 });
+    }
+
+    const { id } = await params;
+    const organisation = await updateOrganisation(id, details);
+    if (!organisation) {
+      return NextResponse.json({ error: "Organisation not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({ organisation });
+  } catch (error) {
+    console.error("Error updating organisation:", error);
+    return NextResponse.json(
+      { error: "Failed to update organisation" },
+      { status: 500 }
+    );
+  }
+}
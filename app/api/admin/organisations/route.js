@@ -0,0 +1,41 @@
+import { NextResponse } from "next/server";
+import { authorizeOperatorRequest } from '@/lib/admin/access';
+import { listOrganisations, createOrganisation, validateOrganisationDetails } from '@/lib/organisations';
+
+export async function GET() {
+  try {
+    const { errorResponse } = await authorizeOperatorRequest();
+    if (errorResponse) return errorResponse;
+
+    const organisations = await listOrganisations();
+    return NextResponse.json({ organisations });
+  } catch (error) {
+    console.error("Error listing organisations:", error);
+    return NextResponse.json(
+      { error: "Failed to load organisations" },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(request) {
+  try {
+    const { errorResponse } = await authorizeOperatorRequest();
+    if (errorResponse) return errorResponse;
+
+    const body = await request.json().catch(() => ({}));
+    const { details, error } = validateOrganisationDetails({ ...body, name: body.name ?? '' });
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const organisation = await createOrganisation(details);
+    return NextResponse.json({ organisation }, { status: 201 });
+  } catch (error) {
+    console.error("Error creating organisation:", error);
+    return NextResponse.json(
+      { error: "Failed to create organisation" },
+      { status: 500 }
+    );
+  }
+}
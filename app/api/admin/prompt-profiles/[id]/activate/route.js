@@ -0,0 +1,30 @@
+import { NextResponse } from "next/server";
+import { authorizeOperatorRequest } from '@/lib/admin/access';
+import { activatePromptProfileVersion } from '@/lib/prompt-profiles/store';
+
+// Make a version live for everyone using this profile
+export async function POST(request, { params }) {
+  try {
+    const { errorResponse } = await authorizeOperatorRequest();
+    if (errorResponse) return errorResponse;
+
+    const body = await request.json().catch(() => ({}));
+    if (!Number.isInteger(body.version)) {
+      return NextResponse.json({ error: "version must be a version number" }, { status: 400 });
+    }
+
+    const { id } = await params;
+    const profile = await activatePromptProfileVersion(id, body.version);
+    if (!profile) {
+      return NextResponse.json({ error: "Prompt profile or version not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({ profile });
+  } catch (error) {
+    console.error("Error activating prompt profile version:", error);
+    return NextResponse.json(
+      { error: "Failed to activate prompt profile version" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,65 @@
+import { NextResponse } from "next/server";
+import { authorizeOperatorRequest } from '@/lib/admin/access';
+import { getPromptProfile, validateSections } from '@/lib/prompt-profiles/store';
+import { getTextOnlyPrompt, getVoicePrompt } from '@/lib/prompts';
+import { normalizeReadingLevel } from '@/lib/reading-levels';
+import { normalizeLocale } from '@/lib/locales';
+
+/**
+ * Show the full prompts a version would produce, without making it live
+ * Body: { version?, sections?, readingLevel?, locale? } - version defaults to the live one (or the latest);
+ * sections are unsaved edits laid over it, so wording can be checked before saving a version.
+ */
+export async function POST(request, { params }) {
+  try {
+    const { errorResponse } = await authorizeOperatorRequest();
+    if (errorResponse) return errorResponse;
+
+    const body = await request.json().catch(() => ({}));
+    const { id } = await params;
+    const profile = await getPromptProfile(id);
+    if (!profile) {
+      return NextResponse.json({ error: "Prompt profile not found" }, { status: 404 });
+    }
+
+    const versionNumber = body.version ?? profile.activeVersion ?? profile.versions[0]?.version;
+    const version = profile.versions.find(v => v.version === versionNumber);
+    if (!version) {
+      return NextResponse.json({ error: "Version not found" }, { status: 404 });
+    }
+
+    let sections = { ...version.sections };
+    if (body.sections !== undefined) {
+      const { sections: edits, error } = validateSections(body.sections, { allowNull: true });
+      if (error) {
+        return NextResponse.json({ error }, { status: 400 });
+      }
+      for (const [sectionId, text] of Object.entries(edits)) {
+        if (text === null) {
+          delete sections[sectionId];
+        } else {
+          sections[sectionId] = text;
+        }
+      }
+    }
+
+    const readingLevel = normalizeReadingLevel(body.readingLevel);
+    const locale = normalizeLocale(body.locale);
+
+    return NextResponse.json({
+      version: version.version,
+      readingLevel,
+      locale,
+      prompts: {
+        text: getTextOnlyPrompt({ readingLevel, locale, sections }),
+        voice: getVoicePrompt({ readingLevel, locale, sections }),
+      },
+    });
+  } catch (error) {
+    console.error("Error previewing prompt profile:", error);
+    return NextResponse.json(
+      { error: "Failed to preview prompt profile" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,46 @@
+import { NextResponse } from "next/server";
+import { authorizeOperatorRequest } from '@/lib/admin/access';
+import { getPromptProfile, activatePromptProfileVersion } from '@/lib/prompt-profiles/store';
+
+/**
+ * Put back the version that was live before the last activation
+ * Body: { version? } - go back to a specific version instead
+ */
+export async function POST(request, { params }) {
+  try {
+    const { errorResponse } = await authorizeOperatorRequest();
+    if (errorResponse) return errorResponse;
+
+    const body = await request.json().catch(() => ({}));
+    if (body.version !== undefined && !Number.isInteger(body.version)) {
+      return NextResponse.json({ error: "version must be a version number" }, { status: 400 });
+    }
+
+    const { id } = await params;
+    const current = await getPromptProfile(id);
+    if (!current) {
+      return NextResponse.json({ error: "Prompt profile not found" }, { status: 404 });
+    }
+
+    const target = body.version ?? current.previousVersion;
+    if (target === null) {
+      return NextResponse.json({ error: "There is no earlier version to roll back to" }, { status: 409 });
+    }
+    if (target === current.activeVersion) {
+      return NextResponse.json({ error: "That version is already live" }, { status: 409 });
+    }
+
+    const profile = await activatePromptProfileVersion(id, target);
+    if (!profile) {
+      return NextResponse.json({ error: "Version not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({ profile });
+  } catch (error) {
+    console.error("Error rolling back prompt profile:", error);
+    return NextResponse.json(
+      { error: "Failed to roll back prompt profile" },
+      { status: 500 }
+    );
+  }
+}
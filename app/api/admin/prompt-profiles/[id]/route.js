@@ -0,0 +1,62 @@
+import { NextResponse } from "next/server";
+import { authorizeOperatorRequest } from '@/lib/admin/access';
+import { getPromptProfile, updatePromptProfile, validateProfileDetails } from '@/lib/prompt-profiles/store';
+
+// Get one profile with all of its versions
+export async function GET(request, { params }) {
+  try {
+    const { errorResponse } = await authorizeOperatorRequest();
+    if (errorResponse) return errorResponse;
+
+    const { id } = await params;
+    const profile = await getPromptProfile(id);
+    if (!profile) {
+      return NextResponse.json({ error: "Prompt profile not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({ profile });
+  } catch (error) {
+    console.error("Error loading prompt profile:", error);
+    return NextResponse.json(
+      { error: "Failed to load prompt profile" },
+      { status: 500 }
+    );
+  }
+}
+
+// Change the name, description or default flag (section text changes are new versions)
+export async function PATCH(request, { params }) {
+  try {
+    const { errorResponse } = await authorizeOperatorRequest();
+    if (errorResponse) return errorResponse;
+
+    const body = await request.json().catch(() => ({}));
+    const { details, error } = validateProfileDetails(body);
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+    if (Object.keys(details).length === 0) {
+      return NextResponse.json({ error: "Nothing to update" }, { status: 400 });
+    }
+
+    const { id } = await params;
+    const profile = await updatePromptProfile(id, details);
+    if (!profile) {
+      return NextResponse.json({ error: "Prompt profile not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({ profile });
+  } catch (error) {
+    if (error?.code === 'P2002') {
+      return NextResponse.json(
+        { error: "A prompt profile with that name already exists" },
+        { status: 409 }
+      );
+    }
+    console.error("Error updating prompt profile:", error);
+    return NextResponse.json(
+      { error: "Failed to update prompt profile" },
+      { status: 500 }
+    );
+  }
+}
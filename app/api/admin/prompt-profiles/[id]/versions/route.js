@@ -0,0 +1,54 @@
+import { NextResponse } from "next/server";
+import { authorizeOperatorRequest } from '@/lib/admin/access';
+import { createPromptProfileVersion, validateSections } from '@/lib/prompt-profiles/store';
+import { validateThresholds } from '@/lib/moderation/config';
+
+// Save a new version - sections and thresholds not sent are copied from the latest version, null resets one to the built-in value
+export async function POST(request, { params }) {
+  try {
+    const { userId, errorResponse } = await authorizeOperatorRequest();
+    if (errorResponse) return errorResponse;
+
+    const body = await request.json().catch(() => ({}));
+    if (body.sections === undefined && body.moderationThresholds === undefined) {
+      return NextResponse.json({ error: "Send sections or moderationThresholds to change" }, { status: 400 });
+    }
+
+    let sections = {};
+    if (body.sections !== undefined) {
+      const result = validateSections(body.sections, { allowNull: true });
+      if (result.error) {
+        return NextResponse.json({ error: result.error }, { status: 400 });
+      }
+      sections = result.sections;
+    }
+
+    let moderationThresholds = {};
+    if (body.moderationThresholds !== undefined) {
+      const result = validateThresholds(body.moderationThresholds, { allowNull: true });
+      if (result.error) {
+        return NextResponse.json({ error: result.error }, { status: 400 });
+      }
+      moderationThresholds = result.thresholds;
+    }
+
+    const { id } = await params;
+    const version = await createPromptProfileVersion(id, {
+      sections,
+      moderationThresholds,
+      note: body.note,
+      createdBy: userId,
+    });
+    if (!version) {
+      return NextResponse.json({ error: "Prompt profile not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({ version }, { status: 201 });
+  } catch (error) {
+    console.error("Error saving prompt profile version:", error);
+    return NextResponse.json(
+      { error: "Failed to save prompt profile version" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,52 @@
+import { NextResponse } from "next/server";
+import { authorizeOperatorRequest, findUserId } from '@/lib/admin/access';
+import { assignPromptProfile, getPromptProfile } from '@/lib/prompt-profiles/store';
+
+/**
+ * Assign a profile to a user or an organisation
+ * Body: { profileId, userId | email | organisationId } - profileId null removes the assignment
+ * A user's own profile beats their organisation's, which beats the default profile.
+ */
+export async function POST(request) {
+  try {
+    const { errorResponse } = await authorizeOperatorRequest();
+    if (errorResponse) return errorResponse;
+
+    const body = await request.json().catch(() => ({}));
+    if (body.profileId !== null && typeof body.profileId !== 'string') {
+      return NextResponse.json({ error: "profileId is required (null to remove)" }, { status: 400 });
+    }
+
+    const isOrganisation = typeof body.organisationId === 'string' && body.organisationId;
+    if (!isOrganisation && !body.userId && !body.email) {
+      return NextResponse.json({ error: "userId, email or organisationId is required" }, { status: 400 });
+    }
+
+    if (body.profileId && !(await getPromptProfile(body.profileId))) {
+      return NextResponse.json({ error: "Prompt profile not found" }, { status: 404 });
+    }
+
+    let assigned;
+    if (isOrganisation) {
+      assigned = await assignPromptProfile({ profileId: body.profileId, organisationId: body.organisationId });
+    } else {
+      const userId = await findUserId(body);
+      assigned = userId ? await assignPromptProfile({ profileId: body.profileId, userId }) : false;
+    }
+
+    if (!assigned) {
+      return NextResponse.json(
+        { error: isOrganisation ? "Organisation not found" : "User not found" },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ assigned: true, profileId: body.profileId });
+  } catch (error) {
+    console.error("Error assigning prompt profile:", error);
+    return NextResponse.json(
+      { error: "Failed to assign prompt profile" },
+      { status: 500 }
+    );
+  }
+}
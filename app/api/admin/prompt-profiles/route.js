@@ -0,0 +1,89 @@
+import { NextResponse } from "next/server";
+import { authorizeOperatorRequest } from '@/lib/admin/access';
+import {
+  listPromptProfiles,
+  createPromptProfile,
+  validateSections,
+  validateProfileDetails,
+} from '@/lib/prompt-profiles/store';
+import { PROMPT_SECTIONS, getPromptSectionKey, getDefaultSectionText } from '@/lib/prompts';
+import { LOCALES } from '@/lib/locales';
+import { MODERATION_CATEGORIES, validateThresholds } from '@/lib/moderation/config';
+
+// List profiles, plus every section key and moderation category a profile can set, with the built-in values, for editors
+export async function GET() {
+  try {
+    const { errorResponse } = await authorizeOperatorRequest();
+    if (errorResponse) return errorResponse;
+
+    const profiles = await listPromptProfiles();
+    const sections = PROMPT_SECTIONS.flatMap(section => {
+      const locales = section.perLocale ? LOCALES.map(l => l.id) : [null];
+      return locales.map(locale => ({
+        ...section,
+        key: getPromptSectionKey(section.id, locale),
+        locale,
+        defaultText: getDefaultSectionText(section.id, locale ?? undefined),
+      }));
+    });
+
+    return NextResponse.json({ profiles, sections, moderationCategories: MODERATION_CATEGORIES });
+  } catch (error) {
+    console.error("Error listing prompt profiles:", error);
+    return NextResponse.json(
+      { error: "Failed to load prompt profiles" },
+      { status: 500 }
+    );
+  }
+}
+
+// Create a profile with its first version (not live until activated)
+export async function POST(request) {
+  try {
+    const { userId, errorResponse } = await authorizeOperatorRequest();
+    if (errorResponse) return errorResponse;
+
+    const body = await request.json().catch(() => ({}));
+    if (body.name === undefined) {
+      return NextResponse.json({ error: "Name is required" }, { status: 400 });
+    }
+
+    const { details, error: detailsError } = validateProfileDetails(body);
+    if (detailsError) {
+      return NextResponse.json({ error: detailsError }, { status: 400 });
+    }
+
+    const { sections, error: sectionsError } = validateSections(body.sections ?? {});
+    if (sectionsError) {
+      return NextResponse.json({ error: sectionsError }, { status: 400 });
+    }
+
+    const { thresholds: moderationThresholds, error: thresholdsError } = validateThresholds(body.moderationThresholds ?? {});
+    if (thresholdsError) {
+      return NextResponse.json({ error: thresholdsError }, { status: 400 });
+    }
+
+    const profile = await createPromptProfile({
+      ...details,
+      sections,
+      moderationThresholds,
+      note: body.note,
+      createdBy: userId,
+    });
+
+    return NextResponse.json({ profile }, { status: 201 });
+  } catch (error) {
+    // P2002 = unique constraint on the name
+    if (error?.code === 'P2002') {
+      return NextResponse.json(
+        { error: "A prompt profile with that name already exists" },
+        { status: 409 }
+      );
+    }
+    console.error("Error creating prompt profile:", error);
+    return NextResponse.json(
+      { error: "Failed to create prompt profile" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,64 @@
+import { NextResponse } from "next/server";
+import { authorizeOperatorRequest } from '@/lib/admin/access';
+import { viewIncident, updateIncidentStatus, INCIDENT_STATUSES } from '@/lib/safeguarding/incidents';
+
+const MAX_NOTE_LENGTH = 500;
+
+// Open an incident with its conversation and audit trail - the view is added to the trail
+export async function GET(request, { params }) {
+  try {
+    const { userId, errorResponse } = await authorizeOperatorRequest();
+    if (errorResponse) return errorResponse;
+
+    const { id } = await params;
+    const incident = await viewIncident(id, userId);
+    if (!incident) {
+      return NextResponse.json({ error: "Incident not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({ incident });
+  } catch (error) {
+    console.error("Error loading safeguarding incident:", error);
+    return NextResponse.json(
+      { error: "Failed to load incident" },
+      { status: 500 }
+    );
+  }
+}
+
+// Resolve or reopen an incident, with an optional note for the audit trail
+export async function PATCH(request, { params }) {
+  try {
+    const { userId, errorResponse } = await authorizeOperatorRequest();
+    if (errorResponse) return errorResponse;
+
+    const body = await request.json().catch(() => ({}));
+    if (!INCIDENT_STATUSES.includes(body.status)) {
+      return NextResponse.json(
+        { error: `Status must be one of: ${INCIDENT_STATUSES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+    const note = typeof body.note === 'string' ? body.note.trim() : '';
+    if (note.length > MAX_NOTE_LENGTH) {
+      return NextResponse.json(
+        { error: `Note cannot be longer than ${MAX_NOTE_LENGTH} characters` },
+        { status: 400 }
+      );
+    }
+
+    const { id } = await params;
+    const incident = await updateIncidentStatus(id, body.status, { actorId: userId, note });
+    if (!incident) {
+      return NextResponse.json({ error: "Incident not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({ incident });
+  } catch (error) {
+    console.error("Error updating safeguarding incident:", error);
+    return NextResponse.json(
+      { error: "Failed to update incident" },
+      { status: 500 }
+    );
+  }
+}
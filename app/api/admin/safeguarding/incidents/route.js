@@ -0,0 +1,28 @@
+import { NextResponse } from "next/server";
+import { authorizeOperatorRequest } from '@/lib/admin/access';
+import { listIncidents, INCIDENT_STATUSES } from '@/lib/safeguarding/incidents';
+
+// List incidents, newest first - ?status=open|resolved, ?limit=
+// What the user said isn't included; open an incident to read it (that is audited)
+export async function GET(request) {
+  try {
+    const { errorResponse } = await authorizeOperatorRequest();
+    if (errorResponse) return errorResponse;
+
+    const { searchParams } = new URL(request.url);
+    const status = searchParams.get('status') || undefined;
+    if (status && !INCIDENT_STATUSES.includes(status)) {
+      return NextResponse.json({ error: "Unknown status" }, { status: 400 });
+    }
+    const limit = parseInt(searchParams.get('limit'), 10) || undefined;
+
+    const incidents = await listIncidents({ status, limit });
+    return NextResponse.json({ incidents });
+  } catch (error) {
+    console.error("Error listing safeguarding incidents:", error);
+    return NextResponse.json(
+      { error: "Failed to load incidents" },
+      { status: 500 }
+    );
+  }
+}
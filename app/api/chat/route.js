@@ -1,15 +1,25 @@
 import { NextResponse } from "next/server";
-import OpenAI from 'openai';
-import { rateLimit, getClientIP, CHAT_LIMIT } from '@/lib/rateLimit';
+import { getClientIP, CHAT_LIMIT } from '@/lib/rateLimit';
 import { validateEnv } from '@/lib/env';
 import { logRequest, logUsage } from '@/lib/logger';
-import { auth } from '@/lib/auth';
-import { headers } from 'next/headers';
-import { checkDailyLimit, logUsage as logDailyUsage } from '@/lib/sessions/limits';
-import { checkBlocked } from '@/lib/bot-protection/blocking';
-import { checkSuspiciousActivity, blockSession } from '@/lib/bot-protection/heuristics';
-import { getTextOnlyPrompt } from '@/lib/prompts';
-import { checkCostLimits, trackCost, estimateCost } from '@/lib/bot-protection/cost-monitor';
+import { defineMeteredRoute, guardRequest, guardErrorResponse } from '@/lib/guards/pipeline';
+import { getTextOnlyPrompt, getReplyActionPrompt, REPLY_ACTIONS } from '@/lib/prompts';
+import { resolvePreferences } from '@/lib/preferences';
+import { resolvePromptProfile } from '@/lib/prompt-profiles/store';
+import { moderateText } from '@/lib/moderation/moderate';
+import { checkForDisclosure } from '@/lib/safeguarding/check';
+import { recordRequestCost } from '@/lib/bot-protection/cost-monitor';
+import { estimateTokens } from '@/lib/tokens';
+import { stripMarkdown, createMarkdownStreamStripper } from '@/lib/markdown';
+import { ProviderError, isAbortError } from '@/lib/llm/provider';
+import { completeWithFallback } from '@/lib/llm/chain';
+import { CHAT_MODEL_CHAIN, VISION_MODEL_CHAIN } from '@/lib/llm/config';
+import { buildHistoryContext, formatSummaryMessage } from '@/lib/llm/history-summary';
+import { generateReplySuggestions } from '@/lib/llm/reply-suggestions';
+import { MAX_HISTORY_ITEMS } from '@/lib/history';
+import { getChatTools, runToolCalls, MAX_TOOL_ROUNDS } from '@/lib/tools/registry';
+import { validateImage, IMAGE_USAGE_UNITS, IMAGE_TOKEN_ESTIMATE } from '@/lib/images';
+import { findRepeatedAnswer, rememberAnswer } from '@/lib/answer-cache';
 
 // Validate environment variables
 try {
@@ -18,166 +28,409 @@ try {
   console.error('Environment validation failed:', error.message);
 }
 
-// Instantiate the OpenAI client.
-// It will automatically pick up the OPENAI_API_KEY environment variable.
-const openai = new OpenAI();
-
 // Configuration constants
-const MAX_HISTORY_MESSAGES = 20;
-const MAX_HISTORY_TOKENS = 10000;
 const MAX_PROMPT_LENGTH = 10000;
 const API_TIMEOUT_MS = 30000;
+// Streamed text is held back until at least this much can be moderated together
+const MODERATION_SEGMENT_CHARS = 160;
+// Each segment is checked with this much of the text before it, so it isn't judged out of context
+const MODERATION_OVERLAP_CHARS = 80;
+
+const ROUTE = defineMeteredRoute({
+  endpoint: '/api/chat',
+  usage: 'chat',
+  // Cost limits first (prevent runaway costs), then the daily limit before IP rate limiting
+  guards: ['blocked', 'costLimit', 'dailyLimit', 'rateLimit'],
+  rateLimit: CHAT_LIMIT,
+  // A message with a photo costs more to answer, so it counts as several
+  quotaCost: (body) => (body.image && !body.action ? IMAGE_USAGE_UNITS : 1),
+});
+
+// Server-Sent Events helpers for streaming mode
+const encoder = new TextEncoder();
+
+function formatSseEvent(event, data) {
+  return encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Add up token usage across tool rounds
+ * @returns {Object|null} null if no round reported usage
+ */
+function addUsage(total, usage) {
+  if (!usage) return total;
+  if (!total) return usage;
+  return {
+    inputTokens: total.inputTokens + usage.inputTokens,
+    outputTokens: total.outputTokens + usage.outputTokens,
+    reasoningTokens: total.reasoningTokens + usage.reasoningTokens,
+  };
+}
+
+/**
+ * Tool choice for a round - after MAX_TOOL_ROUNDS the model has to answer with what it has
+ */
+function toolChoiceFor(round) {
+  return round < MAX_TOOL_ROUNDS ? 'auto' : 'none';
+}
 
-// Rough estimate: ~4 characters per token
-function estimateTokens(text) {
-  if (!text) return 0;
-  return Math.ceil(text.length / 4);
+function getToolContext({ sessionId, userId, locale, timeZone }) {
+  return { source: 'chat', sessionId, userId, locale, timeZone };
 }
 
-// Truncate history to keep last N messages OR last M tokens (whichever is smaller)
-function truncateHistory(messages) {
-  if (!Array.isArray(messages) || messages.length === 0) {
-    return [];
+/**
+ * Get a complete reply, running any tools the model asks for in between
+ * @returns {Promise<{model: string, content: string, usage: Object|null, usedTools: boolean}>}
+ */
+async function completeWithTools({ messagesForApi, context, signal }) {
+  const conversation = [...messagesForApi];
+  const tools = getChatTools();
+  let usage = null;
+  let usedTools = false;
+
+  for (let round = 0; ; round++) {
+    // Tries each model in the configured chain; completion.model is the one that answered
+    const completion = await completeWithFallback({
+      messages: conversation,
+      tools,
+      toolChoice: toolChoiceFor(round),
+      signal,
+      chain: context.chain,
+    });
+    usage = addUsage(usage, completion.usage);
+
+    if (!completion.toolCalls?.length) {
+      return { model: completion.model, content: completion.content, usage, usedTools };
+    }
+    usedTools = true;
+    conversation.push(...await runToolCalls(completion, getToolContext(context)));
   }
+}
 
-  // First, limit by message count
-  let truncated = messages.slice(-MAX_HISTORY_MESSAGES);
-  
-  // Then, limit by token count (count tokens from oldest to newest)
-  let totalTokens = 0;
-  const result = [];
-  
-  for (let i = truncated.length - 1; i >= 0; i--) {
-    const msg = truncated[i];
-    const msgTokens = estimateTokens(msg.content || '');
-    
-    if (totalTokens + msgTokens > MAX_HISTORY_TOKENS) {
-      break;
+/**
+ * Map an error from the model call to a client-safe message and status code
+ * @param {Error} error - Error thrown while getting a response
+ * @returns {{statusCode: number, errorMessage: string}}
+ */
+function describeChatError(error) {
+  // Timeouts: either our overall timer fired or every model in the chain timed out
+  if (isAbortError(error) || (error instanceof ProviderError && error.code === 'timeout')) {
+    return { statusCode: 408, errorMessage: "Request timed out. Please try again." };
+  }
+
+  // Provide more specific error feedback if possible
+  let errorMessage = "Failed to get response from AI";
+  let statusCode = 500;
+
+  if (error instanceof ProviderError) {
+    statusCode = error.status || 500;
+    if (error.code === 'model_not_found') {
+      errorMessage = "The requested model is not available. Please try again.";
+    } else if (error.code === 'all_models_unavailable') {
+      errorMessage = "The assistant is very busy right now. Please try again in a minute.";
+    } else if (error.status === 429) {
+      errorMessage = "Rate limit exceeded. Please try again later.";
+    } else {
+      // Don't expose internal error details to client
+      errorMessage = "An error occurred while processing your request. Please try again.";
     }
-    
-    result.unshift(msg);
-    totalTokens += msgTokens;
+  } else if (error.message) {
+    // Don't expose internal error details
+    errorMessage = "An error occurred while processing your request. Please try again.";
   }
+
+  return { statusCode, errorMessage };
+}
+
+/**
+ * Cost tracking, logging and suspicious-activity accounting once a reply is complete
+ * Shared by the JSON and streaming response paths
+ * @returns {Promise<GuardError|null>} A suspicious_activity error if the session was just blocked
+ */
+async function finishChatRequest({ messagesForApi, aiResponse, modelUsed, usage, startTime, guard, images }) {
+  const { clientIP, sessionId, userId } = guard;
+  // Track cost with the provider's token counts, falling back to an estimate if it didn't report them
+  const { inputTokens, outputTokens, estimated } = await recordRequestCost({
+    endpoint: '/api/chat',
+    model: modelUsed,
+    sessionId,
+    userId,
+    usage,
+    estimate: {
+      inputTokens: estimateTokens(messagesForApi.map(m => m.content).join(' ')) + images * IMAGE_TOKEN_ESTIMATE,
+      outputTokens: estimateTokens(aiResponse),
+    },
+    images,
+  });
+  const totalTokens = inputTokens + outputTokens;
   
-  return result;
+  const responseTime = Date.now() - startTime;
+  logUsage({ endpoint: '/api/chat', model: modelUsed, inputTokens, outputTokens, estimated });
+  logRequest({ 
+    ip: clientIP, 
+    endpoint: '/api/chat', 
+    method: 'POST', 
+    status: 200, 
+    responseTime,
+    tokenUsage: totalTokens,
+    dailyLimit: guard.dailyLimitSummary
+  });
+  
+  // Check for suspicious activity and log usage
+  return guard.finish();
+}
+
+/**
+ * Check the model's reply before it is kept, swapping in the redirect reply if it is flagged
+ * @returns {Promise<{aiResponse: string, moderated: boolean}>}
+ */
+async function moderateReply(aiResponse, { locale, profile, sessionId, userId }, signal) {
+  const moderation = await moderateText({
+    text: aiResponse,
+    stage: 'output',
+    endpoint: '/api/chat',
+    locale,
+    profile,
+    sessionId,
+    userId,
+    signal,
+  });
+  return moderation.flagged
+    ? { aiResponse: moderation.reply, moderated: true }
+    : { aiResponse, moderated: false };
+}
+
+/**
+ * Keep a plain answer for the answer cache, so asking the same question again doesn't need the model
+ * Moderated replies and answers that used tools (the time, a countdown) aren't worth sending again
+ */
+async function rememberPlainAnswer(context, { aiResponse, moderated, usedTools }) {
+  const { cacheablePrompt, sessionId, conversationId, profile, readingLevel, locale } = context;
+  if (!cacheablePrompt || moderated || usedTools) return;
+  await rememberAnswer({ sessionId, prompt: cacheablePrompt, answer: aiResponse, conversationId, profile, readingLevel, locale });
+}
+
+/**
+ * Suggest the user's next replies to a finished reply (empty for moderated replies)
+ * @returns {Promise<string[]>}
+ */
+async function suggestReplies({ messagesForApi, aiResponse, moderated, context, signal }) {
+  if (moderated) return [];
+  const { locale, profile, sessionId, userId } = context;
+  // Suggestions only need the words - sending the photo again would cost as much as the reply
+  const textMessages = messagesForApi.map(({ images: _images, ...msg }) => msg);
+  return generateReplySuggestions(
+    [...textMessages, { role: 'assistant', content: aiResponse }],
+    { endpoint: '/api/chat', locale, profile, sessionId, userId, signal },
+  );
+}
+
+/**
+ * Where the next streamed segment ends, or 0 to keep waiting for more text
+ * Segments end on a sentence break once there is enough text to be worth a moderation check;
+ * a long run with no break is sent whole so the reply doesn't stall
+ * @param {string} text - Text waiting to be sent
+ * @returns {number}
+ */
+function findSegmentEnd(text) {
+  if (text.length < MODERATION_SEGMENT_CHARS) return 0;
+  const lastBreak = Math.max(...['. ', '! ', '? ', '\n'].map(mark => text.lastIndexOf(mark)));
+  if (lastBreak >= 0) return lastBreak + 1;
+  return text.length >= MODERATION_SEGMENT_CHARS * 2 ? text.length : 0;
 }
 
-// System prompt optimized for accessibility - simple, child-friendly language
-const systemPrompt = getTextOnlyPrompt();
-
-// Function to strip any markdown that might still come through
-function stripMarkdown(text) {
-  if (!text) return text;
-  return text
-    // Replace code blocks (both ```language and ```)
-    .replace(/```[\s\S]*?```/g, content => {
-      // Extract the code content without the backticks
-      const code = content.replace(/```(?:\w+)?\n([\s\S]*?)```/g, '$1').trim();
-      return `Code: ${code}`;
-    })
-    // Replace inline code
-    .replace(/`([^`]+)`/g, '$1')
-    // Replace headers
-    .replace(/^#+\s+(.*)$/gm, '$1')
-    // Replace bold/italic
-    .replace(/\*\*(.*?)\*\*/g, '$1')
-    .replace(/\*(.*?)\*/g, '$1')
-    .replace(/__(.*?)__/g, '$1')
-    .replace(/_(.*?)_/g, '$1')
-    // Replace bullet lists (simplify to plain text)
-    .replace(/^[\s-]*[-*+]\s+(.*)$/gm, '• $1')
-    // Replace numbered lists
-    .replace(/^\s*\d+\.\s+(.*)$/gm, '• $1')
-    // Replace links
-    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1')
-    // Replace any other potential markdown elements as needed
-    .trim();
+/**
+ * Stream a reply as Server-Sent Events
+ * Events: "start" ({model}), "delta" ({text}), "done" ({response, model, moderated?}) or "error" ({error, message, status}),
+ * then "suggestions" ({suggestions}) after "done" when they were asked for and there are some
+ * Tools the model asks for run between rounds on the same stream; "start" is only sent for the first round
+ * Markdown is stripped incrementally on safe boundaries, and text is held back in segments until each
+ * has passed moderation - so nothing unmoderated is ever shown. Only the new segment (with a little
+ * overlap) is checked as it streams; the whole reply is checked once at the end. A flagged check stops
+ * the model and "done" carries the redirect, which replaces what was streamed on the client
+ * The daily-limit reservation is committed once "done" is sent and released if the reply never gets there
+ */
+function streamChatResponse({ request, messagesForApi, context, limitHeaders, withSuggestions, settlement }) {
+  const { startTime, guard: { clientIP } } = context;
+
+  // Add timeout using AbortController - covers the whole stream, not just the first token
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT_MS);
+
+  // Stop generating (and paying for) tokens if the user goes away
+  request.signal?.addEventListener('abort', () => controller.abort());
+
+  const stream = new ReadableStream({
+    async start(streamController) {
+      const send = (event, data) => streamController.enqueue(formatSseEvent(event, data));
+      const stripper = createMarkdownStreamStripper();
+      const conversation = [...messagesForApi];
+      const tools = getChatTools();
+      let rawResponse = '';
+      let usage = null;
+      let modelUsed = null;
+      let usedTools = false;
+      let committed = false;
+      // Stripped text already moderated and sent, and text waiting for its segment to be checked
+      let shown = '';
+      let pending = '';
+      let flagged = null;
+
+      try {
+        for (let round = 0; ; round++) {
+          const completion = await completeWithFallback({
+            messages: conversation,
+            tools,
+            toolChoice: toolChoiceFor(round),
+            stream: true,
+            signal: controller.signal,
+            chain: context.chain,
+          });
+
+          if (!modelUsed) {
+            send('start', { model: completion.model });
+          }
+          modelUsed = completion.model;
+
+          let roundText = '';
+          let toolCalls = [];
+          for await (const chunk of completion.stream) {
+            if (chunk.type === 'usage') {
+              usage = addUsage(usage, chunk.usage);
+              continue;
+            }
+            if (chunk.type === 'tool_calls') {
+              toolCalls = chunk.toolCalls;
+              continue;
+            }
+            if (chunk.type !== 'delta') continue;
+            roundText += chunk.text;
+            rawResponse += chunk.text;
+            pending += stripper.push(chunk.text);
+
+            const segmentEnd = findSegmentEnd(pending);
+            if (segmentEnd === 0) continue;
+            const segment = pending.slice(0, segmentEnd);
+            const check = await moderateReply(shown.slice(-MODERATION_OVERLAP_CHARS) + segment, context, controller.signal);
+            if (check.moderated) {
+              // Leaving the loop closes the model's stream - no point paying for the rest
+              flagged = check;
+              break;
+            }
+            send('delta', { text: segment });
+            shown += segment;
+            pending = pending.slice(segmentEnd);
+          }
+
+          if (flagged || toolCalls.length === 0) break;
+          usedTools = true;
+          conversation.push(...await runToolCalls({ content: roundText, toolCalls }, getToolContext(context)));
+        }
+
+        clearTimeout(timeoutId);
+
+        // The rest of the reply is only sent once the whole of it has passed
+        const { aiResponse, moderated } = flagged || await moderateReply(
+          stripMarkdown(rawResponse) || "Sorry, I couldn't generate a response.",
+          context,
+          controller.signal,
+        );
+        const remaining = flagged ? '' : pending + stripper.flush();
+        if (remaining && !moderated) {
+          send('delta', { text: remaining });
+        }
+        const blockError = await finishChatRequest({ ...context, messagesForApi: conversation, aiResponse, modelUsed, usage });
+
+        if (blockError) {
+          send('error', { error: blockError.message, code: blockError.code, status: blockError.status });
+        } else {
+          send('done', { response: aiResponse, model: modelUsed, ...(moderated && { moderated: true }) });
+          await settlement.commit();
+          committed = true;
+          await rememberPlainAnswer(context, { aiResponse, moderated, usedTools });
+
+          // Sent after "done" so the reply isn't held up waiting for them
+          if (withSuggestions) {
+            const suggestions = await suggestReplies({ messagesForApi, aiResponse, moderated, context, signal: request.signal });
+            if (suggestions.length > 0) {
+              send('suggestions', { suggestions });
+            }
+          }
+        }
+      } catch (error) {
+        clearTimeout(timeoutId);
+        const { statusCode, errorMessage } = describeChatError(error);
+        if (statusCode !== 408) {
+          console.error("Error streaming chat response:", error);
+        }
+        logRequest({ 
+          ip: clientIP, 
+          endpoint: '/api/chat', 
+          method: 'POST', 
+          status: statusCode, 
+          responseTime: Date.now() - startTime,
+          error 
+        });
+        send('error', {
+          error: statusCode === 408 ? errorMessage : "Failed to get response from AI",
+          message: errorMessage,
+          status: statusCode,
+        });
+      } finally {
+        // Failed, blocked or cancelled before the reply was complete - give the use back
+        if (!committed) {
+          await settlement.release();
+        }
+        streamController.close();
+      }
+    },
+    cancel() {
+      clearTimeout(timeoutId);
+      controller.abort();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      ...limitHeaders,
+    },
+  });
 }
 
 export async function POST(request) {
   const startTime = Date.now();
   const clientIP = getClientIP(request);
+  // Holds the daily-limit reservation: committed when a reply is sent, released in finally on any other way out
+  let guard = null;
   
   try {
-    // Get Better Auth session
-    const session = await auth.api.getSession({
-      headers: await headers(),
-    });
-    
-    // Get or create anonymous session ID for tracking (even if not logged in)
-    let sessionId = session?.session?.id || `anon_${clientIP}`;
-    let userId = session?.user?.id || null;
-    
-    // Check if session is blocked (for anonymous sessions)
-    if (!session?.user) {
-      const blockedCheck = await checkBlocked(sessionId);
-      if (blockedCheck.isBlocked && blockedCheck.blockedUntil && blockedCheck.blockedUntil.getTime() > Date.now()) {
-        return NextResponse.json(
-          { error: "Your session has been temporarily blocked due to suspicious activity. Please try again later." },
-          { status: 403 }
-        );
-      }
+    // Session, blocked sessions, cost limits, daily limit and IP rate limit
+    const guarded = await guardRequest(request, ROUTE);
+    if (guarded.errorResponse) {
+      return guarded.errorResponse;
     }
+    guard = guarded.guard;
+    const { sessionId, userId } = guard;
     
-    // Check cost limits FIRST (prevent runaway costs)
-    const costCheck = await checkCostLimits();
-    if (!costCheck.allowed) {
-      console.warn(`⚠️  Cost limit exceeded: ${costCheck.reason}`);
-      return NextResponse.json(
-        { 
-          error: "Service temporarily unavailable due to high demand. Please try again later.",
-          limitReached: true,
-        },
-        { status: 503 }
-      );
+    const body = await request.json();
+    // Reply actions ("Say it simpler", "Tell me more") ask again about the last reply in history
+    // with our own instruction as the prompt
+    const replyAction = body.action ?? null;
+    if (replyAction !== null && !REPLY_ACTIONS.includes(replyAction)) {
+      return NextResponse.json({ error: "Unknown action" }, { status: 400 });
     }
-    
-    // Check daily limit BEFORE IP rate limiting
-    const dailyLimitResult = await checkDailyLimit(sessionId, userId);
-    
-    if (!dailyLimitResult.allowed) {
-      const retryAfter = Math.ceil((dailyLimitResult.resetAt.getTime() - Date.now()) / 1000);
-      const response = NextResponse.json(
-        { 
-          error: "Daily limit reached. Please subscribe for unlimited access or try again tomorrow.",
-          limitReached: true,
-          tier: dailyLimitResult.tier
-        },
-        { 
-          status: 429,
-          headers: {
-            'X-DailyLimit-Limit': dailyLimitResult.tier === 'paid' ? 'unlimited' : '20',
-            'X-DailyLimit-Remaining': '0',
-            'X-DailyLimit-Reset': dailyLimitResult.resetAt.toISOString(),
-            'Retry-After': retryAfter.toString(),
-          },
-        }
-      );
-      
-      return response;
+    const userPrompt = replyAction ? getReplyActionPrompt(replyAction) : body.prompt;
+    // A photo to ask about (reply actions are about the last reply, so never have one)
+    const { image, error: imageError } = validateImage(replyAction ? null : body.image);
+    if (imageError) {
+      return NextResponse.json({ error: imageError }, { status: 400 });
     }
-    
-    // IP-based rate limiting (second layer) - database-backed
-    const rateLimitResult = await rateLimit(clientIP, CHAT_LIMIT, 'chat');
-    
-    if (!rateLimitResult.allowed) {
-      const retryAfter = Math.ceil((rateLimitResult.resetAt.getTime() - Date.now()) / 1000);
-      return NextResponse.json(
-        { error: "Rate limit exceeded. Please try again later." },
-        { 
-          status: 429,
-          headers: {
-            'X-RateLimit-Limit': CHAT_LIMIT.toString(),
-            'X-RateLimit-Remaining': '0',
-            'X-RateLimit-Reset': rateLimitResult.resetAt.toISOString(),
-            'Retry-After': retryAfter.toString(),
-          },
-        }
-      );
+    if (image && VISION_MODEL_CHAIN.length === 0) {
+      return NextResponse.json({ error: "Photos can't be used at the moment" }, { status: 400 });
     }
-    
-    const body = await request.json();
-    const userPrompt = body.prompt;
     // Ensure history is always an array, even if not provided
     const history = Array.isArray(body.history) ? body.history : []; 
 
@@ -193,149 +446,213 @@ export async function POST(request) {
       );
     }
 
-    if (history.length > 100) {
+    if (history.length > MAX_HISTORY_ITEMS) {
+      return NextResponse.json(
+        { error: `History array exceeds maximum size of ${MAX_HISTORY_ITEMS} items` },
+        { status: 400 }
+      );
+    }
+
+    // Filter history, then keep the recent turns and summarise the rest (or drop it with HISTORY_MODE=truncate)
+    const filteredHistory = history
+      .filter(msg => msg.role && msg.content)
+      .map(msg => ({ role: msg.role, content: msg.content }));
+    if (replyAction && filteredHistory[filteredHistory.length - 1]?.role !== 'assistant') {
       return NextResponse.json(
-        { error: "History array exceeds maximum size of 100 items" },
+        { error: "History must end with the reply to change" },
         { status: 400 }
       );
     }
+    const { summary, recent } = await buildHistoryContext({
+      history: filteredHistory,
+      sessionId,
+      userId,
+      signal: request.signal,
+    });
+
+    // System prompt follows the user's reading level and language (saved profile, or sent by anonymous users)
+    // and the wording of their assigned prompt profile
+    const [preferences, profile] = await Promise.all([
+      resolvePreferences({ userId, requested: body }),
+      resolvePromptProfile(userId),
+    ]);
+    const systemPrompt = getTextOnlyPrompt({ ...preferences, sections: profile.sections });
 
-    // Filter and truncate history before sending
-    const filteredHistory = history.filter(msg => msg.role && msg.content);
-    const truncatedHistory = truncateHistory(filteredHistory);
+    // timeZone comes from the browser, for the date and countdown tools
+    const context = {
+      startTime,
+      guard,
+      sessionId,
+      userId,
+      locale: preferences.locale,
+      readingLevel: preferences.readingLevel,
+      timeZone: body.timeZone,
+      // The conversation open in the browser, so the answer cache only matches questions asked in it
+      conversationId: typeof body.conversationId === 'string' ? body.conversationId : null,
+      profile,
+      // Only models that can see photos are tried for a message with one
+      chain: image ? VISION_MODEL_CHAIN : CHAT_MODEL_CHAIN,
+      images: image ? 1 : 0,
+      // Only the user's own words, without a photo, can be answered from the answer cache
+      cacheablePrompt: replyAction || image ? null : userPrompt,
+    };
+    const limitHeaders = guard.limitHeaders;
+
+    // Reply actions send our instruction, not the user's words, so there is nothing of theirs to check
+    if (!replyAction) {
+      // Check the prompt before it reaches the model - flagged prompts get the redirect reply instead
+      const inputModeration = await moderateText({
+        text: userPrompt,
+        stage: 'input',
+        endpoint: '/api/chat',
+        locale: preferences.locale,
+        profile,
+        sessionId,
+        userId,
+        signal: request.signal,
+      });
+
+      // A disclosure of harm is recorded and the user's supporters told, whether or not the prompt was flagged
+      await checkForDisclosure({
+        text: userPrompt,
+        source: 'chat',
+        history: filteredHistory,
+        moderation: inputModeration,
+        sessionId,
+        userId,
+      });
+
+      if (inputModeration.flagged) {
+        logRequest({
+          ip: clientIP,
+          endpoint: '/api/chat',
+          method: 'POST',
+          status: 200,
+          responseTime: Date.now() - startTime,
+        });
+        guard.logUsage();
+        // The model never ran, so the redirect isn't charged
+        await guard.release();
+        return NextResponse.json(
+          { response: inputModeration.reply, model: 'moderation', moderated: true },
+          { headers: limitHeaders }
+        );
+      }
+    }
+
+    // The same question asked again in the same conversation within the window gets the last answer, without the model
+    if (context.cacheablePrompt) {
+      const repeated = await findRepeatedAnswer({
+        sessionId,
+        userId,
+        prompt: userPrompt,
+        conversationId: context.conversationId,
+        profile,
+        readingLevel: preferences.readingLevel,
+        locale: preferences.locale,
+      });
+      if (repeated) {
+        logRequest({
+          ip: clientIP,
+          endpoint: '/api/chat',
+          method: 'POST',
+          status: 200,
+          responseTime: Date.now() - startTime,
+          dailyLimit: guard.dailyLimitSummary
+        });
+        // Repeats still count towards suspicious activity, but not the daily limit - the reservation is released in finally
+        const blockError = await guard.finish();
+        if (blockError) {
+          return guardErrorResponse(blockError);
+        }
+        await recordRequestCost({ endpoint: '/api/chat', model: repeated.model, sessionId, userId, cached: true });
+        return NextResponse.json(
+          { response: repeated.response, model: repeated.model, cached: true },
+          { headers: limitHeaders }
+        );
+      }
+    }
 
     // Construct the message history for the API call
     const messagesForApi = [
       { role: "system", content: systemPrompt },
-      ...truncatedHistory,
-      { role: "user", content: userPrompt },
+      ...(summary ? [formatSummaryMessage(summary)] : []),
+      ...recent,
+      { role: "user", content: userPrompt, ...(image && { images: [image] }) },
     ];
 
-    // --- Make the actual OpenAI API call --- 
-    // Using GPT-5.1 with fallback to gpt-4o if unavailable
-    // Using none reasoning_effort for fastest responses (supported values: 'none', 'low', 'medium', 'high')
-    // Note: GPT-5.1 does NOT support max_tokens, temperature, top_p, or logprobs
-    // Use verbosity: "low" to control response length instead
-    
+    // Streaming mode: send the reply token-by-token as Server-Sent Events
+    if (body.stream === true) {
+      // The stream settles the reservation itself
+      return streamChatResponse({
+        request,
+        messagesForApi,
+        context,
+        limitHeaders,
+        withSuggestions: body.suggestions === true,
+        settlement: guard.handOffUsage(),
+      });
+    }
+
+    // --- Make the actual model call (through the provider layer) --- 
     // Add timeout using AbortController
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT_MS);
+    // The user giving up counts as a failure too, so they aren't charged for it
+    request.signal?.addEventListener('abort', () => controller.abort());
     
     let chatCompletion;
-    let modelUsed = 'gpt-5.1';
     
     try {
-      chatCompletion = await openai.chat.completions.create({
-        messages: messagesForApi,
-        model: "gpt-5.1",
-        reasoning_effort: "none",
-        verbosity: "low",
-      }, {
-        signal: controller.signal,
-      });
-    } catch (error) {
+      chatCompletion = await completeWithTools({ messagesForApi, context, signal: controller.signal });
+    } finally {
       clearTimeout(timeoutId);
-      
-      // Handle timeout
-      if (error.name === 'AbortError') {
-        return NextResponse.json(
-          { error: "Request timed out. Please try again." },
-          { status: 408 }
-        );
-      }
-      
-      // Try fallback model if gpt-5.1 is unavailable
-      if (error instanceof OpenAI.APIError && 
-          (error.code === 'model_not_found' || error.message?.includes('gpt-5.1'))) {
-        console.log('GPT-5.1 unavailable, falling back to gpt-4o');
-        try {
-          const fallbackController = new AbortController();
-          const fallbackTimeoutId = setTimeout(() => fallbackController.abort(), API_TIMEOUT_MS);
-          
-          chatCompletion = await openai.chat.completions.create({
-            messages: messagesForApi,
-            model: "gpt-4o",
-            max_tokens: 500, // Limit response length for cost control
-          }, {
-            signal: fallbackController.signal,
-          });
-          
-          clearTimeout(fallbackTimeoutId);
-          modelUsed = 'gpt-4o';
-        } catch (fallbackError) {
-          clearTimeout(fallbackTimeoutId);
-          throw fallbackError;
-        }
-      } else {
-        throw error;
-      }
     }
-    
-    clearTimeout(timeoutId);
+    const modelUsed = chatCompletion.model;
 
     // Extract the response content and strip any markdown
-    const rawResponse = chatCompletion.choices[0]?.message?.content || "Sorry, I couldn't generate a response.";
-    const aiResponse = stripMarkdown(rawResponse);
-    
-    // Log usage for monitoring (approximate token usage)
-    const inputTokens = estimateTokens(messagesForApi.map(m => m.content).join(' '));
-    const outputTokens = estimateTokens(aiResponse);
-    const totalTokens = inputTokens + outputTokens;
+    const rawResponse = chatCompletion.content || "Sorry, I couldn't generate a response.";
+    const { aiResponse, moderated } = await moderateReply(stripMarkdown(rawResponse), context, request.signal);
     
-    // Track cost
-    const estimatedCost = estimateCost(inputTokens, outputTokens, modelUsed);
-    await trackCost(estimatedCost, inputTokens, outputTokens);
-    
-    const responseTime = Date.now() - startTime;
-    logUsage({ endpoint: '/api/chat', model: modelUsed, inputTokens, outputTokens });
-    const dailyLimitStr = dailyLimitResult.remaining === Infinity 
-      ? 'Daily: unlimited' 
-      : `Daily: ${dailyLimitResult.used}/${dailyLimitResult.limit} used (${dailyLimitResult.remaining} remaining)`;
-    logRequest({ 
-      ip: clientIP, 
-      endpoint: '/api/chat', 
-      method: 'POST', 
-      status: 200, 
-      responseTime,
-      tokenUsage: totalTokens,
-      dailyLimit: dailyLimitStr
+    const blockError = await finishChatRequest({
+      ...context,
+      messagesForApi,
+      aiResponse,
+      modelUsed,
+      usage: chatCompletion.usage,
     });
     
-    // Check for suspicious activity and log usage
-    const suspiciousCheck = await checkSuspiciousActivity(sessionId, 'chat', clientIP);
-    
-    if (suspiciousCheck.isSuspicious) {
-      await blockSession(sessionId);
-      logDailyUsage(sessionId, userId, 'chat', clientIP, true);
-      return NextResponse.json(
-        { error: "Suspicious activity detected. Your session has been temporarily blocked." },
-        { status: 403 }
-      );
+    if (blockError) {
+      return guardErrorResponse(blockError);
     }
-    
-    logDailyUsage(sessionId, userId, 'chat', clientIP, false);
+    await guard.commit();
+    await rememberPlainAnswer(context, { aiResponse, moderated, usedTools: chatCompletion.usedTools });
     // -----------------------------------------
 
+    // Suggested next replies, if the client asked for them
+    const suggestions = body.suggestions === true
+      ? await suggestReplies({ messagesForApi, aiResponse, moderated, context, signal: request.signal })
+      : [];
+
     // Add rate limit headers to successful response
     return NextResponse.json(
-      { response: aiResponse },
       {
-        headers: {
-          'X-RateLimit-Limit': CHAT_LIMIT.toString(),
-          'X-RateLimit-Remaining': rateLimitResult.remaining.toString(),
-          'X-RateLimit-Reset': rateLimitResult.resetAt.toISOString(),
-          'X-DailyLimit-Limit': dailyLimitResult.tier === 'paid' ? 'unlimited' : '20',
-          'X-DailyLimit-Remaining': dailyLimitResult.remaining === Infinity ? 'unlimited' : dailyLimitResult.remaining.toString(),
-          'X-DailyLimit-Reset': dailyLimitResult.resetAt.toISOString(),
-        },
+        response: aiResponse,
+        model: modelUsed,
+        ...(moderated && { moderated: true }),
+        ...(suggestions.length > 0 && { suggestions }),
+      },
+      {
+        headers: limitHeaders,
       }
     );
 
   } catch (error) {
     const responseTime = Date.now() - startTime;
+    const { statusCode, errorMessage } = describeChatError(error);
     
     // Handle timeout errors
-    if (error.name === 'AbortError') {
+    if (statusCode === 408) {
       logRequest({ 
         ip: clientIP, 
         endpoint: '/api/chat', 
@@ -345,7 +662,7 @@ export async function POST(request) {
         error 
       });
       return NextResponse.json(
-        { error: "Request timed out. Please try again." },
+        { error: errorMessage },
         { status: 408 }
       );
     }
@@ -353,29 +670,10 @@ export async function POST(request) {
     console.error("Error in chat API route:", error);
     console.error("Error details:", {
       message: error.message,
-      status: error instanceof OpenAI.APIError ? error.status : undefined,
-      code: error instanceof OpenAI.APIError ? error.code : undefined,
+      status: error instanceof ProviderError ? error.status : undefined,
+      code: error instanceof ProviderError ? error.code : undefined,
     });
     
-    // Provide more specific error feedback if possible
-    let errorMessage = "Failed to get response from AI";
-    let statusCode = 500;
-    
-    if (error instanceof OpenAI.APIError) {
-      statusCode = error.status || 500;
-      if (error.code === 'model_not_found' || error.message?.includes('gpt-5.1')) {
-        errorMessage = "The requested model is not available. Please try again.";
-      } else if (error.status === 429) {
-        errorMessage = "Rate limit exceeded. Please try again later.";
-      } else {
-        // Don't expose internal error details to client
-        errorMessage = "An error occurred while processing your request. Please try again.";
-      }
-    } else if (error.message) {
-      // Don't expose internal error details
-      errorMessage = "An error occurred while processing your request. Please try again.";
-    }
-    
     logRequest({ 
       ip: clientIP, 
       endpoint: '/api/chat', 
@@ -392,5 +690,8 @@ export async function POST(request) {
       },
       { status: statusCode } 
     );
+  } finally {
+    // Anything that didn't end in a reply (validation errors, rate limits, failures, blocks) isn't charged
+    await guard?.release();
   }
-} 
\ No newline at end of file
+}
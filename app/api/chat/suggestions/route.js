@@ -0,0 +1,97 @@
+import { NextResponse } from "next/server";
+import { getClientIP, CHAT_LIMIT } from '@/lib/rateLimit';
+import { logRequest } from '@/lib/logger';
+import { defineMeteredRoute, guardRequest, guardErrorResponse } from '@/lib/guards/pipeline';
+import { resolvePreferences } from '@/lib/preferences';
+import { resolvePromptProfile } from '@/lib/prompt-profiles/store';
+import { generateReplySuggestions } from '@/lib/llm/reply-suggestions';
+
+// Only the end of the conversation is used
+const MAX_MESSAGES = 10;
+const MAX_MESSAGE_LENGTH = 10000;
+
+const ROUTE = defineMeteredRoute({
+  endpoint: '/api/chat/suggestions',
+  // Its own rate-limit bucket, so suggestions don't eat into chat's
+  usage: 'suggestions',
+  // No daily limit - the client asks after every Realtime reply, and text-mode suggestions come free with the reply
+  guards: ['blocked', 'costLimit', 'rateLimit'],
+  rateLimit: CHAT_LIMIT,
+});
+
+/**
+ * Suggested replies for the Realtime path
+ * /api/chat returns suggestions with the reply; Realtime replies come straight from the model,
+ * so the client asks here once a reply has finished.
+ * The user never asks for these, so they don't use the daily limit; the cost limit still covers the spending
+ * (their cost is recorded where they are made).
+ */
+export async function POST(request) {
+  const startTime = Date.now();
+  const clientIP = getClientIP(request);
+
+  try {
+    // Session, blocked sessions, cost limits and IP rate limit
+    const { guard, errorResponse } = await guardRequest(request, ROUTE);
+    if (errorResponse) {
+      return errorResponse;
+    }
+    const { sessionId, userId } = guard;
+
+    const body = await request.json().catch(() => ({}));
+    const messages = (Array.isArray(body.messages) ? body.messages : [])
+      .slice(-MAX_MESSAGES)
+      .filter(msg => (msg?.role === 'user' || msg?.role === 'assistant') && typeof msg.content === 'string')
+      .map(msg => ({ role: msg.role, content: msg.content.slice(0, MAX_MESSAGE_LENGTH) }));
+
+    if (messages[messages.length - 1]?.role !== 'assistant') {
+      return NextResponse.json(
+        { error: "Messages must end with the assistant's reply" },
+        { status: 400 }
+      );
+    }
+
+    const [preferences, profile] = await Promise.all([
+      resolvePreferences({ userId, requested: body }),
+      resolvePromptProfile(userId),
+    ]);
+    const suggestions = await generateReplySuggestions(messages, {
+      endpoint: '/api/chat/suggestions',
+      locale: preferences.locale,
+      profile,
+      sessionId,
+      userId,
+      signal: request.signal,
+    });
+
+    logRequest({
+      ip: clientIP,
+      endpoint: '/api/chat/suggestions',
+      method: 'POST',
+      status: 200,
+      responseTime: Date.now() - startTime,
+    });
+
+    // Check for suspicious activity and log usage
+    const blockError = await guard.finish();
+    if (blockError) {
+      return guardErrorResponse(blockError);
+    }
+
+    return NextResponse.json({ suggestions }, { headers: guard.limitHeaders });
+  } catch (error) {
+    console.error("Error suggesting replies:", error);
+    logRequest({
+      ip: clientIP,
+      endpoint: '/api/chat/suggestions',
+      method: 'POST',
+      status: 500,
+      responseTime: Date.now() - startTime,
+      error
+    });
+    return NextResponse.json(
+      { error: "Failed to suggest replies" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,87 @@
+import { NextResponse } from "next/server";
+import { getClientIP, CHAT_LIMIT } from '@/lib/rateLimit';
+import { logRequest } from '@/lib/logger';
+import { defineMeteredRoute, guardRequest, guardErrorResponse } from '@/lib/guards/pipeline';
+import { buildHistoryContext } from '@/lib/llm/history-summary';
+import { MAX_HISTORY_ITEMS } from '@/lib/history';
+
+const ROUTE = defineMeteredRoute({
+  endpoint: '/api/chat/summary',
+  // Its own rate-limit bucket, so syncing doesn't eat into chat's
+  usage: 'summary',
+  // No daily limit - the client asks for this itself, as part of a turn the user is already sending
+  guards: ['blocked', 'costLimit', 'rateLimit'],
+  rateLimit: CHAT_LIMIT,
+});
+
+/**
+ * History window for the Realtime sync path
+ * Returns the rolling summary of older turns and how many of the newest turns to send verbatim.
+ * Doesn't use the daily limit - the user never asked for it. The cost limit still covers the spending
+ * (a new summary's cost is recorded where it is made).
+ */
+export async function POST(request) {
+  const startTime = Date.now();
+  const clientIP = getClientIP(request);
+
+  try {
+    // Session, blocked sessions, cost limits and IP rate limit
+    // (same session ID as /api/chat, so both paths share one cached summary)
+    const { guard, errorResponse } = await guardRequest(request, ROUTE);
+    if (errorResponse) {
+      return errorResponse;
+    }
+    const { sessionId, userId } = guard;
+
+    const body = await request.json();
+    const history = Array.isArray(body.history) ? body.history : [];
+
+    if (history.length > MAX_HISTORY_ITEMS) {
+      return NextResponse.json(
+        { error: `History array exceeds maximum size of ${MAX_HISTORY_ITEMS} items` },
+        { status: 400 }
+      );
+    }
+
+    const filteredHistory = history
+      .filter(msg => msg.role && msg.content)
+      .map(msg => ({ role: msg.role, content: msg.content }));
+
+    const { summary, recent } = await buildHistoryContext({
+      history: filteredHistory,
+      sessionId,
+      userId,
+      signal: request.signal,
+    });
+
+    logRequest({
+      ip: clientIP,
+      endpoint: '/api/chat/summary',
+      method: 'POST',
+      status: 200,
+      responseTime: Date.now() - startTime,
+    });
+
+    // Check for suspicious activity and log usage
+    const blockError = await guard.finish();
+    if (blockError) {
+      return guardErrorResponse(blockError);
+    }
+
+    return NextResponse.json({ summary, recentCount: recent.length }, { headers: guard.limitHeaders });
+  } catch (error) {
+    console.error("Error building history summary:", error);
+    logRequest({
+      ip: clientIP,
+      endpoint: '/api/chat/summary',
+      method: 'POST',
+      status: 500,
+      responseTime: Date.now() - startTime,
+      error
+    });
+    return NextResponse.json(
+      { error: "Failed to build conversation summary" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,99 @@
+import { NextResponse } from "next/server";
+import { authorizeConversationRequest } from '@/lib/conversations/access';
+import { appendMessages, deleteMessagesFrom, ensureConversationTitle, updateReplyVersions, validateMessages } from '@/lib/conversations/store';
+
+// Append messages to the end of a conversation
+export async function POST(request, { params }) {
+  try {
+    const { userId, errorResponse } = await authorizeConversationRequest(request);
+    if (errorResponse) return errorResponse;
+
+    const body = await request.json().catch(() => ({}));
+    const { messages, error } = validateMessages(body.messages);
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+    if (messages.length === 0) {
+      return NextResponse.json({ messages: [] });
+    }
+
+    const { id } = await params;
+    const stored = await appendMessages(userId, id, messages);
+    if (!stored) {
+      return NextResponse.json({ error: "Conversation not found" }, { status: 404 });
+    }
+
+    // Name the conversation once its first exchange is in
+    const title = await ensureConversationTitle(userId, id);
+
+    return NextResponse.json({ messages: stored, title }, { status: 201 });
+  } catch (error) {
+    console.error("Error saving messages:", error);
+    return NextResponse.json(
+      { error: "Failed to save messages" },
+      { status: 500 }
+    );
+  }
+}
+
+// Save the versions of a stored reply and the one shown: { position, message: { role, content, model, versions } }
+export async function PATCH(request, { params }) {
+  try {
+    const { userId, errorResponse } = await authorizeConversationRequest(request);
+    if (errorResponse) return errorResponse;
+
+    const body = await request.json().catch(() => ({}));
+    if (!Number.isInteger(body.position) || body.position < 0) {
+      return NextResponse.json({ error: "position must be a message position" }, { status: 400 });
+    }
+    const { messages, error } = validateMessages([body.message]);
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+    if (messages[0].role !== 'assistant') {
+      return NextResponse.json({ error: "Only replies have versions" }, { status: 400 });
+    }
+
+    const { id } = await params;
+    const stored = await updateReplyVersions(userId, id, body.position, messages[0]);
+    if (!stored) {
+      return NextResponse.json({ error: "Reply not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({ message: stored });
+  } catch (error) {
+    console.error("Error saving reply versions:", error);
+    return NextResponse.json(
+      { error: "Failed to save reply" },
+      { status: 500 }
+    );
+  }
+}
+
+// Delete messages from ?from=<position> onwards (editing an earlier message replaces the rest)
+export async function DELETE(request, { params }) {
+  try {
+    const { userId, errorResponse } = await authorizeConversationRequest(request);
+    if (errorResponse) return errorResponse;
+
+    const { searchParams } = new URL(request.url);
+    const fromPosition = parseInt(searchParams.get('from'), 10);
+    if (!Number.isInteger(fromPosition) || fromPosition < 0) {
+      return NextResponse.json({ error: "from must be a message position" }, { status: 400 });
+    }
+
+    const { id } = await params;
+    const deleted = await deleteMessagesFrom(userId, id, fromPosition);
+    if (deleted === null) {
+      return NextResponse.json({ error: "Conversation not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({ deleted });
+  } catch (error) {
+    console.error("Error deleting messages:", error);
+    return NextResponse.json(
+      { error: "Failed to delete messages" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,73 @@
+import { NextResponse } from "next/server";
+import { authorizeConversationRequest } from '@/lib/conversations/access';
+import { getConversation, renameConversation, deleteConversation } from '@/lib/conversations/store';
+
+// Get one conversation with all of its messages
+export async function GET(request, { params }) {
+  try {
+    const { userId, errorResponse } = await authorizeConversationRequest(request);
+    if (errorResponse) return errorResponse;
+
+    const { id } = await params;
+    const conversation = await getConversation(userId, id);
+    if (!conversation) {
+      return NextResponse.json({ error: "Conversation not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({ conversation });
+  } catch (error) {
+    console.error("Error loading conversation:", error);
+    return NextResponse.json(
+      { error: "Failed to load conversation" },
+      { status: 500 }
+    );
+  }
+}
+
+// Rename a conversation
+export async function PATCH(request, { params }) {
+  try {
+    const { userId, errorResponse } = await authorizeConversationRequest(request);
+    if (errorResponse) return errorResponse;
+
+    const body = await request.json().catch(() => ({}));
+    if (typeof body.title !== 'string' || !body.title.trim()) {
+      return NextResponse.json({ error: "Title is required" }, { status: 400 });
+    }
+
+    const { id } = await params;
+    const title = await renameConversation(userId, id, body.title);
+    if (title === null) {
+      return NextResponse.json({ error: "Conversation not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({ conversation: { id, title } });
+  } catch (error) {
+    console.error("Error renaming conversation:", error);
+    return NextResponse.json(
+      { error: "Failed to rename conversation" },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const { userId, errorResponse } = await authorizeConversationRequest(request);
+    if (errorResponse) return errorResponse;
+
+    const { id } = await params;
+    const deleted = await deleteConversation(userId, id);
+    if (!deleted) {
+      return NextResponse.json({ error: "Conversation not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({ deleted: true });
+  } catch (error) {
+    console.error("Error deleting conversation:", error);
+    return NextResponse.json(
+      { error: "Failed to delete conversation" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,48 @@
+import { NextResponse } from "next/server";
+import { authorizeConversationRequest } from '@/lib/conversations/access';
+import { listConversations, createConversation, ensureConversationTitle, validateMessages } from '@/lib/conversations/store';
+import { cleanTitle } from '@/lib/conversations/titles';
+
+// List the signed-in user's conversations, most recent first
+export async function GET(request) {
+  try {
+    const { userId, errorResponse } = await authorizeConversationRequest(request);
+    if (errorResponse) return errorResponse;
+
+    const conversations = await listConversations(userId);
+    return NextResponse.json({ conversations });
+  } catch (error) {
+    console.error("Error listing conversations:", error);
+    return NextResponse.json(
+      { error: "Failed to load conversations" },
+      { status: 500 }
+    );
+  }
+}
+
+// Start a conversation, optionally with its first messages
+export async function POST(request) {
+  try {
+    const { userId, errorResponse } = await authorizeConversationRequest(request);
+    if (errorResponse) return errorResponse;
+
+    const body = await request.json().catch(() => ({}));
+    const { messages, error } = validateMessages(body.messages ?? []);
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const title = cleanTitle(body.title) || null;
+
+    const conversation = await createConversation(userId, { title, messages });
+    // Name it straight away if the first exchange came in with it
+    conversation.title = await ensureConversationTitle(userId, conversation.id);
+    return NextResponse.json({ conversation }, { status: 201 });
+  } catch (error) {
+    console.error("Error creating conversation:", error);
+    return NextResponse.json(
+      { error: "Failed to save conversation" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,54 @@
+import { NextResponse } from "next/server";
+import { auth } from '@/lib/auth';
+import { headers } from 'next/headers';
+import { getUserPreferences, updateUserPreferences, validatePreferenceUpdates } from '@/lib/preferences';
+
+// Get the signed-in user's preferences
+export async function GET() {
+  try {
+    const session = await auth.api.getSession({
+      headers: await headers(),
+    });
+
+    if (!session?.user) {
+      return NextResponse.json({ error: "Sign in to save your settings." }, { status: 401 });
+    }
+
+    const preferences = await getUserPreferences(session.user.id);
+    return NextResponse.json({ preferences });
+  } catch (error) {
+    console.error("Error loading profile:", error);
+    return NextResponse.json(
+      { error: "Failed to load settings" },
+      { status: 500 }
+    );
+  }
+}
+
+// Update the signed-in user's preferences
+export async function PATCH(request) {
+  try {
+    const session = await auth.api.getSession({
+      headers: await headers(),
+    });
+
+    if (!session?.user) {
+      return NextResponse.json({ error: "Sign in to save your settings." }, { status: 401 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const { updates, error } = validatePreferenceUpdates(body);
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const preferences = await updateUserPreferences(session.user.id, updates);
+    return NextResponse.json({ preferences });
+  } catch (error) {
+    console.error("Error updating profile:", error);
+    return NextResponse.json(
+      { error: "Failed to save settings" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,72 @@
+import { NextResponse } from "next/server";
+import { auth } from '@/lib/auth';
+import { headers } from 'next/headers';
+import { rateLimit, SUPPORTER_LIMIT } from '@/lib/rateLimit';
+import { removeSupporter, setRepeatedQuestionsSharing } from '@/lib/supporters';
+
+// Choose whether one of the signed-in user's supporters can see the questions they keep asking
+export async function PATCH(request, { params }) {
+  try {
+    const session = await auth.api.getSession({
+      headers: await headers(),
+    });
+
+    if (!session?.user) {
+      return NextResponse.json({ error: "Sign in to manage supporters." }, { status: 401 });
+    }
+
+    const rateLimitResult = await rateLimit(session.user.id, SUPPORTER_LIMIT, 'supporters');
+    if (!rateLimitResult.allowed) {
+      return NextResponse.json(
+        { error: "Too many requests. Please wait a moment and try again." },
+        { status: 429 }
+      );
+    }
+
+    const body = await request.json().catch(() => ({}));
+    if (typeof body.shareRepeatedQuestions !== 'boolean') {
+      return NextResponse.json({ error: "shareRepeatedQuestions must be true or false" }, { status: 400 });
+    }
+
+    const { id } = await params;
+    const supporter = await setRepeatedQuestionsSharing(session.user.id, id, body.shareRepeatedQuestions);
+    if (!supporter) {
+      return NextResponse.json({ error: "Supporter not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({ supporter });
+  } catch (error) {
+    console.error("Error updating supporter:", error);
+    return NextResponse.json(
+      { error: "Failed to update supporter" },
+      { status: 500 }
+    );
+  }
+}
+
+// Remove one of the signed-in user's supporters
+export async function DELETE(request, { params }) {
+  try {
+    const session = await auth.api.getSession({
+      headers: await headers(),
+    });
+
+    if (!session?.user) {
+      return NextResponse.json({ error: "Sign in to manage supporters." }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const removed = await removeSupporter(session.user.id, id);
+    if (!removed) {
+      return NextResponse.json({ error: "Supporter not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({ deleted: true });
+  } catch (error) {
+    console.error("Error removing supporter:", error);
+    return NextResponse.json(
+      { error: "Failed to remove supporter" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,43 @@
+import { NextResponse } from "next/server";
+import { auth } from '@/lib/auth';
+import { headers } from 'next/headers';
+import { rateLimit, SUPPORTER_LIMIT } from '@/lib/rateLimit';
+import { sendSymbolsLinkEmail } from '@/lib/supporters';
+
+// Email one of the signed-in user's supporters their link for adding custom symbols
+export async function POST(request, { params }) {
+  try {
+    const session = await auth.api.getSession({
+      headers: await headers(),
+    });
+
+    if (!session?.user) {
+      return NextResponse.json({ error: "Sign in to manage supporters." }, { status: 401 });
+    }
+
+    const rateLimitResult = await rateLimit(session.user.id, SUPPORTER_LIMIT, 'supporters');
+    if (!rateLimitResult.allowed) {
+      return NextResponse.json(
+        { error: "Too many requests. Please wait a moment and try again." },
+        { status: 429 }
+      );
+    }
+
+    const { id } = await params;
+    const result = await sendSymbolsLinkEmail(session.user.id, id);
+    if (result.error === 'not_found') {
+      return NextResponse.json({ error: "Supporter not found" }, { status: 404 });
+    }
+    if (result.error === 'unavailable') {
+      return NextResponse.json({ error: "Symbol links can't be sent right now" }, { status: 503 });
+    }
+
+    return NextResponse.json({ sent: true });
+  } catch (error) {
+    console.error("Error sending symbols link:", error);
+    return NextResponse.json(
+      { error: "Failed to send link" },
+      { status: 500 }
+    );
+  }
+}
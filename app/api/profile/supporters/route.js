@@ -0,0 +1,73 @@
+import { NextResponse } from "next/server";
+import { auth } from '@/lib/auth';
+import { headers } from 'next/headers';
+import { rateLimit, SUPPORTER_LIMIT } from '@/lib/rateLimit';
+import { listSupporters, addSupporter, validateSupporter, MAX_SUPPORTERS } from '@/lib/supporters';
+
+// List the signed-in user's supporters
+export async function GET() {
+  try {
+    const session = await auth.api.getSession({
+      headers: await headers(),
+    });
+
+    if (!session?.user) {
+      return NextResponse.json({ error: "Sign in to add supporters." }, { status: 401 });
+    }
+
+    const supporters = await listSupporters(session.user.id);
+    return NextResponse.json({ supporters });
+  } catch (error) {
+    console.error("Error listing supporters:", error);
+    return NextResponse.json(
+      { error: "Failed to load supporters" },
+      { status: 500 }
+    );
+  }
+}
+
+// Add a supporter - they are emailed to say they were added
+export async function POST(request) {
+  try {
+    const session = await auth.api.getSession({
+      headers: await headers(),
+    });
+
+    if (!session?.user) {
+      return NextResponse.json({ error: "Sign in to add supporters." }, { status: 401 });
+    }
+
+    const rateLimitResult = await rateLimit(session.user.id, SUPPORTER_LIMIT, 'supporters');
+    if (!rateLimitResult.allowed) {
+      return NextResponse.json(
+        { error: "Too many requests. Please wait a moment and try again." },
+        { status: 429 }
+      );
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const { supporter: details, error } = validateSupporter(body);
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const result = await addSupporter(session.user.id, details);
+    if (result.error === 'limit') {
+      return NextResponse.json(
+        { error: `You can add up to ${MAX_SUPPORTERS} supporters` },
+        { status: 409 }
+      );
+    }
+    if (result.error === 'duplicate') {
+      return NextResponse.json({ error: "That person is already one of your supporters" }, { status: 409 });
+    }
+
+    return NextResponse.json({ supporter: result.supporter }, { status: 201 });
+  } catch (error) {
+    console.error("Error adding supporter:", error);
+    return NextResponse.json(
+      { error: "Failed to add supporter" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,31 @@
+import { NextResponse } from "next/server";
+import { auth } from '@/lib/auth';
+import { headers } from 'next/headers';
+import { removeCustomSymbol } from '@/lib/symbols/custom';
+
+// Remove one of the signed-in user's custom symbols - the bundled pictogram (if any) shows again
+export async function DELETE(request, { params }) {
+  try {
+    const session = await auth.api.getSession({
+      headers: await headers(),
+    });
+
+    if (!session?.user) {
+      return NextResponse.json({ error: "Sign in to manage your symbols." }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const removed = await removeCustomSymbol(session.user.id, id);
+    if (!removed) {
+      return NextResponse.json({ error: "Symbol not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({ deleted: true });
+  } catch (error) {
+    console.error("Error removing custom symbol:", error);
+    return NextResponse.json(
+      { error: "Failed to remove symbol" },
+      { status: 500 }
+    );
+  }
+}
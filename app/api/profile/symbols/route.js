@@ -0,0 +1,26 @@
+import { NextResponse } from "next/server";
+import { auth } from '@/lib/auth';
+import { headers } from 'next/headers';
+import { listCustomSymbols } from '@/lib/symbols/custom';
+
+// List the signed-in user's custom symbols (pictures are loaded from /api/symbols/custom/[id])
+export async function GET() {
+  try {
+    const session = await auth.api.getSession({
+      headers: await headers(),
+    });
+
+    if (!session?.user) {
+      return NextResponse.json({ error: "Sign in to see your symbols." }, { status: 401 });
+    }
+
+    const symbols = await listCustomSymbols(session.user.id);
+    return NextResponse.json({ symbols });
+  } catch (error) {
+    console.error("Error listing custom symbols:", error);
+    return NextResponse.json(
+      { error: "Failed to load symbols" },
+      { status: 500 }
+    );
+  }
+}
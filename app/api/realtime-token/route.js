@@ -1,15 +1,16 @@
 import { NextResponse } from "next/server";
-import OpenAI from 'openai';
-import { rateLimit, getClientIP, REALTIME_LIMIT } from '@/lib/rateLimit';
+import { getClientIP, REALTIME_LIMIT } from '@/lib/rateLimit';
 import { validateEnv } from '@/lib/env';
 import { logRequest } from '@/lib/logger';
-import { auth } from '@/lib/auth';
-import { headers } from 'next/headers';
-import { checkDailyLimit, logUsage as logDailyUsage } from '@/lib/sessions/limits';
-import { checkBlocked } from '@/lib/bot-protection/blocking';
-import { checkSuspiciousActivity, blockSession } from '@/lib/bot-protection/heuristics';
-import { getVoicePrompt } from '@/lib/prompts';
-import { checkTokenRequestThrottle } from '@/lib/bot-protection/token-throttle';
+import { defineMeteredRoute, guardRequest, guardErrorResponse } from '@/lib/guards/pipeline';
+import { getVoicePrompt, getTextOnlyPrompt } from '@/lib/prompts';
+import { resolvePreferences } from '@/lib/preferences';
+import { resolvePromptProfile } from '@/lib/prompt-profiles/store';
+import { getVoiceSettings } from '@/lib/voices';
+import { getProvider, ProviderError } from '@/lib/llm/provider';
+import { REALTIME_MODEL, REALTIME_TOKEN_TTL_SECONDS } from '@/lib/llm/config';
+import { getRealtimeTools } from '@/lib/tools/registry';
+import { issueTranscriptTicket } from '@/lib/safeguarding/transcript-ticket';
 
 // Validate environment variables
 try {
@@ -18,178 +19,88 @@ try {
   console.error('Environment validation failed:', error.message);
 }
 
-// Instantiate the OpenAI client
-const openai = new OpenAI();
+const ROUTE = defineMeteredRoute({
+  endpoint: '/api/realtime-token',
+  usage: 'realtime',
+  // Token throttling prevents token farming; the body holds only preferences, so 100KB is plenty
+  guards: ['blocked', 'costLimit', 'dailyLimit', 'tokenThrottle', 'rateLimit', 'bodySize'],
+  rateLimit: REALTIME_LIMIT,
+  maxBodyBytes: 100000,
+});
 
 export async function POST(request) {
   const startTime = Date.now();
   const clientIP = getClientIP(request);
+  // Holds the daily-limit reservation: committed when a token is issued, released in finally on any other way out
+  let guard = null;
   
   try {
-    // Get Better Auth session
-    const session = await auth.api.getSession({
-      headers: await headers(),
-    });
-    
-    // Get or create anonymous session ID for tracking (even if not logged in)
-    let sessionId = session?.session?.id || `anon_${clientIP}`;
-    let userId = session?.user?.id || null;
-    
-    // Check if session is blocked (for anonymous sessions)
-    if (!session?.user) {
-      const blockedCheck = await checkBlocked(sessionId);
-      if (blockedCheck.isBlocked && blockedCheck.blockedUntil && blockedCheck.blockedUntil.getTime() > Date.now()) {
-        return NextResponse.json(
-          { error: "Your session has been temporarily blocked due to suspicious activity. Please try again later." },
-          { status: 403 }
-        );
-      }
+    // Session, blocked sessions, cost limits, daily limit, token throttling, IP rate limit and body size
+    const guarded = await guardRequest(request, ROUTE);
+    if (guarded.errorResponse) {
+      return guarded.errorResponse;
     }
+    guard = guarded.guard;
+    const { sessionId, userId } = guard;
     
-    // Check daily limit BEFORE IP rate limiting
-    const dailyLimitResult = await checkDailyLimit(sessionId, userId);
-    
-    if (!dailyLimitResult.allowed) {
-      const retryAfter = Math.ceil((dailyLimitResult.resetAt.getTime() - Date.now()) / 1000);
-      return NextResponse.json(
-        { 
-          error: "Daily limit reached. Please subscribe for unlimited access or try again tomorrow.",
-          limitReached: true,
-          tier: dailyLimitResult.tier
-        },
-        { 
-          status: 429,
-          headers: {
-            'X-DailyLimit-Limit': dailyLimitResult.tier === 'paid' ? 'unlimited' : '20',
-            'X-DailyLimit-Remaining': '0',
-            'X-DailyLimit-Reset': dailyLimitResult.resetAt.toISOString(),
-            'Retry-After': retryAfter.toString(),
-          },
-        }
-      );
-    }
-    
-    // Token request throttling (prevent token farming)
-    const tokenThrottle = await checkTokenRequestThrottle(sessionId);
-    if (!tokenThrottle.allowed) {
-      return NextResponse.json(
-        { 
-          error: `Please wait ${tokenThrottle.retryAfter} seconds before requesting a new token.`,
-        },
-        { 
-          status: 429,
-          headers: {
-            'Retry-After': tokenThrottle.retryAfter.toString(),
-          },
-        }
-      );
-    }
-    
-    // IP-based rate limiting (second layer) - database-backed
-    const rateLimitResult = await rateLimit(clientIP, REALTIME_LIMIT, 'realtime');
-    
-    if (!rateLimitResult.allowed) {
-      const retryAfter = Math.ceil((rateLimitResult.resetAt.getTime() - Date.now()) / 1000);
-      return NextResponse.json(
-        { error: "Rate limit exceeded. Please try again later." },
-        { 
-          status: 429,
-          headers: {
-            'X-RateLimit-Limit': REALTIME_LIMIT.toString(),
-            'X-RateLimit-Remaining': '0',
-            'X-RateLimit-Reset': rateLimitResult.resetAt.toISOString(),
-            'Retry-After': retryAfter.toString(),
-          },
-        }
-      );
-    }
-    
-    // Validate request body size (prevent huge payloads)
-    const contentLength = request.headers.get('content-length');
-    if (contentLength && parseInt(contentLength) > 100000) { // 100KB max
-      return NextResponse.json(
-        { error: "Request body too large" },
-        { status: 413 }
-      );
-    }
+    // Instructions are composed here from the user's preferences and prompt profile, so the client never builds prompts itself
+    const body = await request.json().catch(() => ({}));
+    const [preferences, profile] = await Promise.all([
+      resolvePreferences({ userId, requested: body }),
+      resolvePromptProfile(userId),
+    ]);
+    // The Realtime API has a speed setting but no pitch, so the chosen pitch (and pace) is asked for in the prompt too
+    const { realtimeVoice: voice, speed, styleInstructions } = getVoiceSettings(preferences);
+    const voicePrompt = getVoicePrompt({ ...preferences, sections: profile.sections });
+    const instructions = {
+      voice: styleInstructions ? `${voicePrompt}\n\n${styleInstructions}` : voicePrompt,
+      text: getTextOnlyPrompt({ ...preferences, sections: profile.sections }),
+    };
+    // The model asks for these in the conversation; the client runs them through /api/tools
+    const tools = getRealtimeTools();
+
     // Create an ephemeral client secret for Realtime API
     // This allows the client to connect without exposing API keys
-    const fetchResponse = await fetch('https://api.openai.com/v1/realtime/client_secrets', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        expires_after: {
-          anchor: 'created_at',
-          seconds: 600, // 10 minutes
-        },
-        session: {
-          type: 'realtime',
-          model: 'gpt-realtime',
-          instructions: getVoicePrompt(),
-          audio: {
-            output: {
-              voice: 'alloy', // Supported voices: alloy, ash, ballad, coral, echo, sage, shimmer, verse, marin, cedar
-              format: {
-                type: 'audio/pcm',
-                rate: 24000,
-              },
-            },
-          },
-        },
-      }),
+    const data = await getProvider().createRealtimeSession({
+      model: REALTIME_MODEL,
+      instructions: instructions.voice,
+      voice,
+      speed,
+      tools,
+      expiresInSeconds: REALTIME_TOKEN_TTL_SECONDS,
     });
 
-    if (!fetchResponse.ok) {
-      const errorData = await fetchResponse.json().catch(() => ({}));
-      throw new Error(`Failed to create client secret: ${fetchResponse.status} ${JSON.stringify(errorData)}`);
-    }
-
-    const data = await fetchResponse.json();
-
     const responseTime = Date.now() - startTime;
-    const dailyLimitStr = dailyLimitResult.remaining === Infinity 
-      ? 'Daily: unlimited' 
-      : `Daily: ${dailyLimitResult.used}/${dailyLimitResult.limit} used (${dailyLimitResult.remaining} remaining)`;
     logRequest({ 
       ip: clientIP, 
       endpoint: '/api/realtime-token', 
       method: 'POST', 
       status: 200, 
       responseTime,
-      dailyLimit: dailyLimitStr
+      dailyLimit: guard.dailyLimitSummary
     });
     
     // Check for suspicious activity and log usage
-    const suspiciousCheck = await checkSuspiciousActivity(sessionId, 'realtime', clientIP);
-    
-    if (suspiciousCheck.isSuspicious) {
-      await blockSession(sessionId);
-      logDailyUsage(sessionId, userId, 'realtime', clientIP, true);
-      return NextResponse.json(
-        { error: "Suspicious activity detected. Your session has been temporarily blocked." },
-        { status: 403 }
-      );
+    const blockError = await guard.finish();
+    if (blockError) {
+      return guardErrorResponse(blockError);
     }
-    
-    logDailyUsage(sessionId, userId, 'realtime', clientIP, false);
+    await guard.commit();
 
     return NextResponse.json(
       { 
-        token: data.value,
+        token: data.token,
         expires_at: data.expires_at,
+        model: REALTIME_MODEL,
+        instructions,
+        voice,
+        speed,
+        tools,
+        // Lets the client send signed-in users' turns to /api/realtime-transcript for the safeguarding check
+        transcriptTicket: userId ? issueTranscriptTicket(sessionId) : null,
       },
       {
-        headers: {
-          'X-RateLimit-Limit': REALTIME_LIMIT.toString(),
-          'X-RateLimit-Remaining': rateLimitResult.remaining.toString(),
-          'X-RateLimit-Reset': rateLimitResult.resetAt.toISOString(),
-          'X-DailyLimit-Limit': dailyLimitResult.tier === 'paid' ? 'unlimited' : '20',
-          'X-DailyLimit-Remaining': dailyLimitResult.remaining === Infinity ? 'unlimited' : dailyLimitResult.remaining.toString(),
-          'X-DailyLimit-Reset': dailyLimitResult.resetAt.toISOString(),
-        },
+        headers: guard.limitHeaders,
       }
     );
 
@@ -200,7 +111,7 @@ export async function POST(request) {
     let errorMessage = "Failed to create session token";
     let statusCode = 500;
     
-    if (error instanceof OpenAI.APIError) {
+    if (error instanceof ProviderError) {
       statusCode = error.status || 500;
       errorMessage = `API Error: ${error.message || error.name}`;
     } else if (error.message) {
@@ -223,6 +134,8 @@ export async function POST(request) {
       },
       { status: statusCode }
     );
+  } finally {
+    // Anything that didn't succeed (validation errors, rate limits, failures, blocks) isn't charged
+    await guard?.release();
   }
 }
-
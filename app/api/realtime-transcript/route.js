@@ -0,0 +1,66 @@
+import { NextResponse } from "next/server";
+import { TRANSCRIPT_LIMIT } from '@/lib/rateLimit';
+import { defineMeteredRoute, guardRequest } from '@/lib/guards/pipeline';
+import { checkForDisclosure } from '@/lib/safeguarding/check';
+import { verifyTranscriptTicket } from '@/lib/safeguarding/transcript-ticket';
+import { MAX_HISTORY_ITEMS } from '@/lib/history';
+
+const MAX_TEXT_LENGTH = 10000;
+
+const ROUTE = defineMeteredRoute({
+  endpoint: '/api/realtime-transcript',
+  usage: 'transcript',
+  // Incidents email the user's supporters, so only signed-in users' own conversations are checked
+  guards: ['signedIn', 'rateLimit'],
+  rateLimit: TRANSCRIPT_LIMIT,
+});
+
+// Realtime conversations go straight from the browser to the model, so the client posts
+// each user turn here for the safeguarding check that /api/chat does on typed messages
+export async function POST(request) {
+  try {
+    // Signed-in session and IP rate limit - not logged as usage, it's part of a turn the token already paid for
+    const { guard, errorResponse } = await guardRequest(request, ROUTE);
+    if (errorResponse) {
+      return errorResponse;
+    }
+    const { sessionId, userId } = guard;
+
+    const body = await request.json().catch(() => ({}));
+    // Only turns from a Realtime session that /api/realtime-token issued to this session
+    if (!verifyTranscriptTicket(body.ticket, sessionId)) {
+      return NextResponse.json({ error: "No Realtime session was issued to you" }, { status: 403 });
+    }
+    if (typeof body.text !== 'string' || !body.text.trim()) {
+      return NextResponse.json({ error: "Text is required" }, { status: 400 });
+    }
+    if (body.text.length > MAX_TEXT_LENGTH) {
+      return NextResponse.json(
+        { error: `Text exceeds maximum length of ${MAX_TEXT_LENGTH} characters` },
+        { status: 400 }
+      );
+    }
+
+    const history = (Array.isArray(body.history) ? body.history : [])
+      .slice(-MAX_HISTORY_ITEMS)
+      .filter(msg => msg?.role && typeof msg.content === 'string')
+      .map(msg => ({ role: msg.role, content: msg.content }));
+
+    await checkForDisclosure({
+      text: body.text,
+      source: 'realtime',
+      history,
+      sessionId,
+      userId,
+    });
+
+    // Nothing is said about whether a disclosure was found
+    return new NextResponse(null, { status: 204 });
+  } catch (error) {
+    console.error("Error checking realtime transcript:", error);
+    return NextResponse.json(
+      { error: "Failed to check transcript" },
+      { status: 500 }
+    );
+  }
+}
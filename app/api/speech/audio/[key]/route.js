@@ -0,0 +1,65 @@
+import { NextResponse } from "next/server";
+import { getClientIP, SPEECH_AUDIO_LIMIT } from '@/lib/rateLimit';
+import { logRequest } from '@/lib/logger';
+import { defineMeteredRoute, guardRequest } from '@/lib/guards/pipeline';
+import { getCachedSpeech } from '@/lib/speech-cache/cache';
+import { cachedSpeechResponse } from '@/lib/speech-cache/response';
+
+const ROUTE = defineMeteredRoute({
+  endpoint: '/api/speech/audio',
+  usage: 'speech-audio',
+  // Only serves audio already made, so it doesn't count against the daily limit
+  guards: ['blocked', 'rateLimit'],
+  rateLimit: SPEECH_AUDIO_LIMIT,
+});
+
+// Serve a clip /api/speech has cached, by the key it sent back in Content-Location
+// Supports Range and If-None-Match, so audio players can seek and browsers can keep their copy
+export async function GET(request, { params }) {
+  const startTime = Date.now();
+  const clientIP = getClientIP(request);
+
+  try {
+    const guarded = await guardRequest(request, ROUTE);
+    if (guarded.errorResponse) {
+      return guarded.errorResponse;
+    }
+    const { guard } = guarded;
+
+    const { key } = await params;
+    const clip = await getCachedSpeech(key);
+    if (!clip) {
+      return NextResponse.json({ error: "Audio not found" }, { status: 404 });
+    }
+
+    const response = cachedSpeechResponse(request, key, clip, {
+      headers: {
+        // The key is a hash of the audio's inputs, so what it points to never changes
+        'Cache-Control': 'private, max-age=31536000, immutable',
+        ...guard.limitHeaders,
+      },
+    });
+    logRequest({
+      ip: clientIP,
+      endpoint: '/api/speech/audio',
+      method: 'GET',
+      status: response.status,
+      responseTime: Date.now() - startTime,
+    });
+    return response;
+  } catch (error) {
+    console.error("Error serving cached speech:", error);
+    logRequest({
+      ip: clientIP,
+      endpoint: '/api/speech/audio',
+      method: 'GET',
+      status: 500,
+      responseTime: Date.now() - startTime,
+      error,
+    });
+    return NextResponse.json(
+      { error: "Failed to load audio" },
+      { status: 500 }
+    );
+  }
+}
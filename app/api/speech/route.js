@@ -1,13 +1,18 @@
 import { NextResponse } from "next/server";
-import OpenAI from 'openai';
-import { rateLimit, getClientIP, SPEECH_LIMIT } from '@/lib/rateLimit';
+import { getClientIP, SPEECH_LIMIT } from '@/lib/rateLimit';
 import { validateEnv } from '@/lib/env';
 import { logRequest } from '@/lib/logger';
-import { auth } from '@/lib/auth';
-import { headers } from 'next/headers';
-import { checkDailyLimit, logUsage as logDailyUsage } from '@/lib/sessions/limits';
-import { checkBlocked } from '@/lib/bot-protection/blocking';
-import { checkSuspiciousActivity, blockSession } from '@/lib/bot-protection/heuristics';
+import { defineMeteredRoute, guardRequest, guardErrorResponse } from '@/lib/guards/pipeline';
+import { getProvider, ProviderError } from '@/lib/llm/provider';
+import { TTS_MODEL } from '@/lib/llm/config';
+import { resolvePreferences } from '@/lib/preferences';
+import { getVoiceSettings, validateVoiceSettings } from '@/lib/voices';
+import { resolvePromptProfile } from '@/lib/prompt-profiles/store';
+import { moderateText } from '@/lib/moderation/moderate';
+import { recordRequestCost } from '@/lib/bot-protection/cost-monitor';
+import { estimateTokens } from '@/lib/tokens';
+import { getSpeechCacheKey, getCachedSpeech, cacheWhenComplete } from '@/lib/speech-cache/cache';
+import { cachedSpeechResponse } from '@/lib/speech-cache/response';
 
 // Validate environment variables
 try {
@@ -16,75 +21,64 @@ try {
   console.error('Environment validation failed:', error.message);
 }
 
-// Instantiate the OpenAI client
-const openai = new OpenAI();
+const ROUTE = defineMeteredRoute({
+  endpoint: '/api/speech',
+  usage: 'speech',
+  guards: ['blocked', 'costLimit', 'dailyLimit', 'rateLimit'],
+  rateLimit: SPEECH_LIMIT,
+});
+
+// Opus is smaller and faster than MP3
+const SPEECH_FORMAT = "opus";
+
+// Spoken audio runs to roughly six audio tokens for every token of text
+const AUDIO_TOKENS_PER_TEXT_TOKEN = 6;
+
+/**
+ * Pass the audio through, committing the daily-limit reservation once all of it has been sent
+ * If the listener stops it early or it fails part way, the reservation is released instead
+ * @param {ReadableStream} body - Audio from the provider
+ * @param {{commit: Function, release: Function}} settlement - From guard.handOffUsage
+ * @returns {ReadableStream}
+ */
+function settleWhenSent(body, settlement) {
+  const reader = body.getReader();
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await reader.read();
+        if (done) {
+          controller.close();
+          await settlement.commit();
+          return;
+        }
+        controller.enqueue(value);
+      } catch (error) {
+        controller.error(error);
+        await settlement.release();
+      }
+    },
+    async cancel(reason) {
+      await settlement.release();
+      await reader.cancel(reason);
+    },
+  });
+}
 
 export async function POST(request) {
   const startTime = Date.now();
   const clientIP = getClientIP(request);
+  // Holds the daily-limit reservation: handed to the audio stream on success, released in finally on any other way out
+  let guard = null;
   
   try {
-    // Get Better Auth session
-    const session = await auth.api.getSession({
-      headers: await headers(),
-    });
-    
-    // Get or create anonymous session ID for tracking (even if not logged in)
-    let sessionId = session?.session?.id || `anon_${clientIP}`;
-    let userId = session?.user?.id || null;
-    
-    // Check if session is blocked (for anonymous sessions)
-    if (!session?.user) {
-      const blockedCheck = await checkBlocked(sessionId);
-      if (blockedCheck.isBlocked && blockedCheck.blockedUntil && blockedCheck.blockedUntil.getTime() > Date.now()) {
-        return NextResponse.json(
-          { error: "Your session has been temporarily blocked due to suspicious activity. Please try again later." },
-          { status: 403 }
-        );
-      }
-    }
-    
-    // Check daily limit BEFORE IP rate limiting
-    const dailyLimitResult = await checkDailyLimit(sessionId, userId);
-    
-    if (!dailyLimitResult.allowed) {
-      const retryAfter = Math.ceil((dailyLimitResult.resetAt.getTime() - Date.now()) / 1000);
-      return NextResponse.json(
-        { 
-          error: "Daily limit reached. Please subscribe for unlimited access or try again tomorrow.",
-          limitReached: true,
-          tier: dailyLimitResult.tier
-        },
-        { 
-          status: 429,
-          headers: {
-            'X-DailyLimit-Limit': dailyLimitResult.tier === 'paid' ? 'unlimited' : '20',
-            'X-DailyLimit-Remaining': '0',
-            'X-DailyLimit-Reset': dailyLimitResult.resetAt.toISOString(),
-            'Retry-After': retryAfter.toString(),
-          },
-        }
-      );
-    }
-    
-    // IP-based rate limiting (second layer) - database-backed
-    const rateLimitResult = await rateLimit(clientIP, SPEECH_LIMIT, 'speech');
-    
-    if (!rateLimitResult.allowed) {
-      const retryAfter = Math.ceil((rateLimitResult.resetAt.getTime() - Date.now()) / 1000);
-      return NextResponse.json(
-        { error: "Rate limit exceeded. Please try again later." },
-        { 
-          status: 429,
-          headers: {
-            'X-RateLimit-Limit': SPEECH_LIMIT.toString(),
-            'X-RateLimit-Remaining': '0',
-            'X-RateLimit-Reset': rateLimitResult.resetAt.toISOString(),
-            'Retry-After': retryAfter.toString(),
-          },
-        }
-      );
+    // Session, blocked sessions, cost limits, daily limit and IP rate limit
+    const guarded = await guardRequest(request, ROUTE);
+    if (guarded.errorResponse) {
+      return guarded.errorResponse;
     }
+    guard = guarded.guard;
+    const { sessionId, userId } = guard;
     
     const body = await request.json();
     const { text } = body;
@@ -96,59 +90,130 @@ export async function POST(request) {
       );
     }
 
-    // Use gpt-4o-mini-tts for fast generation with British English accent support
-    // Opus format is smaller and faster than MP3
-    const speechResponse = await openai.audio.speech.create({
-      model: "gpt-4o-mini-tts", // Fast model that supports instructions
-      voice: "nova", // Clear, friendly voice
-      input: text,
-      instructions: "Speak with a British English accent. Use clear, natural pronunciation suitable for accessibility.", // British English accent
-      response_format: "opus", // Opus is smaller and faster than MP3
-      speed: 1.0, // Normal speed
+    // Voice settings sent with the request win over saved ones, so the settings panel can preview
+    // a choice before it is saved - they are checked against the same allowlist
+    const { settings: voiceOverrides, error: voiceError } = validateVoiceSettings(body);
+    if (voiceError) {
+      return NextResponse.json({ error: voiceError }, { status: 400 });
+    }
+
+    // Voice and accent follow the user's language setting (British English by default) unless they chose a voice
+    const [preferences, profile] = await Promise.all([
+      resolvePreferences({ userId, requested: body }),
+      resolvePromptProfile(userId),
+    ]);
+    const { locale } = preferences;
+    const { ttsVoice, ttsInstructions, speed } = getVoiceSettings({ ...preferences, ...voiceOverrides });
+
+    // Anything can be posted here, not just our replies - flagged text is swapped for the redirect reply
+    const moderation = await moderateText({
+      text,
+      stage: 'speech',
+      endpoint: '/api/speech',
+      locale,
+      profile,
+      sessionId,
+      userId,
+      signal: request.signal,
+    });
+
+    const input = moderation.flagged ? moderation.reply : text;
+    const cacheKey = getSpeechCacheKey({
+      text: input,
+      model: TTS_MODEL,
+      voice: ttsVoice,
+      speed,
+      instructions: ttsInstructions,
+      format: SPEECH_FORMAT,
+    });
+    const cachedClip = await getCachedSpeech(cacheKey);
+
+    if (cachedClip) {
+      logRequest({ 
+        ip: clientIP, 
+        endpoint: '/api/speech', 
+        method: 'POST', 
+        status: 200, 
+        responseTime: Date.now() - startTime,
+        dailyLimit: guard.dailyLimitSummary
+      });
+
+      // Replays still count towards suspicious activity, but not the daily limit - the reservation is released in finally
+      const blockError = await guard.finish();
+      if (blockError) {
+        return guardErrorResponse(blockError);
+      }
+      await recordRequestCost({ endpoint: '/api/speech', model: TTS_MODEL, sessionId, userId, cached: true });
+
+      return cachedSpeechResponse(request, cacheKey, cachedClip, {
+        headers: {
+          'Cache-Control': 'no-cache',
+          'Content-Location': `/api/speech/audio/${cacheKey}`,
+          'X-Speech-Cache': 'hit',
+          ...(moderation.flagged && { 'X-Moderated': 'true' }),
+          ...guard.limitHeaders,
+        },
+      });
+    }
+
+    // Check for suspicious activity and log usage - before the audio is paid for, so a session
+    // blocked here never starts a stream that would have to be cancelled
+    const blockError = await guard.finish();
+    if (blockError) {
+      return guardErrorResponse(blockError);
+    }
+
+    // Use gpt-4o-mini-tts for fast generation with accent instructions
+    const speechResponse = await getProvider().speech({
+      model: TTS_MODEL, // Fast model that supports instructions
+      voice: ttsVoice,
+      input,
+      instructions: ttsInstructions,
+      format: SPEECH_FORMAT,
+      speed,
     });
 
-    // Stream the audio response for fastest playback
-    const stream = speechResponse.body;
+    // Stream the audio response for fastest playback, keeping a copy for the next time this is asked for
+    const audio = cacheWhenComplete(speechResponse.body, cacheKey, speechResponse.contentType);
     
     const responseTime = Date.now() - startTime;
-    const dailyLimitStr = dailyLimitResult.remaining === Infinity 
-      ? 'Daily: unlimited' 
-      : `Daily: ${dailyLimitResult.used}/${dailyLimitResult.limit} used (${dailyLimitResult.remaining} remaining)`;
     logRequest({ 
       ip: clientIP, 
       endpoint: '/api/speech', 
       method: 'POST', 
       status: 200, 
       responseTime,
-      dailyLimit: dailyLimitStr
+      dailyLimit: guard.dailyLimitSummary
+    });
+
+    // The speech endpoint doesn't report usage, so the cost is always an estimate
+    const textTokens = estimateTokens(input);
+    await recordRequestCost({
+      endpoint: '/api/speech',
+      model: TTS_MODEL,
+      sessionId,
+      userId,
+      usage: null,
+      estimate: {
+        inputTokens: textTokens + estimateTokens(ttsInstructions),
+        outputTokens: textTokens * AUDIO_TOKENS_PER_TEXT_TOKEN,
+      },
     });
     
-    // Check for suspicious activity and log usage
-    const suspiciousCheck = await checkSuspiciousActivity(sessionId, 'speech', clientIP);
-    
-    if (suspiciousCheck.isSuspicious) {
-      await blockSession(sessionId);
-      logDailyUsage(sessionId, userId, 'speech', clientIP, true);
-      return NextResponse.json(
-        { error: "Suspicious activity detected. Your session has been temporarily blocked." },
-        { status: 403 }
-      );
-    }
-    
-    logDailyUsage(sessionId, userId, 'speech', clientIP, false);
+    // The stream settles the reservation once the audio has been sent
+    const stream = settleWhenSent(audio, guard.handOffUsage());
     
     // Return streaming audio response
     const responseHeaders = new Headers({
-      'Content-Type': 'audio/opus',
+      'Content-Type': speechResponse.contentType,
       'Cache-Control': 'no-cache',
       'Transfer-Encoding': 'chunked',
-      'X-RateLimit-Limit': SPEECH_LIMIT.toString(),
-      'X-RateLimit-Remaining': rateLimitResult.remaining.toString(),
-      'X-RateLimit-Reset': rateLimitResult.resetAt.toISOString(),
-      'X-DailyLimit-Limit': dailyLimitResult.tier === 'paid' ? 'unlimited' : '20',
-      'X-DailyLimit-Remaining': dailyLimitResult.remaining === Infinity ? 'unlimited' : dailyLimitResult.remaining.toString(),
-      'X-DailyLimit-Reset': dailyLimitResult.resetAt.toISOString(),
+      'X-Speech-Cache': 'miss',
+      ...guard.limitHeaders,
     });
+    if (moderation.flagged) {
+      responseHeaders.set('X-Moderated', 'true');
+    }
     
     return new NextResponse(stream, {
       status: 200,
@@ -162,7 +227,7 @@ export async function POST(request) {
     let errorMessage = "Failed to generate speech";
     let statusCode = 500;
     
-    if (error instanceof OpenAI.APIError) {
+    if (error instanceof ProviderError) {
       statusCode = error.status || 500;
       errorMessage = `API Error: ${error.message || error.name}`;
     } else if (error.message) {
@@ -185,6 +250,8 @@ export async function POST(request) {
       },
       { status: statusCode }
     );
+  } finally {
+    // Anything that didn't succeed (validation errors, rate limits, failures, blocks) isn't charged
+    await guard?.release();
   }
 }
-
@@ -0,0 +1,26 @@
+import { NextResponse } from "next/server";
+import { getSupporterFromRequest } from '@/lib/supporters';
+import { listRepeatedQuestions, REPETITION_DAYS } from '@/lib/answer-cache';
+
+// Questions the user this supporter supports has asked again and again
+export async function GET(request) {
+  try {
+    const supporter = await getSupporterFromRequest(request);
+    if (!supporter) {
+      return NextResponse.json({ error: "This link doesn't work any more. Ask for a new one." }, { status: 401 });
+    }
+    // The link is for adding pictures - questions are only shown if the user chose to share them
+    if (!supporter.shareRepeatedQuestions) {
+      return NextResponse.json({ error: "These questions haven't been shared with you." }, { status: 403 });
+    }
+
+    const questions = await listRepeatedQuestions(supporter.userId);
+    return NextResponse.json({ supporter: { name: supporter.name }, days: REPETITION_DAYS, questions });
+  } catch (error) {
+    console.error("Error listing repeated questions for supporter:", error);
+    return NextResponse.json(
+      { error: "Failed to load repeated questions" },
+      { status: 500 }
+    );
+  }
+}
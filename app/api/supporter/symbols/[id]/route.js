@@ -0,0 +1,27 @@
+import { NextResponse } from "next/server";
+import { getSupporterFromRequest } from '@/lib/supporters';
+import { removeCustomSymbol } from '@/lib/symbols/custom';
+
+// Remove a custom symbol (any of the user's, not only ones this supporter added)
+export async function DELETE(request, { params }) {
+  try {
+    const supporter = await getSupporterFromRequest(request);
+    if (!supporter) {
+      return NextResponse.json({ error: "This link doesn't work any more. Ask for a new one." }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const removed = await removeCustomSymbol(supporter.userId, id);
+    if (!removed) {
+      return NextResponse.json({ error: "Symbol not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({ deleted: true });
+  } catch (error) {
+    console.error("Error removing custom symbol:", error);
+    return NextResponse.json(
+      { error: "Failed to remove symbol" },
+      { status: 500 }
+    );
+  }
+}
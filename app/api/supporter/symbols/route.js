@@ -0,0 +1,66 @@
+import { NextResponse } from "next/server";
+import { rateLimit, SYMBOL_LIMIT } from '@/lib/rateLimit';
+import { getSupporterFromRequest } from '@/lib/supporters';
+import { listCustomSymbols, addCustomSymbol, validateCustomSymbol, MAX_CUSTOM_SYMBOLS } from '@/lib/symbols/custom';
+
+// List the custom symbols of the user this supporter supports
+export async function GET(request) {
+  try {
+    const supporter = await getSupporterFromRequest(request);
+    if (!supporter) {
+      return NextResponse.json({ error: "This link doesn't work any more. Ask for a new one." }, { status: 401 });
+    }
+
+    const symbols = await listCustomSymbols(supporter.userId, { withImages: true });
+    return NextResponse.json({
+      supporter: { name: supporter.name, shareRepeatedQuestions: supporter.shareRepeatedQuestions },
+      symbols,
+    });
+  } catch (error) {
+    console.error("Error listing custom symbols for supporter:", error);
+    return NextResponse.json(
+      { error: "Failed to load symbols" },
+      { status: 500 }
+    );
+  }
+}
+
+// Add (or replace) a custom symbol for a word
+export async function POST(request) {
+  try {
+    const supporter = await getSupporterFromRequest(request);
+    if (!supporter) {
+      return NextResponse.json({ error: "This link doesn't work any more. Ask for a new one." }, { status: 401 });
+    }
+
+    const rateLimitResult = await rateLimit(`supporter:${supporter.id}`, SYMBOL_LIMIT, 'supporter-symbols');
+    if (!rateLimitResult.allowed) {
+      return NextResponse.json(
+        { error: "Too many requests. Please wait a moment and try again." },
+        { status: 429 }
+      );
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const { symbol: details, error } = validateCustomSymbol(body);
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const result = await addCustomSymbol(supporter.userId, details, { supporterId: supporter.id });
+    if (result.error === 'limit') {
+      return NextResponse.json(
+        { error: `You can add up to ${MAX_CUSTOM_SYMBOLS} pictures` },
+        { status: 409 }
+      );
+    }
+
+    return NextResponse.json({ symbol: result.symbol }, { status: 201 });
+  } catch (error) {
+    console.error("Error adding custom symbol:", error);
+    return NextResponse.json(
+      { error: "Failed to add symbol" },
+      { status: 500 }
+    );
+  }
+}
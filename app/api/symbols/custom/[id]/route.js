@@ -0,0 +1,39 @@
+import { NextResponse } from "next/server";
+import { auth } from '@/lib/auth';
+import { headers } from 'next/headers';
+import { getCustomSymbolImage } from '@/lib/symbols/custom';
+
+// Serve one of the signed-in user's custom symbol pictures
+// Replies link to pictures rather than carrying them, so the browser can cache each one
+export async function GET(request, { params }) {
+  try {
+    const session = await auth.api.getSession({
+      headers: await headers(),
+    });
+
+    if (!session?.user) {
+      return NextResponse.json({ error: "Sign in to see your symbols." }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const image = await getCustomSymbolImage(session.user.id, id);
+    if (!image) {
+      return NextResponse.json({ error: "Symbol not found" }, { status: 404 });
+    }
+
+    const [, contentType, data] = image.match(/^data:([^;]+);base64,(.*)$/);
+    return new NextResponse(Buffer.from(data, 'base64'), {
+      headers: {
+        'Content-Type': contentType,
+        // Private - these are often photos of the user's family
+        'Cache-Control': 'private, max-age=3600',
+      },
+    });
+  } catch (error) {
+    console.error("Error loading custom symbol:", error);
+    return NextResponse.json(
+      { error: "Failed to load symbol" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,74 @@
+import { NextResponse } from "next/server";
+import { getClientIP, SYMBOL_LIMIT } from '@/lib/rateLimit';
+import { logRequest } from '@/lib/logger';
+import { defineMeteredRoute, guardRequest, guardErrorResponse } from '@/lib/guards/pipeline';
+import { resolvePreferences } from '@/lib/preferences';
+import { annotateText } from '@/lib/symbols/annotate';
+import { getCustomSymbolWords } from '@/lib/symbols/custom';
+
+// Replies are capped well below this; anything longer isn't a reply
+const MAX_TEXT_LENGTH = 20000;
+
+const ROUTE = defineMeteredRoute({
+  endpoint: '/api/symbols',
+  usage: 'symbols',
+  // No model is called, so this doesn't count against the daily limit
+  guards: ['blocked', 'rateLimit'],
+  rateLimit: SYMBOL_LIMIT,
+});
+
+// Split a reply into segments with pictograms for its key words
+export async function POST(request) {
+  const startTime = Date.now();
+  const clientIP = getClientIP(request);
+
+  try {
+    const guarded = await guardRequest(request, ROUTE);
+    if (guarded.errorResponse) {
+      return guarded.errorResponse;
+    }
+    const { guard } = guarded;
+    const { userId } = guard;
+
+    const body = await request.json().catch(() => ({}));
+    if (typeof body.text !== 'string' || body.text.length > MAX_TEXT_LENGTH) {
+      return NextResponse.json({ error: "Text is required" }, { status: 400 });
+    }
+
+    const [{ locale }, customSymbols] = await Promise.all([
+      resolvePreferences({ userId, requested: body }),
+      userId ? getCustomSymbolWords(userId) : [],
+    ]);
+    const segments = annotateText(body.text, { locale, customSymbols });
+
+    logRequest({
+      ip: clientIP,
+      endpoint: '/api/symbols',
+      method: 'POST',
+      status: 200,
+      responseTime: Date.now() - startTime,
+    });
+
+    // Check for suspicious activity and log usage
+    const blockError = await guard.finish();
+    if (blockError) {
+      return guardErrorResponse(blockError);
+    }
+
+    return NextResponse.json({ segments }, { headers: guard.limitHeaders });
+  } catch (error) {
+    console.error("Error adding symbols:", error);
+    logRequest({
+      ip: clientIP,
+      endpoint: '/api/symbols',
+      method: 'POST',
+      status: 500,
+      responseTime: Date.now() - startTime,
+      error,
+    });
+    return NextResponse.json(
+      { error: "Failed to add symbols" },
+      { status: 500 }
+    );
+  }
+}
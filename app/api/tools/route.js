@@ -0,0 +1,75 @@
+import { NextResponse } from "next/server";
+import { getClientIP, TOOL_LIMIT } from '@/lib/rateLimit';
+import { logRequest } from '@/lib/logger';
+import { defineMeteredRoute, guardRequest, guardErrorResponse } from '@/lib/guards/pipeline';
+import { resolvePreferences } from '@/lib/preferences';
+import { runTool, isKnownTool } from '@/lib/tools/registry';
+
+const ROUTE = defineMeteredRoute({
+  endpoint: '/api/tools',
+  usage: 'tools',
+  // The Realtime session was already paid for when its token was issued, so tool calls aren't counted again
+  guards: ['blocked', 'rateLimit'],
+  rateLimit: TOOL_LIMIT,
+});
+
+// Voice-mode tool calls come from the browser (the Realtime model talks to it directly),
+// so the client posts each one here to run the same tools /api/chat runs for typed chat
+export async function POST(request) {
+  const startTime = Date.now();
+  const clientIP = getClientIP(request);
+
+  try {
+    const guarded = await guardRequest(request, ROUTE);
+    if (guarded.errorResponse) {
+      return guarded.errorResponse;
+    }
+    const { guard } = guarded;
+    const { sessionId, userId } = guard;
+
+    const body = await request.json().catch(() => ({}));
+    if (typeof body.name !== 'string' || !isKnownTool(body.name)) {
+      return NextResponse.json({ error: "Unknown tool" }, { status: 400 });
+    }
+
+    // Dates and measures follow the user's language
+    const { locale } = await resolvePreferences({ userId, requested: body });
+    const output = await runTool(body.name, body.arguments, {
+      source: 'realtime',
+      sessionId,
+      userId,
+      locale,
+      timeZone: body.timeZone,
+    });
+
+    logRequest({
+      ip: clientIP,
+      endpoint: '/api/tools',
+      method: 'POST',
+      status: 200,
+      responseTime: Date.now() - startTime,
+    });
+
+    // Check for suspicious activity and log usage
+    const blockError = await guard.finish();
+    if (blockError) {
+      return guardErrorResponse(blockError);
+    }
+
+    return NextResponse.json({ output }, { headers: guard.limitHeaders });
+  } catch (error) {
+    console.error("Error running tool:", error);
+    logRequest({
+      ip: clientIP,
+      endpoint: '/api/tools',
+      method: 'POST',
+      status: 500,
+      responseTime: Date.now() - startTime,
+      error,
+    });
+    return NextResponse.json(
+      { error: "Failed to run tool" },
+      { status: 500 }
+    );
+  }
+}
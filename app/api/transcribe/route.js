@@ -0,0 +1,162 @@
+import { NextResponse } from "next/server";
+import { getClientIP, DICTATION_LIMIT } from '@/lib/rateLimit';
+import { validateEnv } from '@/lib/env';
+import { logRequest } from '@/lib/logger';
+import { defineMeteredRoute, guardRequest, guardErrorResponse, readFormData } from '@/lib/guards/pipeline';
+import { getProvider, ProviderError } from '@/lib/llm/provider';
+import { TRANSCRIBE_MODEL } from '@/lib/llm/config';
+import { resolvePreferences } from '@/lib/preferences';
+import { getHtmlLang } from '@/lib/locales';
+import { recordRequestCost } from '@/lib/bot-protection/cost-monitor';
+import { estimateTokens } from '@/lib/tokens';
+
+// Validate environment variables
+try {
+  validateEnv();
+} catch (error) {
+  console.error('Environment validation failed:', error.message);
+}
+
+// A minute of compressed speech is well under 1MB; the client stops recording before this
+const MAX_AUDIO_BYTES = 2000000;
+
+// Recordings the browser makes (MediaRecorder), by the file extension the speech-to-text API expects
+const AUDIO_EXTENSIONS = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'mp4',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+};
+
+// Used only if the provider doesn't report usage - compressed speech runs to roughly this many bytes per audio token
+const AUDIO_BYTES_PER_TOKEN = 250;
+
+const ROUTE = defineMeteredRoute({
+  endpoint: '/api/transcribe',
+  usage: 'transcribe',
+  guards: ['blocked', 'costLimit', 'dailyLimit', 'rateLimit', 'bodySize'],
+  rateLimit: DICTATION_LIMIT,
+  // Room for the form fields around the recording
+  maxBodyBytes: MAX_AUDIO_BYTES + 10000,
+});
+
+// Turn a recording from the microphone button into text for the message box
+// The text is not sent to the assistant here - the user checks it and sends it like anything they typed
+export async function POST(request) {
+  const startTime = Date.now();
+  const clientIP = getClientIP(request);
+  // Holds the daily-limit reservation: committed once there is a transcript, released in finally on any other way out
+  let guard = null;
+
+  try {
+    // Session, blocked sessions, cost limits, daily limit, IP rate limit and body size
+    const guarded = await guardRequest(request, ROUTE);
+    if (guarded.errorResponse) {
+      return guarded.errorResponse;
+    }
+    guard = guarded.guard;
+    const { sessionId, userId } = guard;
+
+    // Counted as it's read - a chunked upload has no Content-Length for the body size guard to check
+    const { form, errorResponse } = await readFormData(request, ROUTE);
+    if (errorResponse) {
+      return errorResponse;
+    }
+    const audio = form?.get('audio');
+    if (!audio || typeof audio === 'string' || audio.size === 0) {
+      return NextResponse.json({ error: "A recording is required" }, { status: 400 });
+    }
+    // The body limit leaves room for the other form fields, so the recording itself is checked too
+    if (audio.size > MAX_AUDIO_BYTES) {
+      return NextResponse.json({ error: "The recording is too long" }, { status: 413 });
+    }
+    const extension = AUDIO_EXTENSIONS[audio.type.split(';')[0].trim()];
+    if (!extension) {
+      return NextResponse.json({ error: "Unsupported recording format" }, { status: 400 });
+    }
+
+    // The user's language helps the speech-to-text model (the locale is only used for anonymous users)
+    const requestedLocale = form.get('locale');
+    const { locale } = await resolvePreferences({
+      userId,
+      requested: typeof requestedLocale === 'string' ? { locale: requestedLocale } : {},
+    });
+
+    const transcription = await getProvider().transcribe({
+      model: TRANSCRIBE_MODEL,
+      audio,
+      filename: `recording.${extension}`,
+      language: getHtmlLang(locale).split('-')[0],
+      signal: request.signal,
+    });
+    const text = transcription.text.trim();
+
+    await recordRequestCost({
+      endpoint: '/api/transcribe',
+      model: TRANSCRIBE_MODEL,
+      sessionId,
+      userId,
+      usage: transcription.usage,
+      estimate: {
+        inputTokens: Math.ceil(audio.size / AUDIO_BYTES_PER_TOKEN),
+        outputTokens: estimateTokens(text),
+      },
+    });
+
+    logRequest({
+      ip: clientIP,
+      endpoint: '/api/transcribe',
+      method: 'POST',
+      status: 200,
+      responseTime: Date.now() - startTime,
+      dailyLimit: guard.dailyLimitSummary
+    });
+
+    // Check for suspicious activity and log usage
+    const blockError = await guard.finish();
+    if (blockError) {
+      return guardErrorResponse(blockError);
+    }
+    // Nothing heard isn't charged - the reservation is released in finally
+    if (text) {
+      await guard.commit();
+    }
+
+    return NextResponse.json({ text }, { headers: guard.limitHeaders });
+
+  } catch (error) {
+    const responseTime = Date.now() - startTime;
+    console.error("Error in transcribe API route:", error);
+
+    let errorMessage = "Failed to transcribe recording";
+    let statusCode = 500;
+
+    if (error instanceof ProviderError) {
+      statusCode = error.status || 500;
+      errorMessage = `API Error: ${error.message || error.name}`;
+    } else if (error.message) {
+      errorMessage = error.message;
+    }
+
+    logRequest({
+      ip: clientIP,
+      endpoint: '/api/transcribe',
+      method: 'POST',
+      status: statusCode,
+      responseTime,
+      error
+    });
+
+    return NextResponse.json(
+      {
+        error: "Failed to transcribe recording",
+        message: errorMessage,
+      },
+      { status: statusCode }
+    );
+  } finally {
+    // Anything that didn't succeed (validation errors, rate limits, failures, blocks) isn't charged
+    await guard?.release();
+  }
+}
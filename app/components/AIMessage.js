@@ -1,7 +1,76 @@
 'use client';
 
-// Basic component to display an AI's message
-export default function AIMessage({ message, transcript = '', currentPlaybackPosition = 0, totalAudioDuration = 0, model }) {
+import { useSymbols } from '@/hooks/useSymbols';
+
+// Actions that ask again about a reply - each answer is kept as a new version of the message
+const REPLY_ACTIONS = [
+  { id: 'simplify', label: 'Say it simpler', pendingLabel: 'Making it simpler...', versionLabel: 'simpler' },
+  { id: 'expand', label: 'Tell me more', pendingLabel: 'Adding more...', versionLabel: 'more detail' },
+];
+
+// Read aloud controls for each playback state - play starts it (or queues it behind another reply)
+const READ_ALOUD_CONTROLS = {
+  idle: [{ command: 'play', label: 'Read aloud' }],
+  queued: [{ command: 'cancel', label: 'Waiting to read... (cancel)' }],
+  loading: [{ command: 'stop', label: 'Getting audio... (stop)' }],
+  playing: [{ command: 'pause', label: 'Pause' }, { command: 'stop', label: 'Stop' }],
+  paused: [{ command: 'resume', label: 'Resume' }, { command: 'stop', label: 'Stop' }],
+};
+
+function describeVersion(version) {
+  return REPLY_ACTIONS.find(action => action.id === version?.action)?.versionLabel || 'first answer';
+}
+
+// Reply text with pictograms above its key words. The pictograms are decorative for screen readers,
+// which read the words as normal.
+function SymbolText({ segments }) {
+  return segments.map((segment, index) => {
+    if (!segment.symbol) {
+      return <span key={index}>{segment.text}</span>;
+    }
+    return (
+      <span key={index} className="inline-flex flex-col items-center align-bottom mx-0.5">
+        <img
+          src={segment.symbol.src}
+          alt=""
+          title={segment.symbol.label}
+          className="h-10 w-10 object-contain rounded-sm"
+          loading="lazy"
+        />
+        <span>{segment.text}</span>
+      </span>
+    );
+  });
+}
+
+// Basic component to display an AI's message, with optional suggested replies to tap instead of typing
+// and actions to simplify or expand it. Everything is a real button, so keyboards and switches can reach it.
+// With showSymbols, key words get pictograms once the reply has finished arriving.
+// onReadAloud(command) plays, pauses, resumes, stops or cancels reading it aloud; readAloud is its { status, error }.
+export default function AIMessage({
+  message,
+  showSymbols = false,
+  locale,
+  transcript = '',
+  currentPlaybackPosition = 0,
+  totalAudioDuration = 0,
+  model,
+  lang,
+  suggestions = [],
+  onSuggestionSelect,
+  versions,
+  versionIndex = 0,
+  pendingAction = null,
+  actionError = null,
+  actionsDisabled = false,
+  onAction,
+  onVersionChange,
+  readAloud = null,
+  onReadAloud,
+}) {
+  const versionCount = versions?.length || 1;
+  const symbolSegments = useSymbols(message, { enabled: showSymbols, locale });
+
   // Check if audio is playing
   const isPlaying = transcript && transcript.trim().length > 0 && totalAudioDuration > 0 && currentPlaybackPosition > 0 && currentPlaybackPosition < totalAudioDuration;
 
@@ -24,11 +93,99 @@ export default function AIMessage({ message, transcript = '', currentPlaybackPos
             />
           )}
           
-          {/* Text content */}
-          <div className="relative pr-6 break-words">
-            {message}
+          {/* Text content - lang lets screen readers pronounce Welsh or Spanish replies properly */}
+          <div className="relative pr-6 break-words" lang={lang}>
+            {symbolSegments ? <SymbolText segments={symbolSegments} /> : message}
           </div>
         </div>
+
+        {(onAction || versionCount > 1 || onReadAloud) && (
+          <div className="flex flex-wrap items-center gap-2 mt-2 ml-1">
+            {onReadAloud && (
+              <div className="flex items-center gap-2" role="group" aria-label="Read aloud">
+                {/* Keyed by position so focus stays on the first button as its label changes */}
+                {READ_ALOUD_CONTROLS[readAloud?.status || 'idle'].map((control, index) => (
+                  <button
+                    key={index}
+                    type="button"
+                    onClick={() => onReadAloud(control.command)}
+                    className="min-h-11 px-4 py-2 text-base rounded-lg border border-light/30 text-light/80 hover:text-light hover:border-light/60 focus:outline-none focus:ring-2 focus:ring-primary-start transition-colors"
+                  >
+                    {control.label}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {onAction && REPLY_ACTIONS.map((action) => (
+              <button
+                key={action.id}
+                type="button"
+                onClick={() => onAction(action.id)}
+                disabled={actionsDisabled}
+                aria-busy={pendingAction === action.id}
+                className="min-h-11 px-4 py-2 text-base rounded-lg border border-light/30 text-light/80 hover:text-light hover:border-light/60 focus:outline-none focus:ring-2 focus:ring-primary-start disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                {pendingAction === action.id ? action.pendingLabel : action.label}
+              </button>
+            ))}
+
+            {versionCount > 1 && onVersionChange && (
+              <div className="flex items-center gap-1" role="group" aria-label="Answer versions">
+                <button
+                  type="button"
+                  onClick={() => onVersionChange(versionIndex - 1)}
+                  disabled={versionIndex === 0}
+                  aria-label="Previous version"
+                  className="min-h-11 min-w-11 rounded-lg border border-light/30 text-light/80 text-xl hover:text-light hover:border-light/60 focus:outline-none focus:ring-2 focus:ring-primary-start disabled:opacity-30 disabled:cursor-not-allowed"
+                >
+                  ‹
+                </button>
+                <span className="text-sm text-light/70 px-1" aria-live="polite">
+                  {versionIndex + 1} of {versionCount} ({describeVersion(versions[versionIndex])})
+                </span>
+                <button
+                  type="button"
+                  onClick={() => onVersionChange(versionIndex + 1)}
+                  disabled={versionIndex >= versionCount - 1}
+                  aria-label="Next version"
+                  className="min-h-11 min-w-11 rounded-lg border border-light/30 text-light/80 text-xl hover:text-light hover:border-light/60 focus:outline-none focus:ring-2 focus:ring-primary-start disabled:opacity-30 disabled:cursor-not-allowed"
+                >
+                  ›
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {readAloud?.error && (
+          <p className="text-red-400 text-sm mt-1 ml-1" role="alert">
+            {readAloud.error}
+          </p>
+        )}
+
+        {actionError && (
+          <p className="text-red-400 text-sm mt-1 ml-1" role="alert">
+            Sorry, that didn&apos;t work: {actionError}
+          </p>
+        )}
+
+        {/* Suggested replies - large targets, sent as the user's next message */}
+        {suggestions.length > 0 && onSuggestionSelect && (
+          <div className="flex flex-wrap gap-2 mt-3 ml-1" role="group" aria-label="Suggested replies">
+            {suggestions.map((suggestion) => (
+              <button
+                key={suggestion}
+                type="button"
+                onClick={() => onSuggestionSelect(suggestion)}
+                className="min-h-12 px-5 py-2 text-lg rounded-full border-2 border-light/40 text-light hover:border-light hover:bg-light/10 focus:outline-none focus:ring-2 focus:ring-primary-start transition-colors"
+                lang={lang}
+              >
+                {suggestion}
+              </button>
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -4,7 +4,20 @@ import UserMessage from './UserMessage';
 import AIMessage from './AIMessage';
 import { useEffect, useRef } from 'react';
 
-export default function ChatDisplay({ messages, isLoading, currentTranscript, currentPlaybackPosition, totalAudioDuration }) {
+/**
+ * A reply's read-aloud status from the player state (see lib/speech-client.js)
+ * The text is checked too, so an edit that puts a new reply at the same index doesn't inherit it
+ */
+function getReadAloud(state, index, content) {
+  if (!state) return null;
+  const isItem = (item) => item?.id === index && item.text === content;
+  const error = state.error?.id === index ? state.error.message : null;
+  if (isItem(state.current)) return { status: state.status, error };
+  if (state.queue.some(isItem)) return { status: 'queued', error };
+  return { status: 'idle', error };
+}
+
+export default function ChatDisplay({ messages, isLoading, currentTranscript, currentPlaybackPosition, totalAudioDuration, replyLang, locale, showSymbols = false, onSuggestionSelect, replyActionState, onReplyAction, onReplyVersionChange, onEditMessage, editingIndex = null, readAloudState = null, onReadAloud }) {
   const endOfMessagesRef = useRef(null);
 
   // Scroll to the bottom when messages change or when loading starts
@@ -22,6 +35,10 @@ export default function ChatDisplay({ messages, isLoading, currentTranscript, cu
     });
   }, [messages, isLoading]);
 
+  // Hide the thinking dots once a streamed reply has started to appear
+  const lastMessage = messages[messages.length - 1];
+  const isReplyStreaming = lastMessage?.role === 'assistant' && lastMessage.isStreaming && !!lastMessage.content;
+
   // If no messages, show welcome text
   if (messages.length === 0 && !isLoading) {
     return (
@@ -40,7 +57,16 @@ export default function ChatDisplay({ messages, isLoading, currentTranscript, cu
     <div className="space-y-6 py-4"> {/* Increased vertical spacing between messages and added padding */}
       {messages.map((message, index) => {
         if (message.role === 'user') {
-          return <UserMessage key={index} message={message.content} />;
+          return (
+            <UserMessage
+              key={index}
+              message={message.content}
+              image={message.image}
+              onEdit={onEditMessage ? () => onEditMessage(index) : null}
+              editDisabled={isLoading}
+              isEditing={editingIndex === index}
+            />
+          );
         } else if (message.role === 'assistant') {
           // Don't render empty assistant messages (they're placeholders)
           if (!message.content || message.content.trim() === '') {
@@ -49,6 +75,11 @@ export default function ChatDisplay({ messages, isLoading, currentTranscript, cu
           // Only highlight the last assistant message if it matches the transcript
           const isLastMessage = index === messages.length - 1;
           const transcript = isLastMessage ? currentTranscript : '';
+          // Only the latest reply offers suggested replies, and not while another is on its way
+          const suggestions = isLastMessage && !isLoading ? message.suggestions || [] : [];
+          // Error notices and moderation redirects can't be simplified or expanded
+          const canUseActions = !message.isStreaming && message.model !== 'system' && message.model !== 'moderation';
+          const actionState = replyActionState?.index === index ? replyActionState : null;
           return (
             <AIMessage 
               key={index} 
@@ -57,6 +88,21 @@ export default function ChatDisplay({ messages, isLoading, currentTranscript, cu
               currentPlaybackPosition={isLastMessage ? currentPlaybackPosition : 0}
               totalAudioDuration={isLastMessage ? totalAudioDuration : 0}
               model={message.model}
+              lang={replyLang}
+              locale={locale}
+              // Error notices aren't worth annotating, and streaming text changes with every chunk
+              showSymbols={showSymbols && canUseActions}
+              suggestions={suggestions}
+              onSuggestionSelect={onSuggestionSelect}
+              versions={message.versions}
+              versionIndex={message.versionIndex ?? 0}
+              pendingAction={actionState?.action || null}
+              actionError={actionState?.error || null}
+              actionsDisabled={!!replyActionState?.action}
+              onAction={canUseActions && onReplyAction ? (action) => onReplyAction(index, action) : null}
+              onVersionChange={onReplyVersionChange ? (versionIndex) => onReplyVersionChange(index, versionIndex) : null}
+              readAloud={getReadAloud(readAloudState, index, message.content)}
+              onReadAloud={canUseActions && onReadAloud ? (command) => onReadAloud(index, command) : null}
             />
           );
         }
@@ -64,7 +110,7 @@ export default function ChatDisplay({ messages, isLoading, currentTranscript, cu
       })}
       
       {/* Thinking dots indicator - shows where the AI reply will appear */}
-      {isLoading && (
+      {isLoading && !isReplyStreaming && (
         <div className="flex justify-start">
           <div 
             className="bg-light text-dark p-4 rounded-lg max-w-lg shadow-md ml-1 flex items-center gap-2"
@@ -0,0 +1,239 @@
+"use client";
+
+import { useState, useEffect, useRef } from 'react';
+import { UNTITLED_CONVERSATION } from '@/lib/conversations/titles';
+
+/**
+ * Header button plus dialog for moving between conversations
+ * Large targets throughout - this is used on tablets by people with motor difficulties
+ */
+export default function ConversationSwitcher({
+  conversations,
+  activeConversationId,
+  onSelect,
+  onNew,
+  onRename,
+  onOpenChange,
+  disabled,
+}) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+  const [error, setError] = useState('');
+  const dialogRef = useRef(null);
+  const renameInputRef = useRef(null);
+  const openButtonRef = useRef(null);
+
+  const activeConversation = conversations.find(c => c.id === activeConversationId);
+  const activeTitle = activeConversation?.title || UNTITLED_CONVERSATION;
+
+  const setOpen = (open) => {
+    setIsOpen(open);
+    setRenamingId(null);
+    setError('');
+    onOpenChange?.(open);
+    if (!open) {
+      // Give focus back to the button that opened the dialog
+      setTimeout(() => openButtonRef.current?.focus(), 0);
+    }
+  };
+
+  // Move focus into the dialog when it opens
+  useEffect(() => {
+    if (isOpen) {
+      setTimeout(() => dialogRef.current?.querySelector('button')?.focus(), 0);
+    }
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (renamingId) {
+      setTimeout(() => {
+        renameInputRef.current?.focus();
+        renameInputRef.current?.select();
+      }, 0);
+    }
+  }, [renamingId]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      if (renamingId) {
+        setRenamingId(null);
+      } else {
+        setOpen(false);
+      }
+    }
+  };
+
+  const handleSelect = (id) => {
+    setOpen(false);
+    if (id !== activeConversationId) {
+      onSelect(id);
+    }
+  };
+
+  const handleNew = () => {
+    setOpen(false);
+    onNew();
+  };
+
+  const startRename = (conversation) => {
+    setError('');
+    setRenamingId(conversation.id);
+    setRenameValue(conversation.title || '');
+  };
+
+  const handleRenameSubmit = async (e) => {
+    e.preventDefault();
+    if (!renameValue.trim()) {
+      setError('Please type a name.');
+      return;
+    }
+    try {
+      await onRename(renamingId, renameValue);
+      setRenamingId(null);
+      setError('');
+    } catch (renameError) {
+      setError('Sorry, that name could not be saved. Please try again.');
+    }
+  };
+
+  return (
+    <>
+      <button
+        ref={openButtonRef}
+        onClick={() => setOpen(true)}
+        disabled={disabled}
+        className={`text-sm px-3 py-1 rounded border transition-colors max-w-[10rem] truncate ${
+          disabled
+            ? 'text-light/30 border-light/10 cursor-not-allowed opacity-50'
+            : 'text-light/60 hover:text-light border-light/20 hover:border-light/40 cursor-pointer'
+        }`}
+        aria-haspopup="dialog"
+        aria-expanded={isOpen}
+        aria-label={`Conversations. Current: ${activeTitle}`}
+        title={activeTitle}
+      >
+        Chats
+      </button>
+
+      {isOpen && (
+        <div
+          className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-[100]"
+          role="dialog"
+          aria-modal="true"
+          aria-labelledby="conversation-switcher-title"
+          onKeyDown={handleKeyDown}
+          onClick={(e) => {
+            if (e.target === e.currentTarget) setOpen(false);
+          }}
+        >
+          <div
+            ref={dialogRef}
+            className="bg-white rounded-2xl shadow-2xl p-6 max-w-md w-full mx-4 border-2 border-gray-200 max-h-[85vh] flex flex-col"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <h2
+              id="conversation-switcher-title"
+              className="text-2xl font-bold mb-4 text-gray-900 text-center"
+            >
+              Your chats
+            </h2>
+
+            <button
+              type="button"
+              onClick={handleNew}
+              className="w-full bg-blue-600 text-white py-4 px-4 rounded-lg text-lg font-semibold hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-400 transition-all mb-4"
+            >
+              + New chat
+            </button>
+
+            {error && (
+              <p className="text-red-700 text-sm mb-3" role="alert">{error}</p>
+            )}
+
+            <ul className="flex flex-col gap-2 overflow-y-auto" aria-label="Saved chats">
+              {conversations.length === 0 && (
+                <li className="text-gray-600 text-center py-4">No saved chats yet.</li>
+              )}
+              {conversations.map((conversation) => {
+                const isActive = conversation.id === activeConversationId;
+                const title = conversation.title || UNTITLED_CONVERSATION;
+
+                if (renamingId === conversation.id) {
+                  return (
+                    <li key={conversation.id}>
+                      <form onSubmit={handleRenameSubmit} className="flex flex-col gap-2">
+                        <label htmlFor="rename-conversation" className="text-sm font-semibold text-gray-900">
+                          New name for &quot;{title}&quot;
+                        </label>
+                        <input
+                          id="rename-conversation"
+                          ref={renameInputRef}
+                          type="text"
+                          value={renameValue}
+                          onChange={(e) => setRenameValue(e.target.value)}
+                          maxLength={60}
+                          className="w-full px-4 py-3 border-2 border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900 bg-white text-lg"
+                        />
+                        <div className="flex gap-2">
+                          <button
+                            type="submit"
+                            className="flex-1 bg-blue-600 text-white py-3 px-4 rounded-lg font-semibold hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-400"
+                          >
+                            Save name
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setRenamingId(null)}
+                            className="flex-1 bg-gray-100 text-gray-900 py-3 px-4 rounded-lg font-semibold hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </form>
+                    </li>
+                  );
+                }
+
+                return (
+                  <li key={conversation.id} className="flex gap-2">
+                    <button
+                      type="button"
+                      onClick={() => handleSelect(conversation.id)}
+                      aria-current={isActive ? 'true' : undefined}
+                      className={`flex-1 text-left py-4 px-4 rounded-lg text-lg font-medium focus:outline-none focus:ring-2 focus:ring-blue-400 transition-all ${
+                        isActive
+                          ? 'bg-blue-50 border-2 border-blue-500 text-gray-900'
+                          : 'bg-gray-100 border-2 border-transparent text-gray-900 hover:bg-gray-200'
+                      }`}
+                    >
+                      {title}
+                      {isActive && <span className="sr-only"> (open now)</span>}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => startRename(conversation)}
+                      className="py-4 px-4 rounded-lg bg-gray-100 text-gray-900 font-semibold hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400"
+                      aria-label={`Rename ${title}`}
+                    >
+                      Rename
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+
+            <button
+              type="button"
+              onClick={() => setOpen(false)}
+              className="text-gray-600 hover:text-gray-800 font-medium text-sm focus:outline-none focus:underline py-3 mt-3"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
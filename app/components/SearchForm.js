@@ -1,12 +1,28 @@
 "use client";
 
 import { useState, useEffect, useRef } from "react";
+import { prepareImage } from "@/lib/images-client";
+import { createDictation } from "@/lib/dictation-client";
 
 const MAX_PROMPT_LENGTH = 10000;
 
-export default function SearchForm({ onSendMessage, isLoading, isModalOpen = false }) {
+// editDraft ({ text, image?, id }) puts an earlier message back in the input for editing;
+// a new id reopens it even when the text is the same
+// onSendMessage(text, { image }) - a photo sent without words uses photoPrompt as its text
+// The microphone button is push to talk: what was said goes into the input to check before sending
+export default function SearchForm({ onSendMessage, isLoading, isModalOpen = false, editDraft = null, onCancelEdit, photoPrompt = "What is in this photo?", locale, onDictationLimitReached }) {
   const [inputValue, setInputValue] = useState("");
+  // Photo to send with the message, as a data URL
+  const [image, setImage] = useState(null);
+  const [imageError, setImageError] = useState(null);
+  const [isPreparingImage, setIsPreparingImage] = useState(false);
+  const [dictation, setDictation] = useState({ status: 'idle', error: null });
   const inputRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const dictationRef = useRef(null);
+  // The recorder is created once, so it reads the latest callback from here
+  const onDictationLimitReachedRef = useRef(onDictationLimitReached);
+  onDictationLimitReachedRef.current = onDictationLimitReached;
   // Track previous loading state to detect changes
   const wasLoading = useRef(isLoading);
   // Track last submit time to prevent rapid submissions
@@ -47,9 +63,99 @@ export default function SearchForm({ onSendMessage, isLoading, isModalOpen = fal
     wasLoading.current = isLoading;
   }, [isLoading, isModalOpen]);
 
+  // Load the message being edited into the input
+  const editDraftId = editDraft?.id;
+  useEffect(() => {
+    if (!editDraftId) return;
+    setInputValue(editDraft.text.slice(0, MAX_PROMPT_LENGTH));
+    setImage(editDraft.image || null);
+    setImageError(null);
+    const timer = setTimeout(() => {
+      if (inputRef.current && inputRef.current.isConnected) {
+        try {
+          inputRef.current.focus();
+        } catch (error) {
+          // Silently handle focus errors
+          console.debug('Focus error:', error);
+        }
+      }
+    }, 50);
+    return () => clearTimeout(timer);
+  }, [editDraftId]);
+
+  // Create the recorder once; it lets go of the microphone when the form goes away
+  useEffect(() => {
+    const recorder = createDictation({
+      onChange: setDictation,
+      onTranscript: (text) => {
+        setInputValue(prev => (prev.trim() ? `${prev.trimEnd()} ${text}` : text).slice(0, MAX_PROMPT_LENGTH));
+        inputRef.current?.focus();
+      },
+      onLimitReached: () => onDictationLimitReachedRef.current?.(),
+    });
+    dictationRef.current = recorder;
+    return () => {
+      recorder.destroy();
+      dictationRef.current = null;
+    };
+  }, []);
+
+  const isRecording = dictation.status === 'starting' || dictation.status === 'recording';
+
+  const handleMicrophonePointerDown = (e) => {
+    if (e.button !== 0) return;
+    // Keep getting pointer events if a finger slides off the button while talking
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    dictationRef.current?.start({ locale });
+  };
+
+  const handleMicrophoneKeyDown = (e) => {
+    if ((e.key === ' ' || e.key === 'Enter') && !e.repeat) {
+      e.preventDefault();
+      dictationRef.current?.start({ locale });
+    }
+  };
+
+  const handleMicrophoneKeyUp = (e) => {
+    if (e.key === ' ' || e.key === 'Enter') {
+      e.preventDefault();
+      dictationRef.current?.stop();
+    }
+  };
+
+  const handleCancelEdit = () => {
+    setInputValue("");
+    setImage(null);
+    onCancelEdit?.();
+  };
+
+  // Phones offer the camera or the photo library from the same picker
+  const handleImageChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // Choosing the same photo again still fires change
+    if (!file) return;
+
+    setImageError(null);
+    setIsPreparingImage(true);
+    try {
+      setImage(await prepareImage(file));
+    } catch (error) {
+      setImage(null);
+      setImageError(error.message);
+    } finally {
+      setIsPreparingImage(false);
+    }
+  };
+
+  const handleRemoveImage = () => {
+    setImage(null);
+    setImageError(null);
+    inputRef.current?.focus();
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (!inputValue.trim() || isLoading) {
+    if ((!inputValue.trim() && !image) || isLoading || isPreparingImage) {
       return;
     }
     
@@ -65,10 +171,13 @@ export default function SearchForm({ onSendMessage, isLoading, isModalOpen = fal
       return; // Error will be shown via character count
     }
     
-    const messageToSend = inputValue.trim();
+    const messageToSend = inputValue.trim() || photoPrompt;
+    const imageToSend = image;
     setInputValue(""); // Clear input immediately to prevent duplicate sends
+    setImage(null);
+    setImageError(null);
     
-    onSendMessage(messageToSend);
+    onSendMessage(messageToSend, { image: imageToSend });
     
     // Refocus the input after clearing (only if modal is not open)
     if (!isModalOpen) {
@@ -90,61 +199,161 @@ export default function SearchForm({ onSendMessage, isLoading, isModalOpen = fal
       onSubmit={handleSubmit}
       role="form"
       aria-label="Chat input form"
-      className="relative w-full"
+      className="w-full"
     >
-      <input
-        ref={inputRef}
-        type="text"
-        name="prompt"
-        value={inputValue}
-        onChange={(e) => {
-          const newValue = e.target.value;
-          // Enforce max length
-          if (newValue.length <= MAX_PROMPT_LENGTH) {
-            setInputValue(newValue);
-          }
-        }}
-        placeholder="Type your message here..."
-        className="input-primary text-xl h-14 pr-28"
-        aria-label="Chat message input"
-        disabled={isLoading}
-        autoComplete="off"
-        role="textbox"
-        autoFocus={!isModalOpen}
-        maxLength={MAX_PROMPT_LENGTH}
-        // Handle focus loss
-        onBlur={() => {
-          // Refocus if we're not loading, modal is not open, and component is still mounted
-          if (!isLoading && !isModalOpen) {
-            setTimeout(() => {
-              if (inputRef.current && inputRef.current.isConnected) {
-                try {
-                  inputRef.current.focus();
-                } catch (error) {
-                  // Silently handle focus errors
-                  console.debug('Focus error:', error);
+      {editDraft && (
+        <div className="flex items-center justify-between gap-2 mb-2 px-1" role="status">
+          <span className="text-sm text-light/70">
+            Editing your message - sending replaces it and everything after it
+          </span>
+          <button
+            type="button"
+            onClick={handleCancelEdit}
+            className="min-h-11 px-4 py-2 text-base rounded-lg border border-light/30 text-light/80 hover:text-light hover:border-light/60 focus:outline-none focus:ring-2 focus:ring-primary-start"
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+      {(image || imageError || isPreparingImage) && (
+        <div className="flex items-center gap-3 mb-2 px-1" role="status">
+          {image && (
+            <img
+              src={image}
+              alt="Photo to send"
+              className="h-16 w-16 object-cover rounded-md border border-light/30"
+            />
+          )}
+          <span className={`text-sm ${imageError ? 'text-red-400' : 'text-light/70'}`}>
+            {imageError || (isPreparingImage ? "Getting your photo ready..." : "This photo will be sent with your message")}
+          </span>
+          {image && (
+            <button
+              type="button"
+              onClick={handleRemoveImage}
+              className="min-h-11 px-4 py-2 ml-auto text-base rounded-lg border border-light/30 text-light/80 hover:text-light hover:border-light/60 focus:outline-none focus:ring-2 focus:ring-primary-start"
+            >
+              Remove photo
+            </button>
+          )}
+        </div>
+      )}
+      {(dictation.status !== 'idle' || dictation.error) && (
+        <div className="flex items-center gap-3 mb-2 px-1" role="status">
+          <span className={`text-sm ${dictation.error ? 'text-red-400' : 'text-light/70'}`}>
+            {dictation.error || {
+              starting: "Getting the microphone ready...",
+              recording: "Listening - let go of the microphone button when you have finished",
+              transcribing: "Writing down what you said...",
+            }[dictation.status]}
+          </span>
+        </div>
+      )}
+      <div className="relative">
+        <input
+          ref={inputRef}
+          type="text"
+          name="prompt"
+          value={inputValue}
+          onChange={(e) => {
+            const newValue = e.target.value;
+            // Enforce max length
+            if (newValue.length <= MAX_PROMPT_LENGTH) {
+              setInputValue(newValue);
+            }
+          }}
+          placeholder="Type your message here..."
+          className="input-primary text-xl h-14 pr-52"
+          aria-label="Chat message input"
+          disabled={isLoading}
+          autoComplete="off"
+          role="textbox"
+          autoFocus={!isModalOpen}
+          maxLength={MAX_PROMPT_LENGTH}
+          onKeyDown={(e) => {
+            if (e.key === 'Escape' && editDraft) {
+              e.preventDefault();
+              handleCancelEdit();
+            }
+          }}
+          // Handle focus loss
+          onBlur={(e) => {
+            // Refocus if we're not loading, modal is not open, and component is still mounted -
+            // unless focus moved to another control (e.g. a keyboard user tabbing to a message's buttons)
+            if (!isLoading && !isModalOpen && !e.relatedTarget) {
+              setTimeout(() => {
+                if (inputRef.current && inputRef.current.isConnected) {
+                  try {
+                    inputRef.current.focus();
+                  } catch (error) {
+                    // Silently handle focus errors
+                    console.debug('Focus error:', error);
+                  }
                 }
-              }
-            }, 100);
-          }
-        }}
-      />
+              }, 100);
+            }
+          }}
+        />
 
-      <div className="absolute right-2 top-1/2 -translate-y-1/2 flex items-center gap-2">
-        {inputValue.length > 0 && (
-          <span className={`text-xs ${inputValue.length > MAX_PROMPT_LENGTH * 0.9 ? 'text-red-400' : 'text-light/40'}`}>
-            {inputValue.length}/{MAX_PROMPT_LENGTH}
-          </span>
-        )}
-        <button
-          type="submit"
-          className="btn-primary h-11 w-24"
-          aria-label={isLoading ? "Please wait, sending..." : "Send message"}
-          disabled={isLoading || inputValue.length > MAX_PROMPT_LENGTH}
-          role="button"
-        >
-          {isLoading ? "Sending..." : "Send"}
-        </button>
+        <div className="absolute right-2 top-1/2 -translate-y-1/2 flex items-center gap-2">
+          {inputValue.length > 0 && (
+            <span className={`text-xs ${inputValue.length > MAX_PROMPT_LENGTH * 0.9 ? 'text-red-400' : 'text-light/40'}`}>
+              {inputValue.length}/{MAX_PROMPT_LENGTH}
+            </span>
+          )}
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/*"
+            className="hidden"
+            onChange={handleImageChange}
+            tabIndex={-1}
+            aria-hidden="true"
+          />
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            className="h-11 w-11 flex items-center justify-center rounded-lg border border-light/30 text-light/80 hover:text-light hover:border-light/60 focus:outline-none focus:ring-2 focus:ring-primary-start disabled:opacity-50 disabled:cursor-not-allowed"
+            aria-label={image ? "Change photo" : "Add a photo"}
+            title={image ? "Change photo" : "Add a photo"}
+            disabled={isLoading || isPreparingImage}
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="h-6 w-6" aria-hidden="true">
+              <path d="M23 19a2 2 0 0 1-2 2H3a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h4l2-3h6l2 3h4a2 2 0 0 1 2 2z" />
+              <circle cx="12" cy="13" r="4" />
+            </svg>
+          </button>
+          <button
+            type="button"
+            onPointerDown={handleMicrophonePointerDown}
+            onPointerUp={() => dictationRef.current?.stop()}
+            onPointerCancel={() => dictationRef.current?.stop()}
+            onKeyDown={handleMicrophoneKeyDown}
+            onKeyUp={handleMicrophoneKeyUp}
+            // A long press would otherwise open the phone's menu
+            onContextMenu={(e) => e.preventDefault()}
+            className={`h-11 w-11 flex items-center justify-center rounded-lg border select-none touch-none focus:outline-none focus:ring-2 focus:ring-primary-start disabled:opacity-50 disabled:cursor-not-allowed ${isRecording ? 'border-red-400 bg-red-500/20 text-red-300' : 'border-light/30 text-light/80 hover:text-light hover:border-light/60'}`}
+            aria-label="Hold to speak your message"
+            aria-pressed={isRecording}
+            title="Hold to speak your message"
+            disabled={isLoading || dictation.status === 'transcribing'}
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="h-6 w-6" aria-hidden="true">
+              <rect x="9" y="2" width="6" height="12" rx="3" />
+              <path d="M5 10v1a7 7 0 0 0 14 0v-1" />
+              <line x1="12" y1="18" x2="12" y2="22" />
+            </svg>
+          </button>
+          <button
+            type="submit"
+            className="btn-primary h-11 w-24"
+            aria-label={isLoading ? "Please wait, sending..." : "Send message"}
+            disabled={isLoading || isPreparingImage || inputValue.length > MAX_PROMPT_LENGTH}
+            role="button"
+          >
+            {isLoading ? "Sending..." : "Send"}
+          </button>
+        </div>
       </div>
     </form>
   );
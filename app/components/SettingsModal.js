@@ -0,0 +1,320 @@
+"use client";
+
+import { useState, useEffect, useRef } from 'react';
+import { READING_LEVELS } from '@/lib/reading-levels';
+import { LOCALES } from '@/lib/locales';
+import { fetchCustomSymbols, deleteCustomSymbol } from '@/lib/symbols/client';
+import { VOICES, SPEECH_SPEEDS, SPEECH_PITCHES } from '@/lib/voices';
+
+const SYMBOL_OPTIONS = [
+  { id: 'on', label: 'Show symbols', description: 'Pictures above key words in replies, like a cup above "drink".' },
+  { id: 'off', label: 'Words only', description: 'Replies are shown as text.' },
+];
+
+/**
+ * The pictures supporters have added for the user's words, each with a button to remove it
+ */
+function CustomSymbolList({ symbols, onRemove, disabled }) {
+  if (symbols.length === 0) {
+    return (
+      <p className="text-sm text-gray-600 mb-4">
+        Your supporters can add their own pictures for words, like a photo of themselves. We email them a link when you add them.
+      </p>
+    );
+  }
+  return (
+    <div className="mb-4">
+      <h3 className="text-base font-semibold mb-2 text-gray-900">Pictures from your supporters</h3>
+      <ul className="flex flex-col gap-2">
+        {symbols.map((symbol) => (
+          <li key={symbol.id} className="flex items-center gap-3 p-2 rounded-lg bg-gray-50 border-2 border-gray-200">
+            <img
+              src={`/api/symbols/custom/${symbol.id}?v=${new Date(symbol.updatedAt).getTime()}`}
+              alt=""
+              className="h-12 w-12 object-cover rounded-md"
+            />
+            <span className="flex-1 text-lg text-gray-900">
+              {symbol.word}
+              {symbol.supporter?.name && (
+                <span className="block text-xs text-gray-500">Added by {symbol.supporter.name}</span>
+              )}
+            </span>
+            <button
+              type="button"
+              onClick={() => onRemove(symbol)}
+              disabled={disabled}
+              className="min-h-11 px-3 text-red-700 hover:text-red-900 font-medium text-sm rounded-lg focus:outline-none focus:ring-2 focus:ring-red-400 disabled:opacity-50"
+              aria-label={`Remove the picture for ${symbol.word}`}
+            >
+              Remove
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+/**
+ * One setting shown as a list of large radio options
+ */
+function OptionGroup({ name, legend, hint, options, value, onChange, disabled, selectedOptionRef }) {
+  return (
+    <fieldset className="mb-4" disabled={disabled}>
+      <legend className="text-lg font-semibold mb-1 text-gray-900">{legend}</legend>
+      <p className="text-sm text-gray-600 mb-3">{hint}</p>
+
+      <div className="flex flex-col gap-2">
+        {options.map((option) => {
+          const isSelected = option.id === value;
+          return (
+            <label
+              key={option.id}
+              className={`flex items-start gap-3 p-4 rounded-lg border-2 cursor-pointer transition-all ${
+                isSelected
+                  ? 'bg-blue-50 border-blue-500'
+                  : 'bg-gray-50 border-gray-200 hover:border-gray-400'
+              }`}
+            >
+              <input
+                ref={isSelected ? selectedOptionRef : null}
+                type="radio"
+                name={name}
+                value={option.id}
+                checked={isSelected}
+                onChange={() => onChange(option.id)}
+                className="mt-1 w-5 h-5"
+              />
+              <span>
+                <span className="block text-lg font-semibold text-gray-900">{option.label}</span>
+                <span className="block text-sm text-gray-600">{option.description}</span>
+              </span>
+            </label>
+          );
+        })}
+      </div>
+    </fieldset>
+  );
+}
+
+// voiceSettings = { voice, speechSpeed, speechPitch }; previewStatus is the voice preview's
+// read-aloud status (idle, loading, playing or paused)
+export default function SettingsModal({
+  isOpen,
+  onClose,
+  readingLevel,
+  locale,
+  showSymbols = false,
+  voiceSettings,
+  onPreviewVoice,
+  onStopPreview,
+  previewStatus = 'idle',
+  previewError = null,
+  onPreferenceChange,
+  isSignedIn,
+}) {
+  const [status, setStatus] = useState('');
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [customSymbols, setCustomSymbols] = useState([]);
+  const selectedOptionRef = useRef(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      setStatus('');
+      setError('');
+      setTimeout(() => selectedOptionRef.current?.focus(), 100);
+    }
+  }, [isOpen]);
+
+  // Supporters' pictures only exist for signed-in users
+  useEffect(() => {
+    if (!isOpen || !isSignedIn || !showSymbols) return;
+    fetchCustomSymbols()
+      .then(setCustomSymbols)
+      .catch((loadError) => console.error('Failed to load custom symbols:', loadError));
+  }, [isOpen, isSignedIn, showSymbols]);
+
+  if (!isOpen) return null;
+
+  // updates = e.g. { locale: 'cy' }; savedMessage is read out once the change is saved
+  const handleChange = async (updates, savedMessage) => {
+    if (isSaving) return;
+    setIsSaving(true);
+    setError('');
+    setStatus('');
+    try {
+      await onPreferenceChange(updates);
+      setStatus(savedMessage);
+    } catch (saveError) {
+      setError('Sorry, your setting could not be saved. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRemoveSymbol = async (symbol) => {
+    if (isSaving) return;
+    setIsSaving(true);
+    setError('');
+    setStatus('');
+    try {
+      await deleteCustomSymbol(symbol.id);
+      setCustomSymbols(prev => prev.filter(s => s.id !== symbol.id));
+      setStatus(`Removed the picture for "${symbol.word}".`);
+    } catch (removeError) {
+      setError('Sorry, that picture could not be removed. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-[100]"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="settings-modal-title"
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') onClose();
+      }}
+      onClick={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div
+        className="bg-white rounded-2xl shadow-2xl p-6 max-w-md w-full mx-4 border-2 border-gray-200 max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2
+          id="settings-modal-title"
+          className="text-2xl font-bold mb-4 text-gray-900 text-center"
+        >
+          Settings
+        </h2>
+
+        <OptionGroup
+          name="reading-level"
+          legend="Reading level"
+          hint="How should the assistant write to you?"
+          options={READING_LEVELS}
+          value={readingLevel}
+          onChange={(level) => {
+            if (level !== readingLevel) {
+              handleChange({ readingLevel: level }, 'Saved. New replies will use this reading level.');
+            }
+          }}
+          disabled={isSaving}
+          selectedOptionRef={selectedOptionRef}
+        />
+
+        <OptionGroup
+          name="locale"
+          legend="Language and accent"
+          hint="Which language should the assistant use, and how should it sound?"
+          options={LOCALES}
+          value={locale}
+          onChange={(id) => {
+            if (id !== locale) {
+              handleChange({ locale: id }, 'Saved. New replies will use this language.');
+            }
+          }}
+          disabled={isSaving}
+        />
+
+        <OptionGroup
+          name="symbols"
+          legend="Symbols"
+          hint="Would pictures next to words help you read replies?"
+          options={SYMBOL_OPTIONS}
+          value={showSymbols ? 'on' : 'off'}
+          onChange={(id) => {
+            if ((id === 'on') !== showSymbols) {
+              handleChange({ symbols: id === 'on' }, id === 'on' ? 'Saved. Replies will show symbols.' : 'Saved. Replies will show words only.');
+            }
+          }}
+          disabled={isSaving}
+        />
+
+        {isSignedIn && showSymbols && (
+          <CustomSymbolList symbols={customSymbols} onRemove={handleRemoveSymbol} disabled={isSaving} />
+        )}
+
+        <OptionGroup
+          name="voice"
+          legend="Voice"
+          hint="Which voice should read replies to you?"
+          options={VOICES}
+          value={voiceSettings.voice}
+          onChange={(id) => {
+            if (id !== voiceSettings.voice) {
+              handleChange({ voice: id }, 'Saved. Spoken replies will use this voice.');
+            }
+          }}
+          disabled={isSaving}
+        />
+
+        <OptionGroup
+          name="speech-speed"
+          legend="Speaking speed"
+          hint="How fast should replies be read?"
+          options={SPEECH_SPEEDS}
+          value={voiceSettings.speechSpeed}
+          onChange={(id) => {
+            if (id !== voiceSettings.speechSpeed) {
+              handleChange({ speechSpeed: id }, 'Saved. Spoken replies will use this speed.');
+            }
+          }}
+          disabled={isSaving}
+        />
+
+        <OptionGroup
+          name="speech-pitch"
+          legend="Pitch"
+          hint="Should the voice sound lower or higher?"
+          options={SPEECH_PITCHES}
+          value={voiceSettings.speechPitch}
+          onChange={(id) => {
+            if (id !== voiceSettings.speechPitch) {
+              handleChange({ speechPitch: id }, 'Saved. Spoken replies will use this pitch.');
+            }
+          }}
+          disabled={isSaving}
+        />
+
+        {onPreviewVoice && (
+          <div className="mb-4">
+            <button
+              type="button"
+              onClick={previewStatus === 'idle' ? onPreviewVoice : onStopPreview}
+              disabled={isSaving}
+              className="w-full bg-blue-50 text-blue-900 border-2 border-blue-500 py-3 px-4 rounded-lg font-semibold hover:bg-blue-100 focus:outline-none focus:ring-2 focus:ring-blue-400 disabled:opacity-50 transition-all"
+            >
+              {previewStatus === 'idle' ? 'Hear this voice' : previewStatus === 'loading' ? 'Getting audio... (stop)' : 'Stop'}
+            </button>
+            {previewError && <p className="text-red-700 text-sm mt-2" role="alert">{previewError}</p>}
+          </div>
+        )}
+
+        <div aria-live="polite" className="min-h-[1.5rem] mb-2">
+          {status && <p className="text-green-700 text-sm">{status}</p>}
+          {error && <p className="text-red-700 text-sm" role="alert">{error}</p>}
+        </div>
+
+        {!isSignedIn && (
+          <p className="text-sm text-gray-600 mb-4">
+            Settings are saved on this device. Sign in to keep them on all your devices.
+          </p>
+        )}
+
+        <button
+          type="button"
+          onClick={onClose}
+          className="w-full bg-gray-100 text-gray-900 py-3 px-4 rounded-lg font-semibold hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-all"
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,16 +1,37 @@
 'use client';
 
 // Basic component to display a user's message
-export default function UserMessage({ message }) {
+// With onEdit, the message can be reopened in the input to change and send again
+// image is a photo sent with the message (a data URL)
+export default function UserMessage({ message, image = null, onEdit, editDisabled = false, isEditing = false }) {
   return (
-    <div className="flex justify-end">
+    <div className="flex flex-col items-end gap-1">
       <div 
-        className="bg-primary-start text-light p-4 rounded-lg max-w-lg shadow-md mr-1 break-words" 
+        className={`bg-primary-start text-light p-4 rounded-lg max-w-lg shadow-md mr-1 break-words ${isEditing ? 'ring-2 ring-light/60' : ''}`} 
         role="log"
         aria-live="off"
       >
+        {image && (
+          // A data URL, so there is nothing for next/image to optimise
+          <img
+            src={image}
+            alt="Photo you sent"
+            className="max-h-64 w-auto rounded-md mb-2"
+          />
+        )}
         {message}
       </div>
+      {onEdit && (
+        <button
+          type="button"
+          onClick={onEdit}
+          disabled={editDisabled || isEditing}
+          aria-label={isEditing ? 'Editing this message' : 'Edit this message'}
+          className="min-h-11 px-4 py-2 mr-1 text-base rounded-lg text-light/70 hover:text-light focus:outline-none focus:ring-2 focus:ring-primary-start disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {isEditing ? 'Editing…' : 'Edit'}
+        </button>
+      )}
     </div>
   );
-} 
\ No newline at end of file
+} 
@@ -0,0 +1,31 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { fetchSymbolSegments } from "@/lib/symbols/client";
+
+/**
+ * Segments of a reply with pictograms for its key words
+ * @param {string} text - Reply text
+ * @param {{enabled: boolean, locale: string}} options - Skip while a reply is still streaming in
+ * @returns {Array|null} null until loaded, or when off or the request failed (show the plain text)
+ */
+export function useSymbols(text, { enabled, locale }) {
+  const [segments, setSegments] = useState(null);
+
+  useEffect(() => {
+    setSegments(null);
+    if (!enabled || !text) return;
+
+    let cancelled = false;
+    fetchSymbolSegments(text, { locale })
+      .then((result) => {
+        if (!cancelled) setSegments(result);
+      })
+      .catch((error) => console.error("Failed to load symbols:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [text, enabled, locale]);
+
+  return segments;
+}
@@ -0,0 +1,96 @@
+/**
+ * Shared checks for the /api/admin routes
+ * Operators are ordinary users whose role column is set to 'operator' in the database.
+ */
+
+import { NextResponse } from "next/server";
+import { headers } from 'next/headers';
+import { auth } from '../auth.js';
+import { getDB } from '../db/db.js';
+import { rateLimit, ADMIN_LIMIT } from '../rateLimit.js';
+
+export const OPERATOR_ROLE = 'operator';
+
+/**
+ * Make sure the request comes from a signed-in operator who isn't over the rate limit
+ * @returns {Promise<{userId: string|null, errorResponse: NextResponse|null}>}
+ */
+export async function authorizeOperatorRequest() {
+  const session = await auth.api.getSession({
+    headers: await headers(),
+  });
+
+  if (!session?.user) {
+    return {
+      userId: null,
+      errorResponse: NextResponse.json(
+        { error: "Authentication required" },
+        { status: 401 }
+      ),
+    };
+  }
+
+  const userId = session.user.id;
+
+  // Role isn't part of the session, so read it fresh - removing an operator takes effect straight away
+  const prisma = getDB();
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { role: true },
+  });
+
+  if (user?.role !== OPERATOR_ROLE) {
+    return {
+      userId,
+      errorResponse: NextResponse.json(
+        { error: "Operator access required" },
+        { status: 403 }
+      ),
+    };
+  }
+
+  const rateLimitResult = await rateLimit(userId, ADMIN_LIMIT, 'admin');
+
+  if (!rateLimitResult.allowed) {
+    const retryAfter = Math.ceil((rateLimitResult.resetAt.getTime() - Date.now()) / 1000);
+    return {
+      userId,
+      errorResponse: NextResponse.json(
+        { error: "Rate limit exceeded. Please try again later." },
+        {
+          status: 429,
+          headers: {
+            'X-RateLimit-Limit': ADMIN_LIMIT.toString(),
+            'X-RateLimit-Remaining': '0',
+            'X-RateLimit-Reset': rateLimitResult.resetAt.toISOString(),
+            'Retry-After': retryAfter.toString(),
+          },
+        }
+      ),
+    };
+  }
+
+  return { userId, errorResponse: null };
+}
+
+/**
+ * Find a user by ID or email, for assigning profiles and organisations
+ * @param {{userId?: string, email?: string}} target - Request body
+ * @returns {Promise<string|null>} User ID, or null if no such user
+ */
+export async function findUserId({ userId, email } = {}) {
+  const prisma = getDB();
+
+  if (typeof userId === 'string' && userId) {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true } });
+    return user?.id || null;
+  }
+  if (typeof email === 'string' && email) {
+    const user = await prisma.user.findUnique({
+      where: { email: email.trim().toLowerCase() },
+      select: { id: true },
+    });
+    return user?.id || null;
+  }
+  return null;
+}
@@ -0,0 +1,18 @@
+/**
+ * Browser helper for the supporter page showing repeated questions (/api/supporter/repetition)
+ */
+
+/**
+ * @param {string} token - From the supporter's emailed link
+ * @returns {Promise<{supporter: {name: string}, days: number, questions: Array<{question: string, repeats: number, lastAskedAt: string}>}>}
+ */
+export async function fetchRepeatedQuestions(token) {
+  const response = await fetch('/api/supporter/repetition', {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed: ${response.status}`);
+  }
+  return data;
+}
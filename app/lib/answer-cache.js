@@ -0,0 +1,215 @@
+/**
+ * Answer cache for repeated questions
+ * Some users ask the same question again and again (see the perseveration section in prompts.js).
+ * With ANSWER_CACHE_MODE on, a question asked again in the same conversation within the window is
+ * answered from the last reply without calling the model or using the daily limit. Anything else that
+ * shapes the answer - the prompt profile version, reading level and language - is part of the key too,
+ * so a changed setting always gets a fresh answer.
+ * Every hit is recorded, so a user's supporters can see which questions keep coming back.
+ *
+ * Matching is exact after tidying case, punctuation and spacing - "What's your name?" and
+ * "whats your name" match, but differently worded questions don't.
+ */
+
+import { createHash } from 'crypto';
+import { getDB } from './db/db.js';
+import { getLocale } from './locales.js';
+
+// "off" (default), "previous" (send the last answer again) or "reminder" (say it was asked before, then the answer)
+const ANSWER_CACHE_MODE = (process.env.ANSWER_CACHE_MODE || 'off').trim().toLowerCase();
+const ANSWER_CACHE_MODES = ['off', 'previous', 'reminder'];
+
+const DEFAULT_WINDOW_MINUTES = 30;
+
+// Short messages ("yes", "why?", "tell me more") depend on what came before, so are never answered from the cache
+const MIN_CACHEABLE_WORDS = 3;
+
+// Longer than any question worth keeping for supporters to read
+const MAX_STORED_PROMPT_LENGTH = 500;
+
+// Longer than any conversation ID we hand out (server cuids and local_ IDs)
+const MAX_CONVERSATION_ID_LENGTH = 100;
+
+// Model name sent back for a cached answer
+export const ANSWER_CACHE_MODEL = 'cache';
+
+// How far back supporters can see repeated questions
+export const REPETITION_DAYS = 30;
+
+function getMode() {
+  if (ANSWER_CACHE_MODES.includes(ANSWER_CACHE_MODE)) return ANSWER_CACHE_MODE;
+  console.warn(`Unknown ANSWER_CACHE_MODE "${ANSWER_CACHE_MODE}", answer cache is off`);
+  return 'off';
+}
+
+function getWindowMs() {
+  const minutes = Number(process.env.ANSWER_CACHE_WINDOW_MINUTES);
+  return (minutes > 0 ? minutes : DEFAULT_WINDOW_MINUTES) * 60 * 1000;
+}
+
+/**
+ * Tidy a question for matching
+ * @param {string} prompt
+ * @returns {string}
+ */
+export function normalizePrompt(prompt) {
+  return prompt
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[\p{P}\p{S}]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Key for a question, or null if it shouldn't be cached
+ * @param {string} prompt
+ * @returns {string|null}
+ */
+function getPromptKey(prompt) {
+  const normalized = normalizePrompt(prompt);
+  if (normalized.split(' ').length < MIN_CACHEABLE_WORDS) return null;
+  return createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Key for everything besides the question that shapes an answer, or null if there is no conversation to scope it to
+ * @param {Object} scope
+ * @param {string|null} scope.conversationId - Conversation the question was asked in
+ * @param {{profileId?: string|null, version?: number|null}} scope.profile - User's prompt profile
+ * @param {string} scope.readingLevel - Reading level ID
+ * @param {string} scope.locale - Locale ID
+ * @returns {string|null}
+ */
+function getContextKey({ conversationId, profile = {}, readingLevel, locale }) {
+  if (typeof conversationId !== 'string' || !conversationId || conversationId.length > MAX_CONVERSATION_ID_LENGTH) {
+    return null;
+  }
+  return createHash('sha256')
+    .update(JSON.stringify([conversationId, profile.profileId ?? null, profile.version ?? null, readingLevel, locale]))
+    .digest('hex');
+}
+
+/**
+ * Whether the answer cache is on
+ * @returns {boolean}
+ */
+export function isAnswerCacheEnabled() {
+  return getMode() !== 'off';
+}
+
+/**
+ * Look for an answer to the same question asked earlier in the conversation, recording a hit if there is one
+ * @param {Object} params
+ * @param {string} params.sessionId - Session ID
+ * @param {string|null} params.userId - User ID (if logged in)
+ * @param {string} params.prompt - The user's message
+ * @param {string|null} params.conversationId - Conversation it was asked in (no conversation, no cache)
+ * @param {Object} params.profile - User's prompt profile (from resolvePromptProfile)
+ * @param {string} params.readingLevel - Reading level ID
+ * @param {string} params.locale - Locale ID, also used for the reminder wording
+ * @returns {Promise<{response: string, model: string}|null>} null on a miss, when the cache is off, or if it failed
+ */
+export async function findRepeatedAnswer({ sessionId, userId = null, prompt, conversationId, profile, readingLevel, locale }) {
+  const mode = getMode();
+  const promptKey = getPromptKey(prompt);
+  const contextKey = getContextKey({ conversationId, profile, readingLevel, locale });
+  if (mode === 'off' || !promptKey || !contextKey) return null;
+
+  const prisma = getDB();
+  try {
+    const entry = await prisma.answerCacheEntry.findUnique({
+      where: { sessionId_contextKey_promptKey: { sessionId, contextKey, promptKey } },
+    });
+    if (!entry || Date.now() - entry.answeredAt.getTime() > getWindowMs()) return null;
+
+    await prisma.$transaction([
+      prisma.answerCacheEntry.update({
+        where: { id: entry.id },
+        data: { hits: { increment: 1 } },
+      }),
+      prisma.answerCacheHit.create({
+        data: { sessionId, userId, promptKey, prompt: prompt.slice(0, MAX_STORED_PROMPT_LENGTH) },
+      }),
+    ]);
+
+    const response = mode === 'reminder'
+      ? `${getLocale(locale).repeatIntro} ${entry.answer}`
+      : entry.answer;
+    return { response, model: ANSWER_CACHE_MODEL };
+  } catch (error) {
+    console.error('Error reading answer cache:', error);
+    // Don't throw - ask the model instead
+    return null;
+  }
+}
+
+/**
+ * Keep an answer for the next time the question is asked in this conversation
+ * Only call for plain answers - not moderated replies, reply actions, photos or answers that used tools
+ * (the time or a countdown would be wrong when sent again).
+ * @param {Object} params
+ * @param {string} params.sessionId - Session ID
+ * @param {string} params.prompt - The user's message
+ * @param {string} params.answer - The reply sent
+ * @param {string|null} params.conversationId - Conversation it was asked in
+ * @param {Object} params.profile - User's prompt profile
+ * @param {string} params.readingLevel - Reading level ID
+ * @param {string} params.locale - Locale ID
+ */
+export async function rememberAnswer({ sessionId, prompt, answer, conversationId, profile, readingLevel, locale }) {
+  const promptKey = getPromptKey(prompt);
+  const contextKey = getContextKey({ conversationId, profile, readingLevel, locale });
+  if (!isAnswerCacheEnabled() || !promptKey || !contextKey) return;
+
+  const prisma = getDB();
+  // A new answer starts the window again - the question was asked after the last one ran out
+  const data = { answer, answeredAt: new Date() };
+  try {
+    await prisma.answerCacheEntry.upsert({
+      where: { sessionId_contextKey_promptKey: { sessionId, contextKey, promptKey } },
+      create: { sessionId, contextKey, promptKey, ...data },
+      update: data,
+    });
+  } catch (error) {
+    console.error('Error saving answer cache:', error);
+    // Don't throw - the reply was already sent
+  }
+}
+
+/**
+ * Questions a user has asked again, most repeated first, for their supporters
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<{question: string, repeats: number, lastAskedAt: Date}>>} repeats is how often it was
+ *   answered from the cache in the last REPETITION_DAYS days
+ */
+export async function listRepeatedQuestions(userId) {
+  const prisma = getDB();
+  const where = { userId, createdAt: { gte: new Date(Date.now() - REPETITION_DAYS * 24 * 60 * 60 * 1000) } };
+
+  const [groups, latest] = await Promise.all([
+    prisma.answerCacheHit.groupBy({
+      by: ['promptKey'],
+      where,
+      _count: { _all: true },
+      _max: { createdAt: true },
+    }),
+    // The most recent wording of each question
+    prisma.answerCacheHit.findMany({
+      where,
+      distinct: ['promptKey'],
+      orderBy: { createdAt: 'desc' },
+      select: { promptKey: true, prompt: true },
+    }),
+  ]);
+
+  const wording = new Map(latest.map(hit => [hit.promptKey, hit.prompt]));
+  return groups
+    .map(group => ({
+      question: wording.get(group.promptKey),
+      repeats: group._count._all,
+      lastAskedAt: group._max.createdAt,
+    }))
+    .sort((a, b) => b.repeats - a.repeats || b.lastAskedAt - a.lastAskedAt);
+}
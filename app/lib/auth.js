@@ -1,27 +1,13 @@
 import { betterAuth } from "better-auth";
 import { prismaAdapter } from "better-auth/adapters/prisma";
 import { nextCookies } from "better-auth/next-js";
-import { Resend } from "resend";
 import { PrismaClient } from "@prisma/client";
+import { sendEmail } from "./email.js";
 
 const prisma = new PrismaClient();
 
-// Initialize Resend if API key is provided
-const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
-
 // Custom email sending function for password reset
-const sendResetPassword = async ({ user, url, token }) => {
-  if (!resend) {
-    console.error("Resend not configured - email cannot be sent");
-    throw new Error("Email service not configured. Please set RESEND_API_KEY environment variable.");
-  }
-
-  // Use verified domain if available, otherwise fallback to test domain
-  // Note: Domain must be verified in Resend to send to any recipient
-  let from = (process.env.RESEND_FROM_EMAIL || "onboarding@resend.dev").trim();
-  
-  // If using custom domain but it's not verified, Resend will only allow sending to your verified email
-  // For now, we'll use the from address as configured
+const sendResetPassword = async ({ user, url }) => {
   const subject = "Reset your password";
   const html = `
     <h2>Reset Your Password</h2>
@@ -33,25 +19,7 @@ const sendResetPassword = async ({ user, url, token }) => {
   `;
   const text = `Reset your password by clicking this link: ${url}\n\nThis link will expire in 1 hour.`;
 
-  try {
-    const result = await resend.emails.send({
-      from,
-      to: user.email,
-      subject,
-      html,
-      text,
-    });
-
-    if (result.error) {
-      console.error("Resend error:", result.error);
-      throw new Error(result.error.message || "Failed to send email");
-    }
-
-    return { success: true, messageId: result.data?.id };
-  } catch (error) {
-    console.error("Email send error:", error);
-    throw error;
-  }
+  return sendEmail({ to: user.email, subject, html, text });
 };
 
 export const auth = betterAuth({
@@ -14,6 +14,14 @@ const GPT_5_1_INPUT_COST_PER_1K = 0.01; // $0.01 per 1K input tokens
 const GPT_5_1_OUTPUT_COST_PER_1K = 0.03; // $0.03 per 1K output tokens
 const GPT_4O_INPUT_COST_PER_1K = 0.005; // $0.005 per 1K input tokens
 const GPT_4O_OUTPUT_COST_PER_1K = 0.015; // $0.015 per 1K output tokens
+const GPT_4O_MINI_TTS_INPUT_COST_PER_1K = 0.0006; // $0.0006 per 1K text tokens
+const GPT_4O_MINI_TTS_OUTPUT_COST_PER_1K = 0.012; // $0.012 per 1K audio tokens
+const GPT_4O_MINI_TRANSCRIBE_INPUT_COST_PER_1K = 0.003; // $0.003 per 1K audio tokens
+const GPT_4O_MINI_TRANSCRIBE_OUTPUT_COST_PER_1K = 0.005; // $0.005 per 1K text tokens
+
+// Daily totals are incremented on every request and rebuilt from the ledger this often, correcting any lost update
+const RECONCILE_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes
+let lastReconciledAt = 0;
 
 /**
  * Estimate cost for a request
@@ -29,6 +37,12 @@ export function estimateCost(inputTokens, outputTokens, model = 'gpt-5.1') {
   } else if (model === 'gpt-4o') {
     return (inputTokens / 1000) * GPT_4O_INPUT_COST_PER_1K + 
            (outputTokens / 1000) * GPT_4O_OUTPUT_COST_PER_1K;
+  } else if (model === 'gpt-4o-mini-tts') {
+    return (inputTokens / 1000) * GPT_4O_MINI_TTS_INPUT_COST_PER_1K + 
+           (outputTokens / 1000) * GPT_4O_MINI_TTS_OUTPUT_COST_PER_1K;
+  } else if (model === 'gpt-4o-mini-transcribe') {
+    return (inputTokens / 1000) * GPT_4O_MINI_TRANSCRIBE_INPUT_COST_PER_1K + 
+           (outputTokens / 1000) * GPT_4O_MINI_TRANSCRIBE_OUTPUT_COST_PER_1K;
   }
   
   // Default estimate
@@ -36,46 +50,140 @@ export function estimateCost(inputTokens, outputTokens, model = 'gpt-5.1') {
 }
 
 /**
- * Track cost for a request
- * @param {number} cost - Cost in USD
- * @param {number} inputTokens - Input token count
- * @param {number} outputTokens - Output token count
+ * Pick the token counts to bill a request with
+ * Real provider usage wins; the character-based estimate is only a fallback
+ * @param {{inputTokens: number, outputTokens: number, reasoningTokens?: number}|null} usage - Usage reported by the provider
+ * @param {{inputTokens: number, outputTokens: number}} estimate - Our own estimate
+ * @returns {{inputTokens: number, outputTokens: number, reasoningTokens: number, estimated: boolean}}
+ */
+export function resolveUsage(usage, estimate) {
+  if (usage && (usage.inputTokens || usage.outputTokens)) {
+    return {
+      inputTokens: usage.inputTokens || 0,
+      outputTokens: usage.outputTokens || 0,
+      reasoningTokens: usage.reasoningTokens || 0,
+      estimated: false,
+    };
+  }
+
+  return {
+    inputTokens: estimate?.inputTokens || 0,
+    outputTokens: estimate?.outputTokens || 0,
+    reasoningTokens: 0,
+    estimated: true,
+  };
+}
+
+/**
+ * Record the cost of a request
+ * Writes a row to the per-request ledger and adds it to today's CostTracking totals
+ * @param {Object} params
+ * @param {string} params.endpoint - Endpoint that made the call (e.g. '/api/chat')
+ * @param {string} params.model - Model that answered
+ * @param {string|null} params.sessionId - Session ID
+ * @param {string|null} params.userId - User ID (if logged in)
+ * @param {Object|null} params.usage - Usage reported by the provider
+ * @param {{inputTokens: number, outputTokens: number}} params.estimate - Fallback estimate (including any photos)
+ * @param {number} [params.images=0] - Photos sent to the model, recorded so their cost can be seen
+ * @param {boolean} [params.cached=false] - Answered from a cache without calling the model: recorded at no cost
+ *   and no tokens, so the ledger shows how often the cache saved a call
+ * @returns {Promise<{inputTokens: number, outputTokens: number, reasoningTokens: number, estimated: boolean, cost: number}>}
  */
-export async function trackCost(cost, inputTokens = 0, outputTokens = 0) {
+export async function recordRequestCost({ endpoint, model, sessionId = null, userId = null, usage, estimate, images = 0, cached = false }) {
   const prisma = getDB();
   const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+  const resolved = cached
+    ? { inputTokens: 0, outputTokens: 0, reasoningTokens: 0, estimated: false }
+    : resolveUsage(usage, estimate);
+  // Reasoning tokens are billed as output and are already part of outputTokens
+  const cost = estimateCost(resolved.inputTokens, resolved.outputTokens, model);
   
   try {
-    // Get or create today's cost record
-    let record = await prisma.costTracking.findUnique({
-      where: { date: today },
+    await prisma.costLedger.create({
+      data: {
+        date: today,
+        endpoint,
+        model,
+        sessionId,
+        userId,
+        inputTokens: resolved.inputTokens,
+        outputTokens: resolved.outputTokens,
+        reasoningTokens: resolved.reasoningTokens,
+        images,
+        cost,
+        estimated: resolved.estimated,
+        cached,
+      },
     });
     
-    if (!record) {
-      // Create new record
-      await prisma.costTracking.create({
-        data: {
-          date: today,
-          totalCost: cost,
-          requestCount: 1,
-          tokenCount: inputTokens + outputTokens,
-        },
-      });
-    } else {
-      // Update existing record
-      await prisma.costTracking.update({
-        where: { date: today },
-        data: {
-          totalCost: { increment: cost },
-          requestCount: { increment: 1 },
-          tokenCount: { increment: inputTokens + outputTokens },
-        },
+    await addToDailyTotals(today, { cost, tokens: resolved.inputTokens + resolved.outputTokens });
+
+    if (Date.now() - lastReconciledAt > RECONCILE_INTERVAL_MS) {
+      lastReconciledAt = Date.now();
+      // Not awaited - the request shouldn't wait on the whole day's ledger
+      reconcileDailyTotals(today).catch((error) => {
+        console.error('Error reconciling daily cost totals:', error);
       });
     }
   } catch (error) {
     console.error('Error tracking cost:', error);
     // Don't throw - cost tracking failures shouldn't break the app
   }
+  
+  return { ...resolved, cost };
+}
+
+/**
+ * Add one request to a day's CostTracking record
+ * @param {string} date - Day in YYYY-MM-DD format
+ * @param {{cost: number, tokens: number}} request - The request's cost and tokens
+ */
+async function addToDailyTotals(date, { cost, tokens }) {
+  const prisma = getDB();
+  const upsert = () => prisma.costTracking.upsert({
+    where: { date },
+    create: { date, totalCost: cost, requestCount: 1, tokenCount: tokens },
+    update: {
+      totalCost: { increment: cost },
+      requestCount: { increment: 1 },
+      tokenCount: { increment: tokens },
+    },
+  });
+  try {
+    await upsert();
+  } catch (error) {
+    // P2002 = the day's first requests raced to create the record - the retry adds to the one that won
+    if (error?.code === 'P2002') return upsert();
+    throw error;
+  }
+}
+
+/**
+ * Rebuild a day's CostTracking record from the ledger
+ * Run every RECONCILE_INTERVAL_MS from recordRequestCost (and safe to run any time), so an increment
+ * that was lost is corrected without re-adding the whole day on every request
+ * @param {string} date - Day in YYYY-MM-DD format
+ */
+export async function reconcileDailyTotals(date) {
+  const prisma = getDB();
+  
+  const totals = await prisma.costLedger.aggregate({
+    where: { date },
+    _sum: { cost: true, inputTokens: true, outputTokens: true },
+    _count: { _all: true },
+  });
+  
+  const data = {
+    totalCost: totals._sum.cost || 0,
+    requestCount: totals._count._all,
+    tokenCount: (totals._sum.inputTokens || 0) + (totals._sum.outputTokens || 0),
+  };
+  
+  await prisma.costTracking.upsert({
+    where: { date },
+    create: { date, ...data },
+    update: data,
+  });
 }
 
 /**
@@ -105,29 +213,27 @@ export async function checkCostLimits() {
       };
     }
     
-    // Check hourly cost (last hour of requests)
-    // This is approximate - we'd need to track per-request timestamps for accuracy
-    // For now, we'll use a simple heuristic: if daily cost is high and recent, slow down
-    
-    if (dailyCost > HOURLY_COST_LIMIT * 2) {
-      // If we've spent more than 2x hourly limit today, check if it's recent
-      const recentRequests = await prisma.usageLog.count({
-        where: {
-          timestamp: {
-            gt: oneHourAgo,
-          },
+    // Check hourly cost from the ledger's per-request timestamps
+    // Don't block on this - it's an alarm, the daily limit is the hard stop
+    const hourlyTotals = await prisma.costLedger.aggregate({
+      where: {
+        createdAt: {
+          gt: oneHourAgo,
         },
-      });
-      
-      if (recentRequests > 100) {
-        // High recent activity - might be abuse
-        return {
-          allowed: true, // Don't block, but log
-          dailyCost,
-          limit: DAILY_COST_LIMIT,
-          reason: 'High recent activity detected',
-        };
-      }
+      },
+      _sum: { cost: true },
+    });
+    const hourlyCost = hourlyTotals._sum.cost || 0;
+    
+    if (hourlyCost >= HOURLY_COST_LIMIT) {
+      const reason = `Hourly cost alarm: $${hourlyCost.toFixed(2)} spent in the last hour (limit $${HOURLY_COST_LIMIT})`;
+      console.warn(`[Cost] ${reason}`);
+      return {
+        allowed: true, // Don't block, but log
+        dailyCost,
+        limit: DAILY_COST_LIMIT,
+        reason,
+      };
     }
     
     return {
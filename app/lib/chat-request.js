@@ -0,0 +1,51 @@
+/**
+ * Browser helper for sending a message to /api/chat, with one retry if the connection drops
+ * The retry sends the same Idempotency-Key, so the server refuses it (409 duplicate_request) while the
+ * first attempt is still running. A dropped request gives its use back when the server notices, so the
+ * retry waits for that rather than failing - or says so if the first attempt was answered after all.
+ */
+
+// Waits between tries while the server is still settling the dropped attempt
+const DUPLICATE_RETRY_DELAYS_MS = [500, 1000, 2000, 4000];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function duplicateError(message) {
+  const error = new Error(message);
+  error.code = 'duplicate_request';
+  return error;
+}
+
+/**
+ * Send a chat request, retrying once if the connection drops before a response
+ * @param {() => Promise<Response>} post - Sends the request, with the same Idempotency-Key every time
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - The request's signal - there is no retry once it is aborted (timed out)
+ * @param {(ms: number) => Promise<void>} [options.wait] - Waits between tries
+ * @returns {Promise<Response>} Any response other than a duplicate_request refusal, for the caller to handle
+ * @throws {Error} The network error if the request was aborted, or an error with code 'duplicate_request'
+ *   if the first attempt was answered (but the reply was lost) or is still running
+ */
+export async function postChatWithRetry(post, { signal, wait = sleep } = {}) {
+  try {
+    return await post();
+  } catch (error) {
+    // No retry after a timeout
+    if (signal?.aborted) throw error;
+    console.warn('Chat request failed, retrying:', error);
+  }
+
+  for (const delay of [0, ...DUPLICATE_RETRY_DELAYS_MS]) {
+    if (delay) await wait(delay);
+    const response = await post();
+    if (response.status !== 409) return response;
+
+    const data = await response.clone().json().catch(() => ({}));
+    if (data.code !== 'duplicate_request') return response;
+    if (data.duplicate === 'committed') {
+      throw duplicateError("Your message was answered, but the reply didn't reach this device. Please ask again.");
+    }
+    // Still in progress - the server hasn't stopped the dropped attempt yet
+  }
+  throw duplicateError('Your message is already being answered. Please wait a moment and try again.');
+}
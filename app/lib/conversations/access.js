@@ -0,0 +1,25 @@
+/**
+ * Shared checks for the /api/conversations routes
+ */
+
+import { defineMeteredRoute, guardRequest } from '../guards/pipeline.js';
+import { CONVERSATION_LIMIT } from '../rateLimit.js';
+
+const ROUTE = defineMeteredRoute({
+  endpoint: '/api/conversations',
+  usage: 'conversations',
+  // Saving and loading history costs nothing, so there is no cost or daily limit - only the user's own rate limit
+  guards: ['signedIn', 'rateLimit'],
+  rateLimit: CONVERSATION_LIMIT,
+  rateLimitBy: 'user',
+});
+
+/**
+ * Make sure the request comes from a signed-in user who isn't over the rate limit
+ * @param {Request} request - Incoming request
+ * @returns {Promise<{userId: string|null, errorResponse: NextResponse|null}>}
+ */
+export async function authorizeConversationRequest(request) {
+  const { guard, errorResponse } = await guardRequest(request, ROUTE);
+  return { userId: guard?.userId ?? null, errorResponse };
+}
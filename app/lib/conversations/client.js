@@ -0,0 +1,121 @@
+/**
+ * Browser helpers for the /api/conversations routes (signed-in users only)
+ */
+
+async function requestJSON(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.error || `Request failed: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
+
+// Strip server fields so stored messages look like the ones the page creates
+export function toChatMessage({ role, content, model, image, versions }) {
+  const hasVersions = Array.isArray(versions) && versions.length > 1;
+  return {
+    role,
+    content,
+    ...(model && { model }),
+    ...(image && { image }),
+    ...(hasVersions && {
+      versions,
+      // The stored reply is the version that was showing
+      versionIndex: Math.max(versions.findLastIndex(version => version.content === content), 0),
+    }),
+  };
+}
+
+/**
+ * @returns {Promise<Array<{id: string, title: string|null, updatedAt: string, messageCount: number}>>}
+ */
+export async function fetchConversations() {
+  const data = await requestJSON('/api/conversations');
+  return data.conversations || [];
+}
+
+/**
+ * @param {string} id - Conversation ID
+ * @returns {Promise<{id: string, title: string|null, messages: Array}>}
+ */
+export async function fetchConversation(id) {
+  const data = await requestJSON(`/api/conversations/${encodeURIComponent(id)}`);
+  return data.conversation;
+}
+
+/**
+ * @param {Array} messages - First messages to store
+ * @returns {Promise<{id: string, title: string|null, messages: Array}>}
+ */
+export async function createConversation(messages = []) {
+  const data = await requestJSON('/api/conversations', {
+    method: 'POST',
+    body: JSON.stringify({ messages }),
+  });
+  return data.conversation;
+}
+
+/**
+ * @param {string} id - Conversation ID
+ * @param {Array} messages - Messages to add at the end
+ * @returns {Promise<{messages: Array, title: string|null}>} The stored messages and the conversation's title
+ */
+export async function appendMessages(id, messages) {
+  return requestJSON(`/api/conversations/${encodeURIComponent(id)}/messages`, {
+    method: 'POST',
+    body: JSON.stringify({ messages }),
+  });
+}
+
+/**
+ * @param {string} id - Conversation ID
+ * @param {number} position - Position of the reply
+ * @param {Object} message - The reply with its versions, from toChatMessage
+ * @returns {Promise<Object>} The stored reply
+ */
+export async function updateReplyVersions(id, position, message) {
+  const data = await requestJSON(`/api/conversations/${encodeURIComponent(id)}/messages`, {
+    method: 'PATCH',
+    body: JSON.stringify({ position, message }),
+  });
+  return data.message;
+}
+
+/**
+ * @param {string} id - Conversation ID
+ * @param {number} position - Position of the first message to delete; it and everything after go
+ * @returns {Promise<number>} How many messages were deleted
+ */
+export async function deleteMessagesFrom(id, position) {
+  const data = await requestJSON(
+    `/api/conversations/${encodeURIComponent(id)}/messages?from=${encodeURIComponent(position)}`,
+    { method: 'DELETE' }
+  );
+  return data.deleted;
+}
+
+/**
+ * @param {string} id - Conversation ID
+ * @param {string} title - New title
+ * @returns {Promise<string>} The title as saved
+ */
+export async function renameConversation(id, title) {
+  const data = await requestJSON(`/api/conversations/${encodeURIComponent(id)}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ title }),
+  });
+  return data.conversation.title;
+}
+
+/**
+ * @param {string} id - Conversation ID
+ */
+export async function deleteConversation(id) {
+  await requestJSON(`/api/conversations/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
@@ -0,0 +1,73 @@
+/**
+ * localStorage conversations for anonymous users
+ * The list lives under one key and each conversation's messages under their own key,
+ * so a quota problem in one long conversation doesn't lose the others.
+ */
+
+const INDEX_KEY = 'chatConversations';
+// Before multiple conversations, the single chat was stored under this key
+const LEGACY_MESSAGES_KEY = 'chatHistory';
+
+/**
+ * @returns {string} A new local conversation ID
+ */
+export function createLocalConversationId() {
+  return `local_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * @param {string} id - Conversation ID
+ * @returns {string} localStorage key for the conversation's messages
+ */
+export function localMessagesKey(id) {
+  return `${LEGACY_MESSAGES_KEY}:${id}`;
+}
+
+/**
+ * Load the conversation list, moving the old single chat into it the first time
+ * @returns {{activeId: string|null, conversations: Array<{id: string, title: string|null, updatedAt: string}>}}
+ */
+export function loadLocalIndex() {
+  const saved = localStorage.getItem(INDEX_KEY);
+  if (saved) {
+    const parsed = JSON.parse(saved);
+    return {
+      activeId: parsed.activeId || null,
+      conversations: Array.isArray(parsed.conversations) ? parsed.conversations : [],
+    };
+  }
+
+  const legacyMessages = localStorage.getItem(LEGACY_MESSAGES_KEY);
+  if (!legacyMessages) {
+    return { activeId: null, conversations: [] };
+  }
+
+  const id = createLocalConversationId();
+  localStorage.setItem(localMessagesKey(id), legacyMessages);
+  const index = {
+    activeId: id,
+    conversations: [{ id, title: null, updatedAt: new Date().toISOString() }],
+  };
+  saveLocalIndex(index);
+  localStorage.removeItem(LEGACY_MESSAGES_KEY);
+  return index;
+}
+
+/**
+ * @param {{activeId: string|null, conversations: Array}} index
+ */
+export function saveLocalIndex(index) {
+  localStorage.setItem(INDEX_KEY, JSON.stringify(index));
+}
+
+/**
+ * @param {string} id - Conversation ID
+ * @returns {Array} Saved messages (empty if none)
+ */
+export function loadLocalMessages(id) {
+  const saved = localStorage.getItem(localMessagesKey(id));
+  if (!saved) return [];
+  const parsed = JSON.parse(saved);
+  // Drop flags from any reply that was still streaming when the page was closed
+  return Array.isArray(parsed) ? parsed.map(({ streamId, isStreaming, ...msg }) => msg) : [];
+}
@@ -0,0 +1,354 @@
+/**
+ * Server-side conversation storage for signed-in users
+ * Every lookup is scoped to the owning user, so one user can never read or change another's conversations
+ */
+
+import { getDB } from '../db/db.js';
+import { generateConversationTitle } from '../llm/conversation-title.js';
+import { cleanTitle, hasFirstExchange } from './titles.js';
+import { validateImage } from '../images.js';
+import { REPLY_ACTIONS } from '../prompts.js';
+
+export const MAX_CONVERSATIONS_LISTED = 50;
+export const MAX_MESSAGES_PER_APPEND = 50;
+export const MAX_MESSAGE_LENGTH = 20000;
+// "Say it simpler" and "Tell me more" each add a version of a reply
+export const MAX_REPLY_VERSIONS = 20;
+const ALLOWED_ROLES = ['user', 'assistant'];
+const MESSAGE_FIELDS = { id: true, position: true, role: true, content: true, model: true, image: true, versions: true, createdAt: true };
+
+/**
+ * Check the versions of a reply sent by the client
+ * @returns {{versions?: Array<{content: string, model: string|null, action?: string}>, error?: string}}
+ *   versions is left out when the message has none
+ */
+function validateVersions(msg) {
+  if (msg.versions == null) return {};
+  if (msg.role !== 'assistant' || !Array.isArray(msg.versions) || msg.versions.length < 2) {
+    return { error: 'Only replies have versions, and they need at least two' };
+  }
+  if (msg.versions.length > MAX_REPLY_VERSIONS) {
+    return { error: `A reply cannot have more than ${MAX_REPLY_VERSIONS} versions` };
+  }
+
+  const versions = [];
+  for (const version of msg.versions) {
+    if (!version || typeof version.content !== 'string' || !version.content || version.content.length > MAX_MESSAGE_LENGTH) {
+      return { error: `Each version needs some content, up to ${MAX_MESSAGE_LENGTH} characters` };
+    }
+    versions.push({
+      content: version.content,
+      model: typeof version.model === 'string' ? version.model.slice(0, 100) : null,
+      ...(REPLY_ACTIONS.includes(version.action) && { action: version.action }),
+    });
+  }
+  if (!versions.some(version => version.content === msg.content)) {
+    return { error: 'A reply must show one of its versions' };
+  }
+  return { versions };
+}
+
+/**
+ * Check and clean messages sent by the client
+ * @param {Array} messages - Messages from the request body
+ * @returns {{messages: Array<{role: string, content: string, model: string|null, image: string|null, versions?: Array}>|null, error: string|null}}
+ */
+export function validateMessages(messages) {
+  if (!Array.isArray(messages)) {
+    return { messages: null, error: 'messages must be an array' };
+  }
+  if (messages.length > MAX_MESSAGES_PER_APPEND) {
+    return { messages: null, error: `Cannot add more than ${MAX_MESSAGES_PER_APPEND} messages at once` };
+  }
+
+  const cleaned = [];
+  for (const msg of messages) {
+    if (!msg || !ALLOWED_ROLES.includes(msg.role) || typeof msg.content !== 'string' || !msg.content) {
+      return { messages: null, error: 'Each message needs a role of "user" or "assistant" and some content' };
+    }
+    if (msg.content.length > MAX_MESSAGE_LENGTH) {
+      return { messages: null, error: `Messages cannot be longer than ${MAX_MESSAGE_LENGTH} characters` };
+    }
+    // Only the user's own messages have photos
+    const { image, error } = validateImage(msg.role === 'user' ? msg.image : null);
+    if (error) {
+      return { messages: null, error };
+    }
+    const { versions, error: versionsError } = validateVersions(msg);
+    if (versionsError) {
+      return { messages: null, error: versionsError };
+    }
+    cleaned.push({
+      role: msg.role,
+      content: msg.content,
+      model: typeof msg.model === 'string' ? msg.model.slice(0, 100) : null,
+      image,
+      // Left out rather than null - Prisma only takes JSON null as Prisma.JsonNull
+      ...(versions && { versions }),
+    });
+  }
+
+  return { messages: cleaned, error: null };
+}
+
+/**
+ * List a user's conversations, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<{id: string, title: string|null, createdAt: Date, updatedAt: Date, messageCount: number}>>}
+ */
+export async function listConversations(userId) {
+  const prisma = getDB();
+  const conversations = await prisma.conversation.findMany({
+    where: { userId },
+    orderBy: { updatedAt: 'desc' },
+    take: MAX_CONVERSATIONS_LISTED,
+    select: {
+      id: true,
+      title: true,
+      createdAt: true,
+      updatedAt: true,
+      _count: { select: { messages: true } },
+    },
+  });
+
+  return conversations.map(({ _count, ...conversation }) => ({
+    ...conversation,
+    messageCount: _count.messages,
+  }));
+}
+
+/**
+ * Get a conversation with its messages in order
+ * @param {string} userId - User ID
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object|null>} null if it doesn't exist or belongs to someone else
+ */
+export async function getConversation(userId, conversationId) {
+  const prisma = getDB();
+  return prisma.conversation.findFirst({
+    where: { id: conversationId, userId },
+    select: {
+      id: true,
+      title: true,
+      createdAt: true,
+      updatedAt: true,
+      messages: {
+        orderBy: { position: 'asc' },
+        select: MESSAGE_FIELDS,
+      },
+    },
+  });
+}
+
+/**
+ * Create a conversation, optionally with its first messages
+ * @param {string} userId - User ID
+ * @param {{title?: string|null, messages?: Array}} data - Validated messages
+ * @returns {Promise<Object>} The new conversation with its messages
+ */
+export async function createConversation(userId, { title = null, messages = [] } = {}) {
+  const prisma = getDB();
+  return prisma.conversation.create({
+    data: {
+      userId,
+      title,
+      messages: {
+        create: messages.map((msg, index) => ({ ...msg, position: index })),
+      },
+    },
+    select: {
+      id: true,
+      title: true,
+      createdAt: true,
+      updatedAt: true,
+      messages: {
+        orderBy: { position: 'asc' },
+        select: MESSAGE_FIELDS,
+      },
+    },
+  });
+}
+
+/**
+ * Append messages to the end of a conversation
+ * Positions are assigned here; the unique (conversationId, position) index stops two
+ * concurrent appends (e.g. tablet and phone) from interleaving, and the loser retries once.
+ * @param {string} userId - User ID
+ * @param {string} conversationId - Conversation ID
+ * @param {Array} messages - Validated messages
+ * @returns {Promise<Array|null>} The stored messages, or null if the conversation wasn't found
+ */
+export async function appendMessages(userId, conversationId, messages) {
+  const prisma = getDB();
+
+  const append = () => prisma.$transaction(async (tx) => {
+    const conversation = await tx.conversation.findFirst({
+      where: { id: conversationId, userId },
+      select: { id: true },
+    });
+    if (!conversation) return null;
+
+    const last = await tx.message.findFirst({
+      where: { conversationId },
+      orderBy: { position: 'desc' },
+      select: { position: true },
+    });
+    const start = last ? last.position + 1 : 0;
+
+    await tx.message.createMany({
+      data: messages.map((msg, index) => ({ ...msg, conversationId, position: start + index })),
+    });
+
+    // Touch the conversation so it sorts as most recently used
+    await tx.conversation.update({
+      where: { id: conversationId },
+      data: { updatedAt: new Date() },
+    });
+
+    return tx.message.findMany({
+      where: { conversationId, position: { gte: start } },
+      orderBy: { position: 'asc' },
+      select: MESSAGE_FIELDS,
+    });
+  });
+
+  try {
+    return await append();
+  } catch (error) {
+    // P2002 = unique constraint - another append took these positions first
+    if (error?.code === 'P2002') {
+      return append();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Save new versions of a reply that is already stored, and which one is shown
+ * "Say it simpler" and "Tell me more" add versions after the reply was saved, and the user can flip between them.
+ * @param {string} userId - User ID
+ * @param {string} conversationId - Conversation ID
+ * @param {number} position - The reply's position
+ * @param {{role: string, content: string, model: string|null, versions?: Array}} reply - Validated (see validateMessages)
+ * @returns {Promise<Object|null>} The stored reply, or null if the conversation or reply wasn't found
+ */
+export async function updateReplyVersions(userId, conversationId, position, { content, model, versions }) {
+  const prisma = getDB();
+  return prisma.$transaction(async (tx) => {
+    const conversation = await tx.conversation.findFirst({
+      where: { id: conversationId, userId },
+      select: { id: true },
+    });
+    if (!conversation) return null;
+
+    const result = await tx.message.updateMany({
+      where: { conversationId, position, role: 'assistant' },
+      data: { content, model, ...(versions && { versions }) },
+    });
+    if (result.count === 0) return null;
+
+    return tx.message.findUnique({
+      where: { conversationId_position: { conversationId, position } },
+      select: MESSAGE_FIELDS,
+    });
+  });
+}
+
+/**
+ * Delete the messages from a position onwards
+ * Used when the user edits an earlier message: that turn and everything after it is replaced.
+ * @param {string} userId - User ID
+ * @param {string} conversationId - Conversation ID
+ * @param {number} fromPosition - First position to delete
+ * @returns {Promise<number|null>} How many messages were deleted, or null if the conversation wasn't found
+ */
+export async function deleteMessagesFrom(userId, conversationId, fromPosition) {
+  const prisma = getDB();
+  return prisma.$transaction(async (tx) => {
+    const conversation = await tx.conversation.findFirst({
+      where: { id: conversationId, userId },
+      select: { id: true },
+    });
+    if (!conversation) return null;
+
+    const result = await tx.message.deleteMany({
+      where: { conversationId, position: { gte: fromPosition } },
+    });
+    await tx.conversation.update({
+      where: { id: conversationId },
+      data: { updatedAt: new Date() },
+    });
+    return result.count;
+  });
+}
+
+/**
+ * Delete a conversation and its messages
+ * @param {string} userId - User ID
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<boolean>} false if it wasn't found
+ */
+export async function deleteConversation(userId, conversationId) {
+  const prisma = getDB();
+  const result = await prisma.conversation.deleteMany({
+    where: { id: conversationId, userId },
+  });
+  return result.count > 0;
+}
+
+/**
+ * Rename a conversation
+ * @param {string} userId - User ID
+ * @param {string} conversationId - Conversation ID
+ * @param {string} title - New title (cleaned here)
+ * @returns {Promise<string|null>} The saved title, or null if the conversation wasn't found
+ */
+export async function renameConversation(userId, conversationId, title) {
+  const prisma = getDB();
+  const cleaned = cleanTitle(title);
+  const result = await prisma.conversation.updateMany({
+    where: { id: conversationId, userId },
+    data: { title: cleaned || null },
+  });
+  return result.count > 0 ? cleaned : null;
+}
+
+/**
+ * Give a conversation an automatic title once its first exchange is saved
+ * Only fills in a missing title, so a name the user chose is never replaced
+ * @param {string} userId - User ID
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<string|null>} The conversation's title (new or existing), or null if it has none yet
+ */
+export async function ensureConversationTitle(userId, conversationId) {
+  const prisma = getDB();
+
+  try {
+    const conversation = await prisma.conversation.findFirst({
+      where: { id: conversationId, userId },
+      select: {
+        title: true,
+        messages: {
+          orderBy: { position: 'asc' },
+          take: 2,
+          select: { role: true, content: true },
+        },
+      },
+    });
+    if (!conversation) return null;
+    if (conversation.title || !hasFirstExchange(conversation.messages)) {
+      return conversation.title;
+    }
+
+    const title = await generateConversationTitle(conversation.messages, { userId });
+    await prisma.conversation.updateMany({
+      where: { id: conversationId, userId, title: null },
+      data: { title },
+    });
+    return title;
+  } catch (error) {
+    console.error('Error setting conversation title:', error);
+    // Don't throw - the messages are saved, the title can be added next time
+    return null;
+  }
+}
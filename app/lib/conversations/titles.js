@@ -0,0 +1,54 @@
+/**
+ * Conversation titles
+ * Plain helpers shared by the server and the browser (anonymous conversations get heuristic titles only)
+ */
+
+export const MAX_TITLE_LENGTH = 60;
+const MAX_HEURISTIC_WORDS = 4;
+export const UNTITLED_CONVERSATION = 'New conversation';
+
+/**
+ * Tidy a title: single line, no quotes or markdown, no trailing full stop, length capped
+ * @param {string} title - Raw title
+ * @returns {string} Clean title (may be empty)
+ */
+export function cleanTitle(title) {
+  if (typeof title !== 'string') return '';
+  return title
+    .replace(/[\r\n]+/g, ' ')
+    .replace(/[*_#`"“”]/g, '')
+    .replace(/^title:\s*/i, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[.!?,;:]+$/, '')
+    .slice(0, MAX_TITLE_LENGTH)
+    .trim();
+}
+
+/**
+ * Make a title from the first thing the user said
+ * e.g. "can you tell me about football?" -> "Tell me about football"
+ * @param {string} text - First user message
+ * @returns {string}
+ */
+export function heuristicTitle(text) {
+  const words = cleanTitle(text)
+    .replace(/[^\p{L}\p{N}'\s-]/gu, ' ')
+    .replace(/^(please\s+)?(can|could|will|would)\s+you\s+/i, '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, MAX_HEURISTIC_WORDS);
+
+  if (words.length === 0) return UNTITLED_CONVERSATION;
+  const title = words.join(' ');
+  return title.charAt(0).toUpperCase() + title.slice(1);
+}
+
+/**
+ * Check whether a conversation has had its first exchange (a user message and a reply)
+ * @param {Array<{role: string}>} messages - Messages, oldest first
+ * @returns {boolean}
+ */
+export function hasFirstExchange(messages) {
+  return messages.some(m => m.role === 'user') && messages.some(m => m.role === 'assistant');
+}
@@ -0,0 +1,202 @@
+/**
+ * Browser recorder for the microphone button in the message box
+ * Push to talk: recording runs while the button is held, then the audio goes to /api/transcribe
+ * and the text comes back for the user to check before they send it.
+ */
+
+// Shorter than this is almost always a tap rather than someone speaking
+const MIN_RECORDING_MS = 500;
+// The server refuses much more than a minute of audio
+const MAX_RECORDING_MS = 60000;
+
+// MediaRecorder formats in order of preference - Safari only records mp4
+const RECORDING_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/mp4', 'audio/ogg;codecs=opus'];
+
+const HOLD_HINT = 'Hold the microphone button down while you speak.';
+
+const IDLE_STATE = { status: 'idle', error: null };
+
+/**
+ * Whether this browser can record from the microphone
+ * @returns {boolean}
+ */
+export function isDictationSupported() {
+  return typeof window !== 'undefined' && !!navigator.mediaDevices?.getUserMedia && typeof MediaRecorder !== 'undefined';
+}
+
+function pickRecordingType() {
+  return RECORDING_TYPES.find(type => MediaRecorder.isTypeSupported?.(type)) || '';
+}
+
+function describeMicrophoneError(error) {
+  if (error.name === 'NotAllowedError' || error.name === 'SecurityError') {
+    return 'The microphone is blocked. You can allow it in your browser settings.';
+  }
+  if (error.name === 'NotFoundError') {
+    return 'No microphone was found.';
+  }
+  return 'The microphone could not be started. Please try again.';
+}
+
+/**
+ * Turn a failed /api/transcribe response into a message for the user
+ * @param {Response} response
+ * @returns {Promise<{message: string, code: string|null}>}
+ */
+async function describeTranscribeError(response) {
+  const data = await response.json().catch(() => ({}));
+  if (data.code === 'daily_limit_reached') {
+    return { message: 'Daily limit reached. Please subscribe for unlimited access.', code: data.code };
+  }
+  if (response.status === 429) {
+    const retryAfter = response.headers.get('Retry-After') || '60';
+    return { message: `Too many requests. Please wait ${retryAfter} seconds and try again.`, code: data.code || 'rate_limited' };
+  }
+  if (response.status === 403) {
+    return { message: data.error || 'The microphone is not available right now.', code: data.code || null };
+  }
+  if (response.status === 413) {
+    return { message: 'That was too long to write down. Please try a shorter message.', code: data.code || null };
+  }
+  return { message: 'Sorry, that could not be written down. Please try again.', code: data.code || null };
+}
+
+/**
+ * Create the dictation recorder
+ * @param {Object} options
+ * @param {Function} options.onChange - Called with { status, error }; status is idle, starting, recording or transcribing
+ * @param {Function} options.onTranscript - Called with the text that was heard
+ * @param {Function} [options.onLimitReached] - Called when the daily limit stops a recording being written down
+ * @returns {{start: Function, stop: Function, destroy: Function}}
+ */
+export function createDictation({ onChange, onTranscript, onLimitReached }) {
+  let state = IDLE_STATE;
+  let stream = null;
+  let recorder = null;
+  let chunks = [];
+  let startedAt = 0;
+  let stopTimer = null;
+  let stopRequested = false;
+  let controller = null;
+  let locale = null;
+
+  const setState = (updates) => {
+    state = { ...state, ...updates };
+    onChange(state);
+  };
+
+  const releaseMicrophone = () => {
+    clearTimeout(stopTimer);
+    stopTimer = null;
+    stream?.getTracks().forEach(track => track.stop());
+    stream = null;
+    recorder = null;
+  };
+
+  const transcribe = async (recording) => {
+    controller = new AbortController();
+    setState({ status: 'transcribing' });
+    try {
+      const form = new FormData();
+      form.append('audio', recording);
+      // Only used for anonymous users - signed-in users' saved language wins on the server
+      if (locale) form.append('locale', locale);
+      const response = await fetch('/api/transcribe', { method: 'POST', body: form, signal: controller.signal });
+      if (!response.ok) {
+        const error = await describeTranscribeError(response);
+        if (error.code === 'daily_limit_reached') {
+          onLimitReached?.();
+        }
+        setState({ status: 'idle', error: error.message });
+        return;
+      }
+
+      const { text } = await response.json();
+      if (!text) {
+        setState({ status: 'idle', error: "Sorry, I didn't catch that. Please try again." });
+        return;
+      }
+      setState(IDLE_STATE);
+      onTranscript(text);
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error('Dictation failed:', error);
+      setState({ status: 'idle', error: 'Sorry, that could not be written down. Please try again.' });
+    } finally {
+      controller = null;
+    }
+  };
+
+  const finishRecording = () => {
+    const type = recorder?.mimeType || 'audio/webm';
+    const duration = Date.now() - startedAt;
+    releaseMicrophone();
+    if (duration < MIN_RECORDING_MS || chunks.length === 0) {
+      setState({ status: 'idle', error: HOLD_HINT });
+      return;
+    }
+    transcribe(new Blob(chunks, { type }));
+  };
+
+  return {
+    /**
+     * Start recording - call from the button being pressed so the browser allows the microphone
+     * @param {{locale: string}} options
+     */
+    async start(options) {
+      if (state.status !== 'idle') return;
+      if (!isDictationSupported()) {
+        setState({ error: "This browser can't record from the microphone." });
+        return;
+      }
+      locale = options?.locale || null;
+      stopRequested = false;
+      setState({ status: 'starting', error: null });
+
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      } catch (error) {
+        releaseMicrophone();
+        setState({ status: 'idle', error: describeMicrophoneError(error) });
+        return;
+      }
+      // Let go while the browser was asking for permission - nothing was recorded
+      if (stopRequested) {
+        releaseMicrophone();
+        setState({ status: 'idle', error: `The microphone is ready. ${HOLD_HINT}` });
+        return;
+      }
+
+      const mimeType = pickRecordingType();
+      recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+      chunks = [];
+      recorder.addEventListener('dataavailable', (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+      });
+      recorder.addEventListener('stop', finishRecording);
+      recorder.start();
+      startedAt = Date.now();
+      stopTimer = setTimeout(() => recorder?.stop(), MAX_RECORDING_MS);
+      setState({ status: 'recording' });
+    },
+
+    // Stop recording and write down what was said
+    stop() {
+      if (state.status === 'starting') {
+        stopRequested = true;
+      } else if (state.status === 'recording' && recorder?.state === 'recording') {
+        recorder.stop();
+      }
+    },
+
+    destroy() {
+      controller?.abort();
+      if (recorder) {
+        recorder.removeEventListener('stop', finishRecording);
+        if (recorder.state === 'recording') recorder.stop();
+      }
+      releaseMicrophone();
+      state = IDLE_STATE;
+    },
+  };
+}
@@ -0,0 +1,83 @@
+/**
+ * Email sending through Resend
+ * Shared by password resets (auth.js) and safeguarding alerts
+ */
+
+import { Resend } from "resend";
+
+// Initialize Resend if API key is provided
+const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
+
+/**
+ * Whether email can be sent (RESEND_API_KEY is set)
+ * @returns {boolean}
+ */
+export function isEmailConfigured() {
+  return !!resend;
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Loose check that an address looks like an email (Resend rejects anything undeliverable)
+ * @param {string} email - Address to check
+ * @returns {boolean}
+ */
+export function isValidEmail(email) {
+  return typeof email === 'string' && EMAIL_PATTERN.test(email);
+}
+
+/**
+ * Escape text for use in an email's HTML body
+ * @param {string} text - Untrusted text (e.g. a user's name)
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Send an email
+ * @param {Object} params
+ * @param {string|string[]} params.to - Recipient address(es)
+ * @param {string} params.subject - Subject line
+ * @param {string} params.html - HTML body
+ * @param {string} params.text - Plain text body
+ * @returns {Promise<{success: boolean, messageId?: string}>}
+ * @throws {Error} If Resend isn't configured or rejects the email
+ */
+export async function sendEmail({ to, subject, html, text }) {
+  if (!resend) {
+    console.error("Resend not configured - email cannot be sent");
+    throw new Error("Email service not configured. Please set RESEND_API_KEY environment variable.");
+  }
+
+  // Use verified domain if available, otherwise fallback to test domain
+  // Note: Domain must be verified in Resend to send to any recipient
+  const from = (process.env.RESEND_FROM_EMAIL || "onboarding@resend.dev").trim();
+
+  try {
+    const result = await resend.emails.send({
+      from,
+      to,
+      subject,
+      html,
+      text,
+    });
+
+    if (result.error) {
+      console.error("Resend error:", result.error);
+      throw new Error(result.error.message || "Failed to send email");
+    }
+
+    return { success: true, messageId: result.data?.id };
+  } catch (error) {
+    console.error("Email send error:", error);
+    throw error;
+  }
+}
@@ -3,9 +3,11 @@
  * Throws descriptive error if missing
  */
 export function validateEnv() {
-  const requiredVars = {
-    OPENAI_API_KEY: process.env.OPENAI_API_KEY,
-  };
+  // The fake LLM provider runs offline, so it doesn't need an OpenAI key
+  const usesOpenAI = (process.env.LLM_PROVIDER || 'openai').trim().toLowerCase() !== 'fake';
+  const requiredVars = usesOpenAI
+    ? { OPENAI_API_KEY: process.env.OPENAI_API_KEY }
+    : {};
 
   const missing = [];
   for (const [key, value] of Object.entries(requiredVars)) {
@@ -22,7 +24,7 @@ export function validateEnv() {
   }
 
   return {
-    OPENAI_API_KEY: requiredVars.OPENAI_API_KEY,
+    OPENAI_API_KEY: process.env.OPENAI_API_KEY || '',
   };
 }
 
@@ -0,0 +1,65 @@
+/**
+ * Errors returned by the route guards (see pipeline.js)
+ * Every guard refusal reaches the client as { error, code, ...details } with the status below,
+ * so the client can tell a daily limit from a rate limit without reading the message.
+ * No server imports here - the client may use GUARD_ERRORS too.
+ */
+
+/**
+ * @typedef {'session_blocked'|'service_busy'|'daily_limit_reached'|'token_throttled'|'rate_limited'|'payload_too_large'|'suspicious_activity'|'duplicate_request'|'sign_in_required'} GuardErrorCode
+ */
+
+export const GUARD_ERRORS = {
+  session_blocked: {
+    status: 403,
+    message: "Your session has been temporarily blocked due to suspicious activity. Please try again later.",
+  },
+  service_busy: {
+    status: 503,
+    message: "Service temporarily unavailable due to high demand. Please try again later.",
+  },
+  daily_limit_reached: {
+    status: 429,
+    message: "Daily limit reached. Please subscribe for unlimited access or try again tomorrow.",
+  },
+  token_throttled: {
+    status: 429,
+    message: "Please wait before requesting a new token.",
+  },
+  rate_limited: {
+    status: 429,
+    message: "Rate limit exceeded. Please try again later.",
+  },
+  payload_too_large: {
+    status: 413,
+    message: "Request body too large",
+  },
+  suspicious_activity: {
+    status: 403,
+    message: "Suspicious activity detected. Your session has been temporarily blocked.",
+  },
+  duplicate_request: {
+    status: 409,
+    message: "This request has already been sent.",
+  },
+  sign_in_required: {
+    status: 401,
+    message: "Please sign in to continue.",
+  },
+};
+
+export class GuardError extends Error {
+  /**
+   * @param {GuardErrorCode} code - One of GUARD_ERRORS
+   * @param {{message?: string, headers?: Object<string, string>, details?: Object}} [options] - A more specific
+   *   message, response headers (e.g. Retry-After) and extra fields for the response body
+   */
+  constructor(code, { message, headers = {}, details = {} } = {}) {
+    super(message || GUARD_ERRORS[code].message);
+    this.name = 'GuardError';
+    this.code = code;
+    this.status = GUARD_ERRORS[code].status;
+    this.headers = headers;
+    this.details = details;
+  }
+}
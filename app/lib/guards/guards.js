@@ -0,0 +1,168 @@
+/**
+ * The individual route guards
+ * Each takes the request context built by guardRequest, throws a GuardError to refuse the request,
+ * and may record what it found on the context for later guards, headers and logging.
+ * Routes pick guards by name (the keys of GUARDS) - see defineMeteredRoute.
+ */
+
+import { rateLimit } from '../rateLimit.js';
+import { checkDailyLimit, getIdempotencyKey } from '../sessions/limits.js';
+import { checkBlocked } from '../bot-protection/blocking.js';
+import { checkCostLimits } from '../bot-protection/cost-monitor.js';
+import { checkTokenRequestThrottle } from '../bot-protection/token-throttle.js';
+import { GuardError } from './errors.js';
+
+function secondsUntil(date) {
+  return Math.max(Math.ceil((date.getTime() - Date.now()) / 1000), 0);
+}
+
+/**
+ * Signed-in users only
+ */
+async function signedInGuard(ctx) {
+  if (!ctx.userId) {
+    throw new GuardError('sign_in_required');
+  }
+}
+
+/**
+ * Anonymous sessions blocked for suspicious activity (signed-in users are never blocked this way)
+ */
+async function blockedGuard(ctx) {
+  if (ctx.userId) return;
+  const blockedCheck = await checkBlocked(ctx.sessionId);
+  if (blockedCheck.isBlocked && blockedCheck.blockedUntil && blockedCheck.blockedUntil.getTime() > Date.now()) {
+    throw new GuardError('session_blocked');
+  }
+}
+
+/**
+ * The service-wide spending limits (prevent runaway costs)
+ */
+async function costLimitGuard() {
+  const costCheck = await checkCostLimits();
+  if (!costCheck.allowed) {
+    console.warn(`⚠️  Cost limit exceeded: ${costCheck.reason}`);
+    throw new GuardError('service_busy', { details: { limitReached: true } });
+  }
+}
+
+/**
+ * Reject request bodies over the route's maxBodyBytes (going by Content-Length)
+ */
+async function bodySizeGuard(ctx) {
+  const contentLength = parseInt(ctx.request.headers.get('content-length'), 10);
+  if (contentLength > ctx.route.maxBodyBytes) {
+    throw new GuardError('payload_too_large');
+  }
+}
+
+/**
+ * Units a request uses - a quotaCost function is given a copy of the JSON body, leaving the original for the route
+ */
+async function getQuotaCost(ctx) {
+  const { quotaCost } = ctx.route;
+  if (typeof quotaCost !== 'function') return quotaCost;
+  const body = await ctx.request.clone().json().catch(() => ({}));
+  const units = quotaCost(body);
+  return Number.isInteger(units) && units > 0 ? units : 1;
+}
+
+/**
+ * The user's daily allowance - reserves the route's quotaCost, settled later through the guard
+ */
+async function dailyLimitGuard(ctx) {
+  const dailyLimitResult = await checkDailyLimit(ctx.sessionId, ctx.userId, {
+    endpoint: ctx.route.usage,
+    units: await getQuotaCost(ctx),
+    idempotencyKey: getIdempotencyKey(ctx.request),
+  });
+  ctx.dailyLimitResult = dailyLimitResult;
+  ctx.reservation = dailyLimitResult.reservation;
+
+  if (dailyLimitResult.duplicate) {
+    throw new GuardError('duplicate_request', {
+      message: dailyLimitResult.duplicate === 'committed'
+        ? "This request has already been answered."
+        : "This request is already being answered.",
+      details: { duplicate: dailyLimitResult.duplicate },
+    });
+  }
+  if (!dailyLimitResult.allowed) {
+    throw new GuardError('daily_limit_reached', {
+      details: { limitReached: true, tier: dailyLimitResult.tier },
+      headers: {
+        ...dailyLimitHeaders(dailyLimitResult),
+        'Retry-After': secondsUntil(dailyLimitResult.resetAt).toString(),
+      },
+    });
+  }
+}
+
+/**
+ * Minimum gap between Realtime token requests for a session (prevents token farming)
+ */
+async function tokenThrottleGuard(ctx) {
+  const tokenThrottle = await checkTokenRequestThrottle(ctx.sessionId);
+  if (!tokenThrottle.allowed) {
+    throw new GuardError('token_throttled', {
+      message: `Please wait ${tokenThrottle.retryAfter} seconds before requesting a new token.`,
+      headers: { 'Retry-After': tokenThrottle.retryAfter.toString() },
+    });
+  }
+}
+
+/**
+ * Per-IP (or per-user, with rateLimitBy: 'user') rate limit, in a bucket named after the route's usage
+ */
+async function rateLimitGuard(ctx) {
+  const identifier = ctx.route.rateLimitBy === 'user' && ctx.userId ? ctx.userId : ctx.clientIP;
+  const rateLimitResult = await rateLimit(identifier, ctx.route.rateLimit, ctx.route.usage);
+  ctx.rateLimitResult = rateLimitResult;
+
+  if (!rateLimitResult.allowed) {
+    throw new GuardError('rate_limited', {
+      headers: {
+        ...rateLimitHeaders(ctx.route.rateLimit, rateLimitResult),
+        'Retry-After': secondsUntil(rateLimitResult.resetAt).toString(),
+      },
+    });
+  }
+}
+
+export const GUARDS = {
+  signedIn: signedInGuard,
+  blocked: blockedGuard,
+  costLimit: costLimitGuard,
+  bodySize: bodySizeGuard,
+  dailyLimit: dailyLimitGuard,
+  tokenThrottle: tokenThrottleGuard,
+  rateLimit: rateLimitGuard,
+};
+
+/**
+ * X-DailyLimit-* headers
+ * @param {Object} dailyLimitResult - From checkDailyLimit
+ * @returns {Object<string, string>}
+ */
+export function dailyLimitHeaders(dailyLimitResult) {
+  return {
+    'X-DailyLimit-Limit': dailyLimitResult.limit === Infinity ? 'unlimited' : dailyLimitResult.limit.toString(),
+    'X-DailyLimit-Remaining': dailyLimitResult.remaining === Infinity ? 'unlimited' : dailyLimitResult.remaining.toString(),
+    'X-DailyLimit-Reset': dailyLimitResult.resetAt.toISOString(),
+  };
+}
+
+/**
+ * X-RateLimit-* headers
+ * @param {number} limit - The route's rate limit
+ * @param {Object} rateLimitResult - From rateLimit
+ * @returns {Object<string, string>}
+ */
+export function rateLimitHeaders(limit, rateLimitResult) {
+  return {
+    'X-RateLimit-Limit': limit.toString(),
+    'X-RateLimit-Remaining': rateLimitResult.remaining.toString(),
+    'X-RateLimit-Reset': rateLimitResult.resetAt.toISOString(),
+  };
+}
@@ -0,0 +1,248 @@
+/**
+ * Guard pipeline for metered API routes
+ * A route declares its guards, quota cost and headers once with defineMeteredRoute, then calls
+ * guardRequest at the top of its handler. Guards run in the order given; the first to refuse
+ * ends the request with a typed error (see errors.js) and gives back any daily-limit reservation.
+ *
+ *   const ROUTE = defineMeteredRoute({
+ *     endpoint: '/api/speech',
+ *     usage: 'speech',
+ *     guards: ['blocked', 'costLimit', 'dailyLimit', 'rateLimit'],
+ *     rateLimit: SPEECH_LIMIT,
+ *   });
+ *
+ *   const { guard, errorResponse } = await guardRequest(request, ROUTE);
+ *   if (errorResponse) return errorResponse;
+ *   try {
+ *     ...
+ *     const blockError = await guard.finish();
+ *     if (blockError) return guardErrorResponse(blockError);
+ *     await guard.commit();
+ *   } finally {
+ *     await guard.release(); // does nothing once committed
+ *   }
+ */
+
+import { NextResponse } from "next/server";
+import { headers } from 'next/headers';
+import { auth } from '../auth.js';
+import { getClientIP } from '../rateLimit.js';
+import { commitUsage, releaseUsage, logUsage as logDailyUsage } from '../sessions/limits.js';
+import { checkSuspiciousActivity, blockSession } from '../bot-protection/heuristics.js';
+import { GUARDS, dailyLimitHeaders, rateLimitHeaders } from './guards.js';
+import { GuardError } from './errors.js';
+
+const HEADER_GROUPS = ['rateLimit', 'dailyLimit'];
+
+/**
+ * Check and freeze a route's guard configuration
+ * Mistakes throw when the route module loads, not on a user's request.
+ * @param {Object} config
+ * @param {string} config.endpoint - Path, for logs
+ * @param {string} config.usage - Name for the daily limit, rate-limit bucket and suspicious-activity checks
+ * @param {Array<string>} config.guards - Guard names from guards.js, in the order to run them
+ * @param {number} [config.rateLimit] - Requests per window (needed with the rateLimit guard)
+ * @param {'ip'|'user'} [config.rateLimitBy='ip'] - Count requests per IP, or per signed-in user (falling back to the IP)
+ * @param {number} [config.maxBodyBytes] - Largest body accepted (needed with the bodySize guard)
+ * @param {number|function(Object): number} [config.quotaCost=1] - Daily-limit units each request uses (needs the
+ *   dailyLimit guard), or a function working them out from the parsed JSON body (e.g. more for a photo)
+ * @param {Array<'rateLimit'|'dailyLimit'>} [config.headers] - Limit headers to send back (defaults to every limit checked)
+ * @returns {Readonly<Object>}
+ */
+export function defineMeteredRoute({ endpoint, usage, guards, rateLimit, rateLimitBy = 'ip', maxBodyBytes, quotaCost = 1, headers: headerGroups }) {
+  const fail = (message) => {
+    throw new Error(`Invalid guard configuration for ${endpoint}: ${message}`);
+  };
+
+  if (typeof endpoint !== 'string' || !endpoint) fail('endpoint is required');
+  if (typeof usage !== 'string' || !usage) fail('usage is required');
+  if (!Array.isArray(guards) || guards.length === 0) fail('guards are required');
+  for (const name of guards) {
+    if (!GUARDS[name]) fail(`unknown guard "${name}"`);
+  }
+  if (guards.includes('rateLimit') && !(rateLimit > 0)) fail('the rateLimit guard needs a rateLimit');
+  if (rateLimitBy !== 'ip' && rateLimitBy !== 'user') fail('rateLimitBy must be "ip" or "user"');
+  if (guards.includes('bodySize') && !(maxBodyBytes > 0)) fail('the bodySize guard needs maxBodyBytes');
+  if (guards.includes('dailyLimit') && typeof quotaCost !== 'function' && !(Number.isInteger(quotaCost) && quotaCost > 0)) {
+    fail('quotaCost must be a whole number of at least 1, or a function');
+  }
+
+  const sentHeaders = headerGroups ?? HEADER_GROUPS.filter(group => guards.includes(group));
+  for (const group of sentHeaders) {
+    if (!HEADER_GROUPS.includes(group)) fail(`unknown header group "${group}"`);
+    if (!guards.includes(group)) fail(`${group} headers need the ${group} guard`);
+  }
+
+  return Object.freeze({
+    endpoint,
+    usage,
+    guards: Object.freeze([...guards]),
+    rateLimit,
+    rateLimitBy,
+    maxBodyBytes,
+    quotaCost: guards.includes('dailyLimit') ? quotaCost : 0,
+    headers: Object.freeze(sentHeaders),
+  });
+}
+
+/**
+ * Response for a guard refusal: { error, code, ...details }
+ * @param {GuardError} error
+ * @returns {NextResponse}
+ */
+export function guardErrorResponse(error) {
+  return NextResponse.json(
+    { error: error.message, code: error.code, ...error.details },
+    { status: error.status, headers: error.headers }
+  );
+}
+
+/**
+ * Read a multipart form body, giving up as soon as it passes the route's maxBodyBytes
+ * The bodySize guard only sees Content-Length, which a chunked upload doesn't send, so the body is
+ * counted as it arrives rather than buffered whole by request.formData().
+ * @param {Request} request - Incoming request (its body is used up)
+ * @param {Object} route - From defineMeteredRoute, with maxBodyBytes
+ * @returns {Promise<{form: FormData|null, errorResponse: NextResponse|null}>} form is null if the body isn't a form
+ */
+export async function readFormData(request, route) {
+  if (!(route.maxBodyBytes > 0)) {
+    throw new Error(`Invalid guard configuration for ${route.endpoint}: readFormData needs maxBodyBytes`);
+  }
+
+  const chunks = [];
+  let size = 0;
+  const reader = request.body?.getReader();
+  while (reader) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > route.maxBodyBytes) {
+      await reader.cancel().catch(() => {});
+      return { form: null, errorResponse: guardErrorResponse(new GuardError('payload_too_large')) };
+    }
+    chunks.push(value);
+  }
+
+  const form = await new Response(new Blob(chunks), {
+    headers: { 'Content-Type': request.headers.get('content-type') || '' },
+  }).formData().catch(() => null);
+  return { form, errorResponse: null };
+}
+
+/**
+ * Run a route's guards for a request
+ * @param {Request} request - Incoming request
+ * @param {Object} route - From defineMeteredRoute
+ * @returns {Promise<{guard: Object|null, errorResponse: NextResponse|null}>} guard (see createGuard) when every guard passed
+ */
+export async function guardRequest(request, route) {
+  const clientIP = getClientIP(request);
+
+  // Get Better Auth session
+  const session = await auth.api.getSession({
+    headers: await headers(),
+  });
+
+  const ctx = {
+    request,
+    route,
+    clientIP,
+    session,
+    // Get or create anonymous session ID for tracking (even if not logged in)
+    sessionId: session?.session?.id || `anon_${clientIP}`,
+    userId: session?.user?.id || null,
+    dailyLimitResult: null,
+    rateLimitResult: null,
+    reservation: null,
+  };
+
+  try {
+    for (const name of route.guards) {
+      await GUARDS[name](ctx);
+    }
+  } catch (error) {
+    // A later guard refused (or failed) after the daily limit was reserved
+    await releaseUsage(ctx.reservation);
+    if (error instanceof GuardError) {
+      return { guard: null, errorResponse: guardErrorResponse(error) };
+    }
+    throw error;
+  }
+
+  return { guard: createGuard(ctx), errorResponse: null };
+}
+
+/**
+ * What a route gets back once its guards have passed
+ */
+function createGuard(ctx) {
+  const { route, clientIP, session, sessionId, userId, dailyLimitResult, rateLimitResult } = ctx;
+  let reservation = ctx.reservation;
+
+  const limitHeaders = {
+    ...(route.headers.includes('rateLimit') && rateLimitHeaders(route.rateLimit, rateLimitResult)),
+    ...(route.headers.includes('dailyLimit') && dailyLimitHeaders(dailyLimitResult)),
+  };
+
+  const dailyLimitSummary = !dailyLimitResult || dailyLimitResult.remaining === Infinity
+    ? 'Daily: unlimited'
+    : `Daily: ${dailyLimitResult.used}/${dailyLimitResult.limit} used (${dailyLimitResult.remaining} remaining)`;
+
+  // Take the reservation so it is only ever settled once
+  const takeReservation = () => {
+    const taken = reservation;
+    reservation = null;
+    return taken;
+  };
+
+  return {
+    session,
+    sessionId,
+    userId,
+    clientIP,
+    dailyLimitResult,
+    rateLimitResult,
+    /** Headers for the route's successful responses */
+    limitHeaders,
+    /** Daily usage for logRequest's dailyLimit field */
+    dailyLimitSummary,
+
+    /** Charge the daily-limit reservation - the request succeeded */
+    commit: () => commitUsage(takeReservation()),
+
+    /** Give the reservation back - call in finally; does nothing once committed or handed off */
+    release: () => releaseUsage(takeReservation()),
+
+    /**
+     * Hand the reservation to something that outlives the handler (e.g. a response stream),
+     * which must settle it; the guard's own commit and release then do nothing
+     * @returns {{commit: () => Promise<void>, release: () => Promise<void>}}
+     */
+    handOffUsage: () => {
+      const taken = takeReservation();
+      return {
+        commit: () => commitUsage(taken),
+        release: () => releaseUsage(taken),
+      };
+    },
+
+    /** Record the use without the suspicious-activity check (for requests answered without doing the work) */
+    logUsage: () => logDailyUsage(sessionId, userId, route.usage, clientIP, false),
+
+    /**
+     * Check for suspicious activity once the work is done, blocking the session if needed, and record the use
+     * @returns {Promise<GuardError|null>} A suspicious_activity error if the session was just blocked
+     */
+    finish: async () => {
+      const suspiciousCheck = await checkSuspiciousActivity(sessionId, route.usage, clientIP);
+      if (suspiciousCheck.isSuspicious) {
+        await blockSession(sessionId);
+        logDailyUsage(sessionId, userId, route.usage, clientIP, true);
+        return new GuardError('suspicious_activity');
+      }
+      logDailyUsage(sessionId, userId, route.usage, clientIP, false);
+      return null;
+    },
+  };
+}
@@ -0,0 +1,52 @@
+/**
+ * Conversation history window
+ * Shared by the chat route and the client so both agree on what the model sees verbatim
+ */
+
+import { estimateTokens } from './tokens.js';
+
+// Recent turns are sent verbatim up to these limits (whichever is smaller)
+export const MAX_HISTORY_MESSAGES = 20;
+export const MAX_HISTORY_TOKENS = 10000;
+
+// The most history the chat API accepts in one request
+export const MAX_HISTORY_ITEMS = 100;
+
+// Truncate history to keep last N messages OR last M tokens (whichever is smaller)
+export function truncateHistory(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return [];
+  }
+
+  // First, limit by message count
+  let truncated = messages.slice(-MAX_HISTORY_MESSAGES);
+  
+  // Then, limit by token count (count tokens from oldest to newest)
+  let totalTokens = 0;
+  const result = [];
+  
+  for (let i = truncated.length - 1; i >= 0; i--) {
+    const msg = truncated[i];
+    const msgTokens = estimateTokens(msg.content || '');
+    
+    if (totalTokens + msgTokens > MAX_HISTORY_TOKENS) {
+      break;
+    }
+    
+    result.unshift(msg);
+    totalTokens += msgTokens;
+  }
+  
+  return result;
+}
+
+/**
+ * Split history into the turns that have fallen out of the window and the recent ones
+ * @param {Array<{role: string, content: string}>} messages - Full history, oldest first
+ * @returns {{older: Array, recent: Array}}
+ */
+export function splitHistory(messages) {
+  const recent = truncateHistory(messages);
+  const older = Array.isArray(messages) ? messages.slice(0, messages.length - recent.length) : [];
+  return { older, recent };
+}
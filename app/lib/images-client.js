@@ -0,0 +1,70 @@
+/**
+ * Browser helpers for photos sent with chat messages
+ * Phone photos are several megabytes, so they are shrunk here before upload - quicker on slow
+ * connections, cheaper to send to the model and small enough to keep with the conversation.
+ */
+
+import { ALLOWED_IMAGE_TYPES, MAX_IMAGE_BYTES, validateImage } from './images.js';
+
+// Longest side after shrinking - enough for the model to read a letter or a medicine label
+const MAX_IMAGE_DIMENSION = 1536;
+const JPEG_QUALITY = 0.85;
+// Larger files than this aren't even tried (they would take too long to decode on older phones)
+const MAX_SOURCE_BYTES = 25 * 1024 * 1024;
+
+function readAsDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Turn a chosen or captured photo into a data URL ready for /api/chat
+ * @param {File} file - From an <input type="file">
+ * @param {{maxDimension?: number}} [options] - Longest side in pixels (custom symbols are much smaller)
+ * @returns {Promise<string>} JPEG data URL
+ * @throws {Error} With a message to show the user
+ */
+export async function prepareImage(file, { maxDimension = MAX_IMAGE_DIMENSION } = {}) {
+  if (!file || !file.type.startsWith('image/')) {
+    throw new Error('Please choose a photo.');
+  }
+  if (file.size > MAX_SOURCE_BYTES) {
+    throw new Error('That photo is too big. Please choose a smaller one.');
+  }
+
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch {
+    throw new Error('That photo could not be opened. Please try a different one.');
+  }
+
+  const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  const context = canvas.getContext('2d');
+  // Transparent PNGs would otherwise turn black as JPEGs
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', JPEG_QUALITY));
+  // Some browsers can't make JPEGs from a canvas - send the original if it's already acceptable
+  const source = blob || (ALLOWED_IMAGE_TYPES.includes(file.type) && file.size <= MAX_IMAGE_BYTES ? file : null);
+  if (!source) {
+    throw new Error('That photo could not be opened. Please try a different one.');
+  }
+
+  const dataUrl = await readAsDataURL(source);
+  const { error } = validateImage(dataUrl);
+  if (error) {
+    throw new Error(`${error}.`);
+  }
+  return dataUrl;
+}
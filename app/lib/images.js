@@ -0,0 +1,47 @@
+/**
+ * Photos sent with chat messages
+ * Images travel and are stored as data URLs, so one check serves /api/chat and the conversation store.
+ * Safe to import in the browser.
+ */
+
+export const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Browsers shrink photos before sending (see images-client.js), so this only stops oversized uploads
+export const MAX_IMAGE_BYTES = 2 * 1024 * 1024; // 2MB
+
+// A message with a photo counts as this many messages against the daily limit
+export const IMAGE_USAGE_UNITS = 3;
+
+// Rough input tokens for one photo, used when the provider doesn't report usage
+export const IMAGE_TOKEN_ESTIMATE = 800;
+
+const DATA_URL_PATTERN = /^data:(image\/[a-z+.-]+);base64,([A-Za-z0-9+/]+={0,2})$/;
+
+/**
+ * Check a photo sent by the client
+ * @param {*} image - Data URL from the request body
+ * @returns {{image: string|null, error: string|null}} image is null (and error null) when none was sent
+ */
+export function validateImage(image) {
+  if (image === undefined || image === null || image === '') {
+    return { image: null, error: null };
+  }
+  if (typeof image !== 'string') {
+    return { image: null, error: 'The photo could not be read' };
+  }
+
+  const match = image.match(DATA_URL_PATTERN);
+  if (!match) {
+    return { image: null, error: 'The photo could not be read' };
+  }
+  if (!ALLOWED_IMAGE_TYPES.includes(match[1])) {
+    return { image: null, error: 'Photos must be JPEG, PNG, WebP or GIF images' };
+  }
+  // Every 4 base64 characters hold 3 bytes
+  const bytes = Math.floor(match[2].length * 3 / 4) - (match[2].endsWith('==') ? 2 : match[2].endsWith('=') ? 1 : 0);
+  if (bytes > MAX_IMAGE_BYTES) {
+    return { image: null, error: `Photos must be smaller than ${MAX_IMAGE_BYTES / (1024 * 1024)}MB` };
+  }
+
+  return { image, error: null };
+}
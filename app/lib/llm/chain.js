@@ -0,0 +1,142 @@
+/**
+ * Chat model fallback chain
+ * Tries each configured model in order, skipping models whose circuit is open.
+ */
+
+import { getProvider } from './provider.js';
+import { ProviderError, createAbortError, isAbortError } from './errors.js';
+import { CHAT_MODEL_CHAIN, CHAT_ATTEMPT_TIMEOUT_MS } from './config.js';
+import { getCircuitState, recordModelFailure, recordModelSuccess } from './circuit-breaker.js';
+
+function isModelNotFound(error) {
+  return error instanceof ProviderError && (error.code === 'model_not_found' || error.status === 404);
+}
+
+/**
+ * Decide whether an error should move on to the next model
+ * Client errors (bad request, auth) would fail the same way on every model, so they don't
+ * @param {Error} error - Error from the attempt
+ * @returns {boolean}
+ */
+function isRetriableError(error) {
+  if (!(error instanceof ProviderError)) return false;
+  if (isModelNotFound(error)) return true;
+  if (error.status === undefined || error.status === 408 || error.status === 429) return true;
+  return error.status >= 500;
+}
+
+// 429 means we're being throttled, not that the model is broken - try the next model without tripping the circuit
+function countsAsModelFailure(error) {
+  return error.status !== 429;
+}
+
+/**
+ * Wrap a provider stream so mid-stream failures still reach the circuit breaker
+ * @param {AsyncIterable} stream - Provider chunk stream
+ * @param {string} model - Model producing the stream
+ * @param {{failures: number}} circuit - The model's circuit state from before the attempt
+ * @param {() => void} cleanup - Called when the stream ends
+ */
+async function* trackStream(stream, model, circuit, cleanup) {
+  try {
+    yield* stream;
+    await recordModelSuccess(model, circuit);
+  } catch (error) {
+    if (isRetriableError(error) && countsAsModelFailure(error)) {
+      await recordModelFailure(model);
+    }
+    throw error;
+  } finally {
+    cleanup();
+  }
+}
+
+/**
+ * Get a chat reply from the first healthy model in the chain
+ * @param {{messages: Array, tools?: Array, toolChoice?: string, stream?: boolean, signal?: AbortSignal, chain?: Array}} options
+ * @returns {Promise<Object>} Provider result; result.model is the model that actually answered
+ */
+export async function completeWithFallback({ messages, tools, toolChoice, stream = false, signal, chain = CHAT_MODEL_CHAIN }) {
+  const provider = getProvider();
+  let lastError = null;
+  let attempted = 0;
+
+  for (const entry of chain) {
+    if (signal?.aborted) {
+      throw createAbortError();
+    }
+
+    const circuit = await getCircuitState(entry.model);
+    if (circuit.open) {
+      console.log(`Skipping ${entry.model} - circuit open`);
+      continue;
+    }
+    attempted++;
+
+    // Each attempt gets its own timeout, but the caller's signal still cancels everything
+    const attemptController = new AbortController();
+    let attemptTimedOut = false;
+    const onParentAbort = () => attemptController.abort();
+    signal?.addEventListener('abort', onParentAbort);
+    const attemptTimeoutId = setTimeout(() => {
+      attemptTimedOut = true;
+      attemptController.abort();
+    }, entry.timeoutMs || CHAT_ATTEMPT_TIMEOUT_MS);
+    const cleanup = () => {
+      clearTimeout(attemptTimeoutId);
+      signal?.removeEventListener('abort', onParentAbort);
+    };
+
+    try {
+      const result = await provider.chat({
+        model: entry.model,
+        messages,
+        params: entry.params,
+        tools,
+        toolChoice,
+        stream,
+        signal: attemptController.signal,
+      });
+
+      if (stream) {
+        // The stream has started - from here the caller's timeout covers it
+        clearTimeout(attemptTimeoutId);
+        return { ...result, stream: trackStream(result.stream, entry.model, circuit, cleanup) };
+      }
+
+      cleanup();
+      await recordModelSuccess(entry.model, circuit);
+      return result;
+    } catch (error) {
+      cleanup();
+
+      // The caller gave up (overall timeout or user cancel) - stop trying
+      if (isAbortError(error) && !attemptTimedOut) {
+        throw error;
+      }
+
+      const attemptError = attemptTimedOut
+        ? new ProviderError(`${entry.model} timed out`, { status: 504, code: 'timeout', cause: error })
+        : error;
+
+      if (!isRetriableError(attemptError)) {
+        throw attemptError;
+      }
+
+      if (countsAsModelFailure(attemptError)) {
+        await recordModelFailure(entry.model, { openImmediately: isModelNotFound(attemptError) });
+      }
+      console.warn(`${entry.model} failed (${attemptError.code || attemptError.status || attemptError.message}), trying next model`);
+      lastError = attemptError;
+    }
+  }
+
+  if (attempted === 0) {
+    throw new ProviderError('All chat models are cooling down after failures', {
+      status: 503,
+      code: 'all_models_unavailable',
+    });
+  }
+
+  throw lastError;
+}
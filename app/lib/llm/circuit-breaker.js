@@ -0,0 +1,119 @@
+/**
+ * Circuit breaker for chat models
+ * Remembers model failures (5xx, timeouts, missing models) so requests skip a broken model
+ * for a cool-down window instead of waiting on it every time.
+ * State lives in the rate_limits table (endpoint 'circuit') so it is shared across instances.
+ */
+
+import { getDB } from '../db/db.js';
+import { CIRCUIT_FAILURE_THRESHOLD, CIRCUIT_COOL_DOWN_MS } from './config.js';
+
+const CIRCUIT_ENDPOINT = 'circuit';
+
+function circuitWhere(model) {
+  return {
+    identifier_endpoint: {
+      identifier: model,
+      endpoint: CIRCUIT_ENDPOINT,
+    },
+  };
+}
+
+/**
+ * Read a model's circuit: whether it is open (model should be skipped) and how many failures it holds
+ * @param {string} model - Model name
+ * @returns {Promise<{open: boolean, failures: number}>}
+ */
+export async function getCircuitState(model) {
+  const prisma = getDB();
+  try {
+    const record = await prisma.rateLimit.findUnique({
+      where: circuitWhere(model),
+    });
+    if (!record) return { open: false, failures: 0 };
+    return {
+      open: record.count >= CIRCUIT_FAILURE_THRESHOLD && record.resetAt.getTime() > Date.now(),
+      failures: record.count,
+    };
+  } catch (error) {
+    console.error('Error checking circuit breaker:', error);
+    // On error, allow the model (fail open)
+    return { open: false, failures: 0 };
+  }
+}
+
+/**
+ * Record a model failure
+ * @param {string} model - Model name
+ * @param {{openImmediately?: boolean}} options - Open the circuit straight away (e.g. model not found)
+ */
+export async function recordModelFailure(model, { openImmediately = false } = {}) {
+  const prisma = getDB();
+  const now = Date.now();
+  const resetAt = new Date(now + CIRCUIT_COOL_DOWN_MS);
+
+  try {
+    const record = await prisma.rateLimit.findUnique({
+      where: circuitWhere(model),
+    });
+
+    if (!record) {
+      await prisma.rateLimit.create({
+        data: {
+          id: `${model}_${CIRCUIT_ENDPOINT}_${now}`,
+          identifier: model,
+          endpoint: CIRCUIT_ENDPOINT,
+          count: openImmediately ? CIRCUIT_FAILURE_THRESHOLD : 1,
+          resetAt,
+          createdAt: new Date(now),
+          updatedAt: new Date(now),
+        },
+      });
+      return;
+    }
+
+    // Keep counting while failures are recent, or if the circuit was open (a failed trial re-opens it)
+    const stillCounting = record.resetAt.getTime() > now || record.count >= CIRCUIT_FAILURE_THRESHOLD;
+    let count = stillCounting ? record.count + 1 : 1;
+    if (openImmediately) {
+      count = Math.max(count, CIRCUIT_FAILURE_THRESHOLD);
+    }
+
+    await prisma.rateLimit.update({
+      where: circuitWhere(model),
+      data: {
+        count,
+        resetAt,
+        updatedAt: new Date(now),
+      },
+    });
+
+    if (count === CIRCUIT_FAILURE_THRESHOLD) {
+      console.warn(`⚠️  Circuit opened for ${model} until ${resetAt.toISOString()}`);
+    }
+  } catch (error) {
+    console.error('Error recording model failure:', error);
+    // Don't throw - circuit breaker failures shouldn't break the app
+  }
+}
+
+/**
+ * Record a model success (closes the circuit)
+ * Most successes follow no failures at all, so nothing is written unless the state read before the attempt had some
+ * @param {string} model - Model name
+ * @param {{failures: number}} state - From getCircuitState
+ */
+export async function recordModelSuccess(model, state) {
+  if (state.failures === 0) return;
+  const prisma = getDB();
+  try {
+    await prisma.rateLimit.deleteMany({
+      where: {
+        identifier: model,
+        endpoint: CIRCUIT_ENDPOINT,
+      },
+    });
+  } catch (error) {
+    console.error('Error recording model success:', error);
+  }
+}
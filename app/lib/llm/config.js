@@ -0,0 +1,85 @@
+/**
+ * LLM provider and model configuration
+ * Everything can be overridden with environment variables
+ */
+
+// Which provider to use: 'openai' (default) or 'fake' (offline, deterministic)
+export const LLM_PROVIDER = (process.env.LLM_PROVIDER || 'openai').trim().toLowerCase();
+
+// Model names
+export const CHAT_MODEL = process.env.LLM_CHAT_MODEL || 'gpt-5.1';
+export const CHAT_FALLBACK_MODEL = process.env.LLM_CHAT_FALLBACK_MODEL || 'gpt-4o';
+export const TTS_MODEL = process.env.LLM_TTS_MODEL || 'gpt-4o-mini-tts';
+export const TRANSCRIBE_MODEL = process.env.LLM_TRANSCRIBE_MODEL || 'gpt-4o-mini-transcribe';
+export const REALTIME_MODEL = process.env.LLM_REALTIME_MODEL || 'gpt-realtime';
+export const SUMMARY_MODEL = process.env.LLM_SUMMARY_MODEL || CHAT_FALLBACK_MODEL;
+export const TITLE_MODEL = process.env.LLM_TITLE_MODEL || SUMMARY_MODEL;
+export const SUGGESTIONS_MODEL = process.env.LLM_SUGGESTIONS_MODEL || SUMMARY_MODEL;
+
+// Realtime client secrets expire after this many seconds
+export const REALTIME_TOKEN_TTL_SECONDS = 600; // 10 minutes
+
+// Each chat attempt gets this long to start answering before we move to the next model
+export const CHAT_ATTEMPT_TIMEOUT_MS = 15000;
+
+// Default chat fallback chain, tried in order
+// Note: GPT-5.1 does NOT support max_tokens, temperature, top_p, or logprobs
+// Use verbosity: "low" to control response length instead
+const DEFAULT_CHAT_MODEL_CHAIN = [
+  {
+    model: CHAT_MODEL,
+    // none reasoning_effort for fastest responses (supported values: 'none', 'low', 'medium', 'high')
+    params: { reasoning_effort: 'none', verbosity: 'low' },
+    vision: true,
+  },
+  {
+    model: CHAT_FALLBACK_MODEL,
+    params: { max_tokens: 500 }, // Limit response length for cost control
+    vision: true,
+  },
+];
+
+/**
+ * Parse a chat chain from JSON
+ * Format: [{ "model": "gpt-5.1", "params": { "verbosity": "low" }, "timeoutMs": 15000, "vision": true }, ...]
+ * Models can look at photos unless they have "vision": false
+ * @param {string|undefined} json - JSON from the environment
+ * @returns {Array<{model: string, params: Object, timeoutMs?: number, vision: boolean}>|null} Chain, or null if unset/invalid
+ */
+function parseChatChain(json) {
+  if (!json) return null;
+  try {
+    const chain = JSON.parse(json);
+    if (!Array.isArray(chain) || chain.length === 0) {
+      throw new Error('chain must be a non-empty array');
+    }
+    return chain.map((entry, index) => {
+      if (!entry || typeof entry.model !== 'string' || !entry.model) {
+        throw new Error(`entry ${index} is missing a model name`);
+      }
+      return {
+        model: entry.model,
+        params: entry.params && typeof entry.params === 'object' ? entry.params : {},
+        timeoutMs: Number(entry.timeoutMs) > 0 ? Number(entry.timeoutMs) : undefined,
+        vision: entry.vision !== false,
+      };
+    });
+  } catch (error) {
+    console.error('Invalid LLM_CHAT_CHAIN, using default chain:', error.message);
+    return null;
+  }
+}
+
+// Ordered chat fallback chain with per-model parameters (override with LLM_CHAT_CHAIN)
+export const CHAT_MODEL_CHAIN = parseChatChain(process.env.LLM_CHAT_CHAIN) || DEFAULT_CHAT_MODEL_CHAIN;
+
+// The models in the chain that can look at photos, for messages that have one
+export const VISION_MODEL_CHAIN = CHAT_MODEL_CHAIN.filter(entry => entry.vision);
+
+// Circuit breaker: after this many failures a model is skipped for the cool-down window
+export const CIRCUIT_FAILURE_THRESHOLD = Number(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD) || 3;
+export const CIRCUIT_COOL_DOWN_MS = Number(process.env.LLM_CIRCUIT_COOL_DOWN_MS) || 60 * 1000; // 1 minute
+
+// How turns that fall out of the history window are handled:
+// 'summary' (default) condenses them into a rolling summary, 'truncate' drops them
+export const HISTORY_MODE = (process.env.HISTORY_MODE || 'summary').trim().toLowerCase();
@@ -0,0 +1,82 @@
+/**
+ * Automatic conversation titles
+ * Asks a small model for a short, simple title; falls back to the first words the user said, which is
+ * also all that's used while the service is over its spending limits
+ */
+
+import { getProvider } from './provider.js';
+import { TITLE_MODEL, CHAT_MODEL_CHAIN } from './config.js';
+import { getConversationTitlePrompt } from '../prompts.js';
+import { cleanTitle, heuristicTitle } from '../conversations/titles.js';
+import { estimateTokens } from '../tokens.js';
+import { recordRequestCost, checkCostLimits } from '../bot-protection/cost-monitor.js';
+
+const TITLE_TIMEOUT_MS = 8000;
+// Anything longer than this isn't the short title we asked for
+const MAX_TITLE_WORDS = 6;
+// The first exchange is plenty to name a conversation
+const MAX_TITLE_INPUT_CHARS = 2000;
+
+/**
+ * Generate a title from the start of a conversation
+ * Never throws - a heuristic title is used if the model call fails or the cost limits are reached
+ * @param {Array<{role: string, content: string}>} messages - Opening messages, oldest first
+ * @param {{userId: string|null}} context - For cost tracking
+ * @returns {Promise<string>}
+ */
+export async function generateConversationTitle(messages, { userId = null } = {}) {
+  const firstUserMessage = messages.find(m => m.role === 'user')?.content || '';
+
+  // Titles are a nice-to-have, so they stop with everything else when spending is over the limit
+  const costCheck = await checkCostLimits();
+  if (!costCheck.allowed) {
+    return heuristicTitle(firstUserMessage);
+  }
+
+  const transcript = messages
+    .slice(0, 2)
+    .map(m => `${m.role === 'assistant' ? 'Assistant' : 'User'}: ${m.content}`)
+    .join('\n')
+    .slice(0, MAX_TITLE_INPUT_CHARS);
+  const prompt = [
+    { role: 'system', content: getConversationTitlePrompt() },
+    { role: 'user', content: transcript },
+  ];
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), TITLE_TIMEOUT_MS);
+
+  try {
+    // Reuse the chain's parameters for the title model if it's in there (GPT-5.1 rejects max_tokens)
+    const params = CHAT_MODEL_CHAIN.find(entry => entry.model === TITLE_MODEL)?.params || {};
+    const result = await getProvider().chat({
+      model: TITLE_MODEL,
+      messages: prompt,
+      params,
+      signal: controller.signal,
+    });
+
+    await recordRequestCost({
+      endpoint: 'conversation-title',
+      model: result.model,
+      userId,
+      usage: result.usage,
+      estimate: {
+        inputTokens: estimateTokens(prompt.map(m => m.content).join(' ')),
+        outputTokens: estimateTokens(result.content),
+      },
+    });
+
+    const title = cleanTitle(result.content);
+    if (title && title.split(/\s+/).length <= MAX_TITLE_WORDS) {
+      return title;
+    }
+  } catch (error) {
+    console.error('Error generating conversation title:', error);
+    // Don't throw - fall back to the heuristic title
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  return heuristicTitle(firstUserMessage);
+}
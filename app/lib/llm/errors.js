@@ -0,0 +1,38 @@
+/**
+ * Provider-neutral errors for the LLM layer
+ * Routes check these instead of SDK-specific error classes
+ */
+
+export class ProviderError extends Error {
+  /**
+   * @param {string} message - Error message (may include provider details - don't send to clients)
+   * @param {{status?: number, code?: string, cause?: Error}} options - HTTP status and provider error code
+   */
+  constructor(message, { status, code, cause } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Create an abort error matching the DOM AbortError shape
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+export function createAbortError(message = 'Request was aborted.') {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Check if an error came from an aborted request (timeout or user cancel)
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
@@ -0,0 +1,215 @@
+/**
+ * Fake provider for offline development
+ * Returns canned or scripted replies, silent audio and a canned transcript, with no network or API key needed.
+ * Usage numbers are still reported so daily limits and cost tracking run as normal.
+ *
+ * Set LLM_PROVIDER=fake to use it. Optionally set FAKE_LLM_SCRIPT to a JSON file:
+ * {
+ *   "replies": [{ "match": "weather", "reply": "It is sunny today." }],
+ *   "fallback": "I am the practice assistant."
+ * }
+ * "match" is a case-insensitive substring, or a regular expression written as "/pattern/".
+ * An entry can call a tool first - { "match": "what day", "tool": { "name": "get_current_datetime", "arguments": {} } } -
+ * then answers with its "reply", or with the tool's result if it has none.
+ *
+ * FAKE_LLM_FAIL_MODELS=gpt-5.1 (comma-separated) makes those chat models fail with a 503,
+ * which is handy for trying out the fallback chain and circuit breaker.
+ */
+
+import { readFileSync } from 'fs';
+import { randomUUID } from 'crypto';
+import { ProviderError } from './errors.js';
+import { estimateTokens } from '../tokens.js';
+
+const FAKE_SAMPLE_RATE = 24000;
+const MAX_FAKE_AUDIO_SECONDS = 30;
+// Rough size of one audio token in a compressed recording, for the fake transcription usage
+const FAKE_AUDIO_BYTES_PER_TOKEN = 250;
+
+let script = null;
+
+/**
+ * Load the reply script once (if configured)
+ * @returns {{replies: Array<{match: string, reply: string}>, fallback: string|null}}
+ */
+function loadScript() {
+  if (script) return script;
+
+  script = { replies: [], fallback: null };
+  const scriptPath = process.env.FAKE_LLM_SCRIPT;
+  if (!scriptPath) return script;
+
+  try {
+    const parsed = JSON.parse(readFileSync(scriptPath, 'utf8'));
+    script = {
+      replies: Array.isArray(parsed.replies) ? parsed.replies : [],
+      fallback: typeof parsed.fallback === 'string' ? parsed.fallback : null,
+    };
+  } catch (error) {
+    console.error(`Failed to load fake LLM script from ${scriptPath}:`, error.message);
+  }
+  return script;
+}
+
+function matches(pattern, text) {
+  if (typeof pattern !== 'string' || !pattern) return false;
+  const regexMatch = pattern.match(/^\/(.*)\/([a-z]*)$/);
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2] || 'i').test(text);
+  }
+  return text.toLowerCase().includes(pattern.toLowerCase());
+}
+
+function getLastUserMessage(messages) {
+  return [...messages].reverse().find(msg => msg.role === 'user');
+}
+
+function getLastPrompt(messages) {
+  const lastUser = getLastUserMessage(messages);
+  return typeof lastUser?.content === 'string' ? lastUser.content.trim() : '';
+}
+
+/**
+ * Find the script entry for the latest user message
+ * @param {Array} messages - Chat messages
+ * @returns {Object|undefined}
+ */
+function findScripted(messages) {
+  const prompt = getLastPrompt(messages);
+  return loadScript().replies.find(entry => matches(entry.match, prompt));
+}
+
+/**
+ * Pick a deterministic reply for the latest user message
+ * @param {Array} messages - Chat messages
+ * @returns {string}
+ */
+function pickReply(messages) {
+  const scripted = findScripted(messages);
+  const lastMessage = messages[messages.length - 1];
+
+  // Answering after a tool ran
+  if (lastMessage?.role === 'tool') {
+    return scripted?.reply || `The answer is ${lastMessage.content}.`;
+  }
+
+  if (scripted) return scripted.reply;
+  const { fallback } = loadScript();
+  if (fallback) return fallback;
+
+  if (getLastUserMessage(messages)?.images?.length) {
+    return `You sent a photo and said: "${getLastPrompt(messages)}". I am the practice assistant, so I can't see it.`;
+  }
+  return `You said: "${getLastPrompt(messages)}". I am the practice assistant, so I give the same simple answer every time.`;
+}
+
+/**
+ * The scripted tool call for the latest user message, if it has one and it hasn't run yet
+ * @param {Array} messages - Chat messages
+ * @param {Array} [tools] - Chat tool definitions offered
+ * @param {string} [toolChoice]
+ * @returns {Array<{id: string, name: string, arguments: string}>}
+ */
+function pickToolCalls(messages, tools, toolChoice) {
+  const tool = findScripted(messages)?.tool;
+  if (!tool || toolChoice === 'none' || messages[messages.length - 1]?.role === 'tool') return [];
+  if (!tools?.some(offered => offered.function?.name === tool.name)) return [];
+  return [{ id: `call_fake_${randomUUID()}`, name: tool.name, arguments: JSON.stringify(tool.arguments || {}) }];
+}
+
+function buildUsage(messages, reply) {
+  const inputText = messages
+    .map(msg => (typeof msg.content === 'string' ? msg.content : ''))
+    .join(' ');
+  return {
+    inputTokens: estimateTokens(inputText),
+    outputTokens: estimateTokens(reply),
+    reasoningTokens: 0,
+  };
+}
+
+async function* streamReply(reply, usage, toolCalls) {
+  // Split into words (keeping spaces) so the client sees several deltas
+  for (const piece of reply.match(/\S+\s*/g) || []) {
+    yield { type: 'delta', text: piece };
+  }
+  yield { type: 'usage', usage };
+  if (toolCalls.length > 0) {
+    yield { type: 'tool_calls', toolCalls };
+  }
+}
+
+/**
+ * Create a silent 16-bit mono WAV file
+ * @param {number} seconds - Duration in seconds
+ * @returns {Buffer}
+ */
+function createSilentWav(seconds) {
+  const numSamples = Math.round(seconds * FAKE_SAMPLE_RATE);
+  const dataSize = numSamples * 2;
+  const buffer = Buffer.alloc(44 + dataSize); // Zero-filled samples are silence
+
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16); // PCM header size
+  buffer.writeUInt16LE(1, 20); // PCM format
+  buffer.writeUInt16LE(1, 22); // Mono
+  buffer.writeUInt32LE(FAKE_SAMPLE_RATE, 24);
+  buffer.writeUInt32LE(FAKE_SAMPLE_RATE * 2, 28); // Byte rate
+  buffer.writeUInt16LE(2, 32); // Block align
+  buffer.writeUInt16LE(16, 34); // Bits per sample
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(dataSize, 40);
+
+  return buffer;
+}
+
+/**
+ * Create the fake provider
+ * @returns {Object} Provider implementing chat, speech, transcribe and createRealtimeSession
+ */
+export function createFakeProvider() {
+  return {
+    name: 'fake',
+
+    async chat({ model, messages, tools, toolChoice, stream = false }) {
+      const failingModels = (process.env.FAKE_LLM_FAIL_MODELS || '').split(',').map(name => name.trim());
+      if (failingModels.includes(model)) {
+        throw new ProviderError(`${model} is unavailable (simulated)`, { status: 503, code: 'server_error' });
+      }
+
+      const toolCalls = pickToolCalls(messages, tools, toolChoice);
+      const reply = toolCalls.length > 0 ? '' : pickReply(messages);
+      const usage = buildUsage(messages, reply);
+
+      if (stream) {
+        return { model, stream: streamReply(reply, usage, toolCalls) };
+      }
+      return { model, content: reply, toolCalls, usage };
+    },
+
+    async speech({ input, speed = 1.0 }) {
+      // Roughly match real speech length (~2.5 words per second at normal speed)
+      const words = (input || '').split(/\s+/).filter(Boolean).length;
+      const seconds = Math.min(MAX_FAKE_AUDIO_SECONDS, Math.max(0.5, words / (2.5 * speed)));
+      const wav = createSilentWav(seconds);
+      return { body: new Response(wav).body, contentType: 'audio/wav' };
+    },
+
+    async transcribe({ audio }) {
+      // Dictation can't be heard offline - FAKE_LLM_TRANSCRIPT sets what comes back
+      const text = process.env.FAKE_LLM_TRANSCRIPT ?? 'This is what I said into the microphone.';
+      return { text, usage: { inputTokens: Math.ceil(audio.size / FAKE_AUDIO_BYTES_PER_TOKEN), outputTokens: estimateTokens(text), reasoningTokens: 0 } };
+    },
+
+    async createRealtimeSession({ expiresInSeconds }) {
+      // The token is not valid against OpenAI - voice mode will not connect offline
+      return {
+        token: `ek_fake_${randomUUID()}`,
+        expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds,
+      };
+    },
+  };
+}
@@ -0,0 +1,217 @@
+/**
+ * Rolling summary of older conversation turns
+ * Turns that fall out of the history window are condensed into a short plain-language summary
+ * and carried as a system message, so the assistant doesn't "forget" earlier topics.
+ * Summaries are cached per session (history_summary table) and only extended when enough
+ * new turns have dropped out, so we don't pay for a summary call on every turn.
+ */
+
+import { createHash } from 'crypto';
+import { getDB } from '../db/db.js';
+import { getProvider } from './provider.js';
+import { createAbortError } from './errors.js';
+import { HISTORY_MODE, SUMMARY_MODEL, CHAT_MODEL_CHAIN } from './config.js';
+import { splitHistory } from '../history.js';
+import { estimateTokens } from '../tokens.js';
+import { getHistorySummaryPrompt } from '../prompts.js';
+import { stripMarkdown } from '../markdown.js';
+import { recordRequestCost } from '../bot-protection/cost-monitor.js';
+
+// Dropped turns are carried verbatim until this many have built up, then folded into the summary
+const SUMMARY_BATCH_MESSAGES = 6;
+// Cap on how much old conversation we send to be summarised in one go (newest turns win)
+const MAX_SUMMARY_INPUT_TOKENS = 8000;
+const SUMMARY_TIMEOUT_MS = 10000;
+// The last few covered turns identify where the cached summary stops
+const ANCHOR_MESSAGES = 2;
+
+/**
+ * Hash the turns a summary ends with
+ * @param {Array<{role: string, content: string}>} messages - Covered turns, oldest first
+ * @returns {string}
+ */
+function anchorHash(messages) {
+  const anchor = messages.slice(-ANCHOR_MESSAGES).map(m => ({ role: m.role, content: m.content }));
+  return createHash('sha256').update(JSON.stringify(anchor)).digest('hex');
+}
+
+/**
+ * Find where a cached summary stops in the current list of older turns
+ * Searches from the newest end, so a sliding window (history capped by the client) still matches
+ * @returns {number} Number of older turns already covered, or -1 if the summary doesn't belong here
+ */
+function findCoveredCount(older, hash) {
+  for (let end = older.length; end > 0; end--) {
+    if (anchorHash(older.slice(Math.max(0, end - ANCHOR_MESSAGES), end)) === hash) {
+      return end;
+    }
+  }
+  return -1;
+}
+
+// Keep the newest turns that fit the summary input budget
+function fitToBudget(messages) {
+  let totalTokens = 0;
+  const result = [];
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const msgTokens = estimateTokens(messages[i].content || '');
+    if (totalTokens + msgTokens > MAX_SUMMARY_INPUT_TOKENS) break;
+    result.unshift(messages[i]);
+    totalTokens += msgTokens;
+  }
+  return result;
+}
+
+function formatTranscript(messages) {
+  return messages
+    .map(m => `${m.role === 'assistant' ? 'Assistant' : 'User'}: ${m.content}`)
+    .join('\n');
+}
+
+/**
+ * Ask the model for an updated summary
+ * @param {string|null} previousSummary - Summary to extend, if any
+ * @param {Array} newTurns - Turns to fold in
+ * @param {{sessionId: string, userId: string|null, signal?: AbortSignal}} context
+ * @returns {Promise<string|null>}
+ */
+async function generateSummary(previousSummary, newTurns, { sessionId, userId, signal }) {
+  const controller = new AbortController();
+  const onParentAbort = () => controller.abort();
+  signal?.addEventListener('abort', onParentAbort);
+  const timeoutId = setTimeout(() => controller.abort(), SUMMARY_TIMEOUT_MS);
+
+  const transcript = formatTranscript(fitToBudget(newTurns));
+  const userContent = previousSummary
+    ? `Existing summary:\n${previousSummary}\n\nNew turns:\n${transcript}`
+    : `Conversation:\n${transcript}`;
+  const messages = [
+    { role: 'system', content: getHistorySummaryPrompt() },
+    { role: 'user', content: userContent },
+  ];
+
+  try {
+    if (signal?.aborted) {
+      throw createAbortError();
+    }
+
+    // Reuse the chain's parameters for the summary model if it's in there (GPT-5.1 rejects max_tokens)
+    const params = CHAT_MODEL_CHAIN.find(entry => entry.model === SUMMARY_MODEL)?.params || {};
+    const result = await getProvider().chat({
+      model: SUMMARY_MODEL,
+      messages,
+      params,
+      signal: controller.signal,
+    });
+    const summary = stripMarkdown(result.content || '');
+
+    await recordRequestCost({
+      endpoint: 'history-summary',
+      model: result.model,
+      sessionId,
+      userId,
+      usage: result.usage,
+      estimate: {
+        inputTokens: estimateTokens(messages.map(m => m.content).join(' ')),
+        outputTokens: estimateTokens(summary),
+      },
+    });
+
+    return summary || null;
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onParentAbort);
+  }
+}
+
+/**
+ * Get the summary covering older turns, extending the cached one if enough new turns have dropped out
+ * @param {Array} older - Turns outside the history window, oldest first
+ * @param {{sessionId: string, userId: string|null, signal?: AbortSignal}} context
+ * @returns {Promise<{summary: string|null, carried: Array}>} carried = older turns not in the summary yet
+ */
+async function getRollingSummary(older, context) {
+  const prisma = getDB();
+  let previousSummary = null;
+  let pending = older;
+
+  try {
+    const cached = await prisma.historySummary.findUnique({
+      where: { sessionId: context.sessionId },
+    });
+
+    if (cached) {
+      const coveredCount = findCoveredCount(older, cached.anchorHash);
+      // -1 means a different (e.g. cleared) conversation - start again
+      if (coveredCount !== -1) {
+        previousSummary = cached.summary;
+        pending = older.slice(coveredCount);
+      }
+    }
+  } catch (error) {
+    console.error('Error reading history summary:', error);
+    // Carry on without the cache
+  }
+
+  if (pending.length < SUMMARY_BATCH_MESSAGES) {
+    return { summary: previousSummary, carried: pending };
+  }
+
+  try {
+    const summary = await generateSummary(previousSummary, pending, context);
+    if (!summary) {
+      return { summary: previousSummary, carried: [] };
+    }
+
+    try {
+      const data = { summary, anchorHash: anchorHash(older), messageCount: older.length };
+      await prisma.historySummary.upsert({
+        where: { sessionId: context.sessionId },
+        create: { sessionId: context.sessionId, ...data },
+        update: data,
+      });
+    } catch (error) {
+      console.error('Error saving history summary:', error);
+      // Don't throw - we still have the summary for this request
+    }
+
+    return { summary, carried: [] };
+  } catch (error) {
+    console.error('Error summarising history, falling back to truncation:', error);
+    // Fall back to plain truncation rather than failing the chat request
+    return { summary: previousSummary, carried: [] };
+  }
+}
+
+/**
+ * Format a summary as the system message carried ahead of the recent turns
+ * @param {string} summary - Summary text
+ * @returns {{role: 'system', content: string}}
+ */
+export function formatSummaryMessage(summary) {
+  return {
+    role: 'system',
+    content: `Summary of the earlier conversation (older messages are not shown):\n${summary}`,
+  };
+}
+
+/**
+ * Build the history to send to a model: an optional summary plus the recent turns
+ * With HISTORY_MODE=truncate, older turns are simply dropped
+ * @param {Object} params
+ * @param {Array<{role: string, content: string}>} params.history - Full history, oldest first
+ * @param {string} params.sessionId - Session the summary is cached under
+ * @param {string|null} params.userId - User ID (if logged in)
+ * @param {AbortSignal} [params.signal] - Cancels the summary call
+ * @returns {Promise<{summary: string|null, recent: Array}>}
+ */
+export async function buildHistoryContext({ history, sessionId, userId = null, signal }) {
+  const { older, recent } = splitHistory(history);
+
+  if (HISTORY_MODE !== 'summary' || older.length === 0) {
+    return { summary: null, recent };
+  }
+
+  const { summary, carried } = await getRollingSummary(older, { sessionId, userId, signal });
+  return { summary, recent: [...carried, ...recent] };
+}
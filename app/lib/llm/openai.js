@@ -0,0 +1,243 @@
+/**
+ * OpenAI provider
+ * Chat completions, text-to-speech, speech-to-text and Realtime client secrets via the OpenAI API
+ */
+
+import OpenAI, { toFile } from 'openai';
+import { ProviderError, createAbortError } from './errors.js';
+
+/**
+ * Convert OpenAI usage numbers to the provider-neutral shape
+ * @param {Object|null} usage - OpenAI usage object
+ * @returns {{inputTokens: number, outputTokens: number, reasoningTokens: number}|null}
+ */
+function normalizeUsage(usage) {
+  if (!usage) return null;
+  return {
+    inputTokens: usage.prompt_tokens || 0,
+    outputTokens: usage.completion_tokens || 0,
+    reasoningTokens: usage.completion_tokens_details?.reasoning_tokens || 0,
+  };
+}
+
+/**
+ * Convert OpenAI SDK errors to provider-neutral errors
+ * @param {Error} error - Error thrown by the SDK
+ * @returns {Error}
+ */
+function normalizeError(error) {
+  if (error instanceof OpenAI.APIUserAbortError) {
+    return createAbortError(error.message);
+  }
+  if (error instanceof OpenAI.APIConnectionTimeoutError) {
+    return new ProviderError(error.message, { status: 504, code: 'timeout', cause: error });
+  }
+  if (error instanceof OpenAI.APIError) {
+    return new ProviderError(error.message, { status: error.status, code: error.code, cause: error });
+  }
+  return error;
+}
+
+/**
+ * Convert OpenAI tool calls to the provider-neutral shape
+ * @param {Array|undefined} toolCalls - OpenAI message tool_calls
+ * @returns {Array<{id: string, name: string, arguments: string}>}
+ */
+function normalizeToolCalls(toolCalls) {
+  return (toolCalls || [])
+    .filter(call => call.function)
+    .map(call => ({ id: call.id, name: call.function.name, arguments: call.function.arguments || '' }));
+}
+
+/**
+ * Convert provider-neutral messages to OpenAI's shape
+ * Photos on a message ({ images: [dataUrl] }) become image parts alongside its text
+ * @param {Array} messages - Chat messages
+ * @returns {Array}
+ */
+function toOpenAIMessages(messages) {
+  return messages.map(({ images, ...message }) => {
+    if (!images?.length) return message;
+    return {
+      ...message,
+      content: [
+        ...(message.content ? [{ type: 'text', text: message.content }] : []),
+        ...images.map(url => ({ type: 'image_url', image_url: { url } })),
+      ],
+    };
+  });
+}
+
+/**
+ * Build the tools request fields
+ * @param {Array|undefined} tools - Chat tool definitions
+ * @param {string|undefined} toolChoice - auto, none or required
+ */
+function toolParams(tools, toolChoice) {
+  if (!tools?.length) return {};
+  return { tools, ...(toolChoice && { tool_choice: toolChoice }) };
+}
+
+/**
+ * Re-yield streamed chunks in the provider-neutral shape
+ * Tool calls arrive in pieces across chunks, so they are put back together and yielded once at the end
+ * @param {AsyncIterable} completion - OpenAI chat completion stream
+ */
+async function* toChunks(completion) {
+  const toolCalls = [];
+  try {
+    for await (const chunk of completion) {
+      const delta = chunk.choices[0]?.delta;
+      if (delta?.content) {
+        yield { type: 'delta', text: delta.content };
+      }
+      for (const part of delta?.tool_calls || []) {
+        const call = toolCalls[part.index] ||= { id: '', name: '', arguments: '' };
+        if (part.id) call.id = part.id;
+        if (part.function?.name) call.name += part.function.name;
+        if (part.function?.arguments) call.arguments += part.function.arguments;
+      }
+      // With include_usage, the final chunk carries usage and no choices
+      if (chunk.usage) {
+        yield { type: 'usage', usage: normalizeUsage(chunk.usage) };
+      }
+    }
+  } catch (error) {
+    throw normalizeError(error);
+  }
+  const completedCalls = toolCalls.filter(call => call?.name);
+  if (completedCalls.length > 0) {
+    yield { type: 'tool_calls', toolCalls: completedCalls };
+  }
+}
+
+/**
+ * Create the OpenAI provider
+ * The client is created lazily so a missing API key only fails when the provider is used
+ * @returns {Object} Provider implementing chat, speech, transcribe and createRealtimeSession
+ */
+export function createOpenAIProvider() {
+  let client = null;
+  // It will automatically pick up the OPENAI_API_KEY environment variable.
+  const getClient = () => {
+    if (!client) {
+      client = new OpenAI();
+    }
+    return client;
+  };
+
+  return {
+    name: 'openai',
+
+    async chat({ model, messages, params = {}, tools, toolChoice, stream = false, signal }) {
+      try {
+        if (!stream) {
+          const completion = await getClient().chat.completions.create({
+            model,
+            messages: toOpenAIMessages(messages),
+            ...params,
+            ...toolParams(tools, toolChoice),
+          }, { signal });
+          const message = completion.choices[0]?.message;
+          return {
+            model,
+            content: message?.content || '',
+            toolCalls: normalizeToolCalls(message?.tool_calls),
+            usage: normalizeUsage(completion.usage),
+          };
+        }
+
+        const completion = await getClient().chat.completions.create({
+          model,
+          messages: toOpenAIMessages(messages),
+          ...params,
+          ...toolParams(tools, toolChoice),
+          stream: true,
+          stream_options: { include_usage: true },
+        }, { signal });
+        return { model, stream: toChunks(completion) };
+      } catch (error) {
+        throw normalizeError(error);
+      }
+    },
+
+    async speech({ model, voice, input, instructions, format = 'opus', speed = 1.0 }) {
+      try {
+        const response = await getClient().audio.speech.create({
+          model,
+          voice,
+          input,
+          instructions,
+          response_format: format,
+          speed,
+        });
+        return { body: response.body, contentType: `audio/${format}` };
+      } catch (error) {
+        throw normalizeError(error);
+      }
+    },
+
+    async transcribe({ model, audio, filename, language, signal }) {
+      try {
+        const transcription = await getClient().audio.transcriptions.create({
+          model,
+          file: await toFile(audio, filename),
+          language,
+          response_format: 'json',
+        }, { signal });
+        // Token-billed models report usage; whisper-1 reports seconds, which we can't bill as tokens
+        const usage = transcription.usage?.type === 'tokens'
+          ? { inputTokens: transcription.usage.input_tokens || 0, outputTokens: transcription.usage.output_tokens || 0, reasoningTokens: 0 }
+          : null;
+        return { text: transcription.text || '', usage };
+      } catch (error) {
+        throw normalizeError(error);
+      }
+    },
+
+    async createRealtimeSession({ model, instructions, voice, speed = 1.0, tools, expiresInSeconds }) {
+      // Create an ephemeral client secret for Realtime API
+      // This allows the client to connect without exposing API keys
+      const fetchResponse = await fetch('https://api.openai.com/v1/realtime/client_secrets', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          expires_after: {
+            anchor: 'created_at',
+            seconds: expiresInSeconds,
+          },
+          session: {
+            type: 'realtime',
+            model,
+            instructions,
+            ...(tools?.length && { tools, tool_choice: 'auto' }),
+            audio: {
+              output: {
+                voice, // Supported voices: alloy, ash, ballad, coral, echo, sage, shimmer, verse, marin, cedar
+                speed,
+                format: {
+                  type: 'audio/pcm',
+                  rate: 24000,
+                },
+              },
+            },
+          },
+        }),
+      });
+
+      if (!fetchResponse.ok) {
+        const errorData = await fetchResponse.json().catch(() => ({}));
+        throw new ProviderError(
+          `Failed to create client secret: ${fetchResponse.status} ${JSON.stringify(errorData)}`,
+          { status: fetchResponse.status, code: errorData?.error?.code }
+        );
+      }
+
+      const data = await fetchResponse.json();
+      return { token: data.value, expires_at: data.expires_at };
+    },
+  };
+}
@@ -0,0 +1,46 @@
+/**
+ * LLM provider selection
+ *
+ * Every provider implements:
+ * - chat({ model, messages, params, tools, toolChoice, stream, signal })
+ *     -> { model, content, toolCalls, usage } or, when streaming, { model, stream }
+ *        where stream yields { type: 'delta', text }, { type: 'usage', usage }
+ *        and finally { type: 'tool_calls', toolCalls } if the model asked for tools
+ * - speech({ model, voice, input, instructions, format, speed }) -> { body, contentType }
+ * - transcribe({ model, audio, filename, language, signal }) -> { text, usage }
+ *     audio is a Blob; language is an ISO-639-1 hint such as 'en' (optional)
+ * - createRealtimeSession({ model, instructions, voice, speed, tools, expiresInSeconds }) -> { token, expires_at }
+ *
+ * toolCalls are [{ id, name, arguments }] with arguments as a JSON string (see app/lib/tools/registry.js).
+ * A user message can carry photos as { role, content, images: [dataUrl] } - only send those to vision models.
+ *
+ * usage is { inputTokens, outputTokens, reasoningTokens } (or null if the provider didn't report it).
+ * Errors are ProviderError (with status/code) or an AbortError on timeout/cancel.
+ */
+
+import { LLM_PROVIDER } from './config.js';
+import { createOpenAIProvider } from './openai.js';
+import { createFakeProvider } from './fake.js';
+
+// Singleton provider instance
+let provider = null;
+
+/**
+ * Get the configured provider (singleton)
+ * @returns {Object} Provider instance
+ */
+export function getProvider() {
+  if (!provider) {
+    if (LLM_PROVIDER === 'fake') {
+      provider = createFakeProvider();
+    } else {
+      if (LLM_PROVIDER !== 'openai') {
+        console.warn(`Unknown LLM_PROVIDER "${LLM_PROVIDER}", using openai`);
+      }
+      provider = createOpenAIProvider();
+    }
+  }
+  return provider;
+}
+
+export { ProviderError, isAbortError } from './errors.js';
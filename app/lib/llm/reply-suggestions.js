@@ -0,0 +1,124 @@
+/**
+ * Suggested replies
+ * Asks a small model for 2-4 short things the user might say next, shown as tappable buttons
+ * under the assistant's latest message. When the assistant asked a question with choices,
+ * the suggestions are those choices. Suggestions go through output moderation like any reply.
+ */
+
+import { getProvider } from './provider.js';
+import { SUGGESTIONS_MODEL, CHAT_MODEL_CHAIN } from './config.js';
+import { getReplySuggestionsPrompt } from '../prompts.js';
+import { estimateTokens } from '../tokens.js';
+import { recordRequestCost } from '../bot-protection/cost-monitor.js';
+import { moderateText } from '../moderation/moderate.js';
+
+const SUGGESTIONS_TIMEOUT_MS = 8000;
+const MIN_SUGGESTIONS = 2;
+const MAX_SUGGESTIONS = 4;
+// Longer than this isn't a quick reply
+const MAX_SUGGESTION_LENGTH = 60;
+// The last couple of exchanges are enough to suggest what comes next
+const MAX_CONTEXT_MESSAGES = 4;
+const MAX_CONTEXT_CHARS = 3000;
+
+/**
+ * Turn the model's lines into clean suggestions
+ * @param {string} content - Model output, one suggestion per line
+ * @returns {string[]} Between MIN_SUGGESTIONS and MAX_SUGGESTIONS suggestions, or none
+ */
+function parseSuggestions(content) {
+  const seen = new Set();
+  const suggestions = [];
+
+  for (const line of String(content || '').split('\n')) {
+    const text = line
+      .replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '')
+      .replace(/^["'“‘]+|["'”’]+$/g, '')
+      .trim();
+    const key = text.toLowerCase();
+    if (!text || text.length > MAX_SUGGESTION_LENGTH || seen.has(key)) continue;
+    seen.add(key);
+    suggestions.push(text);
+  }
+
+  return suggestions.length >= MIN_SUGGESTIONS ? suggestions.slice(0, MAX_SUGGESTIONS) : [];
+}
+
+/**
+ * Suggest the user's next replies
+ * Never throws - no suggestions are shown if the model call fails
+ * @param {Array<{role: string, content: string}>} messages - Conversation ending with the assistant's reply, oldest first
+ * @param {Object} [context]
+ * @param {string} [context.endpoint] - Endpoint asking, for moderation events
+ * @param {string} [context.locale] - User's locale
+ * @param {Object} [context.profile] - User's prompt profile (moderation thresholds)
+ * @param {string|null} [context.sessionId] - Session ID
+ * @param {string|null} [context.userId] - User ID (if logged in)
+ * @param {AbortSignal} [context.signal] - Cancels the model call
+ * @returns {Promise<string[]>}
+ */
+export async function generateReplySuggestions(messages, { endpoint = '/api/chat', locale, profile, sessionId = null, userId = null, signal } = {}) {
+  const recent = messages.filter(m => m.role === 'user' || m.role === 'assistant').slice(-MAX_CONTEXT_MESSAGES);
+  if (recent[recent.length - 1]?.role !== 'assistant') return [];
+
+  const transcript = recent
+    .map(m => `${m.role === 'assistant' ? 'Assistant' : 'User'}: ${m.content}`)
+    .join('\n')
+    .slice(-MAX_CONTEXT_CHARS);
+  const prompt = [
+    { role: 'system', content: getReplySuggestionsPrompt() },
+    { role: 'user', content: transcript },
+  ];
+
+  const controller = new AbortController();
+  const onParentAbort = () => controller.abort();
+  signal?.addEventListener('abort', onParentAbort);
+  const timeoutId = setTimeout(() => controller.abort(), SUGGESTIONS_TIMEOUT_MS);
+
+  try {
+    // Reuse the chain's parameters for the suggestions model if it's in there (GPT-5.1 rejects max_tokens)
+    const params = CHAT_MODEL_CHAIN.find(entry => entry.model === SUGGESTIONS_MODEL)?.params || {};
+    const result = await getProvider().chat({
+      model: SUGGESTIONS_MODEL,
+      messages: prompt,
+      params,
+      signal: controller.signal,
+    });
+
+    await recordRequestCost({
+      endpoint: 'reply-suggestions',
+      model: result.model,
+      sessionId,
+      userId,
+      usage: result.usage,
+      estimate: {
+        inputTokens: estimateTokens(prompt.map(m => m.content).join(' ')),
+        outputTokens: estimateTokens(result.content),
+      },
+    });
+
+    const suggestions = parseSuggestions(result.content);
+    if (suggestions.length === 0) return [];
+
+    const moderation = await moderateText({
+      text: suggestions.join('\n'),
+      stage: 'output',
+      endpoint,
+      locale,
+      profile,
+      sessionId,
+      userId,
+      signal,
+    });
+    return moderation.flagged ? [] : suggestions;
+  } catch (error) {
+    if (!signal?.aborted) {
+      console.error('Error generating reply suggestions:', error);
+    }
+    // Don't throw - the reply is still shown, just without suggestions
+    return [];
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onParentAbort);
+  }
+}
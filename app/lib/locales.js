@@ -0,0 +1,109 @@
+/**
+ * Languages and accents users can choose from
+ * Safe to import in the browser. The prompt wording for each locale lives in prompts.js.
+ * ttsVoice is for /api/speech (gpt-4o-mini-tts); realtimeVoice must be one the Realtime API supports.
+ * photoPrompt is sent for the user when they send a photo without any words.
+ * voicePreview is read out when trying a voice in settings.
+ * repeatIntro comes before an answer sent again from the answer cache (see answer-cache.js).
+ */
+
+export const LOCALES = [
+  {
+    id: 'en-GB',
+    label: 'English (UK)',
+    description: 'British English spelling and accent.',
+    ttsVoice: 'nova',
+    realtimeVoice: 'alloy',
+    photoPrompt: 'What is in this photo?',
+    voicePreview: 'Hello. This is how I will sound when I read my replies to you.',
+    repeatIntro: 'You asked me this a little while ago. Here is what I said:',
+    ttsInstructions: 'Speak with a British English accent. Use clear, natural pronunciation suitable for accessibility.',
+  },
+  {
+    id: 'en-IE',
+    label: 'English (Ireland)',
+    description: 'Irish English words and a soft Irish accent.',
+    ttsVoice: 'coral',
+    realtimeVoice: 'coral',
+    photoPrompt: 'What is in this photo?',
+    voicePreview: 'Hello. This is how I will sound when I read my replies to you.',
+    repeatIntro: 'You asked me this a little while ago. Here is what I said:',
+    ttsInstructions: 'Speak with a gentle Irish English accent. Use clear, natural pronunciation suitable for accessibility.',
+  },
+  {
+    id: 'en-GB-wales',
+    label: 'English (Wales)',
+    description: 'British spelling with a Welsh English accent.',
+    ttsVoice: 'shimmer',
+    realtimeVoice: 'shimmer',
+    photoPrompt: 'What is in this photo?',
+    voicePreview: 'Hello. This is how I will sound when I read my replies to you.',
+    repeatIntro: 'You asked me this a little while ago. Here is what I said:',
+    ttsInstructions: 'Speak English with a gentle Welsh accent. Use clear, natural pronunciation suitable for accessibility.',
+  },
+  {
+    id: 'en-US',
+    label: 'English (US)',
+    description: 'American spelling and accent.',
+    ttsVoice: 'alloy',
+    realtimeVoice: 'marin',
+    photoPrompt: 'What is in this photo?',
+    voicePreview: 'Hello. This is how I will sound when I read my replies to you.',
+    repeatIntro: 'You asked me this a little while ago. Here is what I said:',
+    ttsInstructions: 'Speak with a General American English accent. Use clear, natural pronunciation suitable for accessibility.',
+  },
+  {
+    id: 'cy',
+    label: 'Cymraeg (Welsh)',
+    description: 'Replies in Welsh.',
+    ttsVoice: 'coral',
+    realtimeVoice: 'coral',
+    photoPrompt: 'Beth sydd yn y llun hwn?',
+    voicePreview: 'Helo. Dyma sut y bydda i\'n swnio wrth ddarllen fy atebion i chi.',
+    repeatIntro: 'Fe ofynnoch chi hyn i mi gynnau. Dyma beth ddywedais i:',
+    ttsInstructions: 'Speak Welsh with a natural Welsh accent and correct Welsh pronunciation. Speak clearly and not too fast.',
+  },
+  {
+    id: 'es',
+    label: 'Español (Spanish)',
+    description: 'Replies in Spanish.',
+    ttsVoice: 'nova',
+    realtimeVoice: 'marin',
+    photoPrompt: '¿Qué hay en esta foto?',
+    voicePreview: 'Hola. Así sonaré cuando te lea mis respuestas.',
+    repeatIntro: 'Me preguntaste esto hace un rato. Esto es lo que te dije:',
+    ttsInstructions: 'Speak Spanish with a clear, neutral Castilian accent. Speak clearly and not too fast.',
+  },
+];
+
+export const DEFAULT_LOCALE = 'en-GB';
+
+/**
+ * Check a locale, falling back to the default for anything unknown
+ * @param {string} locale - Locale ID
+ * @returns {string} A valid locale ID
+ */
+export function normalizeLocale(locale) {
+  return LOCALES.some(l => l.id === locale) ? locale : DEFAULT_LOCALE;
+}
+
+/**
+ * Get the settings for a locale
+ * @param {string} locale - Locale ID (unknown values use the default)
+ * @returns {Object}
+ */
+export function getLocale(locale) {
+  const id = normalizeLocale(locale);
+  return LOCALES.find(l => l.id === id);
+}
+
+/**
+ * HTML lang attribute for text in a locale, so screen readers use the right pronunciation
+ * @param {string} locale - Locale ID
+ * @returns {string}
+ */
+export function getHtmlLang(locale) {
+  const id = normalizeLocale(locale);
+  // en-GB-wales is our own variety tag - the language is still British English
+  return id === 'en-GB-wales' ? 'en-GB' : id;
+}
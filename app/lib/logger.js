@@ -32,9 +32,11 @@ export function logRequest({ ip, endpoint, method, status, responseTime, tokenUs
   // e.g., Sentry, LogRocket, or a custom analytics endpoint
 }
 
-export function logUsage({ endpoint, model, inputTokens, outputTokens }) {
+export function logUsage({ endpoint, model, inputTokens, outputTokens, estimated = true }) {
   const totalTokens = inputTokens + outputTokens;
-  console.log(`[Usage] ${endpoint} - Model: ${model}, Input: ~${inputTokens}, Output: ~${outputTokens}, Total: ~${totalTokens}`);
+  // "~" marks estimated counts; provider-reported counts are exact
+  const approx = estimated ? '~' : '';
+  console.log(`[Usage] ${endpoint} - Model: ${model}, Input: ${approx}${inputTokens}, Output: ${approx}${outputTokens}, Total: ${approx}${totalTokens}`);
 }
 
 
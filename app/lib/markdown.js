@@ -0,0 +1,119 @@
+/**
+ * Markdown stripping for model output
+ * The model is asked for plain text, but markdown still slips through sometimes
+ */
+
+// Apply the markdown replacements without trimming, so streamed segments keep their spacing
+function stripMarkdownSegment(text) {
+  return text
+    // Replace code blocks (both ```language and ```)
+    .replace(/```[\s\S]*?```/g, content => {
+      // Extract the code content without the backticks
+      const code = content.replace(/```(?:\w+)?\n([\s\S]*?)```/g, '$1').trim();
+      return `Code: ${code}`;
+    })
+    // Replace inline code
+    .replace(/`([^`]+)`/g, '$1')
+    // Replace headers
+    .replace(/^#+\s+(.*)$/gm, '$1')
+    // Replace bold/italic
+    .replace(/\*\*(.*?)\*\*/g, '$1')
+    .replace(/\*(.*?)\*/g, '$1')
+    .replace(/__(.*?)__/g, '$1')
+    .replace(/_(.*?)_/g, '$1')
+    // Replace bullet lists (simplify to plain text)
+    .replace(/^[\s-]*[-*+]\s+(.*)$/gm, '• $1')
+    // Replace numbered lists
+    .replace(/^\s*\d+\.\s+(.*)$/gm, '• $1')
+    // Replace links
+    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1');
+}
+
+/**
+ * Strip any markdown that might still come through from the model
+ * @param {string} text - Raw model output
+ * @returns {string} Plain text
+ */
+export function stripMarkdown(text) {
+  if (!text) return text;
+  return stripMarkdownSegment(text).trim();
+}
+
+/**
+ * Check whether markdown markers are balanced in a piece of text
+ * A segment is only safe to strip on its own if no code block, inline code or bold run is left open
+ * @param {string} text - Text to check
+ * @returns {boolean}
+ */
+function isBalanced(text) {
+  const fenceCount = text.split('```').length - 1;
+  if (fenceCount % 2 !== 0) return false;
+
+  const withoutFences = text.replace(/```/g, '');
+  const backtickCount = withoutFences.split('`').length - 1;
+  const boldCount = withoutFences.split('**').length - 1;
+  return backtickCount % 2 === 0 && boldCount % 2 === 0;
+}
+
+/**
+ * Find the end of the last safe boundary in a buffer
+ * Safe boundaries are line breaks and sentence endings, and only where markdown is balanced
+ * @param {string} buffer - Pending raw text
+ * @returns {number} Index just after the boundary, or 0 if there is none yet
+ */
+function findSafeBoundary(buffer) {
+  const boundaryPattern = /\n|[.!?]\s/g;
+  let boundary = 0;
+  let match;
+
+  while ((match = boundaryPattern.exec(buffer)) !== null) {
+    const end = match.index + match[0].length;
+    if (isBalanced(buffer.slice(0, end))) {
+      boundary = end;
+    }
+  }
+
+  return boundary;
+}
+
+/**
+ * Create an incremental markdown stripper for streamed model output
+ * Raw deltas are buffered until a safe boundary, then stripped and released
+ * @returns {{push: (delta: string) => string, flush: () => string}}
+ */
+export function createMarkdownStreamStripper() {
+  let pending = '';
+  let hasEmitted = false;
+
+  const release = (segment) => {
+    let text = stripMarkdownSegment(segment);
+    if (!hasEmitted) {
+      // Match stripMarkdown, which trims the start of the reply
+      text = text.trimStart();
+    }
+    if (text) {
+      hasEmitted = true;
+    }
+    return text;
+  };
+
+  return {
+    push(delta) {
+      if (!delta) return '';
+      pending += delta;
+
+      const boundary = findSafeBoundary(pending);
+      if (boundary === 0) return '';
+
+      const segment = pending.slice(0, boundary);
+      pending = pending.slice(boundary);
+      return release(segment);
+    },
+
+    flush() {
+      const segment = pending;
+      pending = '';
+      return release(segment).trimEnd();
+    },
+  };
+}
@@ -0,0 +1,45 @@
+/**
+ * Moderation classifier selection
+ *
+ * Every classifier implements:
+ * - classify(text, { signal }) -> { scores: { [categoryId]: number from 0 to 1 } }
+ *
+ * Categories a classifier doesn't report count as 0 (see MODERATION_CATEGORIES in config.js).
+ */
+
+import { MODERATION_CLASSIFIER } from './config.js';
+import { createOpenAIClassifier } from './openai.js';
+import { createRulesClassifier } from './rules.js';
+
+// Singleton classifier instances
+let classifier = null;
+let rulesClassifier = null;
+
+/**
+ * Get the local rules classifier (also the fallback when the configured one fails)
+ * @returns {Object} Classifier instance
+ */
+export function getRulesClassifier() {
+  if (!rulesClassifier) {
+    rulesClassifier = createRulesClassifier();
+  }
+  return rulesClassifier;
+}
+
+/**
+ * Get the configured classifier (singleton)
+ * @returns {Object} Classifier instance
+ */
+export function getClassifier() {
+  if (!classifier) {
+    if (MODERATION_CLASSIFIER === 'rules') {
+      classifier = getRulesClassifier();
+    } else {
+      if (MODERATION_CLASSIFIER !== 'openai') {
+        console.warn(`Unknown MODERATION_CLASSIFIER "${MODERATION_CLASSIFIER}", using openai`);
+      }
+      classifier = createOpenAIClassifier();
+    }
+  }
+  return classifier;
+}
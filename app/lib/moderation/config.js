@@ -0,0 +1,77 @@
+/**
+ * Moderation configuration
+ * Categories, default thresholds and environment settings
+ */
+
+import { LLM_PROVIDER } from '../llm/config.js';
+
+// Set MODERATION_ENABLED=false to switch moderation off (local development only)
+export const MODERATION_ENABLED = (process.env.MODERATION_ENABLED || 'true').trim().toLowerCase() !== 'false';
+
+// Which classifier to use: 'openai' (moderation endpoint) or 'rules' (local keyword stand-in)
+// Defaults to rules with the fake LLM provider, so offline development needs no API key
+export const MODERATION_CLASSIFIER = (
+  process.env.MODERATION_CLASSIFIER || (LLM_PROVIDER === 'fake' ? 'rules' : 'openai')
+).trim().toLowerCase();
+
+export const MODERATION_MODEL = process.env.MODERATION_MODEL || 'omni-moderation-latest';
+export const MODERATION_TIMEOUT_MS = 5000;
+
+/**
+ * Categories every classifier reports, as scores from 0 (clearly fine) to 1 (clearly flagged)
+ * Thresholds are low because we serve children and vulnerable adults - a false positive
+ * costs one gentle redirect, a miss can cost much more.
+ */
+export const MODERATION_CATEGORIES = [
+  { id: 'self_harm', label: 'Self-harm', defaultThreshold: 0.3 },
+  { id: 'sexual', label: 'Sexual content', defaultThreshold: 0.3 },
+  { id: 'sexual_minors', label: 'Sexual content involving minors', defaultThreshold: 0.05 },
+  { id: 'violence', label: 'Violence', defaultThreshold: 0.5 },
+  { id: 'hate', label: 'Hate', defaultThreshold: 0.4 },
+  { id: 'harassment', label: 'Harassment', defaultThreshold: 0.5 },
+  { id: 'illicit', label: 'Illegal activity', defaultThreshold: 0.5 },
+];
+
+/**
+ * Fill in any threshold a profile doesn't set with the default
+ * @param {Object<string, number>} [overrides] - Thresholds from a prompt profile
+ * @returns {Object<string, number>}
+ */
+export function resolveThresholds(overrides = {}) {
+  const thresholds = {};
+  for (const { id, defaultThreshold } of MODERATION_CATEGORIES) {
+    const value = overrides?.[id];
+    thresholds[id] = typeof value === 'number' ? value : defaultThreshold;
+  }
+  return thresholds;
+}
+
+/**
+ * Check thresholds sent by an operator
+ * @param {Object} thresholds - { categoryId: number between 0 and 1 }; with allowNull, null means "use the default"
+ * @param {{allowNull?: boolean}} [options]
+ * @returns {{thresholds: Object|null, error: string|null}}
+ */
+export function validateThresholds(thresholds, { allowNull = false } = {}) {
+  if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+    return { thresholds: null, error: 'moderationThresholds must be an object of numbers' };
+  }
+
+  const cleaned = {};
+  for (const [id, value] of Object.entries(thresholds)) {
+    if (!MODERATION_CATEGORIES.some(c => c.id === id)) {
+      return { thresholds: null, error: `Unknown moderation category: ${id}` };
+    }
+    if (value === null && allowNull) {
+      cleaned[id] = null;
+      continue;
+    }
+    // 0 would flag everything; above 1 would switch the category off
+    if (typeof value !== 'number' || !(value > 0 && value <= 1)) {
+      return { thresholds: null, error: `Threshold for ${id} must be a number above 0 and no more than 1` };
+    }
+    cleaned[id] = value;
+  }
+
+  return { thresholds: cleaned, error: null };
+}
@@ -0,0 +1,116 @@
+/**
+ * Moderation stage for user input and model output
+ * Text is scored by the configured classifier (falling back to the local rules if it fails),
+ * compared with the thresholds from the user's prompt profile, and flagged events are
+ * recorded in the moderation_event table for review.
+ */
+
+import { getDB } from '../db/db.js';
+import { getClassifier, getRulesClassifier } from './classifier.js';
+import { MODERATION_ENABLED, MODERATION_TIMEOUT_MS, resolveThresholds } from './config.js';
+import { getRedirectReply } from './replies.js';
+
+// How much of the flagged text is kept with the event - enough to review, no more
+const MAX_EXCERPT_LENGTH = 500;
+
+/**
+ * Score text, falling back to the rules classifier if the configured one fails or times out
+ * @param {string} text - Text to score
+ * @param {AbortSignal} [signal] - Caller's signal
+ * @returns {Promise<{scores: Object<string, number>, classifier: string}>}
+ */
+async function classify(text, signal) {
+  const classifier = getClassifier();
+
+  const controller = new AbortController();
+  const onParentAbort = () => controller.abort();
+  signal?.addEventListener('abort', onParentAbort);
+  const timeoutId = setTimeout(() => controller.abort(), MODERATION_TIMEOUT_MS);
+
+  try {
+    const { scores } = await classifier.classify(text, { signal: controller.signal });
+    return { scores, classifier: classifier.name };
+  } catch (error) {
+    console.error(`Moderation classifier ${classifier.name} failed, using rules:`, error.message);
+    // Never let content through unchecked - the rules classifier runs locally and can't fail
+    const { scores } = await getRulesClassifier().classify(text);
+    return { scores, classifier: 'rules' };
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onParentAbort);
+  }
+}
+
+/**
+ * Pick the category to act on
+ * Self-harm wins so the user always sees the reply pointing to help
+ * @returns {{category: string, score: number}|null}
+ */
+function pickFlaggedCategory(scores, thresholds) {
+  const flagged = Object.entries(thresholds)
+    .filter(([category, threshold]) => (scores[category] || 0) >= threshold)
+    .map(([category]) => ({ category, score: scores[category] }));
+
+  if (flagged.length === 0) return null;
+  return flagged.find(f => f.category === 'self_harm')
+    || flagged.reduce((worst, f) => (f.score > worst.score ? f : worst));
+}
+
+async function recordModerationEvent(data) {
+  const prisma = getDB();
+  try {
+    await prisma.moderationEvent.create({ data });
+  } catch (error) {
+    console.error('Error recording moderation event:', error);
+    // Don't throw - the redirect still goes out
+  }
+}
+
+/**
+ * Check text before it reaches the model (input) or the user (output)
+ * @param {Object} params
+ * @param {string} params.text - Text to check
+ * @param {'input'|'output'|'speech'} params.stage - Where in the pipeline this is
+ * @param {string} params.endpoint - Endpoint doing the check (e.g. '/api/chat')
+ * @param {string} [params.locale] - User's locale, for the redirect reply
+ * @param {{moderationThresholds?: Object, profileId?: string|null, version?: number|null}} [params.profile] - User's prompt profile
+ * @param {string|null} [params.sessionId] - Session ID
+ * @param {string|null} [params.userId] - User ID (if logged in)
+ * @param {AbortSignal} [params.signal] - Cancels the classifier call
+ * @returns {Promise<{flagged: boolean, scores?: Object<string, number>, category?: string, score?: number, reply?: string}>}
+ *   scores is missing when moderation is off or there was no text
+ */
+export async function moderateText({ text, stage, endpoint, locale, profile = {}, sessionId = null, userId = null, signal }) {
+  if (!MODERATION_ENABLED || !text?.trim()) {
+    return { flagged: false };
+  }
+
+  const { scores, classifier } = await classify(text, signal);
+  const flagged = pickFlaggedCategory(scores, resolveThresholds(profile.moderationThresholds));
+  if (!flagged) {
+    return { flagged: false, scores };
+  }
+
+  console.warn(`[Moderation] ${stage} flagged as ${flagged.category} (${flagged.score.toFixed(2)}) on ${endpoint}`);
+  await recordModerationEvent({
+    stage,
+    endpoint,
+    sessionId,
+    userId,
+    category: flagged.category,
+    score: flagged.score,
+    scores,
+    classifier,
+    excerpt: text.slice(0, MAX_EXCERPT_LENGTH),
+    promptProfileId: profile.profileId || null,
+    profileVersion: profile.version ?? null,
+  });
+
+  return {
+    flagged: true,
+    scores,
+    category: flagged.category,
+    score: flagged.score,
+    reply: getRedirectReply(flagged.category, locale),
+  };
+}
@@ -0,0 +1,60 @@
+/**
+ * OpenAI moderation classifier
+ * Maps the moderation endpoint's categories onto ours (see MODERATION_CATEGORIES)
+ */
+
+import OpenAI from 'openai';
+import { MODERATION_MODEL } from './config.js';
+
+// OpenAI category -> our category; the highest score wins when several map to one
+const CATEGORY_MAP = {
+  'self-harm': 'self_harm',
+  'self-harm/intent': 'self_harm',
+  'self-harm/instructions': 'self_harm',
+  'sexual': 'sexual',
+  'sexual/minors': 'sexual_minors',
+  'violence': 'violence',
+  'violence/graphic': 'violence',
+  'hate': 'hate',
+  'hate/threatening': 'hate',
+  'harassment': 'harassment',
+  'harassment/threatening': 'harassment',
+  'illicit': 'illicit',
+  'illicit/violent': 'illicit',
+};
+
+/**
+ * Create the OpenAI classifier
+ * The client is created lazily so a missing API key only fails when moderation runs
+ * @returns {{name: string, classify: (text: string, options?: {signal?: AbortSignal}) => Promise<{scores: Object<string, number>}>}}
+ */
+export function createOpenAIClassifier() {
+  let client = null;
+  const getClient = () => {
+    if (!client) {
+      client = new OpenAI();
+    }
+    return client;
+  };
+
+  return {
+    name: 'openai',
+
+    async classify(text, { signal } = {}) {
+      const response = await getClient().moderations.create({
+        model: MODERATION_MODEL,
+        input: text,
+      }, { signal });
+
+      const categoryScores = response.results?.[0]?.category_scores || {};
+      const scores = {};
+      for (const [name, score] of Object.entries(categoryScores)) {
+        const category = CATEGORY_MAP[name];
+        if (category) {
+          scores[category] = Math.max(scores[category] || 0, score);
+        }
+      }
+      return { scores };
+    },
+  };
+}
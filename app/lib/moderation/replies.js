@@ -0,0 +1,44 @@
+/**
+ * Pre-written replies used instead of the model's when content is flagged
+ * Kept short and calm, in the user's language. Self-harm gets its own reply pointing to
+ * someone to talk to; everything else is gently steered to a new topic.
+ */
+
+import { normalizeLocale } from '../locales.js';
+
+const ENGLISH_DEFAULT = "I can't talk about that, but I'd love to help with something else. What would you like to talk about?";
+
+function englishSelfHarm(helpline) {
+  return `It sounds like things are really hard for you right now. You are not alone. Please tell someone you trust, like a family member, carer or teacher, as soon as you can. You can also ${helpline}. I'm still here to talk with you too.`;
+}
+
+const UK_IE_HELPLINE = 'call Samaritans for free on 116 123, any time, day or night';
+
+const REDIRECT_REPLIES = {
+  'en-GB': { self_harm: englishSelfHarm(UK_IE_HELPLINE), default: ENGLISH_DEFAULT },
+  'en-IE': { self_harm: englishSelfHarm(UK_IE_HELPLINE), default: ENGLISH_DEFAULT },
+  'en-GB-wales': { self_harm: englishSelfHarm(UK_IE_HELPLINE), default: ENGLISH_DEFAULT },
+  'en-US': {
+    self_harm: englishSelfHarm('call or text 988 for free, any time, day or night'),
+    default: ENGLISH_DEFAULT,
+  },
+  cy: {
+    self_harm: "Mae'n swnio fel bod pethau'n anodd iawn i ti ar hyn o bryd. Dwyt ti ddim ar dy ben dy hun. Plîs dyweda wrth rywun rwyt ti'n ei drystio, fel aelod o'r teulu, gofalwr neu athro, cyn gynted ag y gelli di. Gallet ti hefyd ffonio'r Samariaid am ddim yn Gymraeg ar 0808 164 0123, neu ar 116 123 unrhyw bryd. Rydw i yma i siarad hefyd.",
+    default: "Alla i ddim siarad am hynny, ond hoffwn i dy helpu gyda rhywbeth arall. Am beth hoffet ti siarad?",
+  },
+  es: {
+    self_harm: 'Parece que lo estás pasando muy mal ahora mismo. No estás solo. Por favor, cuéntaselo a alguien de confianza, como un familiar, un cuidador o un profesor, lo antes posible. También puedes llamar gratis al 024, a cualquier hora del día o de la noche. Yo también sigo aquí para hablar contigo.',
+    default: 'No puedo hablar de eso, pero me encantaría ayudarte con otra cosa. ¿De qué te gustaría hablar?',
+  },
+};
+
+/**
+ * Get the reply to send instead of flagged content
+ * @param {string} category - Flagged category ID
+ * @param {string} locale - User's locale
+ * @returns {string}
+ */
+export function getRedirectReply(category, locale) {
+  const replies = REDIRECT_REPLIES[normalizeLocale(locale)];
+  return replies[category] || replies.default;
+}
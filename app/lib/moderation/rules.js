@@ -0,0 +1,146 @@
+/**
+ * Local rules classifier
+ * A keyword and phrase stand-in for a real moderation model - used offline (LLM_PROVIDER=fake),
+ * with MODERATION_CLASSIFIER=rules, and as the fallback when the configured classifier fails.
+ * It only catches the obvious cases, so don't rely on it alone in production.
+ *
+ * Set MODERATION_RULES_FILE to a JSON file to add patterns:
+ * { "self_harm": [{ "pattern": "want to disappear", "score": 0.6 }] }
+ * "pattern" is a case-insensitive phrase matched on word boundaries, or a regular expression written as "/pattern/".
+ */
+
+import { readFileSync } from 'fs';
+
+// Phrases rather than single words where possible, so "I killed it at football" isn't flagged
+const BUILT_IN_RULES = {
+  self_harm: [
+    { pattern: '/\\b(kill|hurt|harm|cut) (myself|me)\\b/', score: 1 },
+    { pattern: '/\\b(want|going|wanna) to die\\b/', score: 1 },
+    { pattern: '/\\bend (my|it) (life|all)\\b/', score: 1 },
+    { pattern: 'suicide', score: 0.8 },
+    { pattern: 'suicidal', score: 1 },
+    { pattern: 'self harm', score: 0.8 },
+    { pattern: 'self-harm', score: 0.8 },
+    { pattern: "/\\b(don'?t|do not) want to (be alive|live|wake up)\\b/", score: 1 },
+    { pattern: '/\\bno (reason|point) (to|in) (live|living)\\b/', score: 0.9 },
+  ],
+  sexual: [
+    { pattern: 'porn', score: 1 },
+    { pattern: 'pornography', score: 1 },
+    { pattern: 'have sex', score: 0.8 },
+    { pattern: 'nude', score: 0.6 },
+    { pattern: 'nudes', score: 0.9 },
+    { pattern: 'naked pictures', score: 1 },
+    { pattern: 'send me a photo of you', score: 0.5 },
+  ],
+  sexual_minors: [
+    { pattern: '/\\b(child|kid|minor|underage)s? (porn|nudes?|sex)\\b/', score: 1 },
+  ],
+  violence: [
+    { pattern: '/\\b(kill|stab|shoot|murder) (him|her|them|you|someone|somebody|people|my \\w+)\\b/', score: 0.9 },
+    { pattern: 'make a bomb', score: 1 },
+    { pattern: 'school shooting', score: 0.8 },
+    { pattern: '/\\bhow (do i|to) (hurt|kill) (a|an|some)\\w*\\b/', score: 1 },
+  ],
+  hate: [
+    { pattern: '/\\b(all|those) \\w+ (should|must) (die|be killed)\\b/', score: 1 },
+  ],
+  harassment: [
+    { pattern: '/\\byou (are|re) (stupid|worthless|useless|an idiot)\\b/', score: 0.6 },
+    { pattern: '/\\bi will (find|hurt|get) you\\b/', score: 0.9 },
+  ],
+  illicit: [
+    { pattern: '/\\b(buy|get|make) (drugs|cocaine|heroin|meth|weed)\\b/', score: 0.8 },
+    { pattern: '/\\bhow (do i|to) steal\\b/', score: 0.8 },
+  ],
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a rule pattern to a regular expression
+ * Also used by the safeguarding disclosure rules
+ * @param {string} pattern - Phrase, or "/regex/"
+ * @returns {RegExp|null}
+ */
+export function compilePattern(pattern) {
+  if (typeof pattern !== 'string' || !pattern) return null;
+  try {
+    const regexMatch = pattern.match(/^\/(.*)\/([a-z]*)$/);
+    if (regexMatch) {
+      return new RegExp(regexMatch[1], regexMatch[2] || 'i');
+    }
+    return new RegExp(`\\b${escapeRegExp(pattern)}\\b`, 'i');
+  } catch (error) {
+    console.error(`Invalid moderation rule pattern ${pattern}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Load built-in rules plus any from MODERATION_RULES_FILE
+ * @returns {Object<string, Array<{regex: RegExp, score: number}>>}
+ */
+function loadRules() {
+  const rules = {};
+  const add = (category, list) => {
+    if (!Array.isArray(list)) return;
+    rules[category] = rules[category] || [];
+    for (const rule of list) {
+      const regex = compilePattern(rule?.pattern);
+      const score = Number(rule?.score);
+      if (regex && score > 0) {
+        rules[category].push({ regex, score: Math.min(score, 1) });
+      }
+    }
+  };
+
+  for (const [category, list] of Object.entries(BUILT_IN_RULES)) {
+    add(category, list);
+  }
+
+  const rulesPath = process.env.MODERATION_RULES_FILE;
+  if (rulesPath) {
+    try {
+      const extra = JSON.parse(readFileSync(rulesPath, 'utf8'));
+      for (const [category, list] of Object.entries(extra)) {
+        add(category, list);
+      }
+    } catch (error) {
+      console.error(`Failed to load moderation rules from ${rulesPath}:`, error.message);
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Create the rules classifier
+ * @returns {{name: string, classify: (text: string) => Promise<{scores: Object<string, number>}>}}
+ */
+export function createRulesClassifier() {
+  let rules = null;
+
+  return {
+    name: 'rules',
+
+    async classify(text) {
+      if (!rules) {
+        rules = loadRules();
+      }
+      // Curly apostrophes from phones would otherwise slip past "don't"
+      const normalized = String(text || '').replace(/[‘’]/g, "'");
+
+      const scores = {};
+      for (const [category, list] of Object.entries(rules)) {
+        scores[category] = list.reduce(
+          (best, rule) => (rule.regex.test(normalized) ? Math.max(best, rule.score) : best),
+          0
+        );
+      }
+      return { scores };
+    },
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * Organisations group users (e.g. a school or care provider) so settings like the
+ * prompt profile and safeguarding lead can be managed for all of them at once
+ */
+
+import { getDB } from './db/db.js';
+import { isValidEmail } from './email.js';
+
+export const MAX_ORGANISATION_NAME_LENGTH = 120;
+
+const ORGANISATION_SELECT = {
+  id: true,
+  name: true,
+  promptProfileId: true,
+  safeguardingLeadEmail: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+/**
+ * Check organisation details sent by an operator
+ * Only fields that are sent are checked and returned.
+ * @param {Object} details - { name?, safeguardingLeadEmail? } - null clears the safeguarding lead
+ * @returns {{details: Object|null, error: string|null}}
+ */
+export function validateOrganisationDetails(details) {
+  const cleaned = {};
+
+  if (details?.name !== undefined) {
+    const name = typeof details.name === 'string' ? details.name.trim() : '';
+    if (!name) {
+      return { details: null, error: 'Name is required' };
+    }
+    if (name.length > MAX_ORGANISATION_NAME_LENGTH) {
+      return { details: null, error: `Name cannot be longer than ${MAX_ORGANISATION_NAME_LENGTH} characters` };
+    }
+    cleaned.name = name;
+  }
+  if (details?.safeguardingLeadEmail !== undefined) {
+    const email = typeof details.safeguardingLeadEmail === 'string'
+      ? details.safeguardingLeadEmail.trim().toLowerCase()
+      : details.safeguardingLeadEmail;
+    if (email !== null && email !== '' && !isValidEmail(email)) {
+      return { details: null, error: 'Safeguarding lead email must be a valid email address' };
+    }
+    cleaned.safeguardingLeadEmail = email || null;
+  }
+
+  return { details: cleaned, error: null };
+}
+
+/**
+ * List organisations with how many users each has
+ * @returns {Promise<Array>}
+ */
+export async function listOrganisations() {
+  const prisma = getDB();
+  const organisations = await prisma.organisation.findMany({
+    orderBy: { name: 'asc' },
+    select: {
+      ...ORGANISATION_SELECT,
+      _count: { select: { users: true } },
+    },
+  });
+
+  return organisations.map(({ _count, ...organisation }) => ({
+    ...organisation,
+    userCount: _count.users,
+  }));
+}
+
+/**
+ * Create an organisation
+ * @param {{name: string, safeguardingLeadEmail?: string|null}} details - Validated details
+ * @returns {Promise<Object>}
+ */
+export async function createOrganisation(details) {
+  const prisma = getDB();
+  return prisma.organisation.create({
+    data: details,
+    select: ORGANISATION_SELECT,
+  });
+}
+
+/**
+ * Change an organisation's name or safeguarding lead
+ * @param {string} organisationId - Organisation ID
+ * @param {Object} details - Validated details
+ * @returns {Promise<Object|null>} The updated organisation, or null if it wasn't found
+ */
+export async function updateOrganisation(organisationId, details) {
+  const prisma = getDB();
+  const result = await prisma.organisation.updateMany({
+    where: { id: organisationId },
+    data: details,
+  });
+  if (result.count === 0) return null;
+
+  return prisma.organisation.findUnique({
+    where: { id: organisationId },
+    select: ORGANISATION_SELECT,
+  });
+}
+
+/**
+ * Add a user to an organisation, or remove them from it
+ * A user belongs to at most one organisation, so adding moves them from any other.
+ * @param {string} organisationId - Organisation ID
+ * @param {string} userId - User ID
+ * @param {boolean} isMember - true to add, false to remove
+ * @returns {Promise<boolean>} false if the organisation wasn't found (or the user wasn't in it, when removing)
+ */
+export async function setOrganisationMember(organisationId, userId, isMember) {
+  const prisma = getDB();
+
+  if (!isMember) {
+    const result = await prisma.user.updateMany({
+      where: { id: userId, organisationId },
+      data: { organisationId: null },
+    });
+    return result.count > 0;
+  }
+
+  const organisation = await prisma.organisation.findUnique({
+    where: { id: organisationId },
+    select: { id: true },
+  });
+  if (!organisation) return false;
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: { organisationId },
+  });
+  return true;
+}
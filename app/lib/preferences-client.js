@@ -0,0 +1,36 @@
+/**
+ * Browser helpers for /api/profile (signed-in users only)
+ * Anonymous users keep their preferences in localStorage instead
+ */
+
+async function requestJSON(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed: ${response.status}`);
+  }
+  return data;
+}
+
+/**
+ * @returns {Promise<Object>} See Preferences in preferences.js
+ */
+export async function fetchPreferences() {
+  const data = await requestJSON('/api/profile');
+  return data.preferences;
+}
+
+/**
+ * @param {Object} updates - e.g. { readingLevel: 'plain' }
+ * @returns {Promise<Object>} The saved preferences (see Preferences in preferences.js)
+ */
+export async function savePreferences(updates) {
+  const data = await requestJSON('/api/profile', {
+    method: 'PATCH',
+    body: JSON.stringify(updates),
+  });
+  return data.preferences;
+}
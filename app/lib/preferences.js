@@ -0,0 +1,140 @@
+/**
+ * User preferences that shape replies (reading level, language and accent, symbols, voice)
+ * Signed-in users keep them on their profile; anonymous users send them with each request
+ */
+
+import { getDB } from './db/db.js';
+import { DEFAULT_READING_LEVEL, normalizeReadingLevel, READING_LEVELS } from './reading-levels.js';
+import { DEFAULT_LOCALE, normalizeLocale, LOCALES } from './locales.js';
+import {
+  DEFAULT_VOICE,
+  DEFAULT_SPEECH_SPEED,
+  DEFAULT_SPEECH_PITCH,
+  normalizeVoice,
+  normalizeSpeechSpeed,
+  normalizeSpeechPitch,
+  validateVoiceSettings,
+} from './voices.js';
+
+/**
+ * @typedef {Object} Preferences
+ * @property {string} readingLevel - See reading-levels.js
+ * @property {string} locale - See locales.js
+ * @property {boolean} symbols - Show pictograms next to key words in replies
+ * @property {string} voice - See voices.js ('auto' follows the locale)
+ * @property {string} speechSpeed
+ * @property {string} speechPitch
+ */
+
+const DEFAULT_PREFERENCES = {
+  readingLevel: DEFAULT_READING_LEVEL,
+  locale: DEFAULT_LOCALE,
+  symbols: false,
+  voice: DEFAULT_VOICE,
+  speechSpeed: DEFAULT_SPEECH_SPEED,
+  speechPitch: DEFAULT_SPEECH_PITCH,
+};
+
+const PREFERENCE_SELECT = { readingLevel: true, locale: true, symbols: true, voice: true, speechSpeed: true, speechPitch: true };
+
+function toPreferences(user) {
+  return {
+    readingLevel: normalizeReadingLevel(user?.readingLevel),
+    locale: normalizeLocale(user?.locale),
+    symbols: user?.symbols === true,
+    voice: normalizeVoice(user?.voice),
+    speechSpeed: normalizeSpeechSpeed(user?.speechSpeed),
+    speechPitch: normalizeSpeechPitch(user?.speechPitch),
+  };
+}
+
+/**
+ * Get a signed-in user's saved preferences
+ * @param {string} userId - User ID
+ * @returns {Promise<Preferences>}
+ */
+export async function getUserPreferences(userId) {
+  const prisma = getDB();
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: PREFERENCE_SELECT,
+    });
+    return toPreferences(user);
+  } catch (error) {
+    console.error('Error loading user preferences:', error);
+    // Fall back to defaults - a missing preference shouldn't stop the chat
+    return { ...DEFAULT_PREFERENCES };
+  }
+}
+
+/**
+ * Check preference updates sent by the client
+ * @param {Object} updates - Request body
+ * @returns {{updates: Object|null, error: string|null}}
+ */
+export function validatePreferenceUpdates(updates) {
+  const cleaned = {};
+
+  if (updates?.readingLevel !== undefined) {
+    if (!READING_LEVELS.some(l => l.id === updates.readingLevel)) {
+      return { updates: null, error: 'Unknown reading level' };
+    }
+    cleaned.readingLevel = updates.readingLevel;
+  }
+
+  if (updates?.locale !== undefined) {
+    if (!LOCALES.some(l => l.id === updates.locale)) {
+      return { updates: null, error: 'Unknown language' };
+    }
+    cleaned.locale = updates.locale;
+  }
+
+  if (updates?.symbols !== undefined) {
+    if (typeof updates.symbols !== 'boolean') {
+      return { updates: null, error: 'Symbols must be on or off' };
+    }
+    cleaned.symbols = updates.symbols;
+  }
+
+  const voiceSettings = validateVoiceSettings(updates);
+  if (voiceSettings.error) {
+    return { updates: null, error: voiceSettings.error };
+  }
+  Object.assign(cleaned, voiceSettings.settings);
+
+  if (Object.keys(cleaned).length === 0) {
+    return { updates: null, error: 'Nothing to update' };
+  }
+
+  return { updates: cleaned, error: null };
+}
+
+/**
+ * Save preference updates for a signed-in user
+ * @param {string} userId - User ID
+ * @param {Object} updates - Validated updates
+ * @returns {Promise<Preferences>} The saved preferences
+ */
+export async function updateUserPreferences(userId, updates) {
+  const prisma = getDB();
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data: updates,
+    select: PREFERENCE_SELECT,
+  });
+  return toPreferences(user);
+}
+
+/**
+ * Work out the preferences for a request
+ * Saved profile wins for signed-in users; otherwise use what the client sent (checked)
+ * @param {{userId: string|null, requested: Object}} params - requested = request body
+ * @returns {Promise<Preferences>}
+ */
+export async function resolvePreferences({ userId, requested }) {
+  if (userId) {
+    return getUserPreferences(userId);
+  }
+  return toPreferences(requested);
+}
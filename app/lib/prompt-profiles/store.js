@@ -0,0 +1,401 @@
+/**
+ * Prompt profiles - operator-editable prompt wording
+ * A profile is a series of immutable versions; each version sets the text of some named
+ * sections (see PROMPT_SECTIONS in prompts.js) and anything it doesn't set uses the built-in text.
+ * Sections that differ by language are keyed per locale, e.g. "accent.en-IE".
+ * Versions can also set moderation thresholds (see moderation/config.js).
+ * Only the active version is used. Profiles are assigned to a user or an organisation;
+ * everyone else gets the default profile, or the built-in prompt if there isn't one.
+ */
+
+import { getDB } from '../db/db.js';
+import { parsePromptSectionKey } from '../prompts.js';
+
+export const MAX_SECTION_LENGTH = 8000;
+export const MAX_PROFILE_NAME_LENGTH = 80;
+const MAX_NOTE_LENGTH = 500;
+
+const PROFILE_SELECT = {
+  id: true,
+  name: true,
+  description: true,
+  isDefault: true,
+  activeVersion: true,
+  previousVersion: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+const VERSION_SELECT = {
+  version: true,
+  sections: true,
+  moderationThresholds: true,
+  note: true,
+  createdBy: true,
+  createdAt: true,
+};
+
+/**
+ * Check section text sent by an operator
+ * @param {Object} sections - { sectionKey: text }; with allowNull, null means "use the built-in text"
+ * @param {{allowNull?: boolean}} [options]
+ * @returns {{sections: Object|null, error: string|null}}
+ */
+export function validateSections(sections, { allowNull = false } = {}) {
+  if (!sections || typeof sections !== 'object' || Array.isArray(sections)) {
+    return { sections: null, error: 'sections must be an object of section text' };
+  }
+
+  const cleaned = {};
+  for (const [key, text] of Object.entries(sections)) {
+    const parsed = parsePromptSectionKey(key);
+    if (!parsed) {
+      return { sections: null, error: `Unknown prompt section: ${key}` };
+    }
+    const { section } = parsed;
+    if (text === null && allowNull) {
+      cleaned[key] = null;
+      continue;
+    }
+    if (typeof text !== 'string') {
+      return { sections: null, error: `Section ${key} must be text` };
+    }
+    if (text.length > MAX_SECTION_LENGTH) {
+      return { sections: null, error: `Section ${key} cannot be longer than ${MAX_SECTION_LENGTH} characters` };
+    }
+    // A blank section is left out of the prompt, but safety must always be there
+    if (section.required && !text.trim()) {
+      return { sections: null, error: `Section ${key} cannot be empty` };
+    }
+    cleaned[key] = text.trim();
+  }
+
+  return { sections: cleaned, error: null };
+}
+
+/**
+ * Check profile details sent by an operator
+ * @param {Object} details - Request body
+ * @returns {{details: Object|null, error: string|null}}
+ */
+export function validateProfileDetails(details) {
+  const cleaned = {};
+
+  if (details?.name !== undefined) {
+    if (typeof details.name !== 'string' || !details.name.trim()) {
+      return { details: null, error: 'Name is required' };
+    }
+    if (details.name.trim().length > MAX_PROFILE_NAME_LENGTH) {
+      return { details: null, error: `Name cannot be longer than ${MAX_PROFILE_NAME_LENGTH} characters` };
+    }
+    cleaned.name = details.name.trim();
+  }
+  if (details?.description !== undefined) {
+    if (details.description !== null && typeof details.description !== 'string') {
+      return { details: null, error: 'Description must be text' };
+    }
+    cleaned.description = details.description?.trim().slice(0, MAX_NOTE_LENGTH) || null;
+  }
+  if (details?.isDefault !== undefined) {
+    if (typeof details.isDefault !== 'boolean') {
+      return { details: null, error: 'isDefault must be true or false' };
+    }
+    cleaned.isDefault = details.isDefault;
+  }
+
+  return { details: cleaned, error: null };
+}
+
+// Apply edits to a saved { key: value } object - null removes a key (back to the built-in value)
+function mergeOverrides(saved, edits) {
+  const merged = { ...(saved || {}) };
+  for (const [key, value] of Object.entries(edits || {})) {
+    if (value === null) {
+      delete merged[key];
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+function cleanNote(note) {
+  return typeof note === 'string' && note.trim() ? note.trim().slice(0, MAX_NOTE_LENGTH) : null;
+}
+
+/**
+ * List all prompt profiles with how many versions and assignments each has
+ * @returns {Promise<Array>}
+ */
+export async function listPromptProfiles() {
+  const prisma = getDB();
+  const profiles = await prisma.promptProfile.findMany({
+    orderBy: { name: 'asc' },
+    select: {
+      ...PROFILE_SELECT,
+      _count: { select: { versions: true, users: true, organisations: true } },
+    },
+  });
+
+  return profiles.map(({ _count, ...profile }) => ({
+    ...profile,
+    versionCount: _count.versions,
+    userCount: _count.users,
+    organisationCount: _count.organisations,
+  }));
+}
+
+/**
+ * Get a profile with all of its versions, newest first
+ * @param {string} profileId - Profile ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getPromptProfile(profileId) {
+  const prisma = getDB();
+  return prisma.promptProfile.findUnique({
+    where: { id: profileId },
+    select: {
+      ...PROFILE_SELECT,
+      versions: { orderBy: { version: 'desc' }, select: VERSION_SELECT },
+    },
+  });
+}
+
+/**
+ * Get one version of a profile
+ * @param {string} profileId - Profile ID
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>}
+ */
+export async function getPromptProfileVersion(profileId, version) {
+  const prisma = getDB();
+  return prisma.promptProfileVersion.findUnique({
+    where: { profileId_version: { profileId, version } },
+    select: VERSION_SELECT,
+  });
+}
+
+// Only one profile can be the default
+async function clearOtherDefaults(tx, profileId) {
+  await tx.promptProfile.updateMany({
+    where: { isDefault: true, id: { not: profileId } },
+    data: { isDefault: false },
+  });
+}
+
+/**
+ * Create a profile with its first version
+ * The new profile isn't live until a version is activated.
+ * @param {{name: string, description?: string|null, isDefault?: boolean, sections: Object, moderationThresholds?: Object, note?: string, createdBy: string}} data - Validated data
+ * @returns {Promise<Object>} The new profile with its versions
+ */
+export async function createPromptProfile({ name, description = null, isDefault = false, sections, moderationThresholds = {}, note, createdBy }) {
+  const prisma = getDB();
+  return prisma.$transaction(async (tx) => {
+    const profile = await tx.promptProfile.create({
+      data: {
+        name,
+        description,
+        isDefault,
+        versions: {
+          create: { version: 1, sections, moderationThresholds, note: cleanNote(note), createdBy },
+        },
+      },
+      select: { id: true },
+    });
+    if (isDefault) {
+      await clearOtherDefaults(tx, profile.id);
+    }
+    return tx.promptProfile.findUnique({
+      where: { id: profile.id },
+      select: {
+        ...PROFILE_SELECT,
+        versions: { orderBy: { version: 'desc' }, select: VERSION_SELECT },
+      },
+    });
+  });
+}
+
+/**
+ * Change a profile's name, description or default flag
+ * @param {string} profileId - Profile ID
+ * @param {Object} details - Validated details
+ * @returns {Promise<Object|null>} The updated profile, or null if it wasn't found
+ */
+export async function updatePromptProfile(profileId, details) {
+  const prisma = getDB();
+  return prisma.$transaction(async (tx) => {
+    const result = await tx.promptProfile.updateMany({
+      where: { id: profileId },
+      data: details,
+    });
+    if (result.count === 0) return null;
+
+    if (details.isDefault) {
+      await clearOtherDefaults(tx, profileId);
+    }
+    return tx.promptProfile.findUnique({ where: { id: profileId }, select: PROFILE_SELECT });
+  });
+}
+
+/**
+ * Save a new version of a profile
+ * Sections and thresholds not sent are copied from the latest version; null puts one back to the built-in value.
+ * The version number comes from the unique (profileId, version) index, so two operators saving at
+ * once can't both get the same number - the loser retries once.
+ * @param {string} profileId - Profile ID
+ * @param {{sections?: Object, moderationThresholds?: Object, note?: string, createdBy: string}} data - Validated edits (nulls allowed)
+ * @returns {Promise<Object|null>} The new version, or null if the profile wasn't found
+ */
+export async function createPromptProfileVersion(profileId, { sections, moderationThresholds, note, createdBy }) {
+  const prisma = getDB();
+
+  const save = () => prisma.$transaction(async (tx) => {
+    const profile = await tx.promptProfile.findUnique({
+      where: { id: profileId },
+      select: { id: true },
+    });
+    if (!profile) return null;
+
+    const latest = await tx.promptProfileVersion.findFirst({
+      where: { profileId },
+      orderBy: { version: 'desc' },
+      select: { version: true, sections: true, moderationThresholds: true },
+    });
+
+    const created = await tx.promptProfileVersion.create({
+      data: {
+        profileId,
+        version: (latest?.version || 0) + 1,
+        sections: mergeOverrides(latest?.sections, sections),
+        moderationThresholds: mergeOverrides(latest?.moderationThresholds, moderationThresholds),
+        note: cleanNote(note),
+        createdBy,
+      },
+      select: VERSION_SELECT,
+    });
+
+    await tx.promptProfile.update({
+      where: { id: profileId },
+      data: { updatedAt: new Date() },
+    });
+
+    return created;
+  });
+
+  try {
+    return await save();
+  } catch (error) {
+    // P2002 = unique constraint - another operator took this version number first
+    if (error?.code === 'P2002') {
+      return save();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Make a version the live one
+ * The version that was live is remembered so it can be rolled back to.
+ * @param {string} profileId - Profile ID
+ * @param {number} version - Version to activate
+ * @returns {Promise<Object|null>} The updated profile, or null if the profile or version wasn't found
+ */
+export async function activatePromptProfileVersion(profileId, version) {
+  const prisma = getDB();
+  return prisma.$transaction(async (tx) => {
+    const profile = await tx.promptProfile.findUnique({
+      where: { id: profileId },
+      select: { activeVersion: true },
+    });
+    if (!profile) return null;
+
+    const exists = await tx.promptProfileVersion.findUnique({
+      where: { profileId_version: { profileId, version } },
+      select: { version: true },
+    });
+    if (!exists) return null;
+
+    // Re-activating the live version shouldn't lose the rollback target
+    if (profile.activeVersion === version) {
+      return tx.promptProfile.findUnique({ where: { id: profileId }, select: PROFILE_SELECT });
+    }
+
+    return tx.promptProfile.update({
+      where: { id: profileId },
+      data: { activeVersion: version, previousVersion: profile.activeVersion },
+      select: PROFILE_SELECT,
+    });
+  });
+}
+
+/**
+ * Assign a profile to a user or an organisation
+ * @param {{profileId: string|null, userId?: string, organisationId?: string}} assignment - null profileId removes the assignment
+ * @returns {Promise<boolean>} false if the user or organisation wasn't found
+ */
+export async function assignPromptProfile({ profileId, userId, organisationId }) {
+  const prisma = getDB();
+  const data = { promptProfileId: profileId };
+
+  const result = userId
+    ? await prisma.user.updateMany({ where: { id: userId }, data })
+    : await prisma.organisation.updateMany({ where: { id: organisationId }, data });
+  return result.count > 0;
+}
+
+// A profile's live version, or null if it isn't live
+async function getActiveVersion(prisma, profile) {
+  if (!profile || profile.activeVersion === null) return null;
+  const version = await prisma.promptProfileVersion.findUnique({
+    where: { profileId_version: { profileId: profile.id, version: profile.activeVersion } },
+    select: { version: true, sections: true, moderationThresholds: true },
+  });
+  return version ? { profileId: profile.id, ...version } : null;
+}
+
+/**
+ * Work out which prompt profile applies to a request
+ * User's own profile, then their organisation's, then the default profile.
+ * A profile with no live version is skipped.
+ * @param {string|null} userId - User ID (if logged in)
+ * @returns {Promise<{profileId: string|null, version: number|null, sections: Object<string, string>, moderationThresholds: Object<string, number>}>}
+ *   sections are overrides for getTextOnlyPrompt/getVoicePrompt ({} = built-in text)
+ */
+export async function resolvePromptProfile(userId) {
+  const prisma = getDB();
+  const profileFields = { select: { id: true, activeVersion: true } };
+  const builtIn = { profileId: null, version: null, sections: {}, moderationThresholds: {} };
+  const withDefaults = (active) => ({
+    ...active,
+    sections: active.sections || {},
+    moderationThresholds: active.moderationThresholds || {},
+  });
+
+  try {
+    if (userId) {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: {
+          promptProfile: profileFields,
+          organisation: { select: { promptProfile: profileFields } },
+        },
+      });
+
+      const active = await getActiveVersion(prisma, user?.promptProfile)
+        || await getActiveVersion(prisma, user?.organisation?.promptProfile);
+      if (active) return withDefaults(active);
+    }
+
+    const defaultProfile = await prisma.promptProfile.findFirst({
+      where: { isDefault: true },
+      ...profileFields,
+    });
+    const active = await getActiveVersion(prisma, defaultProfile);
+    return active ? withDefaults(active) : builtIn;
+  } catch (error) {
+    console.error('Error loading prompt profile:', error);
+    // Fall back to the built-in prompt - a profile lookup shouldn't stop the chat
+    return builtIn;
+  }
+}
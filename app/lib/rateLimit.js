@@ -2,6 +2,14 @@
 const CHAT_LIMIT = 30; // requests per minute (increased from 10)
 const REALTIME_LIMIT = 20; // requests per minute (increased from 5)
 const SPEECH_LIMIT = 50; // requests per minute (increased from 20)
+const CONVERSATION_LIMIT = 60; // requests per minute (saving/loading history is cheap)
+const ADMIN_LIMIT = 60; // requests per minute (operator tools)
+const SUPPORTER_LIMIT = 5; // requests per minute (adding a supporter sends them an email)
+const TRANSCRIPT_LIMIT = 30; // requests per minute (one per realtime turn)
+const TOOL_LIMIT = 30; // requests per minute (realtime tool calls - a turn rarely needs more than one)
+const SYMBOL_LIMIT = 60; // requests per minute (one per reply when symbols are on)
+const DICTATION_LIMIT = 20; // requests per minute (one per press of the microphone button)
+const SPEECH_AUDIO_LIMIT = 120; // requests per minute (players ask for cached audio in ranges while seeking)
 
 // Import database functions
 import { getDB, get, query } from './db/db.js';
@@ -122,4 +130,4 @@ export function getClientIP(request) {
 }
 
 // Export constants for use in API routes
-export { CHAT_LIMIT, REALTIME_LIMIT, SPEECH_LIMIT };
+export { CHAT_LIMIT, REALTIME_LIMIT, SPEECH_LIMIT, CONVERSATION_LIMIT, ADMIN_LIMIT, SUPPORTER_LIMIT, TRANSCRIPT_LIMIT, TOOL_LIMIT, SYMBOL_LIMIT, SPEECH_AUDIO_LIMIT, DICTATION_LIMIT };
@@ -0,0 +1,38 @@
+/**
+ * Reading levels users can choose from
+ * Labels only - safe to import in the browser. The prompt wording for each level lives in prompts.js.
+ */
+
+export const READING_LEVELS = [
+  {
+    id: 'very_simple',
+    label: 'Very Simple',
+    description: 'Very short sentences. The easiest words.',
+  },
+  {
+    id: 'easy_read',
+    label: 'Easy Read',
+    description: 'Short sentences and everyday words.',
+  },
+  {
+    id: 'plain',
+    label: 'Plain English',
+    description: 'Clear, grown-up language without jargon.',
+  },
+  {
+    id: 'standard',
+    label: 'Standard',
+    description: 'Normal adult language and longer answers.',
+  },
+];
+
+export const DEFAULT_READING_LEVEL = 'easy_read';
+
+/**
+ * Check a reading level, falling back to the default for anything unknown
+ * @param {string} level - Reading level ID
+ * @returns {string} A valid reading level ID
+ */
+export function normalizeReadingLevel(level) {
+  return READING_LEVELS.some(l => l.id === level) ? level : DEFAULT_READING_LEVEL;
+}
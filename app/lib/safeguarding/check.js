@@ -0,0 +1,61 @@
+/**
+ * Safeguarding check for user messages
+ * Runs on typed chat messages and realtime transcripts. A disclosure is recorded as an incident
+ * and the user's supporters are emailed - at most once per NOTIFY_COOLDOWN_MS, so a conversation
+ * about one disclosure doesn't send an email for every message. Within the same window a session
+ * gets one open incident per category rather than a new one for each message.
+ */
+
+import { detectDisclosure } from './detect.js';
+import { createIncident, findRecentSessionIncident, findRecentlyNotifiedIncident, markIncidentNotified } from './incidents.js';
+import { notifyIncident } from './notify.js';
+
+const NOTIFY_COOLDOWN_MS = 30 * 60 * 1000; // 30 minutes
+
+/**
+ * Check a user's message for a disclosure and act on it
+ * Never throws - a failure here must not stop the user getting a reply.
+ * @param {Object} params
+ * @param {string} params.text - The user's message
+ * @param {'chat'|'realtime'} params.source - Where it came from
+ * @param {Array<{role: string, content: string}>} [params.history] - Messages before it, oldest first
+ * @param {{scores?: Object<string, number>}} [params.moderation] - Moderation result for the same text
+ * @param {string|null} [params.sessionId] - Session ID
+ * @param {string|null} [params.userId] - User ID (if logged in)
+ * @returns {Promise<{incidentId: string, category: string, notified: boolean}|null>} null if nothing was found
+ */
+export async function checkForDisclosure({ text, source, history = [], moderation = null, sessionId = null, userId = null }) {
+  const disclosure = detectDisclosure(text, moderation);
+  if (!disclosure) return null;
+
+  try {
+    if (sessionId) {
+      const existing = await findRecentSessionIncident(sessionId, disclosure.category, new Date(Date.now() - NOTIFY_COOLDOWN_MS));
+      if (existing) {
+        return { incidentId: existing.id, category: disclosure.category, notified: false };
+      }
+    }
+
+    const incident = await createIncident({ source, sessionId, userId, ...disclosure, text, history });
+    console.warn(`[Safeguarding] ${disclosure.category} disclosure in ${source}, incident ${incident.id}`);
+
+    if (!userId) {
+      return { incidentId: incident.id, category: disclosure.category, notified: false };
+    }
+
+    const recent = await findRecentlyNotifiedIncident(userId, new Date(Date.now() - NOTIFY_COOLDOWN_MS));
+    if (recent) {
+      return { incidentId: incident.id, category: disclosure.category, notified: false };
+    }
+
+    const recipients = await notifyIncident(incident);
+    if (recipients.length > 0) {
+      await markIncidentNotified(incident.id, recipients);
+    }
+    return { incidentId: incident.id, category: disclosure.category, notified: recipients.length > 0 };
+  } catch (error) {
+    console.error('Error handling safeguarding disclosure:', error);
+    // Don't throw - the user still gets a reply
+    return null;
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * Disclosure detection
+ * Spots messages where a user tells us they are being hurt, are hurting themselves or are in danger.
+ * This is narrower than moderation: "my dad hits me" is fine to talk about but someone needs to know.
+ * Phrase rules cover abuse and danger; self-harm also uses the moderation classifier's score when
+ * the message has already been through moderation.
+ */
+
+import { compilePattern } from '../moderation/rules.js';
+
+// Moderation self-harm scores at or above this count as a disclosure
+const SELF_HARM_SCORE_THRESHOLD = 0.5;
+
+export const DISCLOSURE_CATEGORIES = [
+  { id: 'self_harm', label: 'Self-harm or suicide' },
+  { id: 'abuse', label: 'Abuse' },
+  { id: 'danger', label: 'Immediate danger' },
+];
+
+// First person where possible - "someone hits me", not news stories about abuse
+const DISCLOSURE_RULES = {
+  self_harm: [
+    { pattern: '/\\b(kill|hurt|harm|cut|starve) (myself|me)\\b/', score: 1 },
+    { pattern: '/\\b(want|going|wanna|plan) to (die|end it)\\b/', score: 1 },
+    { pattern: '/\\bend (my|it) (life|all)\\b/', score: 1 },
+    { pattern: 'suicidal', score: 1 },
+    { pattern: "/\\b(don'?t|do not) want to (be alive|live|wake up)\\b/", score: 1 },
+    { pattern: '/\\bbetter off without me\\b/', score: 0.8 },
+  ],
+  abuse: [
+    { pattern: '/\\b(hits|hit|beats|beat|kicks|kicked|chokes|choked|burns|burned|punches|punched) me\\b/', score: 1 },
+    { pattern: '/\\b(touches|touched) me (down there|where|when|and)\\b/', score: 1 },
+    { pattern: '/\\b(makes|made) me (touch|keep (it|a) secret|take my clothes off)\\b/', score: 1 },
+    { pattern: "/\\b(not|never) allowed to (eat|leave|see|tell)\\b/", score: 0.8 },
+    { pattern: '/\\b(takes|took|keeps) (all )?my (money|benefits|bank card|phone)\\b/', score: 0.7 },
+    { pattern: '/\\b(i am|i\'m|im) (being )?(abused|hurt at home)\\b/', score: 1 },
+    { pattern: "/\\bsaid (he|she|they)('d| would| will) hurt me if i tell\\b/", score: 1 },
+  ],
+  danger: [
+    { pattern: "/\\b(i am|i'm|im) (scared|afraid|frightened) (to go home|of (him|her|them|my \\w+))\\b/", score: 0.9 },
+    { pattern: '/\\b(someone|a man|a woman|he|she|they) (is|are) (following me|outside my (door|window|house|room)|trying to get in)\\b/', score: 0.8 },
+    { pattern: "/\\b(i am|i'm|im) (locked in|lost and alone|not safe)\\b/", score: 1 },
+    { pattern: '/\\b(threatened|threatening) to (kill|hurt) me\\b/', score: 1 },
+  ],
+};
+
+let compiledRules = null;
+
+function getRules() {
+  if (!compiledRules) {
+    compiledRules = {};
+    for (const [category, list] of Object.entries(DISCLOSURE_RULES)) {
+      compiledRules[category] = list
+        .map(rule => ({ regex: compilePattern(rule.pattern), score: rule.score }))
+        .filter(rule => rule.regex);
+    }
+  }
+  return compiledRules;
+}
+
+/**
+ * Look for a disclosure in a user's message
+ * @param {string} text - The user's message (typed or transcribed)
+ * @param {{scores?: Object<string, number>}} [moderation] - Moderation result for the same text, if it was checked
+ * @returns {{category: string, score: number}|null} The strongest disclosure found
+ */
+export function detectDisclosure(text, moderation = null) {
+  if (!text?.trim()) return null;
+
+  // Curly apostrophes from phones would otherwise slip past "I'm"
+  const normalized = text.replace(/[‘’]/g, "'");
+
+  let found = null;
+  for (const [category, rules] of Object.entries(getRules())) {
+    for (const rule of rules) {
+      if (rule.regex.test(normalized) && (!found || rule.score > found.score)) {
+        found = { category, score: rule.score };
+      }
+    }
+  }
+
+  const selfHarmScore = moderation?.scores?.self_harm || 0;
+  if (selfHarmScore >= SELF_HARM_SCORE_THRESHOLD && (!found || selfHarmScore > found.score)) {
+    found = { category: 'self_harm', score: selfHarmScore };
+  }
+
+  return found;
+}
@@ -0,0 +1,211 @@
+/**
+ * Safeguarding incidents and their audit trail
+ * An incident keeps the disclosure and the messages before it so whoever follows up
+ * knows what was said. Every time an operator opens one it is written to the audit trail,
+ * alongside notifications and status changes.
+ */
+
+import { getDB } from '../db/db.js';
+
+export const INCIDENT_STATUSES = ['open', 'resolved'];
+
+// How much of the conversation is kept with an incident
+const MAX_CONTEXT_MESSAGES = 6;
+const MAX_CONTEXT_MESSAGE_LENGTH = 1000;
+const MAX_EXCERPT_LENGTH = 2000;
+const MAX_LIST_LIMIT = 200;
+
+// Everything except the conversation itself, for lists
+const SUMMARY_SELECT = {
+  id: true,
+  source: true,
+  sessionId: true,
+  userId: true,
+  category: true,
+  score: true,
+  status: true,
+  notifiedAt: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+const AUDIT_SELECT = {
+  id: true,
+  action: true,
+  actorId: true,
+  details: true,
+  createdAt: true,
+};
+
+/**
+ * Keep the last few messages before a disclosure, trimmed
+ * @param {Array<{role: string, content: string}>} history - Earlier messages, oldest first
+ * @returns {Array<{role: string, content: string}>}
+ */
+function buildContext(history = []) {
+  return history
+    .filter(msg => (msg.role === 'user' || msg.role === 'assistant') && typeof msg.content === 'string')
+    .slice(-MAX_CONTEXT_MESSAGES)
+    .map(msg => ({ role: msg.role, content: msg.content.slice(0, MAX_CONTEXT_MESSAGE_LENGTH) }));
+}
+
+/**
+ * Record an incident
+ * @param {Object} params
+ * @param {'chat'|'realtime'} params.source - Where the disclosure was made
+ * @param {string|null} params.sessionId - Session ID
+ * @param {string|null} params.userId - User ID (if logged in)
+ * @param {string} params.category - Disclosure category (see DISCLOSURE_CATEGORIES)
+ * @param {number} params.score - How strongly it matched
+ * @param {string} params.text - The message that raised it
+ * @param {Array} [params.history] - Messages before it, oldest first
+ * @returns {Promise<Object>} The incident (without the conversation)
+ */
+export async function createIncident({ source, sessionId, userId, category, score, text, history }) {
+  const prisma = getDB();
+  return prisma.safeguardingIncident.create({
+    data: {
+      source,
+      sessionId,
+      userId,
+      category,
+      score,
+      excerpt: text.slice(0, MAX_EXCERPT_LENGTH),
+      context: buildContext(history),
+      auditEntries: { create: { action: 'created' } },
+    },
+    select: SUMMARY_SELECT,
+  });
+}
+
+/**
+ * Find the user's last incident that somebody was told about
+ * Used to avoid emailing supporters about every message in the same conversation
+ * @param {string} userId - User ID
+ * @param {Date} since - Only look at notifications after this
+ * @returns {Promise<Object|null>}
+ */
+export async function findRecentlyNotifiedIncident(userId, since) {
+  const prisma = getDB();
+  return prisma.safeguardingIncident.findFirst({
+    where: { userId, notifiedAt: { gte: since } },
+    orderBy: { notifiedAt: 'desc' },
+    select: SUMMARY_SELECT,
+  });
+}
+
+/**
+ * Find an open incident of the same kind already raised in a session
+ * Used so one conversation about a disclosure is one incident, not one for every message
+ * @param {string} sessionId - Session ID
+ * @param {string} category - Disclosure category
+ * @param {Date} since - Only look at incidents raised after this
+ * @returns {Promise<Object|null>}
+ */
+export async function findRecentSessionIncident(sessionId, category, since) {
+  const prisma = getDB();
+  return prisma.safeguardingIncident.findFirst({
+    where: { sessionId, category, status: 'open', createdAt: { gte: since } },
+    orderBy: { createdAt: 'desc' },
+    select: SUMMARY_SELECT,
+  });
+}
+
+/**
+ * Mark an incident as notified and record who was emailed
+ * @param {string} incidentId - Incident ID
+ * @param {Array<{type: string, email: string}>} recipients - Who was emailed
+ * @returns {Promise<void>}
+ */
+export async function markIncidentNotified(incidentId, recipients) {
+  const prisma = getDB();
+  await prisma.$transaction([
+    prisma.safeguardingIncident.update({
+      where: { id: incidentId },
+      data: { notifiedAt: new Date() },
+    }),
+    prisma.safeguardingAuditEntry.create({
+      data: { incidentId, action: 'notified', details: { recipients } },
+    }),
+  ]);
+}
+
+/**
+ * List incidents, newest first, without their conversations
+ * Listing isn't audited because nothing the user said is shown.
+ * @param {Object} [options]
+ * @param {string} [options.status] - Only incidents with this status
+ * @param {number} [options.limit=50] - Maximum to return
+ * @returns {Promise<Array>}
+ */
+export async function listIncidents({ status, limit = 50 } = {}) {
+  const prisma = getDB();
+  return prisma.safeguardingIncident.findMany({
+    where: status ? { status } : {},
+    orderBy: { createdAt: 'desc' },
+    take: Math.min(Math.max(limit, 1), MAX_LIST_LIMIT),
+    select: SUMMARY_SELECT,
+  });
+}
+
+/**
+ * Open an incident, recording that the operator viewed it
+ * @param {string} incidentId - Incident ID
+ * @param {string} viewerId - Operator's user ID
+ * @returns {Promise<Object|null>} The incident with its conversation and audit trail, or null if it wasn't found
+ */
+export async function viewIncident(incidentId, viewerId) {
+  const prisma = getDB();
+  const incident = await prisma.safeguardingIncident.findUnique({
+    where: { id: incidentId },
+    select: {
+      ...SUMMARY_SELECT,
+      excerpt: true,
+      context: true,
+      auditEntries: { orderBy: { createdAt: 'asc' }, select: AUDIT_SELECT },
+    },
+  });
+  if (!incident) return null;
+
+  const entry = await prisma.safeguardingAuditEntry.create({
+    data: { incidentId, action: 'viewed', actorId: viewerId },
+    select: AUDIT_SELECT,
+  });
+
+  return { ...incident, auditEntries: [...incident.auditEntries, entry] };
+}
+
+/**
+ * Change an incident's status
+ * @param {string} incidentId - Incident ID
+ * @param {string} status - New status (already checked against INCIDENT_STATUSES)
+ * @param {Object} params
+ * @param {string} params.actorId - Operator's user ID
+ * @param {string} [params.note] - Why, for the audit trail
+ * @returns {Promise<Object|null>} The updated incident, or null if it wasn't found
+ */
+export async function updateIncidentStatus(incidentId, status, { actorId, note }) {
+  const prisma = getDB();
+  return prisma.$transaction(async (tx) => {
+    const current = await tx.safeguardingIncident.findUnique({
+      where: { id: incidentId },
+      select: { status: true },
+    });
+    if (!current) return null;
+
+    const incident = await tx.safeguardingIncident.update({
+      where: { id: incidentId },
+      data: { status },
+      select: SUMMARY_SELECT,
+    });
+    await tx.safeguardingAuditEntry.create({
+      data: {
+        incidentId,
+        action: 'status_changed',
+        actorId,
+        details: { from: current.status, to: status, ...(note && { note }) },
+      },
+    });
+    return incident;
+  });
+}
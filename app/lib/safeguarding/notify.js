@@ -0,0 +1,93 @@
+/**
+ * Safeguarding notifications
+ * Emails the user's linked supporters and their organisation's safeguarding lead.
+ * The email says that something was disclosed and how to follow up, but never quotes
+ * the user - what they said stays in the incident, where reading it is audited.
+ */
+
+import { getDB } from '../db/db.js';
+import { sendEmail, escapeHtml, isEmailConfigured } from '../email.js';
+import { DISCLOSURE_CATEGORIES } from './detect.js';
+
+/**
+ * Find who should hear about a user's incidents
+ * @param {string} userId - User ID
+ * @returns {Promise<{user: {name: string|null, email: string}|null, recipients: Array<{type: string, email: string, name?: string}>}>}
+ */
+async function findRecipients(userId) {
+  const prisma = getDB();
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      name: true,
+      email: true,
+      supporters: { select: { name: true, email: true } },
+      organisation: { select: { name: true, safeguardingLeadEmail: true } },
+    },
+  });
+  if (!user) return { user: null, recipients: [] };
+
+  const recipients = user.supporters.map(s => ({ type: 'supporter', email: s.email, name: s.name }));
+  const leadEmail = user.organisation?.safeguardingLeadEmail;
+  if (leadEmail && !recipients.some(r => r.email === leadEmail)) {
+    recipients.push({ type: 'organisation_lead', email: leadEmail, name: user.organisation.name });
+  }
+
+  return { user: { name: user.name, email: user.email }, recipients };
+}
+
+function buildAlertEmail({ incident, user, recipient }) {
+  const category = DISCLOSURE_CATEGORIES.find(c => c.id === incident.category)?.label || incident.category;
+  const who = user.name || user.email;
+  const when = incident.createdAt.toUTCString();
+  const role = recipient.type === 'organisation_lead'
+    ? `you are the safeguarding lead for ${recipient.name}`
+    : 'they added you as someone they trust';
+
+  const subject = `Please check in with ${who}`;
+  const text = [
+    `Hello${recipient.type === 'supporter' ? ` ${recipient.name}` : ''},`,
+    `While using the assistant on ${when}, ${who} said something that suggests they may need support (${category}).`,
+    `We are telling you because ${role}. Please check in with them as soon as you can.`,
+    'If you think they are in immediate danger, call the emergency services.',
+    `Reference: ${incident.id}`,
+  ].join('\n\n');
+  const html = `
+    <p>Hello${recipient.type === 'supporter' ? ` ${escapeHtml(recipient.name)}` : ''},</p>
+    <p>While using the assistant on ${escapeHtml(when)}, <strong>${escapeHtml(who)}</strong> said something that suggests they may need support (${escapeHtml(category)}).</p>
+    <p>We are telling you because ${escapeHtml(role)}. Please check in with them as soon as you can.</p>
+    <p>If you think they are in immediate danger, call the emergency services.</p>
+    <p>Reference: ${escapeHtml(incident.id)}</p>
+  `;
+
+  return { subject, html, text };
+}
+
+/**
+ * Email everyone who should hear about an incident
+ * Each recipient gets their own email so addresses aren't shared between them.
+ * @param {Object} incident - Incident from createIncident
+ * @returns {Promise<Array<{type: string, email: string}>>} Who was emailed (empty if nobody could be)
+ */
+export async function notifyIncident(incident) {
+  if (!incident.userId) return [];
+  if (!isEmailConfigured()) {
+    console.warn(`Safeguarding incident ${incident.id} recorded but email isn't configured - nobody was notified`);
+    return [];
+  }
+
+  const { user, recipients } = await findRecipients(incident.userId);
+  if (!user || recipients.length === 0) return [];
+
+  const notified = [];
+  for (const recipient of recipients) {
+    try {
+      await sendEmail({ to: recipient.email, ...buildAlertEmail({ incident, user, recipient }) });
+      notified.push({ type: recipient.type, email: recipient.email });
+    } catch (error) {
+      console.error(`Error notifying ${recipient.type} about safeguarding incident ${incident.id}:`, error);
+      // Don't throw - try the other recipients
+    }
+  }
+  return notified;
+}
@@ -0,0 +1,50 @@
+/**
+ * Tickets for the Realtime transcript check
+ * /api/realtime-token hands one out with each Realtime token, and /api/realtime-transcript only
+ * accepts turns that carry one issued to the same session - so incidents can't be raised for
+ * conversations that never went through a metered token.
+ * A ticket is "<expiry>.<signature>", signed with the auth secret; nothing is stored.
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { REALTIME_TOKEN_TTL_SECONDS } from '../llm/config.js';
+
+function getTicketSecret() {
+  return process.env.BETTER_AUTH_SECRET || process.env.JWT_SECRET || null;
+}
+
+function signTicket(sessionId, expiresAt, secret) {
+  return createHmac('sha256', secret).update(`realtime-transcript:${sessionId}:${expiresAt}`).digest('base64url');
+}
+
+/**
+ * Issue a ticket for a session, lasting as long as the Realtime token it goes with
+ * (the client asks for a new token, and so a new ticket, before the old one runs out)
+ * @param {string} sessionId - Session ID the token was issued to
+ * @returns {string|null} null if no signing secret is configured
+ */
+export function issueTranscriptTicket(sessionId) {
+  const secret = getTicketSecret();
+  if (!secret) return null;
+  const expiresAt = Date.now() + REALTIME_TOKEN_TTL_SECONDS * 1000;
+  return `${expiresAt}.${signTicket(sessionId, expiresAt, secret)}`;
+}
+
+/**
+ * Check a ticket was issued to this session and hasn't run out
+ * @param {string} ticket - From issueTranscriptTicket
+ * @param {string} sessionId - The caller's session ID
+ * @returns {boolean}
+ */
+export function verifyTranscriptTicket(ticket, sessionId) {
+  const secret = getTicketSecret();
+  if (!secret || typeof ticket !== 'string') return false;
+
+  const [expiresAt, signature, ...rest] = ticket.split('.');
+  if (!/^\d+$/.test(expiresAt || '') || !signature || rest.length > 0) return false;
+  if (Number(expiresAt) < Date.now()) return false;
+
+  const expected = Buffer.from(signTicket(sessionId, expiresAt, secret));
+  const given = Buffer.from(signature);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
@@ -4,13 +4,43 @@ import { randomUUID } from 'crypto';
 const FREE_DAILY_LIMIT = 20;
 const PAID_DAILY_LIMIT = Infinity; // Unlimited for paid users
 
+// Idempotency-Key header values we accept (anything else is ignored)
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_.:-]{1,128}$/;
+
+const RESERVATION_SELECT = {
+  id: true,
+  sessionLimitId: true,
+  units: true,
+  windowResetAt: true,
+};
+
 /**
- * Check if daily limit is exceeded for a session
+ * Read the Idempotency-Key header sent with a request
+ * @param {Request} request - Incoming request
+ * @returns {string|null} The key, or null if there isn't a valid one
+ */
+export function getIdempotencyKey(request) {
+  const key = request.headers.get('idempotency-key')?.trim();
+  return key && IDEMPOTENCY_KEY_PATTERN.test(key) ? key : null;
+}
+
+/**
+ * Check the daily limit for a session and reserve one use against it
+ * The check and the count happen in one conditional update, so concurrent requests can't overrun
+ * the limit. Settle the reservation with commitUsage once the request has succeeded, or
+ * releaseUsage if it fails or is cancelled. A reservation that is never settled (e.g. the server
+ * stopped) stays counted.
  * @param {string} sessionId - Session ID (Better Auth session ID or anonymous)
  * @param {string|null} userId - User ID from Better Auth (optional)
- * @returns {Promise<{allowed: boolean, remaining: number, resetAt: Date, tier: string}>}
+ * @param {Object} [options]
+ * @param {string} [options.endpoint] - What the use is for (chat, speech, realtime)
+ * @param {number} [options.units=1] - How much of the limit the request uses
+ * @param {string|null} [options.idempotencyKey] - From getIdempotencyKey - a repeat of a request that is
+ *   still running or already charged today is refused (duplicate is set) rather than run again for free;
+ *   a repeat of one that failed is charged in its place. Keys only match within the same daily window.
+ * @returns {Promise<{allowed: boolean, remaining: number, used: number, limit: number, resetAt: Date, tier: string, reservation: Object|null, duplicate?: 'in_progress'|'committed'}>}
  */
-export async function checkDailyLimit(sessionId, userId = null) {
+export async function checkDailyLimit(sessionId, userId = null, { endpoint = 'unknown', units = 1, idempotencyKey = null } = {}) {
   const prisma = getDB();
   
   // For logged-in users, track by userId to persist limit across sessions
@@ -73,74 +103,183 @@ export async function checkDailyLimit(sessionId, userId = null) {
   const isPaid = tier === 'paid' && subscriptionStatus === 'active';
   const dailyLimit = isPaid ? PAID_DAILY_LIMIT : FREE_DAILY_LIMIT;
   
-  // Check if we need to reset daily counter
-  const now = Date.now();
-  const resetAtTimestamp = sessionLimit.dailyUsageResetAt.getTime();
-  if (resetAtTimestamp <= now) {
-    // Reset counter and increment for current request
-    const nextReset = new Date(getNextMidnightUTC());
-    const updateWhere = userId 
-      ? { id: sessionLimit.id } // Update by ID for logged-in users
-      : { sessionId }; // Update by sessionId for anonymous users
-    sessionLimit = await prisma.sessionLimit.update({
-      where: updateWhere,
-      data: {
-        dailyUsageCount: 1, // Reset to 0, then increment to 1 for current request
-        dailyUsageResetAt: nextReset,
-        lastUsedAt: new Date(),
+  // Check if we need to reset daily counter (done below, with the reservation)
+  const isNewDay = sessionLimit.dailyUsageResetAt.getTime() <= Date.now();
+  const resetAt = isNewDay ? new Date(getNextMidnightUTC()) : sessionLimit.dailyUsageResetAt;
+  const usedBefore = isNewDay ? 0 : sessionLimit.dailyUsageCount;
+  
+  const buildResult = (allowed, used, extra) => ({
+    allowed,
+    remaining: dailyLimit === Infinity ? Infinity : Math.max(dailyLimit - used, 0),
+    used: dailyLimit === Infinity ? 0 : used,
+    limit: dailyLimit,
+    resetAt,
+    tier,
+    reservation: null,
+    ...extra,
+  });
+  
+  // Keys are scoped to the daily window, so one sent again tomorrow is a new request
+  const windowKey = idempotencyKey ? `${resetAt.getTime()}:${idempotencyKey}` : null;
+  
+  // A repeat of a request that is running or already charged is refused, not run again uncharged
+  if (windowKey) {
+    const existing = await prisma.usageReservation.findUnique({
+      where: {
+        sessionLimitId_endpoint_idempotencyKey: { sessionLimitId: sessionLimit.id, endpoint, idempotencyKey: windowKey },
       },
+      select: { status: true },
     });
-    
-    const remaining = dailyLimit === Infinity 
-      ? Infinity 
-      : dailyLimit - 1;
-    
-    return {
-      allowed: true,
-      remaining,
-      used: dailyLimit === Infinity ? 0 : 1,
-      limit: dailyLimit,
-      resetAt: nextReset,
-      tier,
-    };
+    if (existing && existing.status !== 'released') {
+      return buildResult(false, usedBefore, { duplicate: existing.status === 'committed' ? 'committed' : 'in_progress' });
+    }
   }
   
-  // Check if limit exceeded
-  if (dailyLimit !== Infinity && sessionLimit.dailyUsageCount >= dailyLimit) {
-    return {
-      allowed: false,
-      remaining: 0,
-      used: sessionLimit.dailyUsageCount,
-      limit: dailyLimit,
-      resetAt: sessionLimit.dailyUsageResetAt,
-      tier,
-    };
+  // Check if limit exceeded (countUnits checks again as it counts, in case another request got in first)
+  if (dailyLimit !== Infinity && usedBefore + units > dailyLimit) {
+    return buildResult(false, usedBefore);
   }
   
-  // Increment usage count
-  const updateWhere = userId 
-    ? { id: sessionLimit.id } // Update by ID for logged-in users
-    : { sessionId }; // Update by sessionId for anonymous users
-  sessionLimit = await prisma.sessionLimit.update({
-    where: updateWhere,
-    data: {
-      dailyUsageCount: { increment: 1 },
-      lastUsedAt: new Date(),
-    },
+  const reservation = await claimReservation(prisma, {
+    sessionLimitId: sessionLimit.id,
+    endpoint,
+    units,
+    idempotencyKey: windowKey,
+    windowResetAt: resetAt,
   });
+  if (!reservation) {
+    // Another request with the same key got there first
+    return buildResult(false, usedBefore, { duplicate: 'in_progress' });
+  }
   
-  const remaining = dailyLimit === Infinity 
-    ? Infinity 
-    : dailyLimit - sessionLimit.dailyUsageCount;
+  const used = await countUnits(prisma, { sessionLimitId: sessionLimit.id, units, dailyLimit, resetAt });
+  if (used === null) {
+    // Concurrent requests used up the limit between the check and the count - nothing was counted
+    await prisma.usageReservation.updateMany({
+      where: { id: reservation.id, status: 'reserved' },
+      data: { status: 'released' },
+    });
+    const current = await prisma.sessionLimit.findUnique({
+      where: { id: sessionLimit.id },
+      select: { dailyUsageCount: true },
+    });
+    return buildResult(false, current?.dailyUsageCount ?? usedBefore);
+  }
   
-  return {
-    allowed: true,
-    remaining,
-    used: dailyLimit === Infinity ? 0 : sessionLimit.dailyUsageCount,
-    limit: dailyLimit,
-    resetAt: sessionLimit.dailyUsageResetAt,
-    tier,
-  };
+  return buildResult(true, used, { reservation });
+}
+
+/**
+ * Add units to the daily count if they fit under the limit, in one conditional update
+ * @returns {Promise<number|null>} The count afterwards, or null if the units didn't fit
+ */
+async function countUnits(prisma, { sessionLimitId, units, dailyLimit, resetAt }) {
+  const now = new Date();
+  
+  // Start the day again from this request if the counter is due a reset (and nobody else has just reset it)
+  const reset = await prisma.sessionLimit.updateMany({
+    where: { id: sessionLimitId, dailyUsageResetAt: { lte: now } },
+    data: { dailyUsageCount: units, dailyUsageResetAt: resetAt, lastUsedAt: now },
+  });
+  
+  if (reset.count === 0) {
+    const counted = await prisma.sessionLimit.updateMany({
+      where: {
+        id: sessionLimitId,
+        ...(dailyLimit !== Infinity && { dailyUsageCount: { lte: dailyLimit - units } }),
+      },
+      data: { dailyUsageCount: { increment: units }, lastUsedAt: now },
+    });
+    if (counted.count === 0) return null;
+  }
+  
+  const sessionLimit = await prisma.sessionLimit.findUnique({
+    where: { id: sessionLimitId },
+    select: { dailyUsageCount: true },
+  });
+  return sessionLimit.dailyUsageCount;
+}
+
+/**
+ * Create the reservation row, or take back a released one with the same idempotency key
+ * @returns {Promise<Object|null>} null if the key is already held by another reservation
+ */
+async function claimReservation(prisma, { sessionLimitId, endpoint, units, idempotencyKey, windowResetAt }) {
+  if (idempotencyKey) {
+    // The earlier attempt failed and was given back - this retry is charged in its place
+    const reclaimed = await prisma.usageReservation.updateMany({
+      where: { sessionLimitId, endpoint, idempotencyKey, status: 'released' },
+      data: { status: 'reserved', units, windowResetAt },
+    });
+    if (reclaimed.count > 0) {
+      return prisma.usageReservation.findUnique({
+        where: { sessionLimitId_endpoint_idempotencyKey: { sessionLimitId, endpoint, idempotencyKey } },
+        select: RESERVATION_SELECT,
+      });
+    }
+  }
+  
+  try {
+    return await prisma.usageReservation.create({
+      data: { sessionLimitId, endpoint, units, idempotencyKey, windowResetAt },
+      select: RESERVATION_SELECT,
+    });
+  } catch (error) {
+    // P2002 = unique constraint - a request with the same key reserved it at the same moment
+    if (error?.code === 'P2002') return null;
+    throw error;
+  }
+}
+
+/**
+ * Charge a reservation - the request it was for succeeded
+ * @param {Object|null} reservation - From checkDailyLimit (null does nothing)
+ * @returns {Promise<void>}
+ */
+export async function commitUsage(reservation) {
+  if (!reservation) return;
+  const prisma = getDB();
+  try {
+    await prisma.usageReservation.updateMany({
+      where: { id: reservation.id, status: 'reserved' },
+      data: { status: 'committed' },
+    });
+  } catch (error) {
+    console.error('Error committing usage reservation:', error);
+    // Don't throw - the use was already counted when it was reserved
+  }
+}
+
+/**
+ * Give a reservation back - the request failed, was blocked or was cancelled
+ * @param {Object|null} reservation - From checkDailyLimit (null does nothing)
+ * @returns {Promise<void>}
+ */
+export async function releaseUsage(reservation) {
+  if (!reservation) return;
+  const prisma = getDB();
+  try {
+    await prisma.$transaction(async (tx) => {
+      const released = await tx.usageReservation.updateMany({
+        where: { id: reservation.id, status: 'reserved' },
+        data: { status: 'released' },
+      });
+      if (released.count === 0) return; // Already settled
+
+      // Only give the use back if the counter hasn't been reset since it was reserved
+      await tx.sessionLimit.updateMany({
+        where: {
+          id: reservation.sessionLimitId,
+          dailyUsageResetAt: reservation.windowResetAt,
+          dailyUsageCount: { gte: reservation.units },
+        },
+        data: { dailyUsageCount: { decrement: reservation.units } },
+      });
+    });
+  } catch (error) {
+    console.error('Error releasing usage reservation:', error);
+    // Don't throw - the user loses one use, as they would have before reservations
+  }
 }
 
 /**
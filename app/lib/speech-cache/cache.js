@@ -0,0 +1,124 @@
+/**
+ * Cache of synthesised speech
+ * People often ask for the same reply to be read again, so /api/speech keeps the audio it makes.
+ * Clips are content-addressed: the key is a hash of everything that changes the audio, so a
+ * different voice, speed or wording never gets someone else's clip.
+ *
+ * A store implements:
+ * - get(key) -> { size, contentType } or null, marking the clip as just played
+ * - read(key, { start, end }) -> ReadableStream of the bytes from start to end (inclusive)
+ * - put(key, bytes, { contentType }), removing older clips if the store is over its size limit
+ */
+
+import { createHash } from 'crypto';
+import os from 'os';
+import path from 'path';
+import { createFileSystemStore } from './fs-store.js';
+
+// Which store to use: 'fs' (default, local files) or 'off'
+const SPEECH_CACHE_STORE = (process.env.SPEECH_CACHE_STORE || 'fs').trim().toLowerCase();
+
+// The temporary directory is the one place most hosts (including serverless ones) let us write
+const SPEECH_CACHE_DIR = process.env.SPEECH_CACHE_DIR || path.join(os.tmpdir(), 'speech-cache');
+
+const DEFAULT_MAX_MB = 200;
+
+// A reply's audio is well under this; anything bigger isn't worth holding in memory to cache
+const MAX_CLIP_BYTES = 5 * 1024 * 1024;
+
+// Bump to drop every cached clip when how audio is made changes in a way the key can't see
+const KEY_VERSION = 1;
+
+// Singleton store - undefined until first used, null when caching is off
+let store;
+
+/**
+ * Tidy text so the same reply gets the same key however its spacing came through
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeSpeechText(text) {
+  return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Work out the cache key for a clip
+ * @param {Object} params
+ * @param {string} params.text - Text to be spoken (after moderation)
+ * @param {string} params.model - Speech model
+ * @param {string} params.voice - Provider voice name
+ * @param {number} params.speed - Speaking speed
+ * @param {string} [params.instructions] - Accent and style instructions
+ * @param {string} params.format - Audio format asked for
+ * @returns {string} 64-character hex SHA-256
+ */
+export function getSpeechCacheKey({ text, model, voice, speed, instructions = '', format }) {
+  return createHash('sha256')
+    .update(JSON.stringify([KEY_VERSION, model, format, voice, speed, instructions, normalizeSpeechText(text)]))
+    .digest('hex');
+}
+
+/**
+ * Get the configured store (singleton)
+ * @returns {Object|null} Store, or null if caching is off
+ */
+export function getSpeechCacheStore() {
+  if (store === undefined) {
+    if (SPEECH_CACHE_STORE === 'off') {
+      store = null;
+    } else {
+      if (SPEECH_CACHE_STORE !== 'fs') {
+        console.warn(`Unknown SPEECH_CACHE_STORE "${SPEECH_CACHE_STORE}", using fs`);
+      }
+      const maxMB = Number(process.env.SPEECH_CACHE_MAX_MB) > 0 ? Number(process.env.SPEECH_CACHE_MAX_MB) : DEFAULT_MAX_MB;
+      store = createFileSystemStore({ dir: SPEECH_CACHE_DIR, maxBytes: maxMB * 1024 * 1024 });
+    }
+  }
+  return store;
+}
+
+/**
+ * Look up a cached clip
+ * @param {string} key - From getSpeechCacheKey
+ * @returns {Promise<{size: number, contentType: string}|null>} null on a miss, when caching is off, or if the store failed
+ */
+export async function getCachedSpeech(key) {
+  try {
+    return (await getSpeechCacheStore()?.get(key)) || null;
+  } catch (error) {
+    console.error('Error reading speech cache:', error);
+    // Don't throw - a broken cache just means making the audio again
+    return null;
+  }
+}
+
+/**
+ * Pass audio through, caching it once all of it has arrived
+ * A stream that fails or is cancelled part way is not cached.
+ * @param {ReadableStream} body - Audio from the provider
+ * @param {string} key - From getSpeechCacheKey
+ * @param {string} contentType - The audio's content type
+ * @returns {ReadableStream}
+ */
+export function cacheWhenComplete(body, key, contentType) {
+  const cache = getSpeechCacheStore();
+  if (!cache) return body;
+
+  const chunks = [];
+  let size = 0;
+  return body.pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      size += chunk.byteLength;
+      if (size <= MAX_CLIP_BYTES) chunks.push(chunk);
+      controller.enqueue(chunk);
+    },
+    flush() {
+      if (size > MAX_CLIP_BYTES) return;
+      // Not awaited - the listener shouldn't wait on the disk
+      cache.put(key, Buffer.concat(chunks), { contentType }).catch((error) => {
+        console.error('Error writing speech cache:', error);
+        // Don't throw - the audio was already sent
+      });
+    },
+  }));
+}
@@ -0,0 +1,120 @@
+/**
+ * Speech cache store on the local filesystem
+ * Each clip is <key>.audio with its content type in <key>.json beside it. The file's modified time
+ * is bumped on every hit, so eviction can drop the clips that haven't been played for longest.
+ */
+
+import { promises as fs, createReadStream } from 'fs';
+import { Readable } from 'stream';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+const KEY_PATTERN = /^[a-f0-9]{64}$/;
+const AUDIO_SUFFIX = '.audio';
+const TEMP_SUFFIX = '.tmp';
+
+// Eviction goes down to this share of the limit, so it doesn't run again on the very next write
+const EVICT_TO_FRACTION = 0.9;
+
+// Half-written files older than this were left by a write that never finished
+const STALE_TEMP_MS = 60 * 60 * 1000;
+
+/**
+ * Create a filesystem store
+ * @param {Object} options
+ * @param {string} options.dir - Directory for the clips (created when the first clip is written)
+ * @param {number} options.maxBytes - Total audio kept before the least recently played clips are removed
+ * @returns {{get: Function, read: Function, put: Function}} See cache.js for the store interface
+ */
+export function createFileSystemStore({ dir, maxBytes }) {
+  // Unknown until the first write scans the directory; other servers may share it, so it is re-read on every eviction
+  let totalBytes = null;
+  let eviction = null;
+
+  const audioPath = (key) => path.join(dir, `${key}${AUDIO_SUFFIX}`);
+  const metaPath = (key) => path.join(dir, `${key}.json`);
+
+  const remove = (key) => Promise.all([
+    fs.rm(audioPath(key), { force: true }),
+    fs.rm(metaPath(key), { force: true }),
+  ]);
+
+  const scan = async () => {
+    const names = await fs.readdir(dir).catch((error) => {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    });
+    const clips = [];
+    for (const name of names) {
+      const stats = await fs.stat(path.join(dir, name)).catch(() => null);
+      if (!stats) continue;
+      if (name.endsWith(TEMP_SUFFIX)) {
+        if (Date.now() - stats.mtimeMs > STALE_TEMP_MS) {
+          await fs.rm(path.join(dir, name), { force: true });
+        }
+      } else if (name.endsWith(AUDIO_SUFFIX)) {
+        clips.push({ key: name.slice(0, -AUDIO_SUFFIX.length), size: stats.size, playedAt: stats.mtimeMs });
+      }
+    }
+    return clips;
+  };
+
+  const evict = async () => {
+    const clips = await scan();
+    totalBytes = clips.reduce((sum, clip) => sum + clip.size, 0);
+    if (totalBytes <= maxBytes) return;
+
+    clips.sort((a, b) => a.playedAt - b.playedAt);
+    const target = maxBytes * EVICT_TO_FRACTION;
+    for (const clip of clips) {
+      if (totalBytes <= target) break;
+      await remove(clip.key);
+      totalBytes -= clip.size;
+    }
+  };
+
+  // Only one eviction at a time - writes that land during one are counted by its scan
+  const evictIfFull = () => {
+    if (totalBytes !== null && totalBytes <= maxBytes) return Promise.resolve();
+    eviction ??= evict().finally(() => {
+      eviction = null;
+    });
+    return eviction;
+  };
+
+  return {
+    async get(key) {
+      if (!KEY_PATTERN.test(key)) return null;
+      try {
+        const [meta, stats] = await Promise.all([
+          fs.readFile(metaPath(key), 'utf8').then(JSON.parse),
+          fs.stat(audioPath(key)),
+        ]);
+        const now = new Date();
+        fs.utimes(audioPath(key), now, now).catch(() => {});
+        return { size: stats.size, contentType: meta.contentType };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    read(key, { start, end }) {
+      return Readable.toWeb(createReadStream(audioPath(key), { start, end }));
+    },
+
+    async put(key, bytes, { contentType }) {
+      if (!KEY_PATTERN.test(key) || bytes.length === 0 || bytes.length > maxBytes) return;
+      await fs.mkdir(dir, { recursive: true });
+
+      // Written under a temporary name and renamed, so a reader never sees half a clip
+      const tempPath = path.join(dir, `${key}.${randomUUID()}${TEMP_SUFFIX}`);
+      await fs.writeFile(metaPath(key), JSON.stringify({ contentType }));
+      await fs.writeFile(tempPath, bytes);
+      await fs.rename(tempPath, audioPath(key));
+
+      if (totalBytes !== null) totalBytes += bytes.length;
+      await evictIfFull();
+    },
+  };
+}
@@ -0,0 +1,72 @@
+/**
+ * Responses for cached speech clips
+ * The key is a hash of the audio's inputs, so it makes a strong ETag: the bytes behind it never change.
+ */
+
+import { NextResponse } from "next/server";
+import { getSpeechCacheStore } from './cache.js';
+
+/**
+ * Read a Range header against a clip's size
+ * Only a single range is supported; anything else gets the whole clip.
+ * @param {string|null} header - Range header
+ * @param {number} size - Clip size in bytes
+ * @returns {{start: number, end: number}|'unsatisfiable'|null} null for the whole clip
+ */
+export function parseRange(header, size) {
+  const match = header?.trim().match(/^bytes=(\d*)-(\d*)$/);
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start;
+  let end;
+  if (!match[1]) {
+    // bytes=-500 is the last 500 bytes
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  }
+  if (start >= size || start > end) return 'unsatisfiable';
+  return { start, end };
+}
+
+/**
+ * Serve a cached clip, honouring If-None-Match and Range
+ * @param {Request} request - Incoming request
+ * @param {string} key - Cache key
+ * @param {{size: number, contentType: string}} clip - From getCachedSpeech
+ * @param {Object} [options]
+ * @param {Object} [options.headers] - Extra headers (limit headers, cache control)
+ * @returns {NextResponse} 200, 206, 304 or 416
+ */
+export function cachedSpeechResponse(request, key, clip, { headers = {} } = {}) {
+  const etag = `"${key}"`;
+  const baseHeaders = { ETag: etag, 'Accept-Ranges': 'bytes', ...headers };
+
+  const ifNoneMatch = request.headers.get('if-none-match');
+  if (ifNoneMatch && (ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag))) {
+    return new NextResponse(null, { status: 304, headers: baseHeaders });
+  }
+
+  const range = parseRange(request.headers.get('range'), clip.size);
+  if (range === 'unsatisfiable') {
+    return new NextResponse(null, {
+      status: 416,
+      headers: { ...baseHeaders, 'Content-Range': `bytes */${clip.size}` },
+    });
+  }
+
+  const { start, end } = range || { start: 0, end: clip.size - 1 };
+  // get has just marked the clip as played, so eviction won't take it before it is read
+  const body = getSpeechCacheStore().read(key, { start, end });
+  return new NextResponse(body, {
+    status: range ? 206 : 200,
+    headers: {
+      ...baseHeaders,
+      'Content-Type': clip.contentType,
+      'Content-Length': String(end - start + 1),
+      ...(range && { 'Content-Range': `bytes ${start}-${end}/${clip.size}` }),
+    },
+  });
+}
@@ -0,0 +1,170 @@
+/**
+ * Browser player for "Read aloud" in text mode
+ * Replies are spoken through /api/speech one at a time: asking for another while one is playing
+ * queues it, and stop clears the queue so nothing carries on talking unexpectedly.
+ */
+
+// A fraction of a second of silence, played straight from the tap so iOS lets later audio play
+// (the real audio only arrives after a fetch, by which time the tap no longer counts)
+const SILENT_WAV = 'data:audio/wav;base64,UklGRjQAAABXQVZFZm10IBAAAAABAAEAQB8AAIA+AAACABAAZGF0YRAAAAAAAAAAAAAAAAAAAAAAAAAA';
+
+const IDLE_STATE = { current: null, status: 'idle', queue: [], error: null };
+
+/**
+ * Turn a failed /api/speech response into a message for the user
+ * @param {Response} response
+ * @returns {Promise<{message: string, code: string|null}>}
+ */
+async function describeSpeechError(response) {
+  const data = await response.json().catch(() => ({}));
+  if (data.code === 'daily_limit_reached') {
+    return { message: 'Daily limit reached. Please subscribe for unlimited access.', code: data.code };
+  }
+  if (response.status === 429) {
+    const retryAfter = response.headers.get('Retry-After') || '60';
+    return { message: `Too many requests. Please wait ${retryAfter} seconds and try again.`, code: data.code || 'rate_limited' };
+  }
+  if (response.status === 403) {
+    return { message: data.error || 'Read aloud is not available right now.', code: data.code || null };
+  }
+  return { message: 'Sorry, this could not be read aloud. Please try again.', code: data.code || null };
+}
+
+/**
+ * Create the read-aloud player
+ * @param {Object} options
+ * @param {Function} options.onChange - Called with { current: {id, text}|null, status, queue: [{id, text}], error: {id, message, code}|null }
+ *   status is idle, loading, playing or paused
+ * @param {Function} [options.onLimitReached] - Called when the daily limit stops a reply being read
+ * @returns {{play: Function, pause: Function, resume: Function, stop: Function, cancel: Function, destroy: Function}}
+ */
+export function createReadAloudPlayer({ onChange, onLimitReached }) {
+  const audio = new Audio();
+  let state = IDLE_STATE;
+  let controller = null;
+  let objectURL = null;
+  let isUnlocked = false;
+
+  const setState = (updates) => {
+    state = { ...state, ...updates };
+    onChange(state);
+  };
+
+  const releaseAudio = () => {
+    controller?.abort();
+    controller = null;
+    audio.pause();
+    audio.removeAttribute('src');
+    audio.load();
+    if (objectURL) {
+      URL.revokeObjectURL(objectURL);
+      objectURL = null;
+    }
+  };
+
+  const playNext = () => {
+    releaseAudio();
+    const [next, ...rest] = state.queue;
+    if (!next) {
+      setState({ current: null, status: 'idle', queue: [] });
+      return;
+    }
+    setState({ current: next, status: 'loading', queue: rest });
+    load(next);
+  };
+
+  const load = async (item) => {
+    controller = new AbortController();
+    const { signal } = controller;
+    try {
+      const response = await fetch('/api/speech', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        // The locale is only used for anonymous users; voice settings are sent so previews can try unsaved choices
+        body: JSON.stringify({ text: item.text, locale: item.locale, ...item.voiceSettings }),
+        signal,
+      });
+      if (!response.ok) {
+        const error = await describeSpeechError(response);
+        if (error.code === 'daily_limit_reached') {
+          onLimitReached?.();
+        }
+        // Later replies would fail the same way, so the queue goes too
+        releaseAudio();
+        setState({ current: null, status: 'idle', queue: [], error: { id: item.id, ...error } });
+        return;
+      }
+
+      // Waiting for the whole reply keeps playback simple - opus streams can't be fed to <audio> in every browser
+      const blob = await response.blob();
+      if (signal.aborted) return;
+      objectURL = URL.createObjectURL(blob);
+      audio.src = objectURL;
+      await audio.play();
+      setState({ status: 'playing' });
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error('Read aloud failed:', error);
+      setState({ error: { id: item.id, message: 'Sorry, this could not be read aloud. Please try again.', code: null } });
+      playNext();
+    }
+  };
+
+  audio.addEventListener('ended', () => {
+    if (state.current) playNext();
+  });
+
+  return {
+    /**
+     * Read a reply aloud now, or after the ones already playing and queued
+     * Call from a tap or key press so the browser allows the audio
+     * @param {{id: *, text: string, locale: string, voiceSettings?: Object}} item - id identifies the reply in the UI;
+     *   voiceSettings is { voice, speechSpeed, speechPitch } (see voices.js)
+     */
+    play(item) {
+      if (!isUnlocked) {
+        audio.src = SILENT_WAV;
+        audio.play().catch(() => {});
+        isUnlocked = true;
+      }
+      if (state.current?.id === item.id || state.queue.some(queued => queued.id === item.id)) return;
+
+      const error = state.error?.id === item.id ? null : state.error;
+      if (state.current) {
+        setState({ queue: [...state.queue, item], error });
+        return;
+      }
+      setState({ queue: [item], error });
+      playNext();
+    },
+
+    pause() {
+      if (state.status !== 'playing') return;
+      audio.pause();
+      setState({ status: 'paused' });
+    },
+
+    resume() {
+      if (state.status !== 'paused') return;
+      audio.play()
+        .then(() => setState({ status: 'playing' }))
+        .catch((error) => console.error('Read aloud could not resume:', error));
+    },
+
+    // Stop the reply being read and everything queued after it
+    stop() {
+      releaseAudio();
+      setState({ ...IDLE_STATE, error: state.error });
+    },
+
+    // Take a reply out of the queue before it starts
+    cancel(id) {
+      setState({ queue: state.queue.filter(queued => queued.id !== id) });
+    },
+
+    destroy() {
+      releaseAudio();
+      state = IDLE_STATE;
+    },
+  };
+}
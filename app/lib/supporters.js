@@ -0,0 +1,273 @@
+/**
+ * Supporters - people a user trusts (family member, carer, key worker)
+ * Supporters are emailed if the user discloses harm (see safeguarding/notify.js).
+ * They don't need an account; a user adds them by name and email address.
+ * Instead they get a signed link to add custom symbols for the user (see symbols/custom.js), which stops
+ * working when the user removes them. The same link only shows the questions the user keeps asking
+ * (see answer-cache.js) once the user chooses to share them with that supporter.
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { getDB } from './db/db.js';
+import { sendEmail, escapeHtml, isEmailConfigured, isValidEmail } from './email.js';
+
+export const MAX_SUPPORTERS = 5;
+const MAX_NAME_LENGTH = 80;
+const MAX_RELATIONSHIP_LENGTH = 60;
+
+const SUPPORTER_SELECT = {
+  id: true,
+  name: true,
+  email: true,
+  relationship: true,
+  shareRepeatedQuestions: true,
+  createdAt: true,
+};
+
+/**
+ * Check supporter details sent by a user
+ * @param {Object} details - { name, email, relationship? }
+ * @returns {{supporter?: {name: string, email: string, relationship: string|null}, error?: string}}
+ */
+export function validateSupporter(details = {}) {
+  const name = typeof details.name === 'string' ? details.name.trim() : '';
+  const email = typeof details.email === 'string' ? details.email.trim().toLowerCase() : '';
+  const relationship = typeof details.relationship === 'string' ? details.relationship.trim() : '';
+
+  if (!name) return { error: 'Name is required' };
+  if (name.length > MAX_NAME_LENGTH) {
+    return { error: `Name cannot be longer than ${MAX_NAME_LENGTH} characters` };
+  }
+  if (!isValidEmail(email)) return { error: 'A valid email address is required' };
+  if (relationship.length > MAX_RELATIONSHIP_LENGTH) {
+    return { error: `Relationship cannot be longer than ${MAX_RELATIONSHIP_LENGTH} characters` };
+  }
+
+  return { supporter: { name, email, relationship: relationship || null } };
+}
+
+/**
+ * List a user's supporters
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>}
+ */
+export async function listSupporters(userId) {
+  const prisma = getDB();
+  return prisma.supporterLink.findMany({
+    where: { userId },
+    orderBy: { createdAt: 'asc' },
+    select: SUPPORTER_SELECT,
+  });
+}
+
+function getTokenSecret() {
+  return process.env.BETTER_AUTH_SECRET || process.env.JWT_SECRET || null;
+}
+
+function signSupporterId(supporterId, secret) {
+  return createHmac('sha256', secret).update(`supporter:${supporterId}`).digest('base64url');
+}
+
+/**
+ * Build the link a supporter uses to add custom symbols for the user
+ * @param {string} supporterId - Supporter link ID
+ * @returns {string|null} null if no signing secret is configured
+ */
+export function getSupporterSymbolsLink(supporterId) {
+  const secret = getTokenSecret();
+  if (!secret) return null;
+  const baseURL = process.env.BETTER_AUTH_URL || process.env.NEXT_PUBLIC_BETTER_AUTH_URL || 'http://localhost:3000';
+  const token = `${supporterId}.${signSupporterId(supporterId, secret)}`;
+  return `${baseURL}/supporter/symbols?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Check a supporter's link token
+ * @param {string} token - From getSupporterSymbolsLink
+ * @returns {Promise<{id: string, userId: string, name: string, shareRepeatedQuestions: boolean}|null>} null if invalid or the supporter was removed
+ */
+export async function verifySupporterToken(token) {
+  const secret = getTokenSecret();
+  if (!secret || typeof token !== 'string') return null;
+
+  const [supporterId, signature, ...rest] = token.split('.');
+  if (!supporterId || !signature || rest.length > 0) return null;
+  const expected = Buffer.from(signSupporterId(supporterId, secret));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) return null;
+
+  const prisma = getDB();
+  return prisma.supporterLink.findUnique({
+    where: { id: supporterId },
+    select: { id: true, userId: true, name: true, shareRepeatedQuestions: true },
+  });
+}
+
+/**
+ * The supporter making a request - they don't have accounts, so they send the token
+ * from their emailed link as a bearer token
+ * @param {Request} request
+ * @returns {Promise<{id: string, userId: string, name: string, shareRepeatedQuestions: boolean}|null>}
+ */
+export async function getSupporterFromRequest(request) {
+  const authorization = request.headers.get('authorization') || '';
+  const token = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+  return token ? verifySupporterToken(token) : null;
+}
+
+function symbolsEmailParts(supporter, who) {
+  const link = getSupporterSymbolsLink(supporter.id);
+  if (!link) return { text: '', html: '' };
+  return {
+    text: `\n\nYou can add pictures for words ${who} reads, like a photo of you next to your name. They appear next to those words in the assistant's replies: ${link}\n\nThe link shows you the pictures that have been added, not ${who}'s conversations. Keep it private - anyone with it can add pictures for ${who}.`,
+    html: `
+        <p>You can <a href="${escapeHtml(link)}">add pictures for words ${escapeHtml(who)} reads</a>, like a photo of you next to your name. They appear next to those words in the assistant's replies.</p>
+        <p>The link shows you the pictures that have been added, not ${escapeHtml(who)}'s conversations. Keep it private - anyone with it can add pictures for ${escapeHtml(who)}.</p>`,
+  };
+}
+
+/**
+ * Email a supporter their custom symbols link again
+ * @param {string} userId - User ID (only their own supporters)
+ * @param {string} supporterId - Supporter link ID
+ * @returns {Promise<{sent?: true, error?: 'not_found'|'unavailable'}>}
+ */
+export async function sendSymbolsLinkEmail(userId, supporterId) {
+  const prisma = getDB();
+  const supporter = await prisma.supporterLink.findFirst({
+    where: { id: supporterId, userId },
+    select: { id: true, name: true, email: true, user: { select: { name: true, email: true } } },
+  });
+  if (!supporter) return { error: 'not_found' };
+  if (!isEmailConfigured() || !getSupporterSymbolsLink(supporter.id)) return { error: 'unavailable' };
+
+  const who = supporter.user.name || supporter.user.email;
+  const symbols = symbolsEmailParts(supporter, who);
+  await sendEmail({
+    to: supporter.email,
+    subject: `Add pictures for ${who}`,
+    text: `Hello ${supporter.name},${symbols.text}`,
+    html: `
+        <p>Hello ${escapeHtml(supporter.name)},</p>${symbols.html}
+      `,
+  });
+  return { sent: true };
+}
+
+async function sendLinkedEmail(supporter, user) {
+  if (!isEmailConfigured()) return;
+  const who = user.name || user.email;
+  const symbols = symbolsEmailParts(supporter, who);
+  try {
+    await sendEmail({
+      to: supporter.email,
+      subject: `${who} has added you as a supporter`,
+      text: `Hello ${supporter.name},\n\n${who} has added you as someone they trust. If they tell the assistant something that suggests they may be at risk, we will email you so you can check in with them.\n\nIf you don't know ${who}, you can ignore this email.${symbols.text}`,
+      html: `
+        <p>Hello ${escapeHtml(supporter.name)},</p>
+        <p><strong>${escapeHtml(who)}</strong> has added you as someone they trust. If they tell the assistant something that suggests they may be at risk, we will email you so you can check in with them.</p>
+        <p>If you don't know ${escapeHtml(who)}, you can ignore this email.</p>${symbols.html}
+      `,
+    });
+  } catch (error) {
+    console.error('Error sending supporter linked email:', error);
+    // Don't throw - the link is saved either way
+  }
+}
+
+async function sendRepetitionSharedEmail(supporter, user) {
+  const link = getSupporterSymbolsLink(supporter.id);
+  if (!isEmailConfigured() || !link) return;
+  const who = user.name || user.email;
+  try {
+    await sendEmail({
+      to: supporter.email,
+      subject: `${who} is sharing the questions they ask again`,
+      text: `Hello ${supporter.name},\n\n${who} has chosen to let you see the questions they have asked the assistant again and again in the last few weeks, in their own words. You won't see the assistant's answers or the rest of their conversations, and ${who} can stop sharing at any time.\n\nOpen your link to see them: ${link}`,
+      html: `
+        <p>Hello ${escapeHtml(supporter.name)},</p>
+        <p><strong>${escapeHtml(who)}</strong> has chosen to let you see the questions they have asked the assistant again and again in the last few weeks, in their own words. You won't see the assistant's answers or the rest of their conversations, and ${escapeHtml(who)} can stop sharing at any time.</p>
+        <p><a href="${escapeHtml(link)}">Open your link</a> to see them.</p>
+      `,
+    });
+  } catch (error) {
+    console.error('Error sending repetition shared email:', error);
+    // Don't throw - sharing is saved either way
+  }
+}
+
+/**
+ * Let a supporter see the questions the user keeps asking, or stop them seeing them
+ * @param {string} userId - User ID (only their own supporters)
+ * @param {string} supporterId - Supporter link ID
+ * @param {boolean} share - Whether the supporter can see them
+ * @returns {Promise<Object|null>} The updated supporter, or null if it wasn't found
+ */
+export async function setRepeatedQuestionsSharing(userId, supporterId, share) {
+  const prisma = getDB();
+  const existing = await prisma.supporterLink.findFirst({
+    where: { id: supporterId, userId },
+    select: { id: true, name: true, email: true, shareRepeatedQuestions: true, user: { select: { name: true, email: true } } },
+  });
+  if (!existing) return null;
+
+  const supporter = await prisma.supporterLink.update({
+    where: { id: existing.id },
+    data: { shareRepeatedQuestions: share },
+    select: SUPPORTER_SELECT,
+  });
+  // Only tell them when it's newly turned on
+  if (share && !existing.shareRepeatedQuestions) {
+    await sendRepetitionSharedEmail(existing, existing.user);
+  }
+  return supporter;
+}
+
+/**
+ * Link a supporter to a user, and let the supporter know
+ * @param {string} userId - User ID
+ * @param {{name: string, email: string, relationship: string|null}} details - Validated details
+ * @returns {Promise<{supporter?: Object, error?: 'limit'|'duplicate'}>}
+ */
+export async function addSupporter(userId, details) {
+  const prisma = getDB();
+
+  const count = await prisma.supporterLink.count({ where: { userId } });
+  if (count >= MAX_SUPPORTERS) return { error: 'limit' };
+
+  let supporter;
+  try {
+    supporter = await prisma.supporterLink.create({
+      data: { userId, ...details },
+      select: SUPPORTER_SELECT,
+    });
+  } catch (error) {
+    // P2002 = unique constraint - this email is already one of their supporters
+    if (error?.code === 'P2002') return { error: 'duplicate' };
+    throw error;
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { name: true, email: true },
+  });
+  if (user) {
+    await sendLinkedEmail(supporter, user);
+  }
+
+  return { supporter };
+}
+
+/**
+ * Unlink a supporter
+ * @param {string} userId - User ID (only their own supporters can be removed)
+ * @param {string} supporterId - Supporter link ID
+ * @returns {Promise<boolean>} false if it wasn't found
+ */
+export async function removeSupporter(userId, supporterId) {
+  const prisma = getDB();
+  const result = await prisma.supporterLink.deleteMany({
+    where: { id: supporterId, userId },
+  });
+  return result.count > 0;
+}
@@ -0,0 +1,91 @@
+/**
+ * Split a reply into segments, attaching a pictogram to its key words
+ * Runs on the server so the lexicon (and a user's custom symbols) aren't shipped to every browser.
+ */
+
+import { getLexiconLanguage, getSymbolLookup } from './lexicon.js';
+
+// More than this and the pictograms crowd the words they are meant to support
+export const MAX_SYMBOLS_PER_REPLY = 40;
+
+// Longest lexicon entry or custom symbol word in words ("tu allan", "por qué")
+export const MAX_PHRASE_WORDS = 2;
+
+// Letters (any alphabet), digits and inner apostrophes - "don't", "o'clock"
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu;
+
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/’/g, "'");
+}
+
+/**
+ * Look a word (or phrase) up, trying simple English plural and possessive forms too
+ * @param {string} key - Lower-case word or phrase
+ * @param {Map} lookup
+ * @param {'en'|'cy'|'es'} language
+ */
+function findSymbol(key, lookup, language) {
+  if (lookup.has(key)) return lookup.get(key);
+  if (language === 'en') {
+    const stem = key.replace(/'s$/, '').replace(/(?<=[^s])s$/, '');
+    if (stem !== key && lookup.has(stem)) return lookup.get(stem);
+  }
+  return null;
+}
+
+/**
+ * Split text into segments; key words carry the symbol to show with them
+ * @param {string} text - Reply text
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Reply locale, picks the lexicon language
+ * @param {Array<{id: string, word: string, updatedAt?: Date}>} [options.customSymbols] - The user's own symbols, which win over the lexicon
+ * @returns {Array<{text: string, symbol?: {id: string, label: string, src: string}}>}
+ */
+export function annotateText(text, { locale, customSymbols = [] } = {}) {
+  if (typeof text !== 'string' || !text) return [];
+
+  const language = getLexiconLanguage(locale);
+  const lookup = new Map(getSymbolLookup(language));
+  for (const custom of customSymbols) {
+    // The version makes browsers fetch a replaced picture instead of showing the cached one
+    const version = custom.updatedAt ? `?v=${new Date(custom.updatedAt).getTime()}` : '';
+    lookup.set(custom.word, {
+      id: `custom:${custom.id}`,
+      label: custom.word,
+      src: `/api/symbols/custom/${custom.id}${version}`,
+    });
+  }
+
+  const words = [...text.matchAll(WORD_PATTERN)];
+  const segments = [];
+  let position = 0; // End of the last segment
+  let symbolCount = 0;
+
+  const pushText = (end) => {
+    if (end > position) segments.push({ text: text.slice(position, end) });
+  };
+
+  for (let i = 0; i < words.length && symbolCount < MAX_SYMBOLS_PER_REPLY; i++) {
+    // Longest phrase first, so "tŷ bach" beats "tŷ"
+    for (let length = Math.min(MAX_PHRASE_WORDS, words.length - i); length >= 1; length--) {
+      const last = words[i + length - 1];
+      const end = last.index + last[0].length;
+      const phrase = text.slice(words[i].index, end);
+      // Phrases only span plain spaces, not punctuation or line breaks
+      if (length > 1 && !/^[^\s]+ [^\s]+$/.test(phrase)) continue;
+
+      const symbol = findSymbol(normalizeWord(phrase), lookup, language);
+      if (!symbol) continue;
+
+      pushText(words[i].index);
+      segments.push({ text: phrase, symbol });
+      position = end;
+      symbolCount++;
+      i += length - 1;
+      break;
+    }
+  }
+  pushText(text.length);
+
+  return segments;
+}
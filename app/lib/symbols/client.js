@@ -0,0 +1,92 @@
+/**
+ * Browser helpers for symbols - /api/symbols for replies, /api/profile/symbols for the
+ * signed-in user's own pictures and /api/supporter/symbols for the supporter page
+ */
+
+// Replies don't change once finished, so each is annotated once per page load
+const MAX_CACHED_REPLIES = 200;
+const segmentCache = new Map();
+
+async function requestJSON(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed: ${response.status}`);
+  }
+  return data;
+}
+
+/**
+ * Split a reply into segments with pictograms for its key words
+ * @param {string} text - Reply text
+ * @param {{locale: string}} options - Only used for anonymous users - signed-in users' saved settings win on the server
+ * @returns {Promise<Array<{text: string, symbol?: {id: string, label: string, src: string}}>>}
+ */
+export async function fetchSymbolSegments(text, { locale }) {
+  const key = `${locale}\n${text}`;
+  if (segmentCache.has(key)) return segmentCache.get(key);
+
+  const data = await requestJSON('/api/symbols', {
+    method: 'POST',
+    body: JSON.stringify({ text, locale }),
+  });
+  if (segmentCache.size >= MAX_CACHED_REPLIES) {
+    segmentCache.delete(segmentCache.keys().next().value);
+  }
+  segmentCache.set(key, data.segments);
+  return data.segments;
+}
+
+// A picture was added or removed, so cached replies may show the wrong one
+export function clearSymbolCache() {
+  segmentCache.clear();
+}
+
+/**
+ * @returns {Promise<Array<{id: string, word: string, updatedAt: string, supporter: {id: string, name: string}|null}>>}
+ */
+export async function fetchCustomSymbols() {
+  const data = await requestJSON('/api/profile/symbols');
+  return data.symbols;
+}
+
+export async function deleteCustomSymbol(id) {
+  await requestJSON(`/api/profile/symbols/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  clearSymbolCache();
+}
+
+function supporterHeaders(token) {
+  return { Authorization: `Bearer ${token}` };
+}
+
+/**
+ * @param {string} token - From the supporter's emailed link
+ * @returns {Promise<{supporter: {name: string, shareRepeatedQuestions: boolean}, symbols: Array}>} symbols include their image data URLs
+ */
+export async function fetchSupporterSymbols(token) {
+  return requestJSON('/api/supporter/symbols', { headers: supporterHeaders(token) });
+}
+
+/**
+ * @param {string} token - From the supporter's emailed link
+ * @param {{word: string, image: string}} symbol
+ * @returns {Promise<Object>} The saved symbol
+ */
+export async function addSupporterSymbol(token, symbol) {
+  const data = await requestJSON('/api/supporter/symbols', {
+    method: 'POST',
+    headers: supporterHeaders(token),
+    body: JSON.stringify(symbol),
+  });
+  return data.symbol;
+}
+
+export async function deleteSupporterSymbol(token, id) {
+  await requestJSON(`/api/supporter/symbols/${encodeURIComponent(id)}`, {
+    method: 'DELETE',
+    headers: supporterHeaders(token),
+  });
+}
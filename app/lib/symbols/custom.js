@@ -0,0 +1,153 @@
+/**
+ * Custom symbols - a user's own pictures for words (a photo of their mum for "mum")
+ * Supporters add them through the link they are emailed (see supporters.js); the user sees them
+ * in place of the bundled pictograms.
+ */
+
+import { getDB } from '../db/db.js';
+import { validateImage } from '../images.js';
+import { MAX_PHRASE_WORDS } from './annotate.js';
+
+export const MAX_CUSTOM_SYMBOLS = 30;
+const MAX_WORD_LENGTH = 40;
+// Symbols are shown small, so the browser shrinks pictures to well under this (see images-client.js)
+const MAX_SYMBOL_IMAGE_LENGTH = 300 * 1024; // Data URL characters
+
+const CUSTOM_SYMBOL_SELECT = {
+  id: true,
+  word: true,
+  createdAt: true,
+  updatedAt: true,
+  supporter: { select: { id: true, name: true } },
+};
+
+/**
+ * Tidy a word the way annotate.js matches it
+ * @param {string} word
+ * @returns {string}
+ */
+export function normalizeSymbolWord(word) {
+  return word.trim().toLowerCase().replace(/’/g, "'").replace(/\s+/g, ' ');
+}
+
+/**
+ * Check a custom symbol sent by a supporter
+ * @param {Object} details - { word, image }
+ * @returns {{symbol?: {word: string, image: string}, error?: string}}
+ */
+export function validateCustomSymbol(details = {}) {
+  const word = typeof details.word === 'string' ? normalizeSymbolWord(details.word) : '';
+  if (!word) return { error: 'A word is required' };
+  if (word.length > MAX_WORD_LENGTH) {
+    return { error: `Words cannot be longer than ${MAX_WORD_LENGTH} characters` };
+  }
+  if (word.split(' ').length > MAX_PHRASE_WORDS) {
+    return { error: `A symbol can stand for up to ${MAX_PHRASE_WORDS} words` };
+  }
+
+  const { image, error } = validateImage(details.image);
+  if (error) return { error };
+  if (!image) return { error: 'A picture is required' };
+  if (image.length > MAX_SYMBOL_IMAGE_LENGTH) {
+    return { error: 'That picture is too big. Please choose a smaller one.' };
+  }
+
+  return { symbol: { word, image } };
+}
+
+/**
+ * List a user's custom symbols
+ * @param {string} userId - User ID
+ * @param {{withImages?: boolean}} [options] - Include each picture's data URL
+ * @returns {Promise<Array>}
+ */
+export async function listCustomSymbols(userId, { withImages = false } = {}) {
+  const prisma = getDB();
+  return prisma.customSymbol.findMany({
+    where: { userId },
+    orderBy: { word: 'asc' },
+    select: { ...CUSTOM_SYMBOL_SELECT, image: withImages },
+  });
+}
+
+/**
+ * The words a user has custom symbols for, ready for annotateText
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<{id: string, word: string, updatedAt: Date}>>}
+ */
+export async function getCustomSymbolWords(userId) {
+  const prisma = getDB();
+  try {
+    return await prisma.customSymbol.findMany({
+      where: { userId },
+      select: { id: true, word: true, updatedAt: true },
+    });
+  } catch (error) {
+    console.error('Error loading custom symbols:', error);
+    // Don't throw - the bundled symbols still work
+    return [];
+  }
+}
+
+/**
+ * Get a custom symbol's picture
+ * @param {string} userId - Owner's user ID (only their own symbols can be read)
+ * @param {string} symbolId - Custom symbol ID
+ * @returns {Promise<string|null>} Data URL, or null if not found
+ */
+export async function getCustomSymbolImage(userId, symbolId) {
+  const prisma = getDB();
+  const symbol = await prisma.customSymbol.findFirst({
+    where: { id: symbolId, userId },
+    select: { image: true },
+  });
+  return symbol?.image || null;
+}
+
+/**
+ * Add a custom symbol, replacing any the user already has for the same word
+ * @param {string} userId - User ID
+ * @param {{word: string, image: string}} details - Validated details
+ * @param {{supporterId?: string}} [options] - The supporter who added it
+ * @returns {Promise<{symbol?: Object, error?: 'limit'}>}
+ */
+export async function addCustomSymbol(userId, details, { supporterId = null } = {}) {
+  const prisma = getDB();
+
+  const existing = await prisma.customSymbol.findUnique({
+    where: { userId_word: { userId, word: details.word } },
+    select: { id: true },
+  });
+  if (!existing) {
+    const count = await prisma.customSymbol.count({ where: { userId } });
+    if (count >= MAX_CUSTOM_SYMBOLS) return { error: 'limit' };
+  }
+
+  const upsert = () => prisma.customSymbol.upsert({
+    where: { userId_word: { userId, word: details.word } },
+    create: { userId, ...details, supporterId },
+    update: { image: details.image, supporterId },
+    select: CUSTOM_SYMBOL_SELECT,
+  });
+  try {
+    return { symbol: await upsert() };
+  } catch (error) {
+    // P2002 = two supporters added the same word at once - the retry updates the one that won
+    if (error?.code === 'P2002') return { symbol: await upsert() };
+    throw error;
+  }
+}
+
+/**
+ * Remove a custom symbol
+ * @param {string} userId - User ID (only their own symbols can be removed)
+ * @param {string} symbolId - Custom symbol ID
+ * @returns {Promise<boolean>} false if it wasn't found
+ */
+export async function removeCustomSymbol(userId, symbolId) {
+  const prisma = getDB();
+  const result = await prisma.customSymbol.deleteMany({
+    where: { id: symbolId, userId },
+  });
+  return result.count > 0;
+}
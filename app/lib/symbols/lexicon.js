@@ -0,0 +1,330 @@
+/**
+ * Word-to-symbol lexicon for the bundled pictograms in public/symbols/
+ * Each symbol lists the words it stands for in each reply language. Words are matched
+ * lower-case and whole (see annotate.js), so list the everyday forms people will actually see.
+ */
+
+export const SYMBOL_BASE_PATH = '/symbols';
+
+export const SYMBOLS = [
+  {
+    id: 'eat',
+    label: 'Eat',
+    words: {
+      en: ['eat', 'eats', 'eating', 'ate', 'food', 'meal', 'meals', 'breakfast', 'lunch', 'dinner', 'tea'],
+      cy: ['bwyd', 'bwyta', 'pryd', 'brecwast', 'cinio', 'swper'],
+      es: ['comer', 'como', 'come', 'comida', 'desayuno', 'almuerzo', 'cena'],
+    },
+  },
+  {
+    id: 'drink',
+    label: 'Drink',
+    words: {
+      en: ['drink', 'drinks', 'drinking', 'drank', 'cup', 'juice', 'coffee'],
+      cy: ['diod', 'yfed', 'paned', 'coffi', 'sudd'],
+      es: ['beber', 'bebida', 'bebe', 'taza', 'zumo', 'café'],
+    },
+  },
+  {
+    id: 'water',
+    label: 'Water',
+    words: {
+      en: ['water'],
+      cy: ['dŵr', 'dwr'],
+      es: ['agua'],
+    },
+  },
+  {
+    id: 'sleep',
+    label: 'Sleep',
+    words: {
+      en: ['sleep', 'sleeps', 'sleeping', 'slept', 'bed', 'bedtime', 'tired', 'rest', 'nap'],
+      cy: ['cysgu', 'gwely', 'blinedig', 'gorffwys'],
+      es: ['dormir', 'duerme', 'cama', 'cansado', 'cansada', 'descansar'],
+    },
+  },
+  {
+    id: 'home',
+    label: 'Home',
+    words: {
+      en: ['home', 'house', 'flat'],
+      cy: ['cartref', 'adref', 'gartref', 'tŷ'],
+      es: ['casa', 'hogar'],
+    },
+  },
+  {
+    id: 'doctor',
+    label: 'Doctor',
+    words: {
+      en: ['doctor', 'doctors', 'gp', 'nurse', 'hospital', 'pharmacist'],
+      cy: ['meddyg', 'doctor', 'nyrs', 'ysbyty', 'fferyllydd'],
+      es: ['médico', 'medico', 'doctor', 'doctora', 'enfermera', 'enfermero', 'hospital'],
+    },
+  },
+  {
+    id: 'medicine',
+    label: 'Medicine',
+    words: {
+      en: ['medicine', 'medicines', 'medication', 'tablet', 'tablets', 'pill', 'pills', 'prescription'],
+      cy: ['moddion', 'meddyginiaeth', 'tabled', 'tabledi', 'presgripsiwn'],
+      es: ['medicina', 'medicamento', 'medicamentos', 'pastilla', 'pastillas', 'receta'],
+    },
+  },
+  {
+    id: 'happy',
+    label: 'Happy',
+    words: {
+      en: ['happy', 'glad', 'pleased', 'good', 'great'],
+      cy: ['hapus', 'llawen', 'da'],
+      es: ['feliz', 'contento', 'contenta', 'bien', 'bueno', 'buena'],
+    },
+  },
+  {
+    id: 'sad',
+    label: 'Sad',
+    words: {
+      en: ['sad', 'upset', 'unhappy', 'cry', 'crying', 'lonely'],
+      cy: ['trist', 'crio', 'unig'],
+      es: ['triste', 'llorar', 'solo', 'sola'],
+    },
+  },
+  {
+    id: 'yes',
+    label: 'Yes',
+    words: {
+      en: ['yes', 'ok', 'okay'],
+      cy: ['ie', 'iawn'],
+      es: ['sí', 'vale'],
+    },
+  },
+  {
+    id: 'no',
+    label: 'No',
+    words: {
+      en: ['no', 'not', "don't", "can't", 'stop'],
+      cy: ['na', 'nage', 'dim', 'stopio'],
+      es: ['no', 'parar'],
+    },
+  },
+  {
+    id: 'help',
+    label: 'Help',
+    words: {
+      en: ['help', 'helps', 'helping', 'helped', 'support', 'safe'],
+      cy: ['help', 'helpu', 'cymorth', 'cefnogaeth', 'diogel'],
+      es: ['ayuda', 'ayudar', 'apoyo', 'seguro', 'segura'],
+    },
+  },
+  {
+    id: 'time',
+    label: 'Time',
+    words: {
+      en: ['time', 'clock', 'hour', 'hours', 'minute', 'minutes', "o'clock"],
+      cy: ['amser', 'cloc', 'awr', 'oriau', 'munud', 'munudau'],
+      es: ['hora', 'horas', 'reloj', 'minuto', 'minutos', 'tiempo'],
+    },
+  },
+  {
+    id: 'today',
+    label: 'Today',
+    words: {
+      en: ['today', 'date', 'day'],
+      cy: ['heddiw', 'dyddiad', 'diwrnod'],
+      es: ['hoy', 'fecha', 'día'],
+    },
+  },
+  {
+    id: 'tomorrow',
+    label: 'Tomorrow',
+    words: {
+      en: ['tomorrow', 'next', 'later', 'soon'],
+      cy: ['yfory', 'nesaf', 'wedyn', 'cyn'],
+      es: ['mañana', 'próximo', 'luego', 'pronto'],
+    },
+  },
+  {
+    id: 'phone',
+    label: 'Phone',
+    words: {
+      en: ['phone', 'phones', 'call', 'ring', 'text', 'mobile'],
+      cy: ['ffôn', 'ffonio', 'galw', 'neges'],
+      es: ['teléfono', 'móvil', 'llamar', 'llama', 'mensaje'],
+    },
+  },
+  {
+    id: 'family',
+    label: 'Family',
+    words: {
+      en: ['family', 'mum', 'mom', 'dad', 'parents', 'brother', 'sister', 'son', 'daughter', 'nan', 'grandma', 'grandad'],
+      cy: ['teulu', 'mam', 'tad', 'rhieni', 'brawd', 'chwaer', 'mab', 'merch', 'nain', 'mamgu', 'taid', 'tadcu'],
+      es: ['familia', 'mamá', 'papá', 'padres', 'hermano', 'hermana', 'hijo', 'hija', 'abuela', 'abuelo'],
+    },
+  },
+  {
+    id: 'friend',
+    label: 'Friend',
+    words: {
+      en: ['friend', 'friends', 'together', 'people'],
+      cy: ['ffrind', 'ffrindiau', 'gyda', 'pobl'],
+      es: ['amigo', 'amiga', 'amigos', 'amigas', 'juntos', 'gente'],
+    },
+  },
+  {
+    id: 'school',
+    label: 'School',
+    words: {
+      en: ['school', 'college', 'class', 'lesson', 'learn', 'learning'],
+      cy: ['ysgol', 'coleg', 'dosbarth', 'gwers', 'dysgu'],
+      es: ['escuela', 'colegio', 'clase', 'aprender'],
+    },
+  },
+  {
+    id: 'work',
+    label: 'Work',
+    words: {
+      en: ['work', 'works', 'working', 'job', 'jobs'],
+      cy: ['gwaith', 'gweithio', 'swydd'],
+      es: ['trabajo', 'trabajar', 'empleo'],
+    },
+  },
+  {
+    id: 'bus',
+    label: 'Bus',
+    words: {
+      en: ['bus', 'buses', 'train', 'travel'],
+      cy: ['bws', 'trên', 'teithio'],
+      es: ['autobús', 'autobus', 'tren', 'viajar'],
+    },
+  },
+  {
+    id: 'car',
+    label: 'Car',
+    words: {
+      en: ['car', 'cars', 'taxi', 'drive', 'lift'],
+      cy: ['car', 'tacsi', 'gyrru', 'lifft'],
+      es: ['coche', 'taxi', 'conducir'],
+    },
+  },
+  {
+    id: 'money',
+    label: 'Money',
+    words: {
+      en: ['money', 'pay', 'pays', 'paid', 'cost', 'costs', 'price', 'pounds', 'bill', 'bank'],
+      cy: ['arian', 'talu', 'cost', 'pris', 'punnoedd', 'bil', 'banc'],
+      es: ['dinero', 'pagar', 'precio', 'cuesta', 'euros', 'factura', 'banco'],
+    },
+  },
+  {
+    id: 'shop',
+    label: 'Shop',
+    words: {
+      en: ['shop', 'shops', 'shopping', 'buy', 'buying', 'bought', 'supermarket'],
+      cy: ['siop', 'siopa', 'prynu', 'archfarchnad'],
+      es: ['tienda', 'comprar', 'compra', 'compras', 'supermercado'],
+    },
+  },
+  {
+    id: 'walk',
+    label: 'Walk',
+    words: {
+      en: ['walk', 'walks', 'walking', 'walked', 'go', 'going', 'outside'],
+      cy: ['cerdded', 'mynd', 'tu allan'],
+      es: ['caminar', 'pasear', 'paseo', 'ir', 'fuera'],
+    },
+  },
+  {
+    id: 'toilet',
+    label: 'Toilet',
+    words: {
+      en: ['toilet', 'toilets', 'loo', 'bathroom', 'wee', 'poo'],
+      cy: ['toiled', 'tŷ bach'],
+      es: ['baño', 'aseo', 'váter'],
+    },
+  },
+  {
+    id: 'hot',
+    label: 'Hot',
+    words: {
+      en: ['hot', 'warm', 'sun', 'sunny'],
+      cy: ['poeth', 'cynnes', 'haul', 'heulog'],
+      es: ['calor', 'caliente', 'sol', 'soleado'],
+    },
+  },
+  {
+    id: 'cold',
+    label: 'Cold',
+    words: {
+      en: ['cold', 'cool', 'snow', 'ice', 'freezing'],
+      cy: ['oer', 'eira', 'rhew'],
+      es: ['frío', 'fria', 'fría', 'nieve', 'hielo'],
+    },
+  },
+  {
+    id: 'rain',
+    label: 'Rain',
+    words: {
+      en: ['rain', 'raining', 'rainy', 'weather', 'umbrella'],
+      cy: ['glaw', 'bwrw', 'tywydd', 'ymbarél'],
+      es: ['lluvia', 'llueve', 'tiempo', 'paraguas'],
+    },
+  },
+  {
+    id: 'pain',
+    label: 'Pain',
+    words: {
+      en: ['pain', 'hurt', 'hurts', 'ache', 'sore', 'ill', 'sick', 'poorly'],
+      cy: ['poen', 'brifo', 'tost', 'sâl', 'gwael'],
+      es: ['dolor', 'duele', 'daño', 'enfermo', 'enferma'],
+    },
+  },
+  {
+    id: 'love',
+    label: 'Love',
+    words: {
+      en: ['love', 'loves', 'like', 'likes', 'care', 'kind'],
+      cy: ['cariad', 'caru', 'hoffi', 'gofal', 'caredig'],
+      es: ['amor', 'quiero', 'querer', 'gusta', 'cuidar', 'amable'],
+    },
+  },
+  {
+    id: 'question',
+    label: 'Question',
+    words: {
+      en: ['question', 'questions', 'ask', 'asking', 'what', 'why', 'how', 'where', 'when', 'who'],
+      cy: ['cwestiwn', 'gofyn', 'beth', 'pam', 'sut', 'ble', 'pryd', 'pwy'],
+      es: ['pregunta', 'preguntar', 'qué', 'por qué', 'cómo', 'dónde', 'cuándo', 'quién'],
+    },
+  },
+];
+
+/**
+ * The lexicon language for a locale - English varieties share one word list
+ * @param {string} locale - Locale ID
+ * @returns {'en'|'cy'|'es'}
+ */
+export function getLexiconLanguage(locale) {
+  if (locale === 'cy' || locale === 'es') return locale;
+  return 'en';
+}
+
+// Word -> symbol lookup per language, built once
+const LOOKUPS = {};
+
+/**
+ * @param {'en'|'cy'|'es'} language
+ * @returns {Map<string, {id: string, label: string, src: string}>}
+ */
+export function getSymbolLookup(language) {
+  if (!LOOKUPS[language]) {
+    const lookup = new Map();
+    for (const symbol of SYMBOLS) {
+      const entry = { id: symbol.id, label: symbol.label, src: `${SYMBOL_BASE_PATH}/${symbol.id}.svg` };
+      for (const word of symbol.words[language] || []) {
+        // The first symbol to claim a word keeps it
+        if (!lookup.has(word)) lookup.set(word, entry);
+      }
+    }
+    LOOKUPS[language] = lookup;
+  }
+  return LOOKUPS[language];
+}
@@ -0,0 +1,10 @@
+/**
+ * Token estimates
+ * Only used where the provider doesn't tell us the real numbers (history trimming, fallback cost tracking)
+ */
+
+// Rough estimate: ~4 characters per token
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(text.length / 4);
+}
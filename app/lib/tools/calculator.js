@@ -0,0 +1,173 @@
+/**
+ * Calculator tool
+ * The model is poor at sums, so it hands them here. Expressions are parsed by hand
+ * (never eval'd): numbers, + - * / ^, brackets, percentages and sqrt().
+ */
+
+import { ToolError } from './errors.js';
+
+const MAX_EXPRESSION_LENGTH = 200;
+// Enough digits for money and measurements without floating-point noise (0.1 + 0.2)
+const SIGNIFICANT_DIGITS = 12;
+
+/**
+ * Split an expression into number, operator and bracket tokens
+ */
+function tokenize(expression) {
+  const source = expression
+    .replace(/[×x]/g, '*')
+    .replace(/÷/g, '/')
+    .replace(/[−–]/g, '-')
+    .replace(/,(?=\d{3}\b)/g, '') // thousands separators: "1,500"
+    .replace(/\s+/g, '');
+
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const rest = source.slice(i);
+    const number = rest.match(/^(\d+\.?\d*|\.\d+)/);
+    if (number) {
+      tokens.push({ type: 'number', value: parseFloat(number[0]) });
+      i += number[0].length;
+    } else if (rest.startsWith('sqrt')) {
+      tokens.push({ type: 'sqrt' });
+      i += 4;
+    } else if ('+-*/^%()'.includes(source[i])) {
+      tokens.push({ type: source[i] });
+      i++;
+    } else {
+      throw new ToolError(`I can't work out "${source[i]}" in that sum.`);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Recursive-descent evaluation:
+ *   sum     = product (('+' | '-') product)*
+ *   product = unary (('*' | '/') unary)*
+ *   unary   = '-' unary | power
+ *   power   = postfix ('^' unary)?
+ *   postfix = primary '%'?
+ *   primary = number | '(' sum ')' | 'sqrt' primary
+ */
+function evaluate(tokens) {
+  let position = 0;
+  const peek = () => tokens[position]?.type;
+  const take = (type) => {
+    if (peek() !== type) throw new ToolError('That sum is not written correctly.');
+    return tokens[position++];
+  };
+
+  function sum() {
+    let value = product();
+    while (peek() === '+' || peek() === '-') {
+      const operator = take(peek()).type;
+      const right = product();
+      value = operator === '+' ? value + right : value - right;
+    }
+    return value;
+  }
+
+  function product() {
+    let value = unary();
+    while (peek() === '*' || peek() === '/') {
+      const operator = take(peek()).type;
+      const right = unary();
+      if (operator === '/' && right === 0) throw new ToolError('You cannot divide by zero.');
+      value = operator === '*' ? value * right : value / right;
+    }
+    return value;
+  }
+
+  function unary() {
+    if (peek() === '-') {
+      take('-');
+      return -unary();
+    }
+    if (peek() === '+') {
+      take('+');
+      return unary();
+    }
+    return power();
+  }
+
+  function power() {
+    const base = postfix();
+    if (peek() === '^') {
+      take('^');
+      return base ** unary();
+    }
+    return base;
+  }
+
+  function postfix() {
+    const value = primary();
+    if (peek() === '%') {
+      take('%');
+      return value / 100;
+    }
+    return value;
+  }
+
+  function primary() {
+    if (peek() === 'number') return take('number').value;
+    if (peek() === '(') {
+      take('(');
+      const value = sum();
+      take(')');
+      return value;
+    }
+    if (peek() === 'sqrt') {
+      take('sqrt');
+      const value = primary();
+      if (value < 0) throw new ToolError('You cannot take the square root of a negative number.');
+      return Math.sqrt(value);
+    }
+    throw new ToolError('That sum is not written correctly.');
+  }
+
+  const value = sum();
+  if (position < tokens.length) throw new ToolError('That sum is not written correctly.');
+  return value;
+}
+
+/**
+ * Work out an arithmetic expression
+ * @param {string} expression - e.g. "12.50 * 3", "20% * 45", "sqrt(81)"
+ * @returns {number}
+ * @throws {ToolError} If the expression can't be worked out
+ */
+export function calculate(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new ToolError('There is no sum to work out.');
+  }
+  if (expression.length > MAX_EXPRESSION_LENGTH) {
+    throw new ToolError('That sum is too long.');
+  }
+
+  const value = evaluate(tokenize(expression));
+  if (!Number.isFinite(value)) {
+    throw new ToolError('The answer is too big to work out.');
+  }
+  return Number(value.toPrecision(SIGNIFICANT_DIGITS));
+}
+
+export const calculatorTool = {
+  name: 'calculate',
+  description: 'Work out a sum. Use for any arithmetic, percentages, or splitting a bill, rather than doing it yourself.',
+  parameters: {
+    type: 'object',
+    properties: {
+      expression: {
+        type: 'string',
+        description: 'The sum using numbers, + - * / ^, brackets, % and sqrt(), e.g. "(12.50 + 8) * 15%"',
+      },
+    },
+    required: ['expression'],
+    additionalProperties: false,
+  },
+  run({ expression }) {
+    return { expression, result: calculate(expression) };
+  },
+};
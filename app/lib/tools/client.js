@@ -0,0 +1,41 @@
+/**
+ * Browser helpers for the built-in tools
+ * Voice mode's tool calls arrive in the browser, so they are run on the server through /api/tools.
+ */
+
+/**
+ * The browser's IANA time zone, for the date and countdown tools
+ * @returns {string|undefined}
+ */
+export function getBrowserTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Run a Realtime function call on the server
+ * Never throws - failures come back as { error } so the model can still answer
+ * @param {{name: string, arguments: string}} call - Function call from the Realtime response
+ * @param {{locale: string}} options - Only used for anonymous users - signed-in users' saved settings win on the server
+ * @returns {Promise<Object>} The tool's result
+ */
+export async function runRealtimeToolCall({ name, arguments: args }, { locale }) {
+  try {
+    const response = await fetch('/api/tools', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, arguments: args, locale, timeZone: getBrowserTimeZone() }),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      return { error: data.error || 'The tool did not work. Please try again.' };
+    }
+    return data.output;
+  } catch (error) {
+    console.error(`Failed to run tool ${name}:`, error);
+    return { error: 'The tool did not work. Please try again.' };
+  }
+}
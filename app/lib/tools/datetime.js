@@ -0,0 +1,159 @@
+/**
+ * Date and time tools
+ * Worked out in the user's time zone (sent by their browser) and written in their language,
+ * so "what day is it" is right just after midnight too.
+ */
+
+import { DEFAULT_LOCALE } from '../locales.js';
+import { ToolError } from './errors.js';
+
+// Used when the browser didn't send a time zone (the house style is British English)
+export const DEFAULT_TIME_ZONE = 'Europe/London';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How far ahead to look for the next 29 February
+const MAX_YEARS_AHEAD = 8;
+
+/**
+ * Check a time zone name is one the server knows
+ * @param {string} timeZone - IANA name, e.g. "Europe/London"
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone || timeZone.length > 64) return false;
+  try {
+    new Intl.DateTimeFormat('en', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @param {string} [timeZone] - Time zone from the client
+ * @returns {string} It, if valid, or DEFAULT_TIME_ZONE
+ */
+export function resolveTimeZone(timeZone) {
+  return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+}
+
+/**
+ * Date formatter in the user's language, falling back to the default locale
+ * for locale IDs Intl doesn't know (e.g. our "en-GB-wales")
+ */
+function createFormatter(locale, options) {
+  try {
+    return new Intl.DateTimeFormat(locale, options);
+  } catch {
+    return new Intl.DateTimeFormat(DEFAULT_LOCALE, options);
+  }
+}
+
+/**
+ * The calendar date in a time zone
+ * @returns {{year: number, month: number, day: number}}
+ */
+function getZonedDate(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+  }).formatToParts(date);
+  const part = (type) => Number(parts.find(p => p.type === type).value);
+  return { year: part('year'), month: part('month'), day: part('day') };
+}
+
+function formatLongDate({ year, month, day }, locale) {
+  // Noon UTC keeps the weekday right whatever time zone the formatter would otherwise use
+  return createFormatter(locale, {
+    timeZone: 'UTC',
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+  }).format(new Date(Date.UTC(year, month - 1, day, 12)));
+}
+
+function isRealDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function daysBetween(from, to) {
+  return Math.round(
+    (Date.UTC(to.year, to.month - 1, to.day) - Date.UTC(from.year, from.month - 1, from.day)) / DAY_MS
+  );
+}
+
+export const currentDateTimeTool = {
+  name: 'get_current_datetime',
+  description: "Get today's date, the day of the week and the time where the user is.",
+  parameters: {
+    type: 'object',
+    properties: {},
+    additionalProperties: false,
+  },
+  run(args, { timeZone, locale }) {
+    const now = new Date();
+    const today = getZonedDate(now, timeZone);
+    return {
+      date: formatLongDate(today, locale),
+      time: createFormatter(locale, { timeZone, hour: 'numeric', minute: '2-digit' }).format(now),
+      isoDate: `${today.year}-${String(today.month).padStart(2, '0')}-${String(today.day).padStart(2, '0')}`,
+      timeZone,
+    };
+  },
+};
+
+export const countdownTool = {
+  name: 'countdown',
+  description: 'Work out how many days there are until a date (for example a birthday or Christmas), or how long ago it was. Leave out the year for the next time the date comes round.',
+  parameters: {
+    type: 'object',
+    properties: {
+      month: { type: 'integer', minimum: 1, maximum: 12, description: 'Month, 1 to 12' },
+      day: { type: 'integer', minimum: 1, maximum: 31, description: 'Day of the month' },
+      year: { type: 'integer', description: 'Year, only if the user gave one' },
+      event: { type: 'string', description: 'What is happening on that day, e.g. "Christmas"' },
+    },
+    required: ['month', 'day'],
+    additionalProperties: false,
+  },
+  run({ month, day, year, event }, { timeZone, locale }) {
+    if (!Number.isInteger(month) || month < 1 || month > 12 || !Number.isInteger(day) || day < 1 || day > 31) {
+      throw new ToolError('That is not a real date.');
+    }
+    if (year !== undefined && !Number.isInteger(year)) {
+      throw new ToolError('The year must be a whole number.');
+    }
+
+    const today = getZonedDate(new Date(), timeZone);
+    let targetYear = year ?? today.year;
+
+    if (year === undefined) {
+      // The next time the date comes round - this year unless it has passed (29 February waits for a leap year)
+      const lastYear = today.year + MAX_YEARS_AHEAD;
+      while (targetYear < lastYear &&
+        (!isRealDate(targetYear, month, day) || daysBetween(today, { year: targetYear, month, day }) < 0)) {
+        targetYear++;
+      }
+    }
+    if (!isRealDate(targetYear, month, day)) {
+      throw new ToolError('That is not a real date.');
+    }
+
+    const target = { year: targetYear, month, day };
+    const days = daysBetween(today, target);
+    const absoluteDays = Math.abs(days);
+    return {
+      ...(typeof event === 'string' && event.trim() && { event: event.trim().slice(0, 100) }),
+      date: formatLongDate(target, locale),
+      days: absoluteDays,
+      weeks: Math.floor(absoluteDays / 7),
+      extraDays: absoluteDays % 7,
+      isToday: days === 0,
+      isPast: days < 0,
+    };
+  },
+};
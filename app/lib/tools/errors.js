@@ -0,0 +1,15 @@
+/**
+ * Errors from the built-in tools
+ * A ToolError's message goes back to the model, which explains it to the user - so keep it plain.
+ * Any other error is logged and the model is only told the tool didn't work.
+ */
+
+export class ToolError extends Error {
+  /**
+   * @param {string} message - What was wrong, in plain words
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ToolError';
+  }
+}
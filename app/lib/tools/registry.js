@@ -0,0 +1,151 @@
+/**
+ * Built-in tools the assistant can call
+ * The same tools are offered to chat (OpenAI function calling) and to voice mode (the Realtime
+ * session config). They all run here on the server, and every call is recorded in the tool_call table.
+ */
+
+import { getDB } from '../db/db.js';
+import { DEFAULT_LOCALE } from '../locales.js';
+import { ToolError } from './errors.js';
+import { currentDateTimeTool, countdownTool, resolveTimeZone } from './datetime.js';
+import { calculatorTool } from './calculator.js';
+import { unitConversionTool } from './units.js';
+
+// Rounds of tool calls allowed for one chat reply before the model must answer
+export const MAX_TOOL_ROUNDS = 3;
+
+const TOOLS = [currentDateTimeTool, calculatorTool, unitConversionTool, countdownTool];
+const TOOLS_BY_NAME = new Map(TOOLS.map(tool => [tool.name, tool]));
+
+const MAX_ARGUMENTS_LENGTH = 2000;
+
+/**
+ * Tool definitions for chat completions
+ * @returns {Array<Object>}
+ */
+export function getChatTools() {
+  return TOOLS.map(({ name, description, parameters }) => ({
+    type: 'function',
+    function: { name, description, parameters },
+  }));
+}
+
+/**
+ * Tool definitions for the Realtime session config
+ * @returns {Array<Object>}
+ */
+export function getRealtimeTools() {
+  return TOOLS.map(({ name, description, parameters }) => ({
+    type: 'function',
+    name,
+    description,
+    parameters,
+  }));
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isKnownTool(name) {
+  return TOOLS_BY_NAME.has(name);
+}
+
+function parseArguments(rawArgs) {
+  if (rawArgs && typeof rawArgs === 'object') return rawArgs;
+  if (!rawArgs) return {};
+  if (typeof rawArgs !== 'string' || rawArgs.length > MAX_ARGUMENTS_LENGTH) {
+    throw new ToolError('The tool was given too much to work with.');
+  }
+  try {
+    const parsed = JSON.parse(rawArgs);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+  } catch {
+    // Falls through to the error below
+  }
+  throw new ToolError('The tool was not called correctly.');
+}
+
+async function recordToolCall(data) {
+  const prisma = getDB();
+  try {
+    await prisma.toolCall.create({ data });
+  } catch (error) {
+    console.error('Error recording tool call:', error);
+    // Don't throw - the model still gets the result
+  }
+}
+
+/**
+ * Run a tool and record the call
+ * Problems with the call (unknown tool, bad arguments, a sum that can't be done) come back as
+ * { error } for the model to explain to the user, rather than failing the request.
+ * @param {string} name - Tool name
+ * @param {string|Object} rawArgs - Arguments as the model sent them (a JSON string)
+ * @param {Object} context
+ * @param {'chat'|'realtime'} context.source - Where the call came from
+ * @param {string|null} [context.sessionId] - Session ID
+ * @param {string|null} [context.userId] - User ID (if logged in)
+ * @param {string} [context.locale] - User's locale, for dates and measures
+ * @param {string} [context.timeZone] - User's IANA time zone from the browser
+ * @returns {Promise<Object>} The tool's result, or { error }
+ */
+export async function runTool(name, rawArgs, { source, sessionId = null, userId = null, locale = DEFAULT_LOCALE, timeZone } = {}) {
+  const startTime = Date.now();
+  let args = {};
+  let output;
+  let ok = false;
+
+  try {
+    const tool = TOOLS_BY_NAME.get(name);
+    if (!tool) throw new ToolError(`There is no tool called "${name}".`);
+    args = parseArguments(rawArgs);
+    output = await tool.run(args, { locale, timeZone: resolveTimeZone(timeZone) });
+    ok = true;
+  } catch (error) {
+    if (!(error instanceof ToolError)) {
+      console.error(`Error running tool ${name}:`, error);
+    }
+    output = { error: error instanceof ToolError ? error.message : 'The tool did not work. Please try again.' };
+  }
+
+  const durationMs = Date.now() - startTime;
+  console.log(`🔧 Tool ${name} (${source}) ${ok ? 'ok' : 'failed'} in ${durationMs}ms`);
+  await recordToolCall({
+    name: String(name).slice(0, 64),
+    source,
+    sessionId,
+    userId,
+    arguments: args,
+    output,
+    ok,
+    durationMs,
+  });
+
+  return output;
+}
+
+/**
+ * Run every tool call from one chat completion
+ * @param {{content?: string, toolCalls: Array<{id: string, name: string, arguments: string}>}} reply - The model's reply
+ * @param {Object} context - As for runTool
+ * @returns {Promise<Array<Object>>} The assistant's tool-call message followed by a tool message per call,
+ *   ready to append to the chat messages
+ */
+export async function runToolCalls({ content, toolCalls }, context) {
+  const messages = [{
+    role: 'assistant',
+    content: content || null,
+    tool_calls: toolCalls.map(call => ({
+      id: call.id,
+      type: 'function',
+      function: { name: call.name, arguments: call.arguments },
+    })),
+  }];
+
+  for (const call of toolCalls) {
+    const output = await runTool(call.name, call.arguments, context);
+    messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(output) });
+  }
+  return messages;
+}
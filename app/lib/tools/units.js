@@ -0,0 +1,145 @@
+/**
+ * Unit conversion tool
+ * Everyday units only (no currencies - they need live rates). Pints, gallons, fluid ounces and
+ * cups are imperial unless the user is on American English, where they are US measures.
+ */
+
+import { ToolError } from './errors.js';
+
+// Factors to each category's base unit (metre, kilogram, litre, metre per second, second)
+const LINEAR_UNITS = {
+  length: {
+    mm: 0.001, cm: 0.01, m: 1, km: 1000,
+    in: 0.0254, ft: 0.3048, yd: 0.9144, mi: 1609.344,
+  },
+  mass: {
+    mg: 0.000001, g: 0.001, kg: 1, t: 1000,
+    oz: 0.028349523125, lb: 0.45359237, st: 6.35029318,
+  },
+  volume: {
+    ml: 0.001, cl: 0.01, l: 1,
+    tsp: 0.005, tbsp: 0.015,
+    floz: 0.0284130625, cup: 0.25, pt: 0.56826125, qt: 1.1365225, gal: 4.54609,
+  },
+  speed: {
+    mps: 1, kph: 1 / 3.6, mph: 0.44704, kn: 0.514444,
+  },
+  time: {
+    s: 1, min: 60, h: 3600, day: 86400, wk: 604800,
+  },
+};
+
+// US customary measures, used for en-US
+const US_VOLUME = {
+  floz: 0.0295735295625, cup: 0.2365882365, pt: 0.473176473, qt: 0.946352946, gal: 3.785411784,
+};
+
+const UNIT_NAMES = {
+  mm: ['millimetre', 'millimeter'], cm: ['centimetre', 'centimeter'], m: ['metre', 'meter'], km: ['kilometre', 'kilometer'],
+  in: ['inch', 'inches', '"'], ft: ['foot', 'feet', "'"], yd: ['yard'], mi: ['mile'],
+  mg: ['milligram'], g: ['gram', 'gramme'], kg: ['kilogram', 'kilo'], t: ['tonne', 'metric ton'],
+  oz: ['ounce'], lb: ['pound', 'lbs'], st: ['stone'],
+  ml: ['millilitre', 'milliliter'], cl: ['centilitre', 'centiliter'], l: ['litre', 'liter'],
+  tsp: ['teaspoon'], tbsp: ['tablespoon'], floz: ['fluid ounce', 'fl oz'], cup: [], pt: ['pint'], qt: ['quart'], gal: ['gallon'],
+  mps: ['metre per second', 'meter per second', 'm/s'], kph: ['kilometre per hour', 'kilometer per hour', 'km/h', 'kmh'],
+  mph: ['mile per hour', 'miles an hour'], kn: ['knot'],
+  s: ['second', 'sec'], min: ['minute'], h: ['hour', 'hr'], day: [], wk: ['week'],
+  c: ['celsius', 'centigrade', '°c', 'degrees celsius'], f: ['fahrenheit', '°f', 'degrees fahrenheit'], k: ['kelvin'],
+};
+
+// Lookup from every name and plural to its unit
+const ALIASES = {};
+for (const [unit, names] of Object.entries(UNIT_NAMES)) {
+  ALIASES[unit] = unit;
+  for (const name of names) {
+    ALIASES[name] = unit;
+    ALIASES[`${name}s`] = unit;
+  }
+}
+
+const TEMPERATURE_UNITS = ['c', 'f', 'k'];
+
+function normalizeUnit(unit) {
+  if (typeof unit !== 'string') return null;
+  const key = unit.trim().toLowerCase().replace(/\.$/, '').replace(/\s+/g, ' ');
+  return ALIASES[key] || null;
+}
+
+function toCelsius(value, unit) {
+  if (unit === 'f') return (value - 32) * 5 / 9;
+  if (unit === 'k') return value - 273.15;
+  return value;
+}
+
+function fromCelsius(value, unit) {
+  if (unit === 'f') return value * 9 / 5 + 32;
+  if (unit === 'k') return value + 273.15;
+  return value;
+}
+
+function findCategory(unit) {
+  if (TEMPERATURE_UNITS.includes(unit)) return 'temperature';
+  return Object.keys(LINEAR_UNITS).find(category => unit in LINEAR_UNITS[category]) || null;
+}
+
+/**
+ * Convert a value between units of the same kind
+ * @param {number} value
+ * @param {string} from - Unit name, symbol or plural ("miles", "km", "°F")
+ * @param {string} to
+ * @param {Object} [options]
+ * @param {boolean} [options.usMeasures=false] - US pints, gallons, fluid ounces and cups
+ * @returns {{value: number, from: string, to: string, category: string}}
+ * @throws {ToolError} For unknown units or units of different kinds
+ */
+export function convertUnits(value, from, to, { usMeasures = false } = {}) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new ToolError('The amount to convert must be a number.');
+  }
+  const fromUnit = normalizeUnit(from);
+  const toUnit = normalizeUnit(to);
+  if (!fromUnit) throw new ToolError(`I don't know the unit "${from}".`);
+  if (!toUnit) throw new ToolError(`I don't know the unit "${to}".`);
+
+  const category = findCategory(fromUnit);
+  if (category !== findCategory(toUnit)) {
+    throw new ToolError(`You can't convert ${from} to ${to}.`);
+  }
+
+  let result;
+  if (category === 'temperature') {
+    result = fromCelsius(toCelsius(value, fromUnit), toUnit);
+  } else {
+    const factors = category === 'volume' && usMeasures
+      ? { ...LINEAR_UNITS.volume, ...US_VOLUME }
+      : LINEAR_UNITS[category];
+    result = value * factors[fromUnit] / factors[toUnit];
+  }
+
+  return { value: Number(result.toPrecision(6)), from: fromUnit, to: toUnit, category };
+}
+
+export const unitConversionTool = {
+  name: 'convert_units',
+  description: 'Convert an amount between units of length, weight, volume, temperature, speed or time (not money).',
+  parameters: {
+    type: 'object',
+    properties: {
+      value: { type: 'number', description: 'The amount to convert' },
+      from: { type: 'string', description: 'Unit to convert from, e.g. "miles", "kg", "fahrenheit"' },
+      to: { type: 'string', description: 'Unit to convert to, e.g. "km", "stone", "celsius"' },
+    },
+    required: ['value', 'from', 'to'],
+    additionalProperties: false,
+  },
+  run({ value, from, to }, { locale }) {
+    const converted = convertUnits(value, from, to, { usMeasures: locale === 'en-US' });
+    return {
+      amount: value,
+      from: converted.from,
+      result: converted.value,
+      to: converted.to,
+      ...(converted.category === 'volume' && { measures: locale === 'en-US' ? 'US' : 'imperial' }),
+    };
+  },
+};
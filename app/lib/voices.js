@@ -0,0 +1,118 @@
+/**
+ * Voices, speeds and pitches users can choose for spoken replies
+ * Safe to import in the browser. Everything here is an allowlist: /api/speech and the Realtime
+ * session only ever get a voice, speed or instruction from these lists.
+ */
+
+import { getLocale } from './locales.js';
+
+// 'auto' keeps the voice that goes with the user's language (see locales.js)
+export const DEFAULT_VOICE = 'auto';
+
+// Only voices both gpt-4o-mini-tts and the Realtime API support, so one choice works everywhere
+export const VOICES = [
+  { id: 'auto', label: 'Match my language', description: 'The voice chosen for your language and accent.' },
+  { id: 'alloy', label: 'Alloy', description: 'Even and neutral.' },
+  { id: 'ash', label: 'Ash', description: 'Lower and calm.' },
+  { id: 'ballad', label: 'Ballad', description: 'Soft and gentle.' },
+  { id: 'coral', label: 'Coral', description: 'Warm and friendly.' },
+  { id: 'echo', label: 'Echo', description: 'Clear and steady.' },
+  { id: 'sage', label: 'Sage', description: 'Quiet and thoughtful.' },
+  { id: 'shimmer', label: 'Shimmer', description: 'Bright and light.' },
+  { id: 'verse', label: 'Verse', description: 'Lively and expressive.' },
+  { id: 'marin', label: 'Marin', description: 'Natural and relaxed.' },
+  { id: 'cedar', label: 'Cedar', description: 'Deep and reassuring.' },
+];
+
+export const DEFAULT_SPEECH_SPEED = 'normal';
+
+// speed is passed to the API; instructions help where the voice model ignores speed
+export const SPEECH_SPEEDS = [
+  {
+    id: 'slowest',
+    label: 'Much slower',
+    description: 'Slow, with pauses between sentences.',
+    speed: 0.7,
+    instructions: 'Speak slowly and leave a clear pause between sentences.',
+  },
+  {
+    id: 'slower',
+    label: 'Slower',
+    description: 'A little slower than normal.',
+    speed: 0.85,
+    instructions: 'Speak a little more slowly than usual.',
+  },
+  { id: 'normal', label: 'Normal', description: 'Everyday talking speed.', speed: 1.0, instructions: '' },
+  {
+    id: 'faster',
+    label: 'Faster',
+    description: 'A little quicker than normal.',
+    speed: 1.2,
+    instructions: 'Speak a little more quickly than usual.',
+  },
+];
+
+export const DEFAULT_SPEECH_PITCH = 'normal';
+
+// The speech APIs have no pitch setting, so pitch is asked for in the voice instructions
+export const SPEECH_PITCHES = [
+  { id: 'lower', label: 'Lower', description: 'A deeper voice.', instructions: 'Use a lower, deeper pitch.' },
+  { id: 'normal', label: 'Normal', description: 'The voice as it is.', instructions: '' },
+  { id: 'higher', label: 'Higher', description: 'A lighter voice.', instructions: 'Use a slightly higher pitch.' },
+];
+
+export function normalizeVoice(voice) {
+  return VOICES.some(v => v.id === voice) ? voice : DEFAULT_VOICE;
+}
+
+export function normalizeSpeechSpeed(speed) {
+  return SPEECH_SPEEDS.some(s => s.id === speed) ? speed : DEFAULT_SPEECH_SPEED;
+}
+
+export function normalizeSpeechPitch(pitch) {
+  return SPEECH_PITCHES.some(p => p.id === pitch) ? pitch : DEFAULT_SPEECH_PITCH;
+}
+
+/**
+ * Check voice settings sent by the client
+ * @param {Object} settings - Any of { voice, speechSpeed, speechPitch }
+ * @returns {{settings: Object|null, error: string|null}} settings holds only the fields that were sent
+ */
+export function validateVoiceSettings(settings) {
+  const cleaned = {};
+  const fields = [
+    ['voice', VOICES, 'Unknown voice'],
+    ['speechSpeed', SPEECH_SPEEDS, 'Unknown speech speed'],
+    ['speechPitch', SPEECH_PITCHES, 'Unknown pitch'],
+  ];
+  for (const [field, options, error] of fields) {
+    if (settings?.[field] === undefined) continue;
+    if (!options.some(option => option.id === settings[field])) {
+      return { settings: null, error };
+    }
+    cleaned[field] = settings[field];
+  }
+  return { settings: cleaned, error: null };
+}
+
+/**
+ * Work out what to send to the speech APIs
+ * @param {{locale: string, voice?: string, speechSpeed?: string, speechPitch?: string}} preferences
+ * @returns {{ttsVoice: string, realtimeVoice: string, speed: number, ttsInstructions: string, styleInstructions: string}}
+ *   styleInstructions is the speed and pitch wording on its own, for adding to the Realtime prompt
+ */
+export function getVoiceSettings({ locale, voice, speechSpeed, speechPitch }) {
+  const localeSettings = getLocale(locale);
+  const chosenVoice = normalizeVoice(voice);
+  const speed = SPEECH_SPEEDS.find(s => s.id === normalizeSpeechSpeed(speechSpeed));
+  const pitch = SPEECH_PITCHES.find(p => p.id === normalizeSpeechPitch(speechPitch));
+  const styleInstructions = [speed.instructions, pitch.instructions].filter(Boolean).join(' ');
+
+  return {
+    ttsVoice: chosenVoice === 'auto' ? localeSettings.ttsVoice : chosenVoice,
+    realtimeVoice: chosenVoice === 'auto' ? localeSettings.realtimeVoice : chosenVoice,
+    speed: speed.speed,
+    ttsInstructions: [localeSettings.ttsInstructions, styleInstructions].filter(Boolean).join(' '),
+    styleInstructions,
+  };
+}
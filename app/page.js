@@ -5,56 +5,181 @@ import Image from "next/image";
 import ChatDisplay from "./components/ChatDisplay";
 import SubscriptionModal from "./components/SubscriptionModal";
 import UserManagementModal from "./components/UserManagementModal";
+import ConversationSwitcher from "./components/ConversationSwitcher";
+import SettingsModal from "./components/SettingsModal";
 import { useState, useEffect, useRef } from 'react';
 import { OpenAIRealtimeWebSocket } from 'openai/realtime/websocket';
-import { getTextOnlyPrompt, getVoicePrompt } from '@/lib/prompts';
+import { DEFAULT_READING_LEVEL, normalizeReadingLevel } from '@/lib/reading-levels';
+import { DEFAULT_LOCALE, normalizeLocale, getLocale, getHtmlLang } from '@/lib/locales';
+import {
+  DEFAULT_VOICE,
+  DEFAULT_SPEECH_SPEED,
+  DEFAULT_SPEECH_PITCH,
+  normalizeVoice,
+  normalizeSpeechSpeed,
+  normalizeSpeechPitch,
+} from '@/lib/voices';
+import { fetchPreferences, savePreferences } from '@/lib/preferences-client';
+import { truncateHistory, MAX_HISTORY_ITEMS } from '@/lib/history';
+import {
+  fetchConversations,
+  fetchConversation,
+  createConversation,
+  appendMessages,
+  deleteConversation,
+  deleteMessagesFrom,
+  renameConversation,
+  updateReplyVersions,
+  toChatMessage,
+} from '@/lib/conversations/client';
+import {
+  createLocalConversationId,
+  localMessagesKey,
+  loadLocalIndex,
+  saveLocalIndex,
+  loadLocalMessages,
+} from '@/lib/conversations/local';
+import { cleanTitle, heuristicTitle, hasFirstExchange } from '@/lib/conversations/titles';
+import { runRealtimeToolCall, getBrowserTimeZone } from '@/lib/tools/client';
+import { createReadAloudPlayer } from '@/lib/speech-client';
+import { postChatWithRetry } from '@/lib/chat-request';
 
-const LOCAL_STORAGE_KEY = 'chatHistory';
 const SPEECH_ENABLED_KEY = 'speechEnabled';
+const READING_LEVEL_KEY = 'readingLevel';
+const LOCALE_KEY = 'locale';
+const SYMBOLS_KEY = 'symbols';
+// Read-aloud player item ID for the settings panel's voice preview (replies use their index)
+const VOICE_PREVIEW_ID = 'voice-preview';
+// Voice settings are stored under their preference names (voice, speechSpeed, speechPitch)
+const VOICE_SETTING_NORMALIZERS = {
+  voice: normalizeVoice,
+  speechSpeed: normalizeSpeechSpeed,
+  speechPitch: normalizeSpeechPitch,
+};
 
 // Configuration constants (matching server-side limits)
-const MAX_HISTORY_MESSAGES = 20;
-const MAX_HISTORY_TOKENS = 10000;
 const MAX_PROMPT_LENGTH = 10000;
 const API_TIMEOUT_MS = 30000;
 const TOKEN_TIMEOUT_MS = 10000;
+const SERVER_SAVE_DEBOUNCE_MS = 500;
 
-// Rough estimate: ~4 characters per token
-function estimateTokens(text) {
-  if (!text) return 0;
-  return Math.ceil(text.length / 4);
+// A message is ready to save once it has content and is no longer being written
+function isSettledMessage(msg) {
+  return Boolean(msg && msg.role && msg.content && msg.content.trim() && !msg.isStreaming);
 }
 
-// Truncate history to keep last N messages OR last M tokens (whichever is smaller)
-function truncateHistory(messages) {
-  if (!Array.isArray(messages) || messages.length === 0) {
+/**
+ * Ask the server for the rolling summary of turns outside the history window
+ * @param {Array<{role: string, content: string}>} history - Full history, oldest first
+ * @returns {Promise<{summary: string|null, recentCount: number}>} recentCount = newest turns to send verbatim
+ */
+async function fetchHistoryWindow(history) {
+  const capped = history.slice(-MAX_HISTORY_ITEMS);
+  try {
+    const response = await fetch('/api/chat/summary', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        history: capped.map(msg => ({ role: msg.role, content: msg.content })),
+      }),
+    });
+    if (!response.ok) {
+      throw new Error(`Summary request failed: ${response.status}`);
+    }
+    const data = await response.json();
+    return { summary: data.summary || null, recentCount: data.recentCount };
+  } catch (error) {
+    console.warn('Could not get conversation summary, sending recent turns only:', error);
+    return { summary: null, recentCount: truncateHistory(capped).length };
+  }
+}
+
+/**
+ * Ask the server for suggested replies to a finished Realtime reply
+ * @param {Array<{role: string, content: string}>} messages - Conversation ending with the reply, oldest first
+ * @param {string} locale - User's locale (used when not signed in)
+ * @returns {Promise<string[]>} Suggestions (empty if there are none or the request failed)
+ */
+async function fetchReplySuggestions(messages, locale) {
+  try {
+    const response = await fetch('/api/chat/suggestions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        messages: messages.slice(-10).map(msg => ({ role: msg.role, content: msg.content })),
+        locale,
+      }),
+    });
+    if (!response.ok) {
+      throw new Error(`Suggestions request failed: ${response.status}`);
+    }
+    const data = await response.json();
+    return Array.isArray(data.suggestions) ? data.suggestions : [];
+  } catch (error) {
+    console.warn('Could not get suggested replies:', error);
     return [];
   }
+}
 
-  // First, limit by message count
-  let truncated = messages.slice(-MAX_HISTORY_MESSAGES);
-  
-  // Then, limit by token count (count tokens from oldest to newest)
-  let totalTokens = 0;
-  const result = [];
-  
-  for (let i = truncated.length - 1; i >= 0; i--) {
-    const msg = truncated[i];
-    const msgTokens = estimateTokens(msg.content || '');
-    
-    if (totalTokens + msgTokens > MAX_HISTORY_TOKENS) {
-      break;
+/**
+ * Read a Server-Sent Events response, calling onEvent for each event
+ * @param {Response} response - Fetch response with a text/event-stream body
+ * @param {(event: string, data: Object) => void} onEvent - Called with the event name and parsed JSON data
+ */
+async function readServerSentEvents(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (rawEvent) => {
+    let event = 'message';
+    let data = '';
+    for (const line of rawEvent.split('\n')) {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        data += line.slice(5).trim();
+      }
     }
-    
-    result.unshift(msg);
-    totalTokens += msgTokens;
+    if (data) {
+      onEvent(event, JSON.parse(data));
+    }
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let separatorIndex;
+      while ((separatorIndex = buffer.indexOf('\n\n')) !== -1) {
+        const rawEvent = buffer.slice(0, separatorIndex);
+        buffer = buffer.slice(separatorIndex + 2);
+        dispatch(rawEvent);
+      }
+    }
+    if (buffer.trim()) {
+      dispatch(buffer);
+    }
+  } finally {
+    reader.releaseLock();
   }
-  
-  return result;
+}
+
+// Apply saved or changed voice settings; get(key) returns undefined for settings that weren't set
+function readVoiceSettings(current, get) {
+  const next = { ...current };
+  for (const [key, normalize] of Object.entries(VOICE_SETTING_NORMALIZERS)) {
+    const value = get(key);
+    if (value !== undefined && value !== null) next[key] = normalize(value);
+  }
+  return next;
 }
 
 export default function HomePage() {
   const [messages, setMessages] = useState([]);
+  const messagesRef = useRef([]); // Latest messages, for Realtime event handlers
   const [isLoading, setIsLoading] = useState(false);
   const [isMounted, setIsMounted] = useState(false);
   const [isSpeechEnabled, setIsSpeechEnabled] = useState(false);
@@ -65,6 +190,7 @@ export default function HomePage() {
   const audioContextRef = useRef(null);
   const nextAudioStartTimeRef = useRef(0);
   const tokenExpiryRef = useRef(null);
+  const transcriptTicketRef = useRef(null); // From the Realtime token, for the safeguarding check on each turn
   const sessionReadyRef = useRef(false);
   const audioStartTimeRef = useRef(null);
   const totalAudioPlayedRef = useRef(0);
@@ -78,6 +204,16 @@ export default function HomePage() {
   const responseIdToMessageIndexRef = useRef(new Map());
   const realtimeSyncedMessageCountRef = useRef(0); // Track how many messages have been synced to Realtime
   const localStorageDebounceTimerRef = useRef(null); // For debouncing localStorage writes
+  // Server-side history (signed-in users): which conversation we're in and how much of it is saved
+  const conversationIdRef = useRef(null);
+  const persistedMessageCountRef = useRef(0);
+  const serverSaveTimerRef = useRef(null);
+  const serverSaveInFlightRef = useRef(Promise.resolve());
+  const [isServerHistoryReady, setIsServerHistoryReady] = useState(false);
+  // Conversation list for the switcher (server list when signed in, localStorage index otherwise)
+  const [conversations, setConversations] = useState([]);
+  const [activeConversationId, setActiveConversationId] = useState(null);
+  const [isSwitcherOpen, setIsSwitcherOpen] = useState(false);
   const reconnectAttemptsRef = useRef(0); // Track reconnection attempts
   const reconnectTimerRef = useRef(null); // Timer for reconnection
   const maxReconnectAttempts = 5; // Maximum reconnection attempts
@@ -85,8 +221,26 @@ export default function HomePage() {
   const tokenRequestInProgressRef = useRef(null); // Track ongoing token request to prevent duplicates
   const waitingForTranscriptRef = useRef(false); // Flag to prevent early handlers from updating message content
   const [showSubscriptionModal, setShowSubscriptionModal] = useState(false);
+  // "Say it simpler" / "Tell me more" in progress or failed: { index, action } or { index, error }
+  const [replyActionState, setReplyActionState] = useState(null);
+  // "Read aloud" in text mode - one reply plays at a time, others wait in the player's queue
+  const [readAloudState, setReadAloudState] = useState(null);
+  const readAloudRef = useRef(null);
+  // Editing an earlier message: its index, and the text handed to the input ({ text, id })
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [editDraft, setEditDraft] = useState(null);
   const [showUserManagementModal, setShowUserManagementModal] = useState(false);
   const [user, setUser] = useState(null);
+  const [showSettingsModal, setShowSettingsModal] = useState(false);
+  const [readingLevel, setReadingLevel] = useState(DEFAULT_READING_LEVEL);
+  const [locale, setLocale] = useState(DEFAULT_LOCALE);
+  const [showSymbols, setShowSymbols] = useState(false);
+  // { voice, speechSpeed, speechPitch } - see lib/voices.js
+  const [voiceSettings, setVoiceSettings] = useState({
+    voice: DEFAULT_VOICE,
+    speechSpeed: DEFAULT_SPEECH_SPEED,
+    speechPitch: DEFAULT_SPEECH_PITCH,
+  });
 
   // Load speech preference from localStorage
   useEffect(() => {
@@ -95,9 +249,33 @@ export default function HomePage() {
       if (savedSpeechPreference !== null) {
         setIsSpeechEnabled(savedSpeechPreference === 'true');
       }
+      // Anonymous reading level and language (signed-in users load theirs from the profile below)
+      const savedReadingLevel = localStorage.getItem(READING_LEVEL_KEY);
+      if (savedReadingLevel) {
+        setReadingLevel(normalizeReadingLevel(savedReadingLevel));
+      }
+      const savedLocale = localStorage.getItem(LOCALE_KEY);
+      if (savedLocale) {
+        setLocale(normalizeLocale(savedLocale));
+      }
+      setShowSymbols(localStorage.getItem(SYMBOLS_KEY) === 'true');
+      setVoiceSettings(prev => readVoiceSettings(prev, key => localStorage.getItem(key)));
     }
   }, []);
 
+  // Signed in: preferences come from the profile so they follow the user between devices
+  useEffect(() => {
+    if (!user) return;
+    fetchPreferences()
+      .then((preferences) => {
+        setReadingLevel(normalizeReadingLevel(preferences.readingLevel));
+        setLocale(normalizeLocale(preferences.locale));
+        setShowSymbols(preferences.symbols === true);
+        setVoiceSettings(prev => readVoiceSettings(prev, key => preferences[key]));
+      })
+      .catch((error) => console.error('Failed to load settings:', error));
+  }, [user]);
+
   // Check user authentication status using Better Auth
   useEffect(() => {
     const checkUser = async () => {
@@ -138,23 +316,15 @@ export default function HomePage() {
   useEffect(() => {
     setIsMounted(true);
     try {
-      const savedMessages = localStorage.getItem(LOCAL_STORAGE_KEY);
-      if (savedMessages) {
-        const parsedMessages = JSON.parse(savedMessages);
-        if (Array.isArray(parsedMessages)) {
-          setMessages(parsedMessages);
-        }
-      }
+      // Anonymous conversations live in localStorage (signed-in ones are loaded from the server below)
+      const index = loadLocalIndex();
+      const activeId = index.activeId || createLocalConversationId();
+      setConversations(index.conversations);
+      setActiveConversationId(activeId);
+      setMessages(loadLocalMessages(activeId));
     } catch (error) {
       console.error("Failed to load messages from localStorage:", error);
-      // If quota exceeded, try to clear and reload
-      if (error.name === 'QuotaExceededError' || error.code === 22) {
-        try {
-          localStorage.removeItem(LOCAL_STORAGE_KEY);
-        } catch (clearError) {
-          console.error("Failed to clear localStorage:", clearError);
-        }
-      }
+      setActiveConversationId(createLocalConversationId());
     }
   }, []);
 
@@ -164,12 +334,20 @@ export default function HomePage() {
       clearTimeout(localStorageDebounceTimerRef.current);
     }
 
+    // Signed-in history lives on the server - localStorage is only for anonymous use
+    // (and leaving it alone means a shared tablet doesn't keep a signed-in user's chat)
+    if (user || !activeConversationId) {
+      return;
+    }
+    const storageKey = localMessagesKey(activeConversationId);
+
     if (isMounted && messages.length > 0) {
       // Debounce localStorage writes (500ms delay)
       localStorageDebounceTimerRef.current = setTimeout(() => {
         try {
           const messagesString = JSON.stringify(messages);
-          localStorage.setItem(LOCAL_STORAGE_KEY, messagesString);
+          localStorage.setItem(storageKey, messagesString);
+          touchLocalConversation(activeConversationId, messages);
         } catch (error) {
           console.error("Failed to save messages to localStorage:", error);
           
@@ -180,7 +358,7 @@ export default function HomePage() {
               // Keep only the last 10 messages to free up space
               const reducedMessages = messages.slice(-10);
               const reducedString = JSON.stringify(reducedMessages);
-              localStorage.setItem(LOCAL_STORAGE_KEY, reducedString);
+              localStorage.setItem(storageKey, reducedString);
               setMessages(reducedMessages);
               
               // Show user-friendly message
@@ -194,7 +372,7 @@ export default function HomePage() {
               // If cleanup also fails, clear everything and show message
               console.error("Failed to cleanup localStorage:", cleanupError);
               try {
-                localStorage.removeItem(LOCAL_STORAGE_KEY);
+                localStorage.removeItem(storageKey);
                 setMessages([]);
                 const errorMessage = { 
                   role: 'assistant', 
@@ -212,7 +390,8 @@ export default function HomePage() {
     } else if (isMounted && messages.length === 0) {
       // Clear immediately when messages are empty (no debounce needed)
       try {
-        localStorage.removeItem(LOCAL_STORAGE_KEY);
+        localStorage.removeItem(storageKey);
+        setConversations(prev => prev.filter(c => c.id !== activeConversationId));
       } catch (error) {
         console.error("Failed to remove from localStorage:", error);
       }
@@ -224,12 +403,145 @@ export default function HomePage() {
         clearTimeout(localStorageDebounceTimerRef.current);
       }
     };
-  }, [messages, isMounted]);
+  }, [messages, isMounted, user, activeConversationId]);
+
+  // Keep the anonymous conversation list in localStorage
+  useEffect(() => {
+    if (!isMounted || user) return;
+    try {
+      saveLocalIndex({ activeId: activeConversationId, conversations });
+    } catch (error) {
+      console.error("Failed to save conversation list to localStorage:", error);
+    }
+  }, [conversations, activeConversationId, isMounted, user]);
+
+  /**
+   * Add or refresh an anonymous conversation in the list, most recent first
+   * Titles come from the first thing the user said (no model call for anonymous users)
+   */
+  const touchLocalConversation = (id, currentMessages) => {
+    setConversations(prev => {
+      const existing = prev.find(c => c.id === id);
+      let title = existing?.title || null;
+      if (!title && hasFirstExchange(currentMessages)) {
+        title = heuristicTitle(currentMessages.find(m => m.role === 'user')?.content);
+      }
+      const updated = { id, title, updatedAt: new Date().toISOString() };
+      return [updated, ...prev.filter(c => c.id !== id)];
+    });
+  };
+
+  // Signed in: load the most recent conversation from the server instead of localStorage
+  useEffect(() => {
+    if (!user) return;
+    let cancelled = false;
+
+    const loadServerHistory = async () => {
+      try {
+        const serverConversations = await fetchConversations();
+        const latest = serverConversations[0] ? await fetchConversation(serverConversations[0].id) : null;
+        if (cancelled) return;
+
+        const serverMessages = latest ? latest.messages.map(toChatMessage) : [];
+        conversationIdRef.current = latest?.id || null;
+        persistedMessageCountRef.current = serverMessages.length;
+        realtimeSyncedMessageCountRef.current = 0;
+        setConversations(serverConversations);
+        setActiveConversationId(latest?.id || null);
+        setMessages(serverMessages);
+      } catch (error) {
+        console.error('Failed to load conversation history:', error);
+        if (cancelled) return;
+        // Start fresh rather than saving the anonymous local history into the account
+        conversationIdRef.current = null;
+        persistedMessageCountRef.current = 0;
+        setConversations([]);
+        setActiveConversationId(null);
+        setMessages([]);
+      }
+      setIsServerHistoryReady(true);
+    };
+
+    loadServerHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  // Signed in: save new messages to the server once a reply has finished
+  useEffect(() => {
+    if (!user || !isServerHistoryReady || isLoading) return;
+
+    if (serverSaveTimerRef.current) {
+      clearTimeout(serverSaveTimerRef.current);
+    }
+
+    serverSaveTimerRef.current = setTimeout(() => {
+      // Chain saves so appends reach the server in order
+      serverSaveInFlightRef.current = serverSaveInFlightRef.current.then(() => saveNewMessages(messages));
+    }, SERVER_SAVE_DEBOUNCE_MS);
+
+    return () => {
+      if (serverSaveTimerRef.current) {
+        clearTimeout(serverSaveTimerRef.current);
+      }
+    };
+  }, [messages, isLoading, user, isServerHistoryReady]);
+
+  /**
+   * Append any settled messages that haven't been saved yet
+   * System notices (model 'system') are shown locally but not stored
+   */
+  const saveNewMessages = async (currentMessages) => {
+    // Messages were removed locally (e.g. a cleared chat) - nothing before this point needs saving
+    if (persistedMessageCountRef.current > currentMessages.length) {
+      persistedMessageCountRef.current = currentMessages.length;
+    }
+
+    const start = persistedMessageCountRef.current;
+    let end = start;
+    while (end < currentMessages.length && isSettledMessage(currentMessages[end])) {
+      end++;
+    }
+    if (end === start) return;
+
+    const toSave = currentMessages
+      .slice(start, end)
+      .filter(msg => msg.model !== 'system')
+      .map(toChatMessage);
+    persistedMessageCountRef.current = end;
+    if (toSave.length === 0) return;
+
+    try {
+      if (conversationIdRef.current) {
+        try {
+          const { title } = await appendMessages(conversationIdRef.current, toSave);
+          updateServerConversation({ id: conversationIdRef.current, title });
+          return;
+        } catch (error) {
+          // Deleted on another device - carry on in a new conversation
+          if (error.status !== 404) throw error;
+        }
+      }
+      const conversation = await createConversation(toSave);
+      conversationIdRef.current = conversation.id;
+      setActiveConversationId(conversation.id);
+      updateServerConversation(conversation);
+    } catch (error) {
+      console.error('Failed to save messages:', error);
+      // Try again with the next change
+      persistedMessageCountRef.current = start;
+    }
+  };
 
   useEffect(() => {
     totalAudioDurationRef.current = totalAudioDuration;
   }, [totalAudioDuration]);
 
+  useEffect(() => {
+    messagesRef.current = messages;
+  }, [messages]);
+
   useEffect(() => {
     if (typeof window === 'undefined') {
       return;
@@ -325,6 +637,11 @@ export default function HomePage() {
         
         const tokenResponse = await fetch('/api/realtime-token', {
           method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          // Only used for anonymous users - signed-in users' saved settings win on the server
+          body: JSON.stringify({ readingLevel, locale, ...voiceSettings }),
           signal: tokenController.signal,
         });
         
@@ -336,7 +653,7 @@ export default function HomePage() {
           } else if (tokenResponse.status === 429) {
             // Check if it's a daily limit
             const errorData = await tokenResponse.json().catch(() => ({}));
-            if (errorData.limitReached) {
+            if (errorData.code === 'daily_limit_reached') {
               setShowSubscriptionModal(true);
               throw new Error('Daily limit reached. Please subscribe for unlimited access.');
             }
@@ -347,10 +664,20 @@ export default function HomePage() {
           throw new Error('Failed to get session token');
         }
 
-        const { token, expires_at } = await tokenResponse.json();
+        const {
+          token,
+          expires_at,
+          model: realtimeModel,
+          instructions: realtimeInstructions,
+          voice: realtimeVoice = getLocale(locale).realtimeVoice,
+          speed: realtimeSpeed = 1.0,
+          tools: realtimeTools = [],
+          transcriptTicket = null,
+        } = await tokenResponse.json();
 
         // Store token expiry time
         tokenExpiryRef.current = expires_at ? new Date(expires_at) : null;
+        transcriptTicketRef.current = transcriptTicket;
 
         // Log token info (without exposing full token)
         console.log('Token received:', {
@@ -363,7 +690,7 @@ export default function HomePage() {
         // Ephemeral tokens start with 'ek_' which automatically enables browser usage
         const rt = new OpenAIRealtimeWebSocket(
         {
-          model: 'gpt-realtime',
+          model: realtimeModel || 'gpt-realtime',
           dangerouslyAllowBrowser: true, // Required for browser usage
         },
         {
@@ -389,7 +716,8 @@ export default function HomePage() {
           const modalities = speechEnabled ? ['text', 'audio'] : ['text'];
           
           // Build instructions based on voice capabilities
-          const instructions = speechEnabled ? getVoicePrompt() : getTextOnlyPrompt();
+          // Instructions are composed on the server from the user's settings
+          const instructions = speechEnabled ? realtimeInstructions?.voice : realtimeInstructions?.text;
           
           const sessionConfig = {
             type: 'realtime',
@@ -398,20 +726,23 @@ export default function HomePage() {
             turn_detection: {
               type: 'server_vad',
             },
+            // Date, calculator, conversion and countdown tools - run through /api/tools when the model asks
+            ...(realtimeTools.length > 0 && { tools: realtimeTools, tool_choice: 'auto' }),
           };
           
           // Only add audio config if speech is enabled
           if (speechEnabled) {
             sessionConfig.audio = {
               output: {
-                voice: 'alloy', // Try 'sage' or 'shimmer' for potentially more British-sounding voices
+                voice: realtimeVoice, // Chosen on the server from the user's voice and language settings
+                speed: realtimeSpeed,
                 format: {
                   type: 'audio/pcm',
                   rate: 24000,
                 },
               },
             };
-            sessionConfig.voice = 'alloy'; // Also set at session level
+            sessionConfig.voice = realtimeVoice; // Also set at session level
           }
           
           rt.send({
@@ -1031,8 +1362,33 @@ export default function HomePage() {
       });
 
       // Handle response completion
-      rt.on('response.done', () => {
+      rt.on('response.done', (event) => {
         rt._hasActiveResponse = false;
+
+        // The model asked for tools instead of answering: run them, send back the results and ask it
+        // to carry on - its answer goes in the same assistant message, so keep that and the loading state
+        const functionCalls = (event?.response?.output || []).filter(item => item.type === 'function_call');
+        if (functionCalls.length > 0) {
+          const toolResponseId = currentResponseIdRef.current;
+          if (toolResponseId) {
+            responseIdToMessageIndexRef.current.delete(toolResponseId);
+          }
+          currentResponseIdRef.current = null;
+
+          Promise.all(functionCalls.map(async (call) => {
+            const output = await runRealtimeToolCall(call, { locale });
+            rt.send({
+              type: 'conversation.item.create',
+              item: { type: 'function_call_output', call_id: call.call_id, output: JSON.stringify(output) },
+            });
+          }))
+            .then(() => rt.send({ type: 'response.create' }))
+            .catch((error) => {
+              console.error('Failed to return tool results:', error);
+              setIsLoading(false);
+            });
+          return;
+        }
         
         // Clear the waiting flag - response is done, safe to update now
         waitingForTranscriptRef.current = false;
@@ -1080,6 +1436,21 @@ export default function HomePage() {
             }
             return prev;
           });
+
+          // Realtime replies don't come with suggested replies, so ask for them now
+          const conversationSoFar = [
+            ...messagesRef.current.slice(0, messageIndex).filter(msg => msg.role && msg.content),
+            { role: 'assistant', content: finalText },
+          ];
+          fetchReplySuggestions(conversationSoFar, locale).then((suggestions) => {
+            if (suggestions.length === 0) return;
+            setMessages(prev => {
+              if (prev[messageIndex]?.role !== 'assistant') return prev;
+              const newMessages = [...prev];
+              newMessages[messageIndex] = { ...prev[messageIndex], suggestions };
+              return newMessages;
+            });
+          });
         }
         
         // Stop loading indicator
@@ -1269,6 +1640,7 @@ export default function HomePage() {
   // Function to stop current speech playback
   const handleStopSpeech = () => {
     console.log('🛑 Stopping speech playback');
+    readAloudRef.current?.stop();
     
     // Clear accumulated response text to prevent it from appearing in new messages
     currentResponseTextRef.current = '';
@@ -1347,9 +1719,39 @@ export default function HomePage() {
     }
   };
 
-  // Function to clear all messages
-  const handleClearChat = () => {
-    setMessages([]);
+  // Move a saved conversation to the top of the switcher list with its latest title
+  const updateServerConversation = ({ id, title }) => {
+    setConversations(prev => {
+      const existing = prev.find(c => c.id === id);
+      const updated = { ...existing, id, title: title ?? existing?.title ?? null, updatedAt: new Date().toISOString() };
+      return [updated, ...prev.filter(c => c.id !== id)];
+    });
+  };
+
+  // Save anything pending for the current conversation before leaving it
+  // (the debounced saves would otherwise be cancelled by the switch)
+  const flushPendingSave = async () => {
+    if (!user) {
+      if (!activeConversationId || messages.length === 0) return;
+      try {
+        localStorage.setItem(localMessagesKey(activeConversationId), JSON.stringify(messages));
+        touchLocalConversation(activeConversationId, messages);
+      } catch (error) {
+        console.error("Failed to save messages to localStorage:", error);
+      }
+      return;
+    }
+
+    if (!isServerHistoryReady) return;
+    if (serverSaveTimerRef.current) {
+      clearTimeout(serverSaveTimerRef.current);
+    }
+    serverSaveInFlightRef.current = serverSaveInFlightRef.current.then(() => saveNewMessages(messages));
+    await serverSaveInFlightRef.current;
+  };
+
+  // Stop any reply in progress and forget per-conversation playback/Realtime state
+  const resetConversationState = () => {
     setCurrentTranscript(''); // Clear transcript
     setCurrentPlaybackPosition(0);
     lastPlaybackPositionRef.current = 0;
@@ -1363,6 +1765,10 @@ export default function HomePage() {
     currentResponseIdRef.current = null;
     currentAssistantMessageIndexRef.current = null;
     currentResponseTextRef.current = '';
+    setReplyActionState(null);
+    setEditingIndex(null);
+    setEditDraft(null);
+    readAloudRef.current?.stop();
     
     // Stop any ongoing speech and cancel response
     if (realtimeRef.current) {
@@ -1391,6 +1797,117 @@ export default function HomePage() {
     // Note: audioQueueRef, transcriptReadyRef, and audioChunkTimingsRef are created inside event handlers
     // We can't directly access them here, but stopping the response and suspending audio context
     // will prevent any queued audio from playing
+    
+    // The Realtime session remembers everything sent to it - close it so the next
+    // voice message starts with only the new conversation's history
+    if (realtimeRef.current) {
+      try {
+        realtimeRef.current.close();
+      } catch (e) {
+        console.warn('Error closing Realtime connection:', e);
+      }
+      realtimeRef.current = null;
+      sessionReadyRef.current = false;
+    }
+    realtimeSyncedMessageCountRef.current = 0;
+  };
+
+  // Open a conversation with the given messages
+  const openConversation = (id, conversationMessages) => {
+    resetConversationState();
+    conversationIdRef.current = user ? id : null;
+    persistedMessageCountRef.current = conversationMessages.length;
+    setActiveConversationId(id);
+    setMessages(conversationMessages);
+  };
+
+  // Function to clear all messages
+  // Removes the current conversation (on the server too when signed in) and starts a new one
+  const handleClearChat = () => {
+    if (user && conversationIdRef.current) {
+      const conversationId = conversationIdRef.current;
+      deleteConversation(conversationId).catch((error) => {
+        console.error('Failed to delete conversation:', error);
+      });
+      setConversations(prev => prev.filter(c => c.id !== conversationId));
+    }
+    resetConversationState();
+    conversationIdRef.current = null;
+    persistedMessageCountRef.current = 0;
+    // Anonymous: the save effect removes the stored messages and list entry once messages are empty
+    setMessages([]);
+  };
+
+  const handleNewConversation = async () => {
+    await flushPendingSave();
+    openConversation(user ? null : createLocalConversationId(), []);
+  };
+
+  const handleSelectConversation = async (id) => {
+    try {
+      await flushPendingSave();
+      if (user) {
+        const conversation = await fetchConversation(id);
+        openConversation(id, conversation.messages.map(toChatMessage));
+      } else {
+        openConversation(id, loadLocalMessages(id));
+      }
+    } catch (error) {
+      console.error('Failed to open conversation:', error);
+      setMessages(prev => [...prev, {
+        role: 'assistant',
+        content: 'Sorry, I could not open that chat. Please try again.',
+        model: 'system'
+      }]);
+    }
+  };
+
+  // Throws on failure so the switcher can show an error
+  const handleRenameConversation = async (id, title) => {
+    const savedTitle = user ? await renameConversation(id, title) : cleanTitle(title);
+    setConversations(prev => prev.map(c => (c.id === id ? { ...c, title: savedTitle } : c)));
+  };
+
+  // Save changed settings, e.g. { locale: 'cy' } (profile when signed in, localStorage otherwise)
+  // Throws on failure so the settings dialog can show an error
+  const handlePreferenceChange = async (updates) => {
+    if (user) {
+      const preferences = await savePreferences(updates);
+      setReadingLevel(normalizeReadingLevel(preferences.readingLevel));
+      setLocale(normalizeLocale(preferences.locale));
+      setShowSymbols(preferences.symbols === true);
+      setVoiceSettings(prev => readVoiceSettings(prev, key => preferences[key]));
+    } else {
+      if (updates.readingLevel !== undefined) {
+        localStorage.setItem(READING_LEVEL_KEY, updates.readingLevel);
+        setReadingLevel(normalizeReadingLevel(updates.readingLevel));
+      }
+      if (updates.locale !== undefined) {
+        localStorage.setItem(LOCALE_KEY, updates.locale);
+        setLocale(normalizeLocale(updates.locale));
+      }
+      if (updates.symbols !== undefined) {
+        localStorage.setItem(SYMBOLS_KEY, String(updates.symbols));
+        setShowSymbols(updates.symbols);
+      }
+      for (const key of Object.keys(VOICE_SETTING_NORMALIZERS)) {
+        if (updates[key] !== undefined) localStorage.setItem(key, updates[key]);
+      }
+      setVoiceSettings(prev => readVoiceSettings(prev, key => updates[key]));
+    }
+
+    // The Realtime session was set up with the old instructions and voice - reconnect on the next voice message
+    // (symbols only change how replies are shown, so they don't need a new session)
+    if (realtimeRef.current && Object.keys(updates).some(key => key !== 'symbols')) {
+      try {
+        realtimeRef.current.close();
+      } catch (e) {
+        console.warn('Error closing Realtime connection:', e);
+      }
+      realtimeRef.current = null;
+      realtimeSyncedMessageCountRef.current = 0;
+      sessionReadyRef.current = false;
+    }
   };
 
   // Function to toggle speech
@@ -1485,7 +2002,16 @@ export default function HomePage() {
   };
 
   // Function to send message via regular Chat API (text-only fallback)
-  const sendChatMessage = async (prompt, currentMessages) => {
+  // Replies are streamed over Server-Sent Events and rendered as they arrive
+  const sendChatMessage = async (prompt, currentMessages, { image = null } = {}) => {
+    const streamId = `stream_${Date.now()}`;
+    // Update the streaming placeholder (found by streamId so index changes can't race)
+    const updateStreamingMessage = (update) => {
+      setMessages(prev => prev.map(msg => (msg.streamId === streamId ? update(msg) : msg)));
+    };
+    // Set once "done" arrives - anything after that (suggestions) is optional
+    let completed = false;
+
     try {
       // Build history from current messages (excluding the last one, which is the current user message)
       // The API will add the prompt separately, so we send all previous messages as history
@@ -1497,24 +2023,40 @@ export default function HomePage() {
           content: msg.content
         }));
 
-      // Truncate history to prevent excessive API costs (server also does this, but good to do client-side too)
-      history = truncateHistory(history);
+      // Send the full history (up to the API cap) - the server keeps the recent turns
+      // and condenses older ones into a rolling summary so nothing is silently forgotten
+      history = history.slice(-MAX_HISTORY_ITEMS);
 
       // Add timeout to fetch request
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT_MS);
 
-      const response = await fetch('/api/chat', {
+      // Same key on a retry, so the server doesn't answer (or charge for) this message twice
+      const idempotencyKey = crypto.randomUUID();
+      const postChat = () => fetch('/api/chat', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          'Idempotency-Key': idempotencyKey,
         },
         body: JSON.stringify({
           prompt,
+          // Only the new message's photo is sent - earlier ones are already answered
+          ...(image && { image }),
           history,
+          stream: true,
+          suggestions: true,
+          readingLevel,
+          locale,
+          timeZone: getBrowserTimeZone(),
+          // Repeated questions are only answered from the server's cache within the same conversation
+          conversationId: activeConversationId,
         }),
         signal: controller.signal,
       });
+
+      // The connection dropping before a response is retried once (but not after a timeout)
+      const response = await postChatWithRetry(postChat, { signal: controller.signal });
       
       clearTimeout(timeoutId);
 
@@ -1524,7 +2066,7 @@ export default function HomePage() {
         if (response.status === 408) {
           throw new Error('Request timed out. Please try again.');
         }
-        if (response.status === 429 && errorData.limitReached) {
+        if (errorData.code === 'daily_limit_reached') {
           // Daily limit reached - show subscription modal
           setShowSubscriptionModal(true);
           throw new Error('Daily limit reached. Please subscribe for unlimited access.');
@@ -1532,14 +2074,64 @@ export default function HomePage() {
         throw new Error(errorData.error || errorData.message || `HTTP error! status: ${response.status}`);
       }
 
-      const data = await response.json();
-      const aiResponse = data.response || 'Sorry, I couldn\'t generate a response.';
+      // Non-streaming response (e.g. an older server) - add the whole reply at once
+      if (!response.headers.get('Content-Type')?.includes('text/event-stream')) {
+        const data = await response.json();
+        const aiResponse = data.response || 'Sorry, I couldn\'t generate a response.';
+        setMessages(prev => [...prev, {
+          role: 'assistant',
+          content: aiResponse,
+          model: data.model || 'gpt-5.1',
+          ...(Array.isArray(data.suggestions) && { suggestions: data.suggestions }),
+        }]);
+        setIsLoading(false);
+        return;
+      }
 
-      // Add assistant message
-      setMessages(prev => [...prev, { role: 'assistant', content: aiResponse, model: 'gpt-5.1' }]);
+      // Add an empty placeholder that fills in as deltas arrive
+      setMessages(prev => [...prev, { role: 'assistant', content: '', model: 'gpt-5.1', streamId, isStreaming: true }]);
+
+      await readServerSentEvents(response, (event, data) => {
+        if (event === 'start') {
+          updateStreamingMessage(msg => ({ ...msg, model: data.model || msg.model }));
+        } else if (event === 'delta') {
+          updateStreamingMessage(msg => ({ ...msg, content: msg.content + data.text }));
+        } else if (event === 'done') {
+          completed = true;
+          // Replace the incremental text with the server's final, fully-stripped reply
+          // (streamId stays until the stream ends so suggestions can find the message)
+          updateStreamingMessage(msg => {
+            const { isStreaming: _isStreaming, ...rest } = msg;
+            return {
+              ...rest,
+              content: data.response || rest.content || 'Sorry, I couldn\'t generate a response.',
+              model: data.model || rest.model,
+            };
+          });
+          setIsLoading(false);
+        } else if (event === 'suggestions') {
+          updateStreamingMessage(msg => ({ ...msg, suggestions: data.suggestions }));
+        } else if (event === 'error') {
+          throw new Error(data.error || data.message || 'Failed to get response from AI');
+        }
+      });
+
+      if (!completed) {
+        throw new Error('The response was interrupted. Please try again.');
+      }
+
+      updateStreamingMessage(({ streamId: _streamId, ...rest }) => rest);
       setIsLoading(false);
 
     } catch (error) {
+      // The reply arrived and only the suggestions were lost - keep it
+      if (completed) {
+        console.warn('Stream ended early after the reply:', error);
+        updateStreamingMessage(({ streamId: _streamId, ...rest }) => rest);
+        return;
+      }
+      // Drop any partial reply - the caller shows an error message instead
+      setMessages(prev => prev.filter(msg => msg.streamId !== streamId));
       console.error('Error sending chat message:', error);
       throw error;
     }
@@ -1668,15 +2260,22 @@ export default function HomePage() {
       // This handles the case when switching from GPT-5.1 to Realtime
       if (currentMessages && currentMessages.length > 0) {
         // Get all messages except the last one (which is the current user message we're about to send)
-        let historyMessages = currentMessages.slice(0, -1);
+        let historyMessages = currentMessages.slice(0, -1).filter(msg => msg.role && msg.content);
+        let historySummary = null;
         
-        // Truncate history to prevent excessive API costs
-        historyMessages = truncateHistory(historyMessages);
+        // Keep the recent turns verbatim; older ones come back as a rolling summary from the server
+        if (truncateHistory(historyMessages).length < historyMessages.length) {
+          const { summary, recentCount } = await fetchHistoryWindow(historyMessages);
+          historySummary = summary;
+          historyMessages = recentCount > 0 ? historyMessages.slice(-recentCount) : [];
+        }
         
         // Detect if we're switching from GPT-5.1 to Realtime
-        // Check if there are any GPT-5.1 messages in the history that haven't been synced
+        // Check if there are any text-mode replies (GPT-5.1 or its fallback) in the history that haven't been synced
         const unsyncedMessages = historyMessages.slice(realtimeSyncedMessageCountRef.current);
-        const hasUnsyncedGPT5Messages = unsyncedMessages.some(msg => msg.model === 'gpt-5.1');
+        const hasUnsyncedGPT5Messages = unsyncedMessages.some(msg => 
+          msg.role === 'assistant' && msg.model && msg.model !== 'realtime' && msg.model !== 'system'
+        );
         
         // If switching from GPT-5.1, we need to send ALL previous messages to ensure full context
         // This is because the Realtime API needs the full conversation history
@@ -1693,6 +2292,18 @@ export default function HomePage() {
           messages: messagesToSync.map(m => ({ role: m.role, model: m.model, preview: m.content?.substring(0, 50) }))
         });
         
+        // On a full sync, carry the summary of older turns first so the Realtime model has that context too
+        if (hasUnsyncedGPT5Messages && historySummary) {
+          rt.send({
+            type: 'conversation.item.create',
+            item: {
+              type: 'message',
+              role: 'system',
+              content: [{ type: 'input_text', text: `Summary of the earlier conversation (older messages are not shown):\n${historySummary}` }],
+            },
+          });
+        }
+        
         // Send ALL messages at once, then wait for them to be processed
         // This is more reliable than waiting for individual events
         for (const msg of messagesToSync) {
@@ -1734,6 +2345,24 @@ export default function HomePage() {
         realtimeSyncedMessageCountRef.current = realtimeSyncedMessageCountRef.current + messagesToSync.length;
       }
 
+      // The server never sees Realtime turns, so pass this one on for the safeguarding check
+      // (signed-in users only - they are the ones given a ticket). Fire and forget - it must not hold up the reply
+      if (transcriptTicketRef.current) {
+        fetch('/api/realtime-transcript', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            ticket: transcriptTicketRef.current,
+            text: prompt,
+            history: currentMessages
+              .slice(0, -1)
+              .filter(msg => msg.role && msg.content)
+              .slice(-6)
+              .map(msg => ({ role: msg.role, content: msg.content })),
+          }),
+        }).catch((error) => console.warn('Failed to send transcript for safeguarding check:', error));
+      }
+
       // Send current user message to Realtime API
       rt.send({
         type: 'conversation.item.create',
@@ -1756,7 +2385,188 @@ export default function HomePage() {
     }
   };
 
-  const handleSendMessage = async (prompt) => {
+  // "Say it simpler" / "Tell me more": ask again about one reply and keep the answer as a new
+  // version of it, so the user can flip back to the original. Counts as a chat turn.
+  // Signed-in users' versions are saved with the conversation (see saveReplyVersions).
+  const handleReplyAction = async (index, action) => {
+    const target = messagesRef.current[index];
+    if (!target || target.role !== 'assistant' || replyActionState?.action) return;
+
+    const history = messagesRef.current
+      .slice(0, index + 1)
+      .filter(msg => msg.role && msg.content && msg.model !== 'system')
+      .map(msg => ({ role: msg.role, content: msg.content }))
+      .slice(-MAX_HISTORY_ITEMS);
+
+    setReplyActionState({ index, action });
+    const conversationId = conversationIdRef.current;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT_MS);
+
+    try {
+      const response = await fetch('/api/chat', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action, history, readingLevel, locale, timeZone: getBrowserTimeZone() }),
+        signal: controller.signal,
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        if (data.code === 'daily_limit_reached') {
+          setShowSubscriptionModal(true);
+        }
+        throw new Error(data.error || data.message || `HTTP error! status: ${response.status}`);
+      }
+
+      const versions = target.versions || [{ content: target.content, model: target.model }];
+      const newVersions = [...versions, { content: data.response, model: data.model, action }];
+      const { suggestions: _suggestions, ...rest } = target;
+      const updated = {
+        ...rest,
+        content: data.response,
+        model: data.model,
+        versions: newVersions,
+        versionIndex: newVersions.length - 1,
+      };
+      // Unless the chat was cleared or switched while we waited
+      setMessages(prev => prev.map((msg, i) => (
+        i === index && msg.role === 'assistant' && msg.content === target.content ? updated : msg
+      )));
+      setReplyActionState(null);
+      saveReplyVersions(conversationId, index, updated);
+    } catch (error) {
+      console.error(`Failed to ${action} reply:`, error);
+      setReplyActionState({
+        index,
+        error: error.name === 'AbortError' ? 'Request timed out. Please try again.' : error.message || 'Please try again.',
+      });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  };
+
+  // Create the read-aloud player once; it stops when the page goes away
+  useEffect(() => {
+    const player = createReadAloudPlayer({
+      onChange: setReadAloudState,
+      onLimitReached: () => setShowSubscriptionModal(true),
+    });
+    readAloudRef.current = player;
+    return () => {
+      player.destroy();
+      readAloudRef.current = null;
+    };
+  }, []);
+
+  // command: play, pause, resume, stop or cancel (take it out of the queue)
+  const handleReadAloud = (index, command) => {
+    const player = readAloudRef.current;
+    const target = messages[index];
+    if (!player || target?.role !== 'assistant') return;
+    if (command === 'play') {
+      player.play({ id: index, text: target.content, locale, voiceSettings });
+    } else if (command === 'cancel') {
+      player.cancel(index);
+    } else {
+      player[command]();
+    }
+  };
+
+  // Try the current voice settings from the settings panel - it stops anything being read aloud first
+  const handlePreviewVoice = () => {
+    const player = readAloudRef.current;
+    if (!player) return;
+    player.stop();
+    player.play({ id: VOICE_PREVIEW_ID, text: getLocale(locale).voicePreview, locale, voiceSettings });
+  };
+
+  // Flip a reply between its versions - the saved conversation shows the one chosen when it's reopened
+  const handleReplyVersionChange = (index, versionIndex) => {
+    const target = messagesRef.current[index];
+    const version = target?.versions?.[versionIndex];
+    if (!version) return;
+    const updated = { ...target, content: version.content, model: version.model, versionIndex };
+    setMessages(prev => prev.map((msg, i) => (i === index && msg.versions === target.versions ? updated : msg)));
+    saveReplyVersions(conversationIdRef.current, index, updated);
+  };
+
+  /**
+   * Signed in: save a reply's versions if the reply is already on the server
+   * One that isn't saved yet takes its versions with it when the save effect appends it.
+   * Queued behind the other saves so the reply is there first.
+   */
+  const saveReplyVersions = (conversationId, index, reply) => {
+    if (!user || !conversationId) return;
+    serverSaveInFlightRef.current = serverSaveInFlightRef.current.then(async () => {
+      // The chat was switched, or this turn was replaced by an edit, before it could be saved
+      if (conversationIdRef.current !== conversationId || persistedMessageCountRef.current <= index) return;
+      // Error notices are never saved, so they don't take up a server position
+      const position = messagesRef.current.slice(0, index).filter(msg => msg.model !== 'system').length;
+      try {
+        await updateReplyVersions(conversationId, position, toChatMessage(reply));
+      } catch (error) {
+        console.error('Failed to save reply versions:', error);
+      }
+    });
+  };
+
+  // Reopen one of the user's messages in the input for editing
+  const handleEditMessage = (index) => {
+    const target = messages[index];
+    if (isLoading || target?.role !== 'user') return;
+    setEditingIndex(index);
+    setEditDraft({ text: target.content, image: target.image, id: Date.now() });
+  };
+
+  const handleCancelEdit = () => {
+    setEditingIndex(null);
+    setEditDraft(null);
+  };
+
+  // Send an edited message in place of the original: that turn and everything after it are
+  // dropped (here, in localStorage through the save effect, and on the server), like a new branch
+  const handleResendEditedMessage = async (index, prompt, image) => {
+    handleCancelEdit();
+    try {
+      await flushPendingSave();
+
+      // Messages already saved on the server from this turn on have to go too
+      if (user && conversationIdRef.current && persistedMessageCountRef.current > index) {
+        // Error notices are never saved, so they don't take up a server position
+        const position = messagesRef.current.slice(0, index).filter(msg => msg.model !== 'system').length;
+        await deleteMessagesFrom(conversationIdRef.current, position);
+      }
+      persistedMessageCountRef.current = Math.min(persistedMessageCountRef.current, index);
+    } catch (error) {
+      console.error('Failed to replace message:', error);
+      setMessages(prev => [...prev, {
+        role: 'assistant',
+        content: 'Sorry, I couldn\'t change that message. Please try again.',
+        model: 'system'
+      }]);
+      return;
+    }
+
+    // Stops any reply in progress and closes Realtime, whose session still holds the old turns -
+    // the next voice message reconnects and re-syncs the history from the start
+    resetConversationState();
+    handleSendMessage(prompt, { branchFrom: index, image });
+  };
+
+  const handleSubmitMessage = (prompt, { image = null } = {}) => {
+    if (editingIndex != null) {
+      handleResendEditedMessage(editingIndex, prompt, image);
+    } else {
+      handleSendMessage(prompt, { image });
+    }
+  };
+
+  /**
+   * @param {string} prompt - The user's message
+   * @param {{branchFrom?: number|null, image?: string|null}} [options] - branchFrom replaces the message at this
+   *   index and drops everything after it; image is a photo (data URL) to send with the message
+   */
+  const handleSendMessage = async (prompt, { branchFrom = null, image = null } = {}) => {
     if (!prompt.trim()) return;
     
     // Stop any currently playing speech when sending a new message
@@ -1792,14 +2602,16 @@ export default function HomePage() {
       return;
     }
 
-    const newUserMessage = { role: 'user', content: prompt };
+    const newUserMessage = { role: 'user', content: prompt, ...(image && { image }) };
     
     // Add user message to state (and placeholder for speech mode)
-    setMessages(prev => {
+    setMessages(current => {
+      const prev = branchFrom == null ? current : current.slice(0, branchFrom);
       let updatedMessages = [...prev, newUserMessage];
       
       // If speech is disabled, send via chat API with updated messages
-      if (!isSpeechEnabled) {
+      // (so are photos - voice mode can't look at them)
+      if (!isSpeechEnabled || image) {
         // Ensure all Realtime state is cleared before using text-only mode
         currentResponseTextRef.current = '';
         currentResponseIdRef.current = null;
@@ -1807,7 +2619,7 @@ export default function HomePage() {
         currentAssistantItemIdRef.current = null;
         
         setIsLoading(true);
-        sendChatMessage(prompt, updatedMessages).catch((error) => {
+        sendChatMessage(prompt, updatedMessages, { image }).catch((error) => {
           console.error("Failed to send message:", error);
           setIsLoading(false);
           const errorMessage = { 
@@ -1878,7 +2690,7 @@ export default function HomePage() {
         <div className="fixed top-0 left-0 right-0 z-10 bg-dark/90 backdrop-blur-md">
           <div className="container mx-auto max-w-4xl border-b border-light/10">
             <div className="flex items-center justify-between py-3 px-4">
-              <div className="flex-1"> {/* Left side - Clear Chat button */}
+              <div className="flex-1 flex items-center gap-2"> {/* Left side - Clear Chat button and conversation switcher */}
                 <button
                   onClick={handleClearChat}
                   disabled={messages.length === 0}
@@ -1892,6 +2704,15 @@ export default function HomePage() {
                 >
                   Clear Chat
                 </button>
+                <ConversationSwitcher
+                  conversations={conversations}
+                  activeConversationId={activeConversationId}
+                  onSelect={handleSelectConversation}
+                  onNew={handleNewConversation}
+                  onRename={handleRenameConversation}
+                  onOpenChange={setIsSwitcherOpen}
+                  disabled={isLoading}
+                />
               </div>
               
               <div className="flex-1 text-center"> {/* Center - logo */}
@@ -1914,7 +2735,14 @@ export default function HomePage() {
                 </button>
               </div>
               
-              <div className="flex-1 flex justify-end"> {/* Right side - Speech toggle */}
+              <div className="flex-1 flex justify-end items-center gap-2"> {/* Right side - Settings and speech toggle */}
+                <button
+                  onClick={() => setShowSettingsModal(true)}
+                  className="text-sm px-3 py-1 rounded border border-light/20 text-light/60 hover:text-light hover:border-light/40 transition-colors"
+                  aria-haspopup="dialog"
+                >
+                  Settings
+                </button>
                 <button
                   onClick={toggleSpeech}
                   className={`flex items-center gap-2 text-sm px-3 py-1 rounded border transition-colors ${
@@ -1940,6 +2768,17 @@ export default function HomePage() {
                 currentTranscript={currentTranscript}
                 currentPlaybackPosition={currentPlaybackPosition}
                 totalAudioDuration={totalAudioDuration}
+                replyLang={getHtmlLang(locale)}
+                locale={locale}
+                showSymbols={showSymbols}
+                onSuggestionSelect={handleSendMessage}
+                onEditMessage={handleEditMessage}
+                editingIndex={editingIndex}
+                replyActionState={replyActionState}
+                onReplyAction={handleReplyAction}
+                onReplyVersionChange={handleReplyVersionChange}
+                readAloudState={readAloudState}
+                onReadAloud={handleReadAloud}
               />
             </div>
         
@@ -1947,9 +2786,14 @@ export default function HomePage() {
           <div className="container mx-auto max-w-4xl border-t border-light/10">
             <div className="p-4">
               <SearchForm 
-                onSendMessage={handleSendMessage} 
+                onSendMessage={handleSubmitMessage} 
                 isLoading={isLoading}
-                isModalOpen={showSubscriptionModal || showUserManagementModal}
+                editDraft={editDraft}
+                onCancelEdit={handleCancelEdit}
+                photoPrompt={getLocale(locale).photoPrompt}
+                locale={locale}
+                onDictationLimitReached={() => setShowSubscriptionModal(true)}
+                isModalOpen={showSubscriptionModal || showUserManagementModal || isSwitcherOpen || showSettingsModal}
               />
             </div>
           </div>
@@ -1967,6 +2811,21 @@ export default function HomePage() {
         user={user}
       />
       
+      <SettingsModal
+        isOpen={showSettingsModal}
+        onClose={() => setShowSettingsModal(false)}
+        readingLevel={readingLevel}
+        locale={locale}
+        showSymbols={showSymbols}
+        voiceSettings={voiceSettings}
+        onPreviewVoice={handlePreviewVoice}
+        onStopPreview={() => readAloudRef.current?.stop()}
+        previewStatus={readAloudState?.current?.id === VOICE_PREVIEW_ID ? readAloudState.status : 'idle'}
+        previewError={readAloudState?.error?.id === VOICE_PREVIEW_ID ? readAloudState.error.message : null}
+        onPreferenceChange={handlePreferenceChange}
+        isSignedIn={Boolean(user)}
+      />
+      
       <UserManagementModal
         isOpen={showUserManagementModal}
         onClose={() => setShowUserManagementModal(false)}
@@ -0,0 +1,104 @@
+"use client";
+
+import { useState, useEffect, Suspense } from 'react';
+import { useSearchParams } from 'next/navigation';
+import { fetchRepeatedQuestions } from '@/lib/answer-cache-client';
+
+function formatAskedAt(date) {
+  return new Date(date).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// Reached from the supporter's symbols page, with the same emailed link token, once the user shares these
+function RepeatedQuestions() {
+  const searchParams = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [questions, setQuestions] = useState([]);
+  const [days, setDays] = useState(null);
+  const [supporterName, setSupporterName] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!token) {
+      setError('This link is not complete. Please open the link from your email again.');
+      setIsLoading(false);
+      return;
+    }
+    fetchRepeatedQuestions(token)
+      .then((data) => {
+        setQuestions(data.questions);
+        setDays(data.days);
+        setSupporterName(data.supporter.name);
+      })
+      .catch((loadError) => setError(loadError.message))
+      .finally(() => setIsLoading(false));
+  }, [token]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-2xl p-8 max-w-md w-full border-2 border-gray-200">
+        <h1 className="text-3xl font-bold mb-2 text-gray-900 text-center">
+          Questions asked again
+        </h1>
+
+        <p className="mb-6 text-sm text-gray-600 text-center">
+          {supporterName ? `Hello ${supporterName}. ` : ''}
+          These are questions that were asked again soon after being answered{days ? ` in the last ${days} days` : ''}. It may help to talk about them together.
+        </p>
+
+        {isLoading && <p className="text-gray-600 text-center mb-4">Loading...</p>}
+
+        {!isLoading && token && supporterName && (
+          <>
+            {questions.length === 0 ? (
+              <p className="text-sm text-gray-600 mb-4">No questions have been asked again.</p>
+            ) : (
+              <ul className="flex flex-col gap-2 mb-4">
+                {questions.map((item) => (
+                  <li key={`${item.question}-${item.lastAskedAt}`} className="p-3 rounded-lg bg-gray-50 border-2 border-gray-200">
+                    <span className="block text-lg text-gray-900">{item.question}</span>
+                    <span className="block text-xs text-gray-500">
+                      Asked again {item.repeats === 1 ? 'once' : `${item.repeats} times`}, last on {formatAskedAt(item.lastAskedAt)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <a
+              href={`/supporter/symbols?token=${encodeURIComponent(token)}`}
+              className="text-blue-700 hover:text-blue-900 font-medium text-sm focus:outline-none focus:underline"
+            >
+              Add pictures for words
+            </a>
+          </>
+        )}
+
+        <div aria-live="polite">
+          {error && (
+            <div className="p-4 bg-red-50 border-2 border-red-200 text-red-800 rounded-lg" role="alert">
+              {error}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function RepeatedQuestionsPage() {
+  return (
+    <Suspense fallback={
+      <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900 flex items-center justify-center p-4">
+        <div className="bg-white rounded-2xl shadow-2xl p-8 max-w-md w-full border-2 border-gray-200">
+          <div className="text-center">
+            <p className="text-gray-600">Loading...</p>
+          </div>
+        </div>
+      </div>
+    }>
+      <RepeatedQuestions />
+    </Suspense>
+  );
+}
@@ -0,0 +1,217 @@
+"use client";
+
+import { useState, useEffect, useRef, Suspense } from 'react';
+import { useSearchParams } from 'next/navigation';
+import { prepareImage } from '@/lib/images-client';
+import { fetchSupporterSymbols, addSupporterSymbol, deleteSupporterSymbol } from '@/lib/symbols/client';
+
+// Symbols are shown at around the size of a word, so there is no point keeping more than this
+const SYMBOL_IMAGE_DIMENSION = 256;
+
+// Supporters reach this page from the link they are emailed - it is the only way they sign in
+function SupporterSymbols() {
+  const searchParams = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [symbols, setSymbols] = useState([]);
+  const [supporterName, setSupporterName] = useState('');
+  const [canSeeQuestions, setCanSeeQuestions] = useState(false);
+  const [word, setWord] = useState('');
+  const [image, setImage] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (!token) {
+      setError('This link is not complete. Please open the link from your email again.');
+      setIsLoading(false);
+      return;
+    }
+    fetchSupporterSymbols(token)
+      .then((data) => {
+        setSymbols(data.symbols);
+        setSupporterName(data.supporter.name);
+        setCanSeeQuestions(data.supporter.shareRepeatedQuestions);
+      })
+      .catch((loadError) => setError(loadError.message))
+      .finally(() => setIsLoading(false));
+  }, [token]);
+
+  const handleImageChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // Choosing the same picture again still fires change
+    if (!file) return;
+    setError('');
+    try {
+      setImage(await prepareImage(file, { maxDimension: SYMBOL_IMAGE_DIMENSION }));
+    } catch (imageError) {
+      setImage(null);
+      setError(imageError.message);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!word.trim() || !image || isSaving) return;
+    setIsSaving(true);
+    setError('');
+    setStatus('');
+    try {
+      const saved = await addSupporterSymbol(token, { word, image });
+      setSymbols(prev => [...prev.filter(s => s.id !== saved.id), { ...saved, image }]
+        .sort((a, b) => a.word.localeCompare(b.word)));
+      setStatus(`Saved. "${saved.word}" will now show your picture.`);
+      setWord('');
+      setImage(null);
+    } catch (saveError) {
+      setError(saveError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRemove = async (symbol) => {
+    setError('');
+    setStatus('');
+    try {
+      await deleteSupporterSymbol(token, symbol.id);
+      setSymbols(prev => prev.filter(s => s.id !== symbol.id));
+      setStatus(`Removed the picture for "${symbol.word}".`);
+    } catch (removeError) {
+      setError(removeError.message);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-2xl p-8 max-w-md w-full border-2 border-gray-200">
+        <h1 className="text-3xl font-bold mb-2 text-gray-900 text-center">
+          Pictures for words
+        </h1>
+
+        <p className="mb-6 text-sm text-gray-600 text-center">
+          {supporterName ? `Hello ${supporterName}. ` : ''}
+          Add a picture for a word, like a photo of you for your name. It shows next to that word in the assistant&apos;s replies, if symbols are turned on.
+        </p>
+
+        {isLoading && <p className="text-gray-600 text-center mb-4">Loading...</p>}
+
+        {!isLoading && token && supporterName && (
+          <>
+            <form onSubmit={handleAdd} className="mb-6">
+              <div className="mb-4">
+                <label htmlFor="symbol-word" className="block text-sm font-semibold mb-2 text-gray-900">
+                  Word
+                </label>
+                <input
+                  id="symbol-word"
+                  type="text"
+                  value={word}
+                  onChange={(e) => setWord(e.target.value)}
+                  required
+                  maxLength={40}
+                  placeholder="For example: Mum"
+                  className="w-full px-4 py-3 border-2 border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900 bg-white"
+                />
+              </div>
+
+              <div className="mb-4 flex items-center gap-3">
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept="image/*"
+                  className="hidden"
+                  onChange={handleImageChange}
+                  tabIndex={-1}
+                  aria-hidden="true"
+                />
+                <button
+                  type="button"
+                  onClick={() => fileInputRef.current?.click()}
+                  className="bg-gray-100 text-gray-900 py-3 px-4 rounded-lg font-semibold hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-all"
+                >
+                  {image ? 'Change picture' : 'Choose a picture'}
+                </button>
+                {image && (
+                  <img src={image} alt="Picture to add" className="h-16 w-16 object-cover rounded-md border border-gray-300" />
+                )}
+              </div>
+
+              <button
+                type="submit"
+                disabled={isSaving || !word.trim() || !image}
+                className="w-full bg-gradient-to-r from-blue-600 to-blue-700 text-white py-3 px-4 rounded-lg font-semibold hover:from-blue-700 hover:to-blue-800 focus:outline-none focus:ring-4 focus:ring-blue-300 disabled:opacity-50 disabled:cursor-not-allowed transition-all shadow-lg"
+              >
+                {isSaving ? 'Saving...' : 'Add picture'}
+              </button>
+            </form>
+
+            <h2 className="text-lg font-semibold mb-2 text-gray-900">Pictures added so far</h2>
+            {symbols.length === 0 ? (
+              <p className="text-sm text-gray-600 mb-4">None yet.</p>
+            ) : (
+              <ul className="flex flex-col gap-2 mb-4">
+                {symbols.map((symbol) => (
+                  <li key={symbol.id} className="flex items-center gap-3 p-2 rounded-lg bg-gray-50 border-2 border-gray-200">
+                    <img src={symbol.image} alt="" className="h-12 w-12 object-cover rounded-md" />
+                    <span className="flex-1 text-lg text-gray-900">
+                      {symbol.word}
+                      {symbol.supporter?.name && (
+                        <span className="block text-xs text-gray-500">Added by {symbol.supporter.name}</span>
+                      )}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => handleRemove(symbol)}
+                      className="text-red-700 hover:text-red-900 font-medium text-sm focus:outline-none focus:underline py-2 px-2"
+                      aria-label={`Remove the picture for ${symbol.word}`}
+                    >
+                      Remove
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {canSeeQuestions && (
+              <a
+                href={`/supporter/repetition?token=${encodeURIComponent(token)}`}
+                className="text-blue-700 hover:text-blue-900 font-medium text-sm focus:outline-none focus:underline"
+              >
+                See questions asked again and again
+              </a>
+            )}
+          </>
+        )}
+
+        <div aria-live="polite">
+          {status && <p className="text-green-700 text-sm mb-2">{status}</p>}
+          {error && (
+            <div className="p-4 bg-red-50 border-2 border-red-200 text-red-800 rounded-lg" role="alert">
+              {error}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function SupporterSymbolsPage() {
+  return (
+    <Suspense fallback={
+      <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900 flex items-center justify-center p-4">
+        <div className="bg-white rounded-2xl shadow-2xl p-8 max-w-md w-full border-2 border-gray-200">
+          <div className="text-center">
+            <p className="text-gray-600">Loading...</p>
+          </div>
+        </div>
+      </div>
+    }>
+      <SupporterSymbols />
+    </Suspense>
+  );
+}
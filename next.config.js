@@ -8,7 +8,7 @@ const nextConfig = {
         headers: [
           {
             key: 'Permissions-Policy',
-            value: 'local-network=()', // Explicitly deny local network access
+            value: 'local-network=(), microphone=(self)', // Deny local network access; only our own pages may use the microphone
           },
         ],
       },
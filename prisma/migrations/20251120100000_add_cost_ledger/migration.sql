@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "cost_ledger" (
+    "id" SERIAL NOT NULL,
+    "date" TEXT NOT NULL,
+    "endpoint" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "sessionId" TEXT,
+    "userId" TEXT,
+    "inputTokens" INTEGER NOT NULL DEFAULT 0,
+    "outputTokens" INTEGER NOT NULL DEFAULT 0,
+    "reasoningTokens" INTEGER NOT NULL DEFAULT 0,
+    "cost" DOUBLE PRECISION NOT NULL DEFAULT 0.0,
+    "estimated" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "cost_ledger_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "cost_ledger_date_idx" ON "cost_ledger"("date");
+
+-- CreateIndex
+CREATE INDEX "cost_ledger_createdAt_idx" ON "cost_ledger"("createdAt");
@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "history_summary" (
+    "id" SERIAL NOT NULL,
+    "sessionId" TEXT NOT NULL,
+    "summary" TEXT NOT NULL,
+    "anchorHash" TEXT NOT NULL,
+    "messageCount" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "history_summary_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "history_summary_sessionId_key" ON "history_summary"("sessionId");
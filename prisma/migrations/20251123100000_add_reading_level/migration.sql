@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "user" ADD COLUMN     "readingLevel" TEXT NOT NULL DEFAULT 'easy_read';
@@ -0,0 +1,60 @@
+-- AlterTable
+ALTER TABLE "user" ADD COLUMN     "organisationId" TEXT,
+ADD COLUMN     "promptProfileId" TEXT,
+ADD COLUMN     "role" TEXT NOT NULL DEFAULT 'user';
+
+-- CreateTable
+CREATE TABLE "organisation" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "promptProfileId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "organisation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "prompt_profile" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "activeVersion" INTEGER,
+    "previousVersion" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "prompt_profile_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "prompt_profile_version" (
+    "id" TEXT NOT NULL,
+    "profileId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "sections" JSONB NOT NULL,
+    "note" TEXT,
+    "createdBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "prompt_profile_version_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "prompt_profile_name_key" ON "prompt_profile"("name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "prompt_profile_version_profileId_version_key" ON "prompt_profile_version"("profileId", "version");
+
+-- AddForeignKey
+ALTER TABLE "user" ADD CONSTRAINT "user_organisationId_fkey" FOREIGN KEY ("organisationId") REFERENCES "organisation"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "user" ADD CONSTRAINT "user_promptProfileId_fkey" FOREIGN KEY ("promptProfileId") REFERENCES "prompt_profile"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "organisation" ADD CONSTRAINT "organisation_promptProfileId_fkey" FOREIGN KEY ("promptProfileId") REFERENCES "prompt_profile"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "prompt_profile_version" ADD CONSTRAINT "prompt_profile_version_profileId_fkey" FOREIGN KEY ("profileId") REFERENCES "prompt_profile"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "prompt_profile_version" ADD COLUMN     "moderationThresholds" JSONB;
+
+-- CreateTable
+CREATE TABLE "moderation_event" (
+    "id" SERIAL NOT NULL,
+    "stage" TEXT NOT NULL,
+    "endpoint" TEXT NOT NULL,
+    "sessionId" TEXT,
+    "userId" TEXT,
+    "category" TEXT NOT NULL,
+    "score" DOUBLE PRECISION NOT NULL,
+    "scores" JSONB NOT NULL,
+    "classifier" TEXT NOT NULL,
+    "excerpt" TEXT NOT NULL,
+    "promptProfileId" TEXT,
+    "profileVersion" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "moderation_event_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "moderation_event_createdAt_idx" ON "moderation_event"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "moderation_event_sessionId_idx" ON "moderation_event"("sessionId");
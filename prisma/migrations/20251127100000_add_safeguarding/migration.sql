@@ -0,0 +1,63 @@
+-- AlterTable
+ALTER TABLE "organisation" ADD COLUMN     "safeguardingLeadEmail" TEXT;
+
+-- CreateTable
+CREATE TABLE "supporter_link" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "relationship" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "supporter_link_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "safeguarding_incident" (
+    "id" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "sessionId" TEXT,
+    "userId" TEXT,
+    "category" TEXT NOT NULL,
+    "score" DOUBLE PRECISION NOT NULL,
+    "excerpt" TEXT NOT NULL,
+    "context" JSONB NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "notifiedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "safeguarding_incident_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "safeguarding_audit_entry" (
+    "id" SERIAL NOT NULL,
+    "incidentId" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "actorId" TEXT,
+    "details" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "safeguarding_audit_entry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "supporter_link_userId_email_key" ON "supporter_link"("userId", "email");
+
+-- CreateIndex
+CREATE INDEX "safeguarding_incident_status_createdAt_idx" ON "safeguarding_incident"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "safeguarding_incident_userId_createdAt_idx" ON "safeguarding_incident"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "safeguarding_audit_entry_incidentId_createdAt_idx" ON "safeguarding_audit_entry"("incidentId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "supporter_link" ADD CONSTRAINT "supporter_link_userId_fkey" FOREIGN KEY ("userId") REFERENCES "user"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "safeguarding_audit_entry" ADD CONSTRAINT "safeguarding_audit_entry_incidentId_fkey" FOREIGN KEY ("incidentId") REFERENCES "safeguarding_incident"("id") ON DELETE CASCADE ON UPDATE CASCADE;
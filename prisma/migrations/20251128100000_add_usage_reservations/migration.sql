@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "usage_reservation" (
+    "id" TEXT NOT NULL,
+    "sessionLimitId" TEXT NOT NULL,
+    "endpoint" TEXT NOT NULL,
+    "idempotencyKey" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'reserved',
+    "windowResetAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "usage_reservation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "usage_reservation_createdAt_idx" ON "usage_reservation"("createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "usage_reservation_sessionLimitId_endpoint_idempotencyKey_key" ON "usage_reservation"("sessionLimitId", "endpoint", "idempotencyKey");
+
+-- AddForeignKey
+ALTER TABLE "usage_reservation" ADD CONSTRAINT "usage_reservation_sessionLimitId_fkey" FOREIGN KEY ("sessionLimitId") REFERENCES "session_limit"("id") ON DELETE CASCADE ON UPDATE CASCADE;
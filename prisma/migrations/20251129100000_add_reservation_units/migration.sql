@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "usage_reservation" ADD COLUMN     "units" INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "tool_call" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "sessionId" TEXT,
+    "userId" TEXT,
+    "arguments" JSONB NOT NULL,
+    "output" JSONB NOT NULL,
+    "ok" BOOLEAN NOT NULL,
+    "durationMs" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "tool_call_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "tool_call_createdAt_idx" ON "tool_call"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "tool_call_name_createdAt_idx" ON "tool_call"("name", "createdAt");
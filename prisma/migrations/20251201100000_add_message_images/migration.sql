@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "cost_ledger" ADD COLUMN     "images" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "message" ADD COLUMN     "image" TEXT;
@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "user" ADD COLUMN     "symbols" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "custom_symbol" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "word" TEXT NOT NULL,
+    "image" TEXT NOT NULL,
+    "supporterId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "custom_symbol_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "custom_symbol_userId_word_key" ON "custom_symbol"("userId", "word");
+
+-- AddForeignKey
+ALTER TABLE "custom_symbol" ADD CONSTRAINT "custom_symbol_userId_fkey" FOREIGN KEY ("userId") REFERENCES "user"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "custom_symbol" ADD CONSTRAINT "custom_symbol_supporterId_fkey" FOREIGN KEY ("supporterId") REFERENCES "supporter_link"("id") ON DELETE SET NULL ON UPDATE CASCADE;
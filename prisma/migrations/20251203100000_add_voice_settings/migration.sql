@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "user" ADD COLUMN     "speechPitch" TEXT NOT NULL DEFAULT 'normal',
+ADD COLUMN     "speechSpeed" TEXT NOT NULL DEFAULT 'normal',
+ADD COLUMN     "voice" TEXT NOT NULL DEFAULT 'auto';
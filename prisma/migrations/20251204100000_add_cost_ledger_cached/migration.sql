@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "cost_ledger" ADD COLUMN     "cached" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "answer_cache_entry" (
+    "id" SERIAL NOT NULL,
+    "sessionId" TEXT NOT NULL,
+    "promptKey" TEXT NOT NULL,
+    "answer" TEXT NOT NULL,
+    "answeredAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "hits" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "answer_cache_entry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "answer_cache_hit" (
+    "id" TEXT NOT NULL,
+    "sessionId" TEXT NOT NULL,
+    "userId" TEXT,
+    "promptKey" TEXT NOT NULL,
+    "prompt" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "answer_cache_hit_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "answer_cache_entry_sessionId_promptKey_key" ON "answer_cache_entry"("sessionId", "promptKey");
+
+-- CreateIndex
+CREATE INDEX "answer_cache_hit_userId_createdAt_idx" ON "answer_cache_hit"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "answer_cache_hit" ADD CONSTRAINT "answer_cache_hit_userId_fkey" FOREIGN KEY ("userId") REFERENCES "user"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "safeguarding_incident_sessionId_category_createdAt_idx" ON "safeguarding_incident"("sessionId", "category", "createdAt");
@@ -0,0 +1,11 @@
+-- Answers cached before the conversation and settings were part of the key can't be matched to them
+DELETE FROM "answer_cache_entry";
+
+-- AlterTable
+ALTER TABLE "answer_cache_entry" ADD COLUMN "contextKey" TEXT NOT NULL;
+
+-- DropIndex
+DROP INDEX "answer_cache_entry_sessionId_promptKey_key";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "answer_cache_entry_sessionId_contextKey_promptKey_key" ON "answer_cache_entry"("sessionId", "contextKey", "promptKey");
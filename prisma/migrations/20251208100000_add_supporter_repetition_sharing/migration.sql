@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "supporter_link" ADD COLUMN "shareRepeatedQuestions" BOOLEAN NOT NULL DEFAULT false;
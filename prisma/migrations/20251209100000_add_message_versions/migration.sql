@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "message" ADD COLUMN "versions" JSONB;
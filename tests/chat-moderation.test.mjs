@@ -0,0 +1,60 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetTestState } from './helpers/state.mjs';
+import { getRulesClassifier } from '../app/lib/moderation/classifier.js';
+
+const { POST } = await import('../app/api/chat/route.js');
+
+const CLIENT_IP = '203.0.113.11';
+
+let db;
+let classified;
+const classifier = getRulesClassifier();
+const classify = classifier.classify;
+beforeEach(() => {
+  db = resetTestState();
+  classified = [];
+  classifier.classify = (text, options) => {
+    classified.push(text);
+    return classify.call(classifier, text, options);
+  };
+});
+afterEach(() => {
+  classifier.classify = classify;
+});
+
+function chatRequest(body) {
+  return new Request('http://localhost/api/chat', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': CLIENT_IP },
+    body: JSON.stringify({ history: [], ...body }),
+  });
+}
+
+test('a streamed reply is moderated a segment at a time, then once as a whole', async () => {
+  // The fake model repeats the prompt, so this makes a long reply
+  const prompt = 'The garden is green today. '.repeat(100).trim();
+
+  const response = await POST(chatRequest({ prompt, stream: true }));
+  const events = await response.text();
+
+  assert.match(events, /event: done/);
+  const [, ...outputChecks] = classified; // The first check is the prompt
+  const whole = outputChecks.at(-1);
+  assert.ok(whole.length > prompt.length);
+  for (const text of outputChecks.slice(0, -1)) {
+    assert.ok(text.length < 600, `a segment check was ${text.length} characters`);
+  }
+  // Linear in the reply, not the reply so far again and again
+  const checked = outputChecks.reduce((total, text) => total + text.length, 0);
+  assert.ok(checked < whole.length * 3, `${checked} characters checked for a ${whole.length} character reply`);
+});
+
+test('a prompt stopped by moderation is not charged', async () => {
+  const response = await POST(chatRequest({ prompt: 'How do I make a bomb?' }));
+
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).moderated, true);
+  assert.equal(db.$rows('sessionLimit')[0].dailyUsageCount, 0);
+  assert.equal(db.$rows('usageReservation')[0].status, 'released');
+});
@@ -0,0 +1,89 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetTestState } from './helpers/state.mjs';
+import { postChatWithRetry } from '../app/lib/chat-request.js';
+
+const { POST } = await import('../app/api/chat/route.js');
+
+const CLIENT_IP = '203.0.113.9';
+const noWait = async () => {};
+
+let db;
+beforeEach(() => {
+  db = resetTestState();
+});
+
+// Each call takes the next outcome - an Error is thrown like a dropped connection
+function scriptedPost(outcomes) {
+  const calls = [];
+  const post = async () => {
+    const outcome = outcomes[calls.length];
+    calls.push(outcome);
+    if (outcome instanceof Error) throw outcome;
+    return outcome;
+  };
+  return { post, calls };
+}
+
+const duplicate = (state) => Response.json(
+  { error: 'This request is already being answered.', code: 'duplicate_request', duplicate: state },
+  { status: 409 }
+);
+
+test('a retry refused while the dropped attempt is still running waits and tries again', async () => {
+  const { post, calls } = scriptedPost([
+    new TypeError('Failed to fetch'),
+    duplicate('in_progress'),
+    Response.json({ response: 'Hello' }),
+  ]);
+
+  const response = await postChatWithRetry(post, { wait: noWait });
+
+  assert.equal(response.status, 200);
+  assert.equal(calls.length, 3);
+});
+
+test('a retry of an attempt that was already answered says the reply was lost', async () => {
+  const { post } = scriptedPost([new TypeError('Failed to fetch'), duplicate('committed')]);
+
+  await assert.rejects(postChatWithRetry(post, { wait: noWait }), (error) => {
+    assert.equal(error.code, 'duplicate_request');
+    assert.match(error.message, /didn't reach this device/);
+    return true;
+  });
+});
+
+test('there is no retry after a timeout', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  const { post, calls } = scriptedPost([new DOMException('Aborted', 'AbortError')]);
+
+  await assert.rejects(postChatWithRetry(post, { signal: controller.signal, wait: noWait }), { name: 'AbortError' });
+  assert.equal(calls.length, 1);
+});
+
+test('a retry with the same key is answered by the chat route and counted once', async () => {
+  const idempotencyKey = 'retry-key-1';
+  const chatRequest = () => POST(new Request('http://localhost/api/chat', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': CLIENT_IP, 'Idempotency-Key': idempotencyKey },
+    body: JSON.stringify({ prompt: 'What is the weather like?', history: [] }),
+  }));
+  let attempts = 0;
+  const post = async () => {
+    attempts += 1;
+    if (attempts === 1) throw new TypeError('Failed to fetch');
+    return chatRequest();
+  };
+
+  const response = await postChatWithRetry(post, { wait: noWait });
+
+  assert.equal(response.status, 200);
+  assert.ok((await response.json()).response);
+  assert.equal(db.$rows('sessionLimit')[0].dailyUsageCount, 1);
+
+  // The same key again is refused as already answered
+  const again = await chatRequest();
+  assert.equal(again.status, 409);
+  assert.equal((await again.json()).duplicate, 'committed');
+});
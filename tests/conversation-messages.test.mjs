@@ -0,0 +1,72 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetTestState, setSession } from './helpers/state.mjs';
+import { toChatMessage } from '../app/lib/conversations/client.js';
+
+const { POST, PATCH } = await import('../app/api/conversations/[id]/messages/route.js');
+
+const params = { params: Promise.resolve({ id: 'conv_1' }) };
+const VERSIONS = [
+  { content: 'The bus comes at nine.', model: 'gpt-5.1' },
+  { content: 'The bus comes at 9 in the morning. It stops outside the shop.', model: 'gpt-5.1', action: 'expand' },
+];
+
+let db;
+beforeEach(() => {
+  db = resetTestState();
+  setSession({ userId: 'user_1' });
+  db.$rows('conversation').push({ id: 'conv_1', userId: 'user_1', title: 'The bus', updatedAt: new Date() });
+  db.$rows('message').push(
+    { id: 'msg_1', conversationId: 'conv_1', position: 0, role: 'user', content: 'When is the bus?', model: null, image: null },
+    { id: 'msg_2', conversationId: 'conv_1', position: 1, role: 'assistant', content: VERSIONS[0].content, model: 'gpt-5.1', image: null },
+  );
+});
+
+function messagesRequest(method, body) {
+  return new Request('http://localhost/api/conversations/conv_1/messages', {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+}
+
+test('versions added to a saved reply are still there when the conversation is reopened', async () => {
+  const response = await PATCH(messagesRequest('PATCH', {
+    position: 1,
+    message: { role: 'assistant', content: VERSIONS[1].content, model: 'gpt-5.1', versions: VERSIONS },
+  }), params);
+
+  assert.equal(response.status, 200);
+  const stored = db.$rows('message').find(msg => msg.position === 1);
+  assert.equal(stored.content, VERSIONS[1].content);
+  assert.deepEqual(stored.versions, VERSIONS);
+
+  // What the page gets back when the conversation is loaded again
+  const reopened = toChatMessage(stored);
+  assert.deepEqual(reopened.versions, VERSIONS);
+  assert.equal(reopened.versionIndex, 1);
+});
+
+test('a reply saved for the first time keeps its versions', async () => {
+  const response = await POST(messagesRequest('POST', {
+    messages: [
+      { role: 'user', content: 'And on Sunday?' },
+      { role: 'assistant', content: VERSIONS[0].content, model: 'gpt-5.1', versions: VERSIONS },
+    ],
+  }), params);
+
+  assert.equal(response.status, 201);
+  const stored = db.$rows('message').find(msg => msg.position === 3);
+  assert.deepEqual(stored.versions, VERSIONS);
+  assert.equal(toChatMessage(stored).versionIndex, 0);
+});
+
+test('only replies have versions', async () => {
+  const response = await PATCH(messagesRequest('PATCH', {
+    position: 0,
+    message: { role: 'user', content: VERSIONS[0].content, versions: VERSIONS },
+  }), params);
+
+  assert.equal(response.status, 400);
+  assert.equal(db.$rows('message')[0].versions, undefined);
+});
@@ -0,0 +1,39 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetTestState } from './helpers/state.mjs';
+import { generateConversationTitle } from '../app/lib/llm/conversation-title.js';
+import { heuristicTitle } from '../app/lib/conversations/titles.js';
+
+const FIRST_EXCHANGE = [
+  { role: 'user', content: 'Can you help me plan a trip to the seaside next week?' },
+  { role: 'assistant', content: 'Yes. Where would you like to go?' },
+];
+
+let db;
+beforeEach(() => {
+  db = resetTestState();
+});
+
+test('a generated title is recorded in the cost ledger', async () => {
+  const title = await generateConversationTitle(FIRST_EXCHANGE, { userId: 'user_1' });
+
+  assert.ok(title);
+  const ledger = db.$rows('costLedger').filter(row => row.endpoint === 'conversation-title');
+  assert.equal(ledger.length, 1);
+  assert.equal(ledger[0].userId, 'user_1');
+});
+
+test('titles come from the first message without a model call once the daily cost limit is reached', async () => {
+  db.$rows('costTracking').push({
+    id: 1,
+    date: new Date().toISOString().split('T')[0],
+    totalCost: 50,
+    requestCount: 1000,
+    tokenCount: 0,
+  });
+
+  const title = await generateConversationTitle(FIRST_EXCHANGE, { userId: 'user_1' });
+
+  assert.equal(title, heuristicTitle(FIRST_EXCHANGE[0].content));
+  assert.equal(db.$rows('costLedger').length, 0);
+});
@@ -0,0 +1,228 @@
+/**
+ * In-memory stand-in for the Prisma client
+ * Supports the queries the app makes: where with equality, lt/lte/gt/gte/in/not and compound unique keys,
+ * create/update with increment, upsert, distinct, aggregate _sum/_count, groupBy _count/_max and array or callback $transaction.
+ * Selects, includes and relations are ignored - every field of the row comes back.
+ */
+
+const OPERATORS = ['equals', 'lt', 'lte', 'gt', 'gte', 'in', 'notIn', 'not', 'contains', 'startsWith'];
+
+function isOperatorObject(value) {
+  return value && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value)
+    && Object.keys(value).every(key => OPERATORS.includes(key));
+}
+
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+function matchesValue(actual, condition) {
+  if (!isOperatorObject(condition)) {
+    return comparable(actual ?? null) === comparable(condition);
+  }
+  return Object.entries(condition).every(([op, expected]) => {
+    const a = comparable(actual);
+    const e = comparable(expected);
+    switch (op) {
+      case 'equals': return a === e;
+      case 'lt': return a < e;
+      case 'lte': return a <= e;
+      case 'gt': return a > e;
+      case 'gte': return a >= e;
+      case 'in': return expected.map(comparable).includes(a);
+      case 'notIn': return !expected.map(comparable).includes(a);
+      case 'not': return !matchesValue(actual, expected);
+      case 'contains': return typeof actual === 'string' && actual.includes(expected);
+      case 'startsWith': return typeof actual === 'string' && actual.startsWith(expected);
+      default: return false;
+    }
+  });
+}
+
+function matches(row, where = {}) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (condition === undefined) return true;
+    if (key === 'AND') return [].concat(condition).every(part => matches(row, part));
+    if (key === 'OR') return condition.some(part => matches(row, part));
+    if (key === 'NOT') return ![].concat(condition).some(part => matches(row, part));
+    // Compound unique key, e.g. identifier_endpoint: { identifier, endpoint }
+    if (!(key in row) && condition && typeof condition === 'object' && !isOperatorObject(condition) && key.includes('_')) {
+      return matches(row, condition);
+    }
+    return matchesValue(row[key], condition);
+  });
+}
+
+function applyData(row, data) {
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined) continue;
+    if (value && typeof value === 'object' && 'increment' in value) {
+      row[key] = (row[key] || 0) + value.increment;
+    } else if (value && typeof value === 'object' && 'decrement' in value) {
+      row[key] = (row[key] || 0) - value.decrement;
+    } else if (value && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value)
+      && ('create' in value || 'connect' in value || 'createMany' in value)) {
+      // Nested writes to related tables aren't kept
+      continue;
+    } else {
+      row[key] = value;
+    }
+  }
+  row.updatedAt = new Date();
+  return row;
+}
+
+function sortRows(rows, orderBy) {
+  const orders = [].concat(orderBy || []);
+  return [...rows].sort((a, b) => {
+    for (const order of orders) {
+      const [[key, direction]] = Object.entries(order);
+      const x = comparable(a[key]);
+      const y = comparable(b[key]);
+      if (x === y) continue;
+      return (x < y ? -1 : 1) * (direction === 'desc' ? -1 : 1);
+    }
+    return 0;
+  });
+}
+
+function prismaError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function createModel(rows, uniqueKeys, defaults, nextId) {
+  const find = (where) => rows.find(row => matches(row, where)) || null;
+
+  const create = ({ data }) => {
+    const row = applyData({ id: nextId(), createdAt: new Date(), ...defaults }, data);
+    for (const fields of uniqueKeys) {
+      if (rows.some(other => fields.every(field => other[field] === row[field] && row[field] != null))) {
+        throw prismaError('P2002', `Unique constraint failed on ${fields.join(', ')}`);
+      }
+    }
+    rows.push(row);
+    return { ...row };
+  };
+
+  return {
+    findUnique: async ({ where }) => {
+      const row = find(where);
+      return row ? { ...row } : null;
+    },
+    findFirst: async ({ where, orderBy } = {}) => {
+      const row = sortRows(rows.filter(r => matches(r, where)), orderBy)[0];
+      return row ? { ...row } : null;
+    },
+    findMany: async ({ where, orderBy, take, skip = 0, distinct } = {}) => {
+      let found = sortRows(rows.filter(r => matches(r, where)), orderBy);
+      if (distinct) {
+        const seen = new Set();
+        found = found.filter(row => {
+          const key = JSON.stringify(distinct.map(field => row[field]));
+          return !seen.has(key) && seen.add(key);
+        });
+      }
+      return found.slice(skip, take === undefined ? undefined : skip + take).map(row => ({ ...row }));
+    },
+    count: async ({ where } = {}) => rows.filter(r => matches(r, where)).length,
+    create: async (args) => create(args),
+    createMany: async ({ data }) => {
+      data.forEach(item => create({ data: item }));
+      return { count: data.length };
+    },
+    update: async ({ where, data }) => {
+      const row = find(where);
+      if (!row) throw prismaError('P2025', 'Record to update not found');
+      return { ...applyData(row, data) };
+    },
+    updateMany: async ({ where, data }) => {
+      const matched = rows.filter(r => matches(r, where));
+      matched.forEach(row => applyData(row, data));
+      return { count: matched.length };
+    },
+    upsert: async ({ where, create: createData, update }) => {
+      const row = find(where);
+      return row ? { ...applyData(row, update) } : create({ data: createData });
+    },
+    delete: async ({ where }) => {
+      const row = find(where);
+      if (!row) throw prismaError('P2025', 'Record to delete not found');
+      rows.splice(rows.indexOf(row), 1);
+      return row;
+    },
+    deleteMany: async ({ where } = {}) => {
+      const matched = rows.filter(r => matches(r, where));
+      matched.forEach(row => rows.splice(rows.indexOf(row), 1));
+      return { count: matched.length };
+    },
+    aggregate: async ({ where, _sum = {}, _count } = {}) => {
+      const matched = rows.filter(r => matches(r, where));
+      const sums = {};
+      for (const field of Object.keys(_sum)) {
+        sums[field] = matched.length ? matched.reduce((total, row) => total + (row[field] || 0), 0) : null;
+      }
+      return { _sum: sums, ...(_count && { _count: { _all: matched.length } }) };
+    },
+    groupBy: async ({ by, where, _count, _max = {} } = {}) => {
+      const groups = new Map();
+      for (const row of rows.filter(r => matches(r, where))) {
+        const key = JSON.stringify(by.map(field => row[field]));
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+      }
+      return [...groups.values()].map(members => {
+        const max = {};
+        for (const field of Object.keys(_max)) {
+          max[field] = members.reduce((top, row) => (top === null || comparable(row[field]) > comparable(top) ? row[field] : top), null);
+        }
+        return {
+          ...Object.fromEntries(by.map(field => [field, members[0][field]])),
+          ...(_count && { _count: { _all: members.length } }),
+          _max: max,
+        };
+      });
+    },
+  };
+}
+
+/**
+ * Create an empty fake database
+ * @param {Object<string, Array<Array<string>>>} [uniqueKeys] - Unique field sets per model, checked on create
+ * @param {Object<string, Object>} [defaults] - Column defaults per model, filled in on create
+ * @returns {Object} Prisma-like client with $reset() and $rows(model) for tests
+ */
+export function createFakeDB(uniqueKeys = {}, defaults = {}) {
+  const tables = new Map();
+  let id = 0;
+  const nextId = () => `id_${++id}`;
+
+  const table = (name) => {
+    if (!tables.has(name)) tables.set(name, []);
+    return tables.get(name);
+  };
+  const models = new Map();
+
+  const db = {
+    $reset() {
+      tables.clear();
+      models.clear();
+    },
+    /** The stored rows of a model, for assertions and seeding */
+    $rows: (name) => table(name),
+    $transaction: async (work) => (typeof work === 'function' ? work(proxy) : Promise.all(work)),
+    $connect: async () => {},
+    $disconnect: async () => {},
+    $queryRaw: async () => [],
+    $executeRaw: async () => 0,
+  };
+
+  const proxy = new Proxy(db, {
+    get(target, name) {
+      if (name in target || typeof name !== 'string') return target[name];
+      if (name === 'then') return undefined;
+      if (!models.has(name)) models.set(name, createModel(table(name), uniqueKeys[name] || [], defaults[name] || {}, nextId));
+      return models.get(name);
+    },
+  });
+  return proxy;
+}
@@ -0,0 +1,8 @@
+// Stands in for app/lib/auth.js - the session comes from the test (see setSession in ../state.mjs)
+import { testState } from '../state.mjs';
+
+export const auth = {
+  api: {
+    getSession: async () => testState.session,
+  },
+};
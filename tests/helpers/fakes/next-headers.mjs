@@ -0,0 +1,8 @@
+// Stands in for next/headers, which only works inside a Next request
+export async function headers() {
+  return new Headers();
+}
+
+export async function cookies() {
+  return { get: () => undefined, getAll: () => [], set: () => {}, delete: () => {} };
+}
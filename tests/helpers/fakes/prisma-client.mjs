@@ -0,0 +1,10 @@
+// Stands in for @prisma/client - every client shares the test's in-memory database
+import { testState } from '../state.mjs';
+
+export class PrismaClient {
+  constructor() {
+    return testState.db;
+  }
+}
+
+export const Prisma = {};
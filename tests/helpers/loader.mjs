@@ -0,0 +1,34 @@
+/**
+ * Module resolution hooks for the tests (see register.mjs)
+ */
+
+const APP_URL = new URL('../../app/', import.meta.url);
+const AUTH_URL = new URL('lib/auth.js', APP_URL).href;
+
+// Modules replaced by a fake in every test
+const FAKES = {
+  '@prisma/client': 'prisma-client.mjs',
+  'next/headers': 'next-headers.mjs',
+};
+
+const fakeURL = (name) => new URL(`./fakes/${name}`, import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (FAKES[specifier]) {
+    return { url: fakeURL(FAKES[specifier]), shortCircuit: true };
+  }
+  // next has no exports map, so its subpaths need the extension outside its own bundler
+  if (/^next\/[\w-]+$/.test(specifier)) {
+    specifier = `${specifier}.js`;
+  }
+  if (specifier.startsWith('@/')) {
+    const url = new URL(specifier.slice(2), APP_URL).href;
+    specifier = /\.m?js$/.test(url) ? url : `${url}.js`;
+  }
+
+  const resolved = await nextResolve(specifier, context);
+  if (resolved.url === AUTH_URL) {
+    return { url: fakeURL('auth.mjs'), shortCircuit: true };
+  }
+  return resolved;
+}
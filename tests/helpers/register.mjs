@@ -0,0 +1,15 @@
+/**
+ * Loaded with --import before any test: resolves the "@/" alias and swaps in the fakes below,
+ * so route handlers run as they do under Next without a database, an auth server or a model API.
+ */
+
+import { register } from 'node:module';
+
+// Never reach a real model, and keep moderation on the local rules classifier
+process.env.LLM_PROVIDER = 'fake';
+process.env.MODERATION_CLASSIFIER = 'rules';
+// Nothing written to disk
+process.env.SPEECH_CACHE_STORE = 'off';
+process.env.BETTER_AUTH_SECRET ??= 'test-secret';
+
+register('./loader.mjs', import.meta.url);
@@ -0,0 +1,53 @@
+/**
+ * Shared state between the tests and the fakes
+ */
+
+import { createFakeDB } from './fake-db.mjs';
+
+// Unique constraints from prisma/schema.prisma the app relies on (P2002 on a clash)
+const UNIQUE_KEYS = {
+  user: [['email']],
+  sessionLimit: [['sessionId']],
+  usageReservation: [['sessionLimitId', 'endpoint', 'idempotencyKey']],
+  rateLimit: [['identifier', 'endpoint']],
+  costTracking: [['date']],
+  historySummary: [['sessionId']],
+  message: [['conversationId', 'position']],
+  supporterLink: [['userId', 'email']],
+  customSymbol: [['userId', 'word']],
+  answerCacheEntry: [['sessionId', 'contextKey', 'promptKey']],
+};
+
+// Column defaults from prisma/schema.prisma the app relies on (filled in on create)
+const DEFAULTS = {
+  sessionLimit: { dailyUsageCount: 0, isBlocked: false },
+  usageReservation: { units: 1, status: 'reserved' },
+  supporterLink: { shareRepeatedQuestions: false },
+  safeguardingIncident: { status: 'open' },
+};
+
+export const testState = {
+  db: createFakeDB(UNIQUE_KEYS, DEFAULTS),
+  session: null,
+};
+
+/**
+ * Empty every table and sign out - call before each test
+ * @returns {Object} The fake database
+ */
+export function resetTestState() {
+  testState.db.$reset();
+  testState.session = null;
+  return testState.db;
+}
+
+/**
+ * Sign a user in for the requests that follow
+ * @param {{userId: string, sessionId?: string}} user
+ */
+export function setSession({ userId, sessionId = `session_${userId}` }) {
+  testState.session = {
+    session: { id: sessionId, userId },
+    user: { id: userId, email: `${userId}@example.com` },
+  };
+}
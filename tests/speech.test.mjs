@@ -0,0 +1,60 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetTestState } from './helpers/state.mjs';
+import { getProvider } from '../app/lib/llm/provider.js';
+
+const { POST } = await import('../app/api/speech/route.js');
+
+const CLIENT_IP = '203.0.113.12';
+const SESSION_ID = `anon_${CLIENT_IP}`;
+
+let db;
+let speechCalls;
+const provider = getProvider();
+const speech = provider.speech;
+beforeEach(() => {
+  db = resetTestState();
+  speechCalls = 0;
+  provider.speech = (options) => {
+    speechCalls += 1;
+    return speech.call(provider, options);
+  };
+});
+afterEach(() => {
+  provider.speech = speech;
+});
+
+function speechRequest() {
+  return new Request('http://localhost/api/speech', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': CLIENT_IP },
+    body: JSON.stringify({ text: 'The bus comes at nine.' }),
+  });
+}
+
+test('a session blocked for suspicious activity gets no audio and costs nothing', async () => {
+  // Requests exactly 100ms apart look like a bot
+  const now = Date.now();
+  for (let i = 0; i < 10; i++) {
+    db.$rows('usageLog').push({ id: i + 1, sessionId: SESSION_ID, endpoint: 'speech', ipAddress: CLIENT_IP, timestamp: new Date(now - i * 100) });
+  }
+
+  const response = await POST(speechRequest());
+
+  assert.equal(response.status, 403);
+  assert.equal((await response.json()).code, 'suspicious_activity');
+  assert.equal(speechCalls, 0);
+  assert.equal(db.$rows('costLedger').length, 0);
+  assert.equal(db.$rows('sessionLimit')[0].dailyUsageCount, 0);
+});
+
+test('a new clip is streamed and its cost recorded', async () => {
+  const response = await POST(speechRequest());
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('X-Speech-Cache'), 'miss');
+  assert.ok((await response.arrayBuffer()).byteLength > 0);
+  assert.equal(speechCalls, 1);
+  assert.equal(db.$rows('costLedger').length, 1);
+  assert.equal(db.$rows('sessionLimit')[0].dailyUsageCount, 1);
+});
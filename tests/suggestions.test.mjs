@@ -0,0 +1,42 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetTestState } from './helpers/state.mjs';
+
+const { POST } = await import('../app/api/chat/suggestions/route.js');
+
+const CLIENT_IP = '203.0.113.7';
+
+function suggestionsRequest(body) {
+  return new Request('http://localhost/api/chat/suggestions', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': CLIENT_IP },
+    body: JSON.stringify(body),
+  });
+}
+
+let db;
+beforeEach(() => {
+  db = resetTestState();
+});
+
+test('a suggestions request leaves the daily usage count alone', async () => {
+  db.$rows('sessionLimit').push({
+    id: 'limit_1',
+    sessionId: `anon_${CLIENT_IP}`,
+    dailyUsageCount: 3,
+    dailyUsageResetAt: new Date(Date.now() + 60 * 60 * 1000),
+    lastUsedAt: new Date(),
+  });
+
+  const response = await POST(suggestionsRequest({
+    messages: [
+      { role: 'user', content: 'What should I have for lunch?' },
+      { role: 'assistant', content: 'Would you like soup or a sandwich?' },
+    ],
+  }));
+
+  assert.equal(response.status, 200);
+  assert.ok(Array.isArray((await response.json()).suggestions));
+  assert.equal(db.$rows('sessionLimit')[0].dailyUsageCount, 3);
+  assert.equal(db.$rows('usageReservation').length, 0);
+});
@@ -0,0 +1,37 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetTestState } from './helpers/state.mjs';
+
+const { POST } = await import('../app/api/chat/summary/route.js');
+
+const CLIENT_IP = '203.0.113.8';
+
+let db;
+beforeEach(() => {
+  db = resetTestState();
+});
+
+test('a history summary request leaves the daily usage count alone', async () => {
+  db.$rows('sessionLimit').push({
+    id: 'limit_1',
+    sessionId: `anon_${CLIENT_IP}`,
+    dailyUsageCount: 5,
+    dailyUsageResetAt: new Date(Date.now() + 60 * 60 * 1000),
+    lastUsedAt: new Date(),
+  });
+  // Long enough that older turns fall outside the window and are summarised
+  const history = Array.from({ length: 40 }, (_, i) => ({
+    role: i % 2 === 0 ? 'user' : 'assistant',
+    content: `Message number ${i} about the garden`,
+  }));
+
+  const response = await POST(new Request('http://localhost/api/chat/summary', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': CLIENT_IP },
+    body: JSON.stringify({ history }),
+  }));
+
+  assert.equal(response.status, 200);
+  assert.equal(db.$rows('sessionLimit')[0].dailyUsageCount, 5);
+  assert.equal(db.$rows('usageReservation').length, 0);
+});
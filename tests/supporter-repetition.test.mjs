@@ -0,0 +1,54 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetTestState, setSession } from './helpers/state.mjs';
+import { getSupporterSymbolsLink } from '../app/lib/supporters.js';
+
+const { GET } = await import('../app/api/supporter/repetition/route.js');
+const { PATCH } = await import('../app/api/profile/supporters/[id]/route.js');
+
+let db;
+beforeEach(() => {
+  db = resetTestState();
+  db.$rows('supporterLink').push({
+    id: 'supporter_1',
+    userId: 'user_1',
+    name: 'Sam',
+    email: 'sam@example.com',
+    shareRepeatedQuestions: false,
+  });
+  db.$rows('answerCacheHit').push(
+    { id: 'hit_1', userId: 'user_1', promptKey: 'bus', prompt: 'When is the bus?', createdAt: new Date() },
+    { id: 'hit_2', userId: 'user_1', promptKey: 'bus', prompt: 'When is the bus?', createdAt: new Date() },
+  );
+});
+
+function repetitionRequest() {
+  const token = new URL(getSupporterSymbolsLink('supporter_1')).searchParams.get('token');
+  return new Request('http://localhost/api/supporter/repetition', {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+}
+
+test('a symbols-only supporter link cannot see repeated questions', async () => {
+  const response = await GET(repetitionRequest());
+
+  assert.equal(response.status, 403);
+  const data = await response.json();
+  assert.equal(data.questions, undefined);
+});
+
+test('repeated questions are shown once the user shares them with that supporter', async () => {
+  setSession({ userId: 'user_1' });
+  const shared = await PATCH(new Request('http://localhost/api/profile/supporters/supporter_1', {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ shareRepeatedQuestions: true }),
+  }), { params: Promise.resolve({ id: 'supporter_1' }) });
+  assert.equal(shared.status, 200);
+
+  const response = await GET(repetitionRequest());
+
+  assert.equal(response.status, 200);
+  const data = await response.json();
+  assert.deepEqual(data.questions.map(item => [item.question, item.repeats]), [['When is the bus?', 2]]);
+});
@@ -0,0 +1,66 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetTestState } from './helpers/state.mjs';
+
+const { POST } = await import('../app/api/transcribe/route.js');
+
+const CLIENT_IP = '203.0.113.10';
+const CHUNK_BYTES = 64 * 1024;
+
+let db;
+beforeEach(() => {
+  db = resetTestState();
+});
+
+// A chunked upload with no Content-Length that would go on for 50MB if it were read to the end
+function endlessUpload() {
+  const upload = { chunksRead: 0, cancelled: false };
+  upload.body = new ReadableStream({
+    pull(controller) {
+      if (upload.chunksRead >= 800) {
+        controller.close();
+        return;
+      }
+      upload.chunksRead += 1;
+      controller.enqueue(new Uint8Array(CHUNK_BYTES));
+    },
+    cancel() {
+      upload.cancelled = true;
+    },
+  });
+  return upload;
+}
+
+test('a chunked upload is cut off once it passes the body limit', async () => {
+  const upload = endlessUpload();
+  const request = new Request('http://localhost/api/transcribe', {
+    method: 'POST',
+    headers: { 'Content-Type': 'multipart/form-data; boundary=recording', 'X-Forwarded-For': CLIENT_IP },
+    body: upload.body,
+    duplex: 'half',
+  });
+  assert.equal(request.headers.get('content-length'), null);
+
+  const response = await POST(request);
+
+  assert.equal(response.status, 413);
+  assert.equal((await response.json()).code, 'payload_too_large');
+  assert.ok(upload.cancelled);
+  assert.ok(upload.chunksRead * CHUNK_BYTES < 3000000, `read ${upload.chunksRead} chunks`);
+  // Refused requests aren't charged
+  assert.equal(db.$rows('sessionLimit')[0].dailyUsageCount, 0);
+});
+
+test('a recording within the limit is transcribed', async () => {
+  const form = new FormData();
+  form.append('audio', new Blob([new Uint8Array(4000)], { type: 'audio/webm' }), 'recording.webm');
+
+  const response = await POST(new Request('http://localhost/api/transcribe', {
+    method: 'POST',
+    headers: { 'X-Forwarded-For': CLIENT_IP },
+    body: form,
+  }));
+
+  assert.equal(response.status, 200);
+  assert.equal(typeof (await response.json()).text, 'string');
+});